@@ -229,10 +229,18 @@ registerObject("MonitoringFilter");
 registerObject("ModificationInfo");
 registerObject("HistoryData");
 registerObject("HistoryModifiedData");
+registerObject("HistoryEventFieldList");
+registerObject("HistoryEvent");
 
 registerObject("HistoryUpdateResult");
 registerObject("HistoryUpdateRequest");
 registerObject("HistoryUpdateResponse");
+registerObject("HistoryUpdateDetails");
+registerObject("UpdateDataDetails");
+registerObject("UpdateStructureDataDetails");
+registerObject("DeleteRawModifiedDetails");
+registerObject("DeleteAtTimeDetails");
+registerObject("DeleteEventDetails");
 
 // translate_browse_path_to_node_is
 registerObject("RelativePathElement");
@@ -296,6 +304,15 @@ registerObject("WriteRequest");
 registerObject("WriteResponse");
 
 // node Management service
+registerObject("ObjectAttributes");
+registerObject("VariableAttributes");
+registerObject("MethodAttributes");
+registerObject("ObjectTypeAttributes");
+registerObject("VariableTypeAttributes");
+registerObject("ReferenceTypeAttributes");
+registerObject("DataTypeAttributes");
+registerObject("ViewAttributes");
+
 registerObject("AddNodesItem");
 registerObject("AddNodesRequest");
 
@@ -11,6 +11,7 @@ module.exports.coerceNodeId     = require("lib/datamodel/nodeid").coerceNodeId;
 module.exports.makeExpandedNodeId       = require("lib/datamodel/expanded_nodeid").makeExpandedNodeId;
 module.exports.coerceExpandedNodeId     = require("lib/datamodel/expanded_nodeid").coerceExpandedNodeId;
 module.exports.StatusCodes      = require("lib/datamodel/opcua_status_code").StatusCodes;
+module.exports.makeStatusCode   = require("lib/datamodel/opcua_status_code").makeStatusCode;
 module.exports.DataType         = require("lib/datamodel/variant").DataType;
 module.exports.DataValue        = require("lib/datamodel/datavalue").DataValue;
 module.exports.Variant          = require("lib/datamodel/variant").Variant;
@@ -18,6 +19,7 @@ module.exports.VariantArrayType = require("lib/datamodel/variant").VariantArrayT
 module.exports.NodeId           = require("lib/datamodel/nodeid").NodeId;
 module.exports.NumericRange     = require("lib/datamodel/numeric_range").NumericRange;
 module.exports.AccessLevelFlag  = require("lib/datamodel/access_level").AccessLevelFlag;
+module.exports.NodeAttributesMask = require("lib/datamodel/node_attributes_mask").NodeAttributesMask;
 
 module.exports.LocalizedText       = require("lib/datamodel/localized_text").LocalizedText;
 module.exports.coerceLocalizedText = require("lib/datamodel/localized_text").coerceLocalizedText;
@@ -68,6 +70,7 @@ module.exports.OPCUAClient        = require("lib/client/opcua_client").OPCUAClie
 module.exports.NodeCrawler        = require("lib/client/node_crawler").NodeCrawler;
 module.exports.ClientSubscription = require("lib/client/client_subscription").ClientSubscription;
 module.exports.ClientSession      = require("lib/client/opcua_client").ClientSession;
+module.exports.ClientConditionManager = require("lib/client/client_condition_manager").ClientConditionManager;
 
 // Server services
 module.exports.OPCUAServer        = require("lib/server/opcua_server").OPCUAServer;
@@ -76,6 +79,9 @@ module.exports.generate_address_space = require("lib/address_space/load_nodeset2
 module.exports.AddressSpace       = require("lib/address_space/address_space").AddressSpace;
 module.exports.ServerState        = require("schemas/39394884f696ff0bf66bacc9a8032cc074e0158e/ServerState_enum").ServerState;
 module.exports.SecurityPolicy     = require("lib/misc/security_policy").SecurityPolicy;
+module.exports.CertificateManager = require("lib/misc/certificate_manager").CertificateManager;
+module.exports.createSelfSignedCertificate = require("lib/misc/crypto_create_certificate").createSelfSignedCertificate;
+module.exports.createCertificateSigningRequest = require("lib/misc/crypto_create_certificate").createCertificateSigningRequest;
 module.exports.ServiceCounter     = require("schemas/39394884f696ff0bf66bacc9a8032cc074e0158e/ServiceCounter").ServiceCounter;
 
 module.exports.AnonymousIdentityToken = module.exports.session_service.AnonymousIdentityToken;
@@ -86,6 +92,12 @@ module.exports.MessageSecurityMode = module.exports.get_endpoints_service.Messag
 
 module.exports.makeRelativePath = require("lib/address_space/make_relative_path").makeRelativePath;
 
+// historical access
+module.exports.MemoryHistoryStorage = require("lib/address_space/history_storage").MemoryHistoryStorage;
+module.exports.FileHistoryStorage   = require("lib/address_space/history_storage_file").FileHistoryStorage;
+module.exports.MemoryEventStore     = require("lib/address_space/event_store").MemoryEventStore;
+module.exports.EventNotifierFlags   = require("lib/datamodel/event_notifier").EventNotifierFlags;
+
 
 // DA
 module.exports.standardUnits                  = require("lib/data_access/EUInformation").standardUnits;
@@ -147,7 +147,12 @@ function _registerObjectType(self, node) {
     self._objectTypeMap[key] = node;
 
 }
-function _unregisterObjectType() {}
+function _unregisterObjectType(self, node) {
+    var key = node.browseName.toString();
+    if (self._objectTypeMap[key] === node) {
+        delete self._objectTypeMap[key];
+    }
+}
 
 function _registerVariableType(self, node) {
 
@@ -156,6 +161,12 @@ function _registerVariableType(self, node) {
     self._variableTypeMap[key] = node;
 
 }
+function _unregisterVariableType(self, node) {
+    var key = node.browseName.toString();
+    if (self._variableTypeMap[key] === node) {
+        delete self._variableTypeMap[key];
+    }
+}
 
 function _registerReferenceType(self, node) {
 
@@ -167,6 +178,15 @@ function _registerReferenceType(self, node) {
     self._referenceTypeMap[key] = node;
     self._referenceTypeMapInv[node.inverseName.text] = node;
 }
+function _unregisterReferenceType(self, node) {
+    var key = node.browseName.toString();
+    if (self._referenceTypeMap[key] === node) {
+        delete self._referenceTypeMap[key];
+    }
+    if (self._referenceTypeMapInv[node.inverseName.text] === node) {
+        delete self._referenceTypeMapInv[node.inverseName.text];
+    }
+}
 
 function _registerDataType(self, node) {
     var key = node.browseName.toString();
@@ -174,6 +194,12 @@ function _registerDataType(self, node) {
     assert(!self._dataTypeMap[key], " DataType already declared");
     self._dataTypeMap[key] = node;
 }
+function _unregisterDataType(self, node) {
+    var key = node.browseName.toString();
+    if (self._dataTypeMap[key] === node) {
+        delete self._dataTypeMap[key];
+    }
+}
 
 
 AddressSpace.prototype._register = function (node) {
@@ -213,15 +239,55 @@ AddressSpace.prototype._register = function (node) {
 };
 
 
+/**
+ * remove the references that link the node being deleted to the other nodes of the address space.
+ *
+ * References for which the node is the source node are always removed. References for which the node
+ * is the target node are only removed when deleteTargetReferences is true, otherwise they are left in
+ * the related nodes.
+ *
+ * @method _deleteReferencesOfNode
+ * @param addressSpace {AddressSpace}
+ * @param node {BaseNode}
+ * @param deleteTargetReferences {Boolean}
+ * @private
+ */
+function _deleteReferencesOfNode(addressSpace, node, deleteTargetReferences) {
+
+    var references = [].concat(_.map(node._referenceIdx), _.map(node._back_referenceIdx));
+
+    references.forEach(function (reference) {
+
+        var relatedNode = addressSpace.findNode(reference.nodeId);
+        if (!relatedNode || relatedNode === node) {
+            return;
+        }
+        var counterPart = new Reference({
+            referenceType: reference.referenceType,
+            isForward: !reference.isForward,
+            nodeId: node.nodeId
+        });
+        if (reference.isForward || deleteTargetReferences) {
+            relatedNode._remove_reference(counterPart);
+        } else {
+            relatedNode._detach_reference(counterPart);
+        }
+    });
+}
+
 /**
  * remove the specified Node from the address space
- * 
+ *
+ * the child nodes of the node ( the nodes referenced with a HasComponent or a HasProperty reference )
+ * are recursively deleted.
+ *
  * @method deleteNode
- * @param  nodeOrNodeId
- * 
- * 
+ * @param  nodeOrNodeId {BaseNode|NodeId}
+ * @param  [options]
+ * @param  [options.deleteTargetReferences=true] {Boolean} true if the references held by other nodes that
+ *                                                         point to the deleted node shall also be deleted.
  */
-AddressSpace.prototype.deleteNode = function (nodeOrNodeId) {
+AddressSpace.prototype.deleteNode = function (nodeOrNodeId, options) {
 
     var self = this;
     var node =null;
@@ -238,6 +304,9 @@ AddressSpace.prototype.deleteNode = function (nodeOrNodeId) {
         nodeId = node.nodeId;
     }
 
+    options = options || {};
+    var deleteTargetReferences = utils.isNullOrUndefined(options.deleteTargetReferences) ? true : !!options.deleteTargetReferences;
+
     var addressSpace = self;
 
     addressSpace.modelChangeTransaction(function() {
@@ -250,10 +319,12 @@ AddressSpace.prototype.deleteNode = function (nodeOrNodeId) {
             parent._on_child_removed(node);
         });
 
-        function deleteNodePointedByReference(ref) {
-            var addressSpace = self;
-            var o = addressSpace.findNode(ref.nodeId);
-            addressSpace.deleteNode(o.nodeId);
+        // a child that is still referenced by another parent ( i.e a node organized by two folders )
+        // outlives the node being deleted
+        function hasAnotherParent(child) {
+            return child.findReferencesEx("HierarchicalReferences", BrowseDirection.Inverse).some(function (ref) {
+                return !sameNodeId(ref.nodeId, node.nodeId) && !!addressSpace.findNode(ref.nodeId);
+            });
         }
 
         // recursively delete all nodes below in the hierarchy of nodes
@@ -263,9 +334,17 @@ AddressSpace.prototype.deleteNode = function (nodeOrNodeId) {
 
         // TODO: shall we delete nodes pointed by "Organizes" links here ?
         var subfolders = node.findReferences("Organizes", true);
-        var rf = [].concat(components, properties, subfolders);
+        var childNodeIds = [].concat(components, properties, subfolders).map(function (ref) {
+            return ref.nodeId;
+        });
 
-        rf.forEach(deleteNodePointedByReference);
+        childNodeIds.forEach(function (childNodeId) {
+            var child = addressSpace.findNode(childNodeId);
+            // the child may already have been removed if it was referenced more than once
+            if (child && !hasAnotherParent(child)) {
+                addressSpace.deleteNode(childNodeId, options);
+            }
+        });
 
         // delete nodes from global index
         var indexName = node.nodeId.toString();
@@ -276,14 +355,20 @@ AddressSpace.prototype.deleteNode = function (nodeOrNodeId) {
 
         _handle_delete_node_model_change_event(node);
 
-        node.unpropagate_back_references();
+        _deleteReferencesOfNode(addressSpace, node, deleteTargetReferences);
 
         if (node.nodeClass === NodeClass.ObjectType) {
             _unregisterObjectType(addressSpace, node);
+        } else if (node.nodeClass === NodeClass.VariableType) {
+            _unregisterVariableType(addressSpace, node);
         } else if (node.nodeClass === NodeClass.Object) {
         } else if (node.nodeClass === NodeClass.Variable) {
         } else if (node.nodeClass === NodeClass.Method) {
         } else if (node.nodeClass === NodeClass.View) {
+        } else if (node.nodeClass === NodeClass.ReferenceType) {
+            _unregisterReferenceType(addressSpace, node);
+        } else if (node.nodeClass === NodeClass.DataType) {
+            _unregisterDataType(addressSpace, node);
         } else {
             console.log("Invalid class Name", node.nodeClass);
             throw new Error("Invalid class name specified");
@@ -1489,6 +1574,11 @@ require("./address_space_add_method").install(AddressSpace);
 require("./address_space_browse").install(AddressSpace);
 require("./address_space_construct_extension_object").install(AddressSpace);
 require("./address_space_add_two_state_variable").install(AddressSpace);
+require("./address_space_node_management").install(AddressSpace);
+require("./address_space_query").install(AddressSpace);
+require("./address_space_historical_data_node").install(AddressSpace);
+require("./alarms_and_conditions/address_space_add_limit_alarm").install(AddressSpace);
+require("./alarms_and_conditions/address_space_add_off_normal_alarm").install(AddressSpace);
 
 // DI
 require("lib/data_access/address_space_add_AnalogItem").install(AddressSpace);
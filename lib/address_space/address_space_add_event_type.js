@@ -18,69 +18,79 @@ var lowerFirstLetter = require("lib/misc/utils").lowerFirstLetter;
 
 var doDebug = false;
 
-exports.install = function (AddressSpace) {
-
+/*=
+ * Helper function to print a EventData
+ * @method _eventDataToString
+ * @param baseObjectType {UAObjectType}
+ * @param addressSpace {AddressSpace}
+ * @param eventType {UAObjectType}
+ * @param eventData {Object}
+ * @return {String}
+ * @private
+ */
+function _eventDataToString(baseObjectType,addressSpace,eventType,eventData) {
 
+    if (baseObjectType.nodeId === eventType.nodeId) {
+        return; // nothing to do
+    }
+    var baseTypeNodeId = eventType.subtypeOf;
+    // istanbul ignore next
+    if (!baseTypeNodeId) {
+        throw new Error("Object with nodeId " + eventType.nodeId + " has no Type");
+    }
 
-    /*=
-     * Helper function to print a EventData
-     * @method _eventDataToString
-     * @param baseObjectType {UAObjectType}
-     * @param addressSpace {AddressSpace}
-     * @param eventType {UAObjectType}
-     * @param eventData {Object}
-     * @return {String}
-     * @private
-     */
-    function _eventDataToString(baseObjectType,addressSpace,eventType,eventData) {
+    var baseType = addressSpace.findNode(baseTypeNodeId);
+    // istanbul ignore next
+    if (!baseType) {
+        throw new Error("Cannot find object with nodeId ".red + baseTypeNodeId);
+    }
 
-        if (baseObjectType.nodeId === eventType.nodeId) {
-            return; // nothing to do
-        }
-        var baseTypeNodeId = eventType.subtypeOf;
-        // istanbul ignore next
-        if (!baseTypeNodeId) {
-            throw new Error("Object with nodeId " + eventType.nodeId + " has no Type");
-        }
+    var str = "";
+    str = str + _eventDataToString(baseObjectType,addressSpace,baseType,eventData);
 
-        var baseType = addressSpace.findNode(baseTypeNodeId);
-        // istanbul ignore next
-        if (!baseType) {
-            throw new Error("Cannot find object with nodeId ".red + baseTypeNodeId);
-        }
+    // get properties and components from base class
+    var refProperties = eventType.getProperties();
 
-        var str = "";
-        str = str + _eventDataToString(baseObjectType,addressSpace,baseType,eventData);
+    var opts = { addressSpace: addressSpace };
 
-        // get properties and components from base class
-        var refProperties = eventType.getProperties();
+    var s = refProperties.map(function (ref) {
+        var node = addressSpace.findNode(ref.nodeId);
+        var lowerName = lowerFirstLetter(node.browseName.name);
+        var value = eventData[lowerName];
+        var extra = "";
+        if (value.dataType ===DataType.NodeId) {
+            extra = addressSpace.findNode(value.value).browseName.toString();
+        }
+        return ("  " + lowerName+"           ").substr(0,15).yellow + " value = " + value.toString(opts).cyan + " " + extra;
+    });
+    return str + "\n" + eventType.browseName.toString().green  + " (" + eventType.nodeId.toString()  + ")" + "\n" + s.join("\n");
+}
+/**
+ * the data of a event, as returned by AddressSpace#constructEventData.
+ *
+ * each field of the event is stored as a Variant in a property named after the lower-cased browse name of the
+ * field ( eventId, sourceNode, time ...) and is indexed in __nodes by the nodeId of its declaration in the event type.
+ *
+ * @class EventData
+ * @param eventTypeNode {UAObjectType}
+ * @constructor
+ */
+function EventData(eventTypeNode) {
+    this.__nodes = {};
+    this.$eventType = eventTypeNode;
+}
+EventData.prototype.toString = function( opts) {
 
-        var opts = { addressSpace: addressSpace };
+    var addressSpace = this.$eventType.__address_space;
+    var baseObjectType = addressSpace.findObjectType("BaseObjectType"); // i=58
+    assert(baseObjectType, "Ba seObjectType must be defined in the address space");
 
-        var s = refProperties.map(function (ref) {
-            var node = addressSpace.findNode(ref.nodeId);
-            var lowerName = lowerFirstLetter(node.browseName.name);
-            var value = eventData[lowerName];
-            var extra = "";
-            if (value.dataType ===DataType.NodeId) {
-                extra = addressSpace.findNode(value.value).browseName.toString();
-            }
-            return ("  " + lowerName+"           ").substr(0,15).yellow + " value = " + value.toString(opts).cyan + " " + extra;
-        });
-        return str + "\n" + eventType.browseName.toString().green  + " (" + eventType.nodeId.toString()  + ")" + "\n" + s.join("\n");
-    }
-    function EventData(eventTypeNode) {
-        this.__nodes = {};
-        this.$eventType = eventTypeNode;
-    }
-    EventData.prototype.toString = function( opts) {
+    return _eventDataToString(baseObjectType,addressSpace,this.$eventType,this);
+};
+exports.EventData = EventData;
 
-        var addressSpace = this.$eventType.__address_space;
-        var baseObjectType = addressSpace.findObjectType("BaseObjectType"); // i=58
-        assert(baseObjectType, "Ba seObjectType must be defined in the address space");
+exports.install = function (AddressSpace) {
 
-        return _eventDataToString(baseObjectType,addressSpace,this.$eventType,this);
-    };
 
 
     /**
@@ -362,12 +372,44 @@ exports.install = function (AddressSpace) {
         return cur;
     }
 
+    function _findConditionClass(addressSpace, conditionType) {
+
+        var limit_alarm = require("lib/address_space/alarms_and_conditions/limit_alarm");
+        var off_normal_alarm = require("lib/address_space/alarms_and_conditions/off_normal_alarm");
+        var alarm_condition = require("lib/address_space/alarms_and_conditions/alarm_condition");
+        var condition = require("lib/address_space/alarms_and_conditions/condition");
+
+        function isSubtypeOf(typeName) {
+            // note : the type may be missing from a reduced address space
+            var baseType = addressSpace.findEventType(typeName);
+            return baseType && conditionType.isSupertypeOf(baseType);
+        }
+        if (isSubtypeOf("ExclusiveLimitAlarmType")) {
+            return limit_alarm.UAExclusiveLimitAlarm;
+        }
+        if (isSubtypeOf("NonExclusiveLimitAlarmType")) {
+            return limit_alarm.UANonExclusiveLimitAlarm;
+        }
+        if (isSubtypeOf("OffNormalAlarmType")) {
+            return off_normal_alarm.UAOffNormalAlarm;
+        }
+        if (isSubtypeOf("AlarmConditionType")) {
+            return alarm_condition.UAAlarmConditionBase;
+        }
+        if (isSubtypeOf("AcknowledgeableConditionType")) {
+            return condition.UAAcknowledgeableConditionBase;
+        }
+        return condition.UAConditionBase;
+    }
+
     /**
      * instantiate a Condition.
      * this will create the unique EventId and will set eventType
      * @method instantiateCondition
      * @param conditionTypeId  {String|NodeId}  the EventType to instantiate
      * @param options      {object}
+     * @param [options.conditionSource] {NodeId|UAObject} the source node of the condition
+     * @param [options.messageTemplates] {Object} the templates of the Message of the events ( see UAConditionBase#setMessageTemplates )
      * @param data         {object}         a object containing the value to set
      * @param data.eventId {String|NodeId}  the EventType Identifier to instantiate (type cannot be abstract)
      * @return node        {UADataType}
@@ -399,29 +441,23 @@ exports.install = function (AddressSpace) {
 
         var conditionNode = conditionType.instantiate(options);
 
+        // attach the state machines of the condition to the new node
+        var conditionClass = _findConditionClass(self, conditionType);
+        Object.setPrototypeOf(conditionNode, conditionClass.prototype);
+        conditionNode._initialize();
+
         data = data || {};
         data.eventId = self.generateEventId();
-
-
-
-        // set enabled state
-        AddressSpace._install_TwoStateVariable_machinery(conditionNode.enabledState);
-
-
-        conditionNode._setEnableState = function(requestedEnableState) {
-            var enabledState =  conditionNode.enabledState.id.readValue().value.value;
-            if (enabledState && requestedEnableState) {
-                return StatusCodes.BadConditionAlreadyEnabled;
-            }
-            if (!enabledState && !requestedEnableState) {
-                return StatusCodes.BadConditionAlreadyDisabled;
-            }
-            conditionNode.enabledState.setValue(requestedEnableState);
-
-            return StatusCodes.Good;
-        };
-
-
+        data.eventType = {dataType: DataType.NodeId, value: conditionType.nodeId};
+        data.conditionName = data.conditionName || {dataType: DataType.String, value: options.browseName.toString()};
+
+        if (options.conditionSource) {
+            var conditionSource = self._coerceNode(options.conditionSource);
+            data.sourceNode = {dataType: DataType.NodeId, value: conditionSource.nodeId};
+            data.sourceName = {dataType: DataType.String, value: conditionSource.browseName.toString()};
+            // the events of the condition are notified by its source
+            conditionSource.addReference({referenceType: "HasCondition", isForward: true, nodeId: conditionNode.nodeId});
+        }
 
         // set properties
         Object.keys(data).forEach(function (key) {
@@ -431,59 +467,17 @@ exports.install = function (AddressSpace) {
 
             var variant = new Variant(data[key]);
 
-            // check that Variant DataType is compatible with the UAVariable dataType
-            var nodeDataType = self.findNode(varNode.dataType).browseName;
-
             /* istanbul ignore next */
             if (!varNode._validate_DataType(variant.dataType)) {
                 throw new Error(" Invalid variant dataType " + variant + " " + varNode.browseName.toString());
             }
 
-            var value =new Variant(data[key]);
-
-            varNode.setValueFromSource(value);
-
-        });
-
+            varNode.setValueFromSource(variant);
 
-        // bind condition methods
-        //xx var method = conditionNode.getComponentByName("Enable");
-        conditionNode.enable.bindMethod(function (inputArguments, context, callback) {
-            var statusCode = conditionNode._setEnableState(true);
-            return callback(null,{statusCode: statusCode });
         });
 
-        //xx var method = conditionNode.getComponentByName("Disable");
-        conditionNode.disable.bindMethod(function (inputArguments, context, callback) {
-            var statusCode = conditionNode._setEnableState(false);
-            return callback(null,{statusCode: statusCode });
-
-        });
-
-        // set enabled state
-        if (conditionNode.ackedState) {
-            AddressSpace._install_TwoStateVariable_machinery(conditionNode.ackedState);
-
-            conditionNode._setAckedState = function(requestedAckedState,eventId,comment) {
-                var ackedState =  conditionNode.ackedState.id.readValue().value.value;
-                if (ackedState && requestedAckedState) {
-                    return StatusCodes.BadConditionBranchAlreadyAcked;
-                }
-                conditionNode.ackedState.setValue(ackedState);
-                return StatusCodes.Good;
-            };
-            //xx var method = conditionNode.getComponentByName("Disable");
-            conditionNode.acknowledge.bindMethod(function (inputArguments, context, callback) {
-                // inputArguments has 2 arguments
-                // EventId  => NodeId The Identifier of the event to comment
-                // Comment  => NodeId The Comment to add to the condition
-                assert(inputArguments.length === 2);
-                var eventId = inputArguments[0].value;
-                var comment = inputArguments[1].comment;
-                var statusCode = conditionNode._setAckedState(false,eventId,comment);
-                return callback(null,{statusCode: statusCode });
-
-            });
+        if (options.messageTemplates) {
+            conditionNode.setMessageTemplates(options.messageTemplates);
         }
         return conditionNode;
 
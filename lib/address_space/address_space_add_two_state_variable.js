@@ -173,6 +173,7 @@ function _install_TwoStateVariable_machinery(node) {
     node.setValue = TwoStateVariable_setValue;
 
 }
+exports._install_TwoStateVariable_machinery = _install_TwoStateVariable_machinery;
 
 //exports.constructionHook = function(node) {
 //
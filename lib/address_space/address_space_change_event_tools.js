@@ -38,7 +38,7 @@ function makeVerb(verbs) {
     return e.value;
 }
 
-function _handle_add_reference_change_event(node1,node2id) {
+function _handle_reference_change_event(node1,node2id,verb) {
 
     var ModelChangeStructure = require("_generated_/_auto_generated_ModelChangeStructure").ModelChangeStructure;
 
@@ -59,22 +59,31 @@ function _handle_add_reference_change_event(node1,node2id) {
             var modelChangeTgt = new ModelChangeStructure({
                 affected:     node1.nodeId,
                 affectedType: _getTypeDef(node1),
-                verb: makeVerb("ReferenceAdded")
+                verb: makeVerb(verb)
             });
             addressSpace._collectModelChange(null,modelChangeTgt);
 
             var modelChangeTgt = new ModelChangeStructure({
                 affected:     node2.nodeId,
                 affectedType: _getTypeDef(node2),
-                verb: makeVerb("ReferenceAdded")
+                verb: makeVerb(verb)
             });
             addressSpace._collectModelChange(null,modelChangeTgt);
 
         });
     }
 }
+
+function _handle_add_reference_change_event(node1,node2id) {
+    _handle_reference_change_event(node1,node2id,"ReferenceAdded");
+}
 exports._handle_add_reference_change_event = _handle_add_reference_change_event;
 
+function _handle_delete_reference_change_event(node1,node2id) {
+    _handle_reference_change_event(node1,node2id,"ReferenceDeleted");
+}
+exports._handle_delete_reference_change_event = _handle_delete_reference_change_event;
+
 
 try {
     var ModelChangeStructure = require("_generated_/_auto_generated_ModelChangeStructure").ModelChangeStructure;
@@ -0,0 +1,315 @@
+"use strict";
+/**
+ * @module opcua.address_space
+ * @class AddressSpace
+ */
+require("requirish")._(module);
+var assert = require("better-assert");
+var async = require("async");
+
+var DataValue = require("lib/datamodel/datavalue").DataValue;
+var extractRange = require("lib/datamodel/datavalue").extractRange;
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+var AccessLevelFlag = require("lib/datamodel/access_level").AccessLevelFlag;
+var minDate = require("lib/misc/factories_builtin_types").minDate;
+
+var historizing_service = require("lib/services/historizing_service");
+var HistoryReadResult = historizing_service.HistoryReadResult;
+var HistoryData = historizing_service.HistoryData;
+
+var UAVariable = require("lib/address_space/ua_variable").UAVariable;
+var history_storage = require("./history_storage");
+var MemoryHistoryStorage = history_storage.MemoryHistoryStorage;
+var isHistoryStorage = history_storage.isHistoryStorage;
+
+var debugLog = require("lib/misc/utils").make_debugLog(__filename);
+
+
+function _isUnspecifiedTime(date) {
+    return !date || date.getTime() <= minDate.getTime();
+}
+
+function _timeOf(dataValue) {
+    return dataValue.sourceTimestamp.getTime();
+}
+
+function _makeBoundNotFound(date) {
+    return new DataValue({statusCode: StatusCodes.BadBoundNotFound, sourceTimestamp: date});
+}
+
+function _after(date) {
+    return new Date(date.getTime() + 1);
+}
+
+/**
+ * a historian that records the values of a variable in a history storage.
+ * @class VariableHistorian
+ * @param node {UAVariable}
+ * @param options
+ * @param [options.storage] {Object} the history storage ( see MemoryHistoryStorage ). By default, the values
+ *        are kept in a MemoryHistoryStorage.
+ * @param [options.maxOnlineValues=1000] {Number} the maximum number of values kept by the default storage.
+ * @constructor
+ * @private
+ */
+function VariableHistorian(node, options) {
+    this.node = node;
+    this.storage = options.storage || new MemoryHistoryStorage({maxOnlineValues: options.maxOnlineValues});
+    assert(isHistoryStorage(this.storage));
+}
+
+/**
+ * record a new value.
+ * @method push
+ * @param dataValue {DataValue}
+ * @param [callback] {Function}
+ * @param callback.err {Error|null}
+ * @async
+ */
+VariableHistorian.prototype.push = function (dataValue, callback) {
+
+    var self = this;
+    dataValue = new DataValue(dataValue);
+    dataValue.sourceTimestamp = dataValue.sourceTimestamp || dataValue.serverTimestamp || new Date();
+
+    self.storage.append(dataValue, function (err) {
+        if (err) {
+            debugLog("cannot record the value of ", self.node.nodeId.toString(), err.message);
+        }
+        if (callback) {
+            callback(err);
+        }
+    });
+};
+
+// the continuation point of a raw read only keeps the position where the next read resumes:
+// the timestamp of the next value, and the number of values with this timestamp already returned.
+function _encodeContinuationPoint(time, skip) {
+    var buffer = new Buffer(12);
+    buffer.writeDoubleLE(time.getTime(), 0);
+    buffer.writeUInt32LE(skip, 8);
+    return buffer;
+}
+
+function _decodeContinuationPoint(buffer) {
+    if (!(buffer instanceof Buffer) || buffer.length !== 12) {
+        return null;
+    }
+    var time = buffer.readDoubleLE(0);
+    if (!isFinite(time)) {
+        return null;
+    }
+    return {time: new Date(time), skip: buffer.readUInt32LE(8)};
+}
+
+/**
+ * extract the values matching a ReadRawModifiedDetails.
+ *
+ * * values are returned in chronological order when startTime < endTime (or when endTime is not specified)
+ *   and in reverse order when startTime > endTime (or when startTime is not specified).
+ * * startTime is included in the interval, endTime is excluded (unless startTime === endTime).
+ * * if returnBounds is true, the bounding values are added, or a BadBoundNotFound value if the
+ *   historian doesn't contain any value before the start or after the end.
+ * * at most numValuesPerNode values are read from the storage: when more values are available, a
+ *   continuation point is returned. readRawModified is then called again with this continuation point
+ *   to read the next values.
+ *
+ * @method readRawModified
+ * @param historyReadDetails {ReadRawModifiedDetails}
+ * @param [continuationPoint=null] {Buffer} the continuation point returned by the previous read
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @param callback.result {Object}
+ * @param callback.result.statusCode {StatusCode}
+ * @param callback.result.dataValues {DataValue[]}
+ * @param callback.result.continuationPoint {Buffer|null}
+ * @async
+ */
+VariableHistorian.prototype.readRawModified = function (historyReadDetails, continuationPoint, callback) {
+
+    if (!callback) {
+        callback = continuationPoint;
+        continuationPoint = null;
+    }
+    var storage = this.storage;
+    var startTime = _isUnspecifiedTime(historyReadDetails.startTime) ? null : historyReadDetails.startTime;
+    var endTime = _isUnspecifiedTime(historyReadDetails.endTime) ? null : historyReadDetails.endTime;
+    var numValuesPerNode = historyReadDetails.numValuesPerNode;
+
+    if (historyReadDetails.isReadModified) {
+        // this historian doesn't keep track of modified values
+        return callback(null, {statusCode: StatusCodes.BadHistoryOperationUnsupported});
+    }
+    // at least two of startTime, endTime and numValuesPerNode must be specified
+    if ((!startTime && !endTime) || ((!startTime || !endTime) && !numValuesPerNode)) {
+        return callback(null, {statusCode: StatusCodes.BadInvalidTimestampArgument});
+    }
+    var resume = null;
+    if (continuationPoint && continuationPoint.length > 0) {
+        resume = _decodeContinuationPoint(continuationPoint);
+        if (!resume) {
+            return callback(null, {statusCode: StatusCodes.BadContinuationPointInvalid});
+        }
+    }
+
+    var isReverse;
+    if (!startTime) {
+        // values are read backward, starting at endTime
+        startTime = endTime;
+        endTime = null;
+        isReverse = true;
+    } else {
+        isReverse = !!endTime && endTime.getTime() < startTime.getTime();
+    }
+    var isSingleTime = !!endTime && endTime.getTime() === startTime.getTime();
+
+    // one more value than requested tells whether a continuation point is needed
+    var skip = resume ? resume.skip : 0;
+    var limit = numValuesPerNode ? numValuesPerNode + 1 + skip : 0;
+    var from = resume ? resume.time : startTime;
+
+    // the storage reads the values in [from,to[
+    var tasks = {};
+    if (isReverse) {
+        tasks.values = storage.readRange.bind(storage, endTime ? _after(endTime) : null, _after(from), limit, true);
+    } else {
+        tasks.values = storage.readRange.bind(storage, from, isSingleTime ? _after(endTime) : endTime, limit, false);
+    }
+    if (historyReadDetails.returnBounds) {
+        if (!resume) {
+            tasks.startBound = isReverse ?
+                storage.readRange.bind(storage, _after(startTime), null, 1, false) :
+                storage.readRange.bind(storage, null, startTime, 1, true);
+        }
+        if (endTime && !isSingleTime) {
+            tasks.endBound = isReverse ?
+                storage.readRange.bind(storage, null, _after(endTime), 1, true) :
+                storage.readRange.bind(storage, endTime, null, 1, false);
+        }
+    }
+
+    async.series(tasks, function (err, results) {
+        if (err) {
+            return callback(err);
+        }
+        var dataValues = results.values.slice(skip);
+        if (results.startBound && !(dataValues.length && _timeOf(dataValues[0]) === startTime.getTime())) {
+            dataValues.unshift(results.startBound[0] || _makeBoundNotFound(startTime));
+        }
+        var nextContinuationPoint = null;
+        if (numValuesPerNode && dataValues.length > numValuesPerNode) {
+            var next = dataValues[numValuesPerNode];
+            dataValues = dataValues.slice(0, numValuesPerNode);
+            var sameTime = dataValues.filter(function (dataValue) {
+                return _timeOf(dataValue) === _timeOf(next);
+            }).length;
+            if (resume && sameTime === dataValues.length && resume.time.getTime() === _timeOf(next)) {
+                sameTime += resume.skip;
+            }
+            nextContinuationPoint = _encodeContinuationPoint(next.sourceTimestamp, sameTime);
+        } else if (results.endBound) {
+            if (numValuesPerNode && dataValues.length === numValuesPerNode) {
+                // the end bound is returned alone by the next read
+                nextContinuationPoint = _encodeContinuationPoint(endTime, 0);
+            } else {
+                dataValues.push(results.endBound[0] || _makeBoundNotFound(endTime));
+            }
+        }
+        callback(null, {statusCode: StatusCodes.Good, dataValues: dataValues, continuationPoint: nextContinuationPoint});
+    });
+};
+
+/**
+ * @method historyRead
+ * @param historyReadDetails {HistoryReadDetails}
+ * @param indexRange {NumericRange || null}
+ * @param dataEncoding {String}
+ * @param continuationPoint {ByteString} the continuation point returned by the previous historyRead
+ * @param callback {Function}
+ * @param callback.err
+ * @param callback.result {HistoryReadResult}
+ */
+VariableHistorian.prototype.historyRead = function (historyReadDetails, indexRange, dataEncoding, continuationPoint, callback) {
+
+    var self = this;
+    if (historyReadDetails._schema.name !== "ReadRawModifiedDetails") {
+        return callback(null, new HistoryReadResult({statusCode: StatusCodes.BadHistoryOperationUnsupported}));
+    }
+
+    self.readRawModified(historyReadDetails, continuationPoint, function (err, result) {
+        if (err) {
+            // a failure of the storage is reported in the result of this node only
+            debugLog("cannot read the history of ", self.node.nodeId.toString(), err.message);
+            return callback(null, new HistoryReadResult({statusCode: StatusCodes.BadInternalError}));
+        }
+        if (result.statusCode !== StatusCodes.Good) {
+            return callback(null, new HistoryReadResult({statusCode: result.statusCode}));
+        }
+        var dataValues = result.dataValues.map(function (dataValue) {
+            return extractRange(dataValue, indexRange);
+        });
+        callback(null, new HistoryReadResult({
+            statusCode: result.dataValues.length ? StatusCodes.Good : StatusCodes.GoodNoData,
+            continuationPoint: result.continuationPoint,
+            historyData: new HistoryData({dataValues: dataValues})
+        }));
+    });
+};
+
+exports.VariableHistorian = VariableHistorian;
+
+exports.install = function (AddressSpace) {
+
+    /**
+     * install a historian on a variable.
+     *
+     * The historian records the value of the variable each time it changes, sets the Historizing attribute
+     * and the HistoryRead bit of the AccessLevel and UserAccessLevel attributes, and answers the
+     * HistoryRead requests that use ReadRawModifiedDetails ( the ReadProcessedDetails and ReadAtTimeDetails
+     * requests are computed from the raw values ).
+     *
+     * The values are kept in memory unless a history storage is provided.
+     *
+     * @method installHistoricalDataNode
+     * @param node {UAVariable}
+     * @param [options]
+     * @param [options.maxOnlineValues=1000] {Number} the number of values kept in memory.
+     * @param [options.storage] {MemoryHistoryStorage|FileHistoryStorage} the storage where the values are recorded.
+     * @param [options.stepped=false] {Boolean} true if the value of the variable doesn't change between two
+     *        recorded values: the values read at a given time are then not interpolated linearly.
+     * @return {VariableHistorian}
+     *
+     * @example
+     *
+     *     var temperature = addressSpace.addVariable({ ... });
+     *     addressSpace.installHistoricalDataNode(temperature, {maxOnlineValues: 100});
+     *
+     *     var pressure = addressSpace.addVariable({ ... });
+     *     addressSpace.installHistoricalDataNode(pressure, {
+     *         storage: new opcua.FileHistoryStorage({filename: "/var/lib/myserver/pressure.history"})
+     *     });
+     */
+    AddressSpace.prototype.installHistoricalDataNode = function (node, options) {
+
+        assert(node instanceof UAVariable);
+        options = options || {};
+
+        var historian = new VariableHistorian(node, options);
+
+        node.historizing = true;
+        node.stepped = !!options.stepped;
+        node.accessLevel = AccessLevelFlag.get(node.accessLevel.value | AccessLevelFlag.HistoryRead.value);
+        node.userAccessLevel = AccessLevelFlag.get(node.userAccessLevel.value | AccessLevelFlag.HistoryRead.value);
+
+        if (node._dataValue.statusCode === StatusCodes.Good) {
+            historian.push(node._dataValue);
+        }
+        node.on("value_changed", function (dataValue) {
+            historian.push(dataValue);
+        });
+        node._historyRead = historian.historyRead.bind(historian);
+        node.historian = historian;
+
+        return historian;
+    };
+};
@@ -0,0 +1,648 @@
+"use strict";
+/**
+ * @module opcua.address_space
+ * @class AddressSpace
+ */
+require("requirish")._(module);
+var assert = require("better-assert");
+var _ = require("underscore");
+
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+var NodeClass = require("lib/datamodel/nodeclass").NodeClass;
+var NodeId = require("lib/datamodel/nodeid").NodeId;
+var QualifiedName = require("lib/datamodel/qualified_name").QualifiedName;
+var DataType = require("lib/datamodel/variant").DataType;
+var NodeAttributesMask = require("lib/datamodel/node_attributes_mask").NodeAttributesMask;
+
+var BrowseDirection = require("lib/services/browse_service").BrowseDirection;
+
+var node_managment_service = require("lib/services/node_management_service");
+var AddNodesItem = node_managment_service.AddNodesItem;
+var AddNodesResult = node_managment_service.AddNodesResult;
+var DeleteNodesItem = node_managment_service.DeleteNodesItem;
+var AddReferencesItem = node_managment_service.AddReferencesItem;
+var DeleteReferencesItem = node_managment_service.DeleteReferencesItem;
+
+var ReferenceType = require("lib/address_space/referenceType").ReferenceType;
+var Reference = require("lib/address_space/reference").Reference;
+
+var cetools = require("./address_space_change_event_tools");
+
+// the NodeAttributes structure that is expected for each node class
+var _attributesClassMap = {
+    "Object":        node_managment_service.ObjectAttributes,
+    "Variable":      node_managment_service.VariableAttributes,
+    "Method":        node_managment_service.MethodAttributes,
+    "ObjectType":    node_managment_service.ObjectTypeAttributes,
+    "VariableType":  node_managment_service.VariableTypeAttributes,
+    "ReferenceType": node_managment_service.ReferenceTypeAttributes,
+    "DataType":      node_managment_service.DataTypeAttributes,
+    "View":          node_managment_service.ViewAttributes
+};
+
+function isNullNodeId(nodeId) {
+    return !nodeId || (nodeId.namespace === 0 && nodeId.isEmpty());
+}
+
+function _isTypeNodeClass(nodeClass) {
+    return nodeClass === NodeClass.ObjectType || nodeClass === NodeClass.VariableType ||
+           nodeClass === NodeClass.ReferenceType || nodeClass === NodeClass.DataType;
+}
+
+/**
+ * convert a ExpandedNodeId into a local NodeId
+ * returns null if the ExpandedNodeId cannot be resolved in this address space
+ * @method _resolveExpandedNodeId
+ * @param addressSpace {AddressSpace}
+ * @param expandedNodeId {ExpandedNodeId}
+ * @return {NodeId|null}
+ * @private
+ */
+function _resolveExpandedNodeId(addressSpace, expandedNodeId) {
+
+    if (expandedNodeId.serverIndex) {
+        return null; // node is located in a remote server
+    }
+    var namespace = expandedNodeId.namespace;
+    if (expandedNodeId.namespaceUri) {
+        namespace = addressSpace.getNamespaceIndex(expandedNodeId.namespaceUri);
+        if (namespace < 0) {
+            return null;
+        }
+    }
+    return new NodeId(expandedNodeId.identifierType, expandedNodeId.value, namespace);
+}
+
+/**
+ * find the ReferenceType node matching referenceTypeId
+ * returns null if referenceTypeId doesn't refer to a ReferenceType of the address space
+ * @method _findReferenceType
+ * @param addressSpace {AddressSpace}
+ * @param referenceTypeId {NodeId}
+ * @return {ReferenceType|null}
+ * @private
+ */
+function _findReferenceType(addressSpace, referenceTypeId) {
+
+    if (isNullNodeId(referenceTypeId) || !(addressSpace.findNode(referenceTypeId) instanceof ReferenceType)) {
+        return null;
+    }
+    return addressSpace.findReferenceType(referenceTypeId);
+}
+
+/**
+ * extract the value of the attributes of the nodeAttributes structure that are flagged in specifiedAttributes
+ * @method _extractSpecifiedAttributes
+ * @param nodeAttributes
+ * @return {Object}
+ * @private
+ */
+function _extractSpecifiedAttributes(nodeAttributes) {
+
+    var result = {};
+    if (!nodeAttributes) {
+        return result;
+    }
+    var specifiedAttributes = nodeAttributes.specifiedAttributes;
+
+    nodeAttributes._schema.fields.forEach(function (field) {
+        if (field.name === "specifiedAttributes") {
+            return;
+        }
+        var flag = NodeAttributesMask.get(field.name.charAt(0).toUpperCase() + field.name.substr(1));
+        assert(flag);
+        if ((specifiedAttributes & flag.value) === flag.value) {
+            result[field.name] = nodeAttributes[field.name];
+        }
+    });
+    return result;
+}
+
+exports.install = function (AddressSpace) {
+
+    /**
+     * find the node referred to by a ExpandedNodeId
+     * @method findNodeFromExpandedNodeId
+     * @param expandedNodeId {ExpandedNodeId}
+     * @return {BaseNode|null} null if the node doesn't exist or is located in a remote server
+     */
+    AddressSpace.prototype.findNodeFromExpandedNodeId = function (expandedNodeId) {
+
+        var self = this;
+        var nodeId = isNullNodeId(expandedNodeId) ? null : _resolveExpandedNodeId(self, expandedNodeId);
+        return (nodeId && self.findNode(nodeId)) || null;
+    };
+
+    /**
+     * check that a node with the same browse name doesn't already exist below parent
+     * @method _isBrowseNameUsedInParent
+     * @param parent {BaseNode}
+     * @param browseName {QualifiedName}
+     * @return {Boolean}
+     * @private
+     */
+    AddressSpace.prototype._isBrowseNameUsedInParent = function (parent, browseName) {
+
+        var self = this;
+        var key = browseName.toString();
+        var children = parent.findReferencesEx("HierarchicalReferences", BrowseDirection.Forward);
+        return children.some(function (ref) {
+            var child = Reference._resolveReferenceNode(self, ref);
+            return child && child.browseName.toString() === key;
+        });
+    };
+
+    /**
+     * @method _isTypeBrowseNameRegistered
+     * @param nodeClass {NodeClass}
+     * @param browseName {QualifiedName}
+     * @return {Boolean}
+     * @private
+     */
+    AddressSpace.prototype._isTypeBrowseNameRegistered = function (nodeClass, browseName) {
+
+        var self = this;
+        var name = browseName.name;
+        var namespace = browseName.namespaceIndex;
+        switch (nodeClass) {
+            case NodeClass.ObjectType:
+                return !!self.findObjectType(name, namespace);
+            case NodeClass.VariableType:
+                return !!self.findVariableType(name, namespace);
+            case NodeClass.DataType:
+                return !!self.findDataType(name, namespace);
+            case NodeClass.ReferenceType:
+                return !!self.findReferenceType(name, namespace);
+        }
+        return false;
+    };
+
+    function _createNodeFromItem(addressSpace, item, parent, referenceType, typeDefinition, newNodeId, attributes) {
+
+        var browseName = item.browseName;
+
+        var options = {
+            nodeId: newNodeId,
+            nodeClass: item.nodeClass,
+            browseName: browseName,
+            displayName: attributes.displayName || browseName.name,
+            description: attributes.description,
+            references: [
+                {referenceType: referenceType.browseName.toString(), isForward: false, nodeId: parent.nodeId}
+            ]
+        };
+
+        switch (item.nodeClass) {
+
+            case NodeClass.Object:
+                options.typeDefinition = typeDefinition.nodeId;
+                options.eventNotifier = attributes.eventNotifier || 0;
+                return addressSpace.addObject(options);
+
+            case NodeClass.Variable:
+                options.typeDefinition = typeDefinition.nodeId;
+                options.dataType = attributes.dataType;
+                options.valueRank = attributes.valueRank;
+                options.arrayDimensions = attributes.arrayDimensions;
+                options.accessLevel = attributes.accessLevel;
+                options.userAccessLevel = attributes.userAccessLevel;
+                options.minimumSamplingInterval = attributes.minimumSamplingInterval;
+                options.historizing = attributes.historizing;
+                options.value = (attributes.value && attributes.value.dataType !== DataType.Null) ?
+                    attributes.value : {dataType: DataType.Null};
+                return addressSpace.addVariable(options);
+
+            case NodeClass.VariableType:
+                options.isAbstract = !!attributes.isAbstract;
+                options.dataType = attributes.dataType;
+                options.valueRank = attributes.valueRank;
+                options.arrayDimensions = attributes.arrayDimensions;
+                options.value = attributes.value;
+                return addressSpace.createNode(options);
+
+            case NodeClass.ObjectType:
+            case NodeClass.DataType:
+                options.isAbstract = !!attributes.isAbstract;
+                return addressSpace.createNode(options);
+
+            case NodeClass.ReferenceType:
+                options.isAbstract = !!attributes.isAbstract;
+                options.symmetric = !!attributes.symmetric;
+                options.inverseName = attributes.inverseName || browseName.name;
+                return addressSpace.createNode(options);
+
+            case NodeClass.Method:
+            case NodeClass.View:
+                options.containsNoLoops = attributes.containsNoLoops;
+                return addressSpace.createNode(options);
+        }
+        throw new Error("Invalid nodeClass " + item.nodeClass.toString());
+    }
+
+    /**
+     * create a new node in the address space, as requested by a AddNodes service call.
+     *
+     * @method addNodeFromItem
+     * @param  addNodesItem {AddNodesItem}
+     * @return {AddNodesResult}
+     *
+     *   |StatusCode                    |                                                                   |
+     *   |------------------------------|:------------------------------------------------------------------|
+     *   |BadParentNodeIdInvalid        | the parent node doesn't exist                                     |
+     *   |BadReferenceTypeIdInvalid     | the referenceTypeId doesn't refer to a ReferenceType              |
+     *   |BadReferenceNotAllowed        | the reference type cannot be used to link the node to its parent  |
+     *   |BadNodeClassInvalid           | the nodeClass is invalid                                          |
+     *   |BadNodeIdRejected             | the requested nodeId cannot be used by the server                 |
+     *   |BadNodeIdExists               | the requested nodeId is already used by another node              |
+     *   |BadBrowseNameInvalid          | the browse name is empty                                          |
+     *   |BadBrowseNameDuplicated       | a node with the same browse name already exists below the parent  |
+     *   |BadNodeAttributesInvalid      | the node attributes do not match the node class                   |
+     *   |BadTypeDefinitionInvalid      | the type definition is missing, unknown or not instantiable       |
+     */
+    AddressSpace.prototype.addNodeFromItem = function (addNodesItem) {
+
+        var self = this;
+        assert(addNodesItem instanceof AddNodesItem);
+
+        function _error(statusCode) {
+            return new AddNodesResult({statusCode: statusCode});
+        }
+
+        // --------------------------------------------------------------------------- parent
+        var parent = self.findNodeFromExpandedNodeId(addNodesItem.parentNodeId);
+        if (!parent) {
+            return _error(StatusCodes.BadParentNodeIdInvalid);
+        }
+
+        // --------------------------------------------------------------------------- reference type
+        var referenceType = _findReferenceType(self, addNodesItem.referenceTypeId);
+        if (!referenceType) {
+            return _error(StatusCodes.BadReferenceTypeIdInvalid);
+        }
+
+        // --------------------------------------------------------------------------- node class
+        var nodeClass = addNodesItem.nodeClass;
+        if (!nodeClass || !_attributesClassMap[nodeClass.key]) {
+            return _error(StatusCodes.BadNodeClassInvalid);
+        }
+
+        // The reference to the parent must be hierarchical. Types are added with a HasSubtype reference
+        // to their super type, which must be of the same node class.
+        var hierarchicalReferences = self.findReferenceType("HierarchicalReferences");
+        var hasSubtype = self.findReferenceType("HasSubtype");
+        if (!referenceType.isSupertypeOf(hierarchicalReferences)) {
+            return _error(StatusCodes.BadReferenceNotAllowed);
+        }
+        if (_isTypeNodeClass(nodeClass)) {
+            if (!referenceType.isSupertypeOf(hasSubtype)) {
+                return _error(StatusCodes.BadReferenceNotAllowed);
+            }
+            if (parent.nodeClass !== nodeClass) {
+                return _error(StatusCodes.BadParentNodeIdInvalid);
+            }
+        } else if (referenceType.isSupertypeOf(hasSubtype)) {
+            return _error(StatusCodes.BadReferenceNotAllowed);
+        }
+        if (referenceType.browseName.toString() === "HasProperty" && nodeClass !== NodeClass.Variable) {
+            return _error(StatusCodes.BadReferenceNotAllowed);
+        }
+
+        // --------------------------------------------------------------------------- requested node id
+        var newNodeId = null;
+        if (!isNullNodeId(addNodesItem.requestedNewNodeId)) {
+            newNodeId = _resolveExpandedNodeId(self, addNodesItem.requestedNewNodeId);
+            // namespace 0 is reserved for the nodes defined by the OPC-UA specification
+            if (!newNodeId || newNodeId.namespace === 0) {
+                return _error(StatusCodes.BadNodeIdRejected);
+            }
+            if (self.findNode(newNodeId)) {
+                return _error(StatusCodes.BadNodeIdExists);
+            }
+        } else {
+            newNodeId = self._build_new_NodeId();
+        }
+
+        // --------------------------------------------------------------------------- browse name
+        var browseName = addNodesItem.browseName;
+        if (!(browseName instanceof QualifiedName) || !browseName.name || browseName.name.length === 0) {
+            return _error(StatusCodes.BadBrowseNameInvalid);
+        }
+        if (self._isBrowseNameUsedInParent(parent, browseName) ||
+            self._isTypeBrowseNameRegistered(nodeClass, browseName)) {
+            return _error(StatusCodes.BadBrowseNameDuplicated);
+        }
+
+        // --------------------------------------------------------------------------- node attributes
+        var nodeAttributes = addNodesItem.nodeAttributes;
+        if (nodeAttributes && !(nodeAttributes instanceof _attributesClassMap[nodeClass.key])) {
+            return _error(StatusCodes.BadNodeAttributesInvalid);
+        }
+        var attributes = _extractSpecifiedAttributes(nodeAttributes);
+
+        if (attributes.hasOwnProperty("dataType")) {
+            var dataTypeNode = self.findNode(attributes.dataType);
+            if (!dataTypeNode || dataTypeNode.nodeClass !== NodeClass.DataType) {
+                return _error(StatusCodes.BadNodeAttributesInvalid);
+            }
+        } else if (nodeClass === NodeClass.Variable || nodeClass === NodeClass.VariableType) {
+            attributes.dataType = self.findDataType("BaseDataType").nodeId;
+        }
+        if (nodeClass === NodeClass.ReferenceType) {
+            var inverseName = attributes.inverseName ? attributes.inverseName.text : null;
+            if ((!inverseName && !attributes.symmetric) ||
+                (inverseName && self.findReferenceTypeFromInverseName(inverseName))) {
+                return _error(StatusCodes.BadNodeAttributesInvalid);
+            }
+        }
+
+        // --------------------------------------------------------------------------- type definition
+        // The typeDefinition is only required for Objects and Variables, it shall be null otherwise.
+        var typeDefinition = null;
+        var hasTypeDefinition = !isNullNodeId(addNodesItem.typeDefinition);
+        if (nodeClass === NodeClass.Object || nodeClass === NodeClass.Variable) {
+
+            var typeDefinitionNodeId = hasTypeDefinition ? _resolveExpandedNodeId(self, addNodesItem.typeDefinition) : null;
+            typeDefinition = typeDefinitionNodeId ? self.findNode(typeDefinitionNodeId) : null;
+
+            var expectedNodeClass = (nodeClass === NodeClass.Object) ? NodeClass.ObjectType : NodeClass.VariableType;
+            if (!typeDefinition || typeDefinition.nodeClass !== expectedNodeClass || typeDefinition.isAbstract) {
+                return _error(StatusCodes.BadTypeDefinitionInvalid);
+            }
+        } else if (hasTypeDefinition) {
+            return _error(StatusCodes.BadTypeDefinitionInvalid);
+        }
+
+        var node = _createNodeFromItem(self, addNodesItem, parent, referenceType, typeDefinition, newNodeId, attributes);
+        assert(node.nodeId instanceof NodeId);
+
+        return new AddNodesResult({
+            statusCode: StatusCodes.Good,
+            addedNodeId: node.nodeId
+        });
+    };
+
+    /**
+     * @method addNodes
+     * @param nodesToAdd {AddNodesItem[]}
+     * @return {AddNodesResult[]}
+     */
+    AddressSpace.prototype.addNodes = function (nodesToAdd) {
+
+        var self = this;
+        assert(_.isArray(nodesToAdd));
+        var results = [];
+        // all nodes are added within a single transaction so that a single GeneralModelChangeEvent is raised
+        self.modelChangeTransaction(function () {
+            results = nodesToAdd.map(function (addNodesItem) {
+                return self.addNodeFromItem(addNodesItem);
+            });
+        });
+        return results;
+    };
+
+    /**
+     * delete a node from the address space, as requested by a DeleteNodes service call.
+     *
+     * the child nodes of the node ( HasComponent and HasProperty ) are recursively deleted.
+     *
+     * @method deleteNodeFromItem
+     * @param  deleteNodesItem {DeleteNodesItem}
+     * @return {StatusCode}
+     *
+     *   |StatusCode                    |                                                                   |
+     *   |------------------------------|:------------------------------------------------------------------|
+     *   |BadNodeIdUnknown              | the node doesn't exist                                            |
+     *   |BadNoDeleteRights             | the node belongs to namespace 0 and cannot be deleted             |
+     */
+    AddressSpace.prototype.deleteNodeFromItem = function (deleteNodesItem) {
+
+        var self = this;
+        assert(deleteNodesItem instanceof DeleteNodesItem);
+
+        var node = isNullNodeId(deleteNodesItem.nodeId) ? null : self.findNode(deleteNodesItem.nodeId);
+        if (!node) {
+            return StatusCodes.BadNodeIdUnknown;
+        }
+        // namespace 0 is reserved for the nodes defined by the OPC-UA specification
+        if (node.nodeId.namespace === 0) {
+            return StatusCodes.BadNoDeleteRights;
+        }
+
+        self.deleteNode(node, {deleteTargetReferences: deleteNodesItem.deleteTargetReferences});
+        return StatusCodes.Good;
+    };
+
+    /**
+     * @method deleteNodes
+     * @param nodesToDelete {DeleteNodesItem[]}
+     * @return {StatusCode[]}
+     */
+    AddressSpace.prototype.deleteNodes = function (nodesToDelete) {
+
+        var self = this;
+        assert(_.isArray(nodesToDelete));
+        var results = [];
+        // all nodes are deleted within a single transaction so that a single GeneralModelChangeEvent is raised
+        self.modelChangeTransaction(function () {
+            results = nodesToDelete.map(function (deleteNodesItem) {
+                return self.deleteNodeFromItem(deleteNodesItem);
+            });
+        });
+        return results;
+    };
+
+    /**
+     * check that the reference doesn't violate the constraints imposed by the OPCUA information model
+     * @method _isReferenceAllowed
+     * @param referenceType {ReferenceType}
+     * @param sourceNode {BaseNode} the source node of the reference ( in the forward direction )
+     * @param targetNode {BaseNode} the target node of the reference ( in the forward direction )
+     * @return {Boolean}
+     * @private
+     */
+    AddressSpace.prototype._isReferenceAllowed = function (referenceType, sourceNode, targetNode) {
+
+        var self = this;
+        if (referenceType.isAbstract) {
+            return false;
+        }
+        if (referenceType.isSupertypeOf(self.findReferenceType("HasSubtype"))) {
+            return _isTypeNodeClass(sourceNode.nodeClass) && sourceNode.nodeClass === targetNode.nodeClass;
+        }
+        if (referenceType.isSupertypeOf(self.findReferenceType("HasTypeDefinition"))) {
+            return (sourceNode.nodeClass === NodeClass.Object && targetNode.nodeClass === NodeClass.ObjectType) ||
+                   (sourceNode.nodeClass === NodeClass.Variable && targetNode.nodeClass === NodeClass.VariableType);
+        }
+        if (referenceType.isSupertypeOf(self.findReferenceType("HasProperty"))) {
+            return targetNode.nodeClass === NodeClass.Variable;
+        }
+        return true;
+    };
+
+    /**
+     * add a reference between two nodes, as requested by a AddReferences service call.
+     *
+     * @method addReferenceFromItem
+     * @param  addReferencesItem {AddReferencesItem}
+     * @return {StatusCode}
+     *
+     *   |StatusCode                      |                                                                 |
+     *   |--------------------------------|:----------------------------------------------------------------|
+     *   |BadSourceNodeIdInvalid          | the source node doesn't exist                                   |
+     *   |BadReferenceTypeIdInvalid       | the referenceTypeId doesn't refer to a ReferenceType            |
+     *   |BadReferenceLocalOnly           | the target node is located in a remote server                   |
+     *   |BadTargetNodeIdInvalid          | the target node doesn't exist                                   |
+     *   |BadNodeClassInvalid             | the targetNodeClass doesn't match the class of the target node  |
+     *   |BadInvalidSelfReference         | the source node and the target node are the same                |
+     *   |BadReferenceNotAllowed          | the reference violates the constraints of the information model |
+     *   |BadDuplicateReferenceNotAllowed | the reference already exists                                    |
+     */
+    AddressSpace.prototype.addReferenceFromItem = function (addReferencesItem) {
+
+        var self = this;
+        assert(addReferencesItem instanceof AddReferencesItem);
+
+        var sourceNode = isNullNodeId(addReferencesItem.sourceNodeId) ? null : self.findNode(addReferencesItem.sourceNodeId);
+        if (!sourceNode) {
+            return StatusCodes.BadSourceNodeIdInvalid;
+        }
+
+        var referenceType = _findReferenceType(self, addReferencesItem.referenceTypeId);
+        if (!referenceType) {
+            return StatusCodes.BadReferenceTypeIdInvalid;
+        }
+
+        // this server only supports references to local nodes
+        if ((addReferencesItem.targetServerUri && addReferencesItem.targetServerUri.length > 0) ||
+            (addReferencesItem.targetNodeId && addReferencesItem.targetNodeId.serverIndex)) {
+            return StatusCodes.BadReferenceLocalOnly;
+        }
+        var targetNodeId = isNullNodeId(addReferencesItem.targetNodeId) ? null :
+            _resolveExpandedNodeId(self, addReferencesItem.targetNodeId);
+        var targetNode = targetNodeId ? self.findNode(targetNodeId) : null;
+        if (!targetNode) {
+            return StatusCodes.BadTargetNodeIdInvalid;
+        }
+
+        var targetNodeClass = addReferencesItem.targetNodeClass;
+        if (targetNodeClass && targetNodeClass !== NodeClass.Unspecified && targetNodeClass !== targetNode.nodeClass) {
+            return StatusCodes.BadNodeClassInvalid;
+        }
+
+        if (sourceNode === targetNode) {
+            return StatusCodes.BadInvalidSelfReference;
+        }
+
+        var isForward = addReferencesItem.isForward;
+        if (!self._isReferenceAllowed(referenceType, isForward ? sourceNode : targetNode, isForward ? targetNode : sourceNode)) {
+            return StatusCodes.BadReferenceNotAllowed;
+        }
+
+        var reference = new Reference({
+            referenceType: referenceType.browseName.toString(),
+            isForward: isForward,
+            nodeId: targetNode.nodeId
+        });
+        if (sourceNode._findReference(reference)) {
+            return StatusCodes.BadDuplicateReferenceNotAllowed;
+        }
+
+        sourceNode.addReference(reference);
+        return StatusCodes.Good;
+    };
+
+    /**
+     * @method addReferences
+     * @param referencesToAdd {AddReferencesItem[]}
+     * @return {StatusCode[]}
+     */
+    AddressSpace.prototype.addReferences = function (referencesToAdd) {
+
+        var self = this;
+        assert(_.isArray(referencesToAdd));
+        var results = [];
+        self.modelChangeTransaction(function () {
+            results = referencesToAdd.map(function (addReferencesItem) {
+                return self.addReferenceFromItem(addReferencesItem);
+            });
+        });
+        return results;
+    };
+
+    /**
+     * delete a reference between two nodes, as requested by a DeleteReferences service call.
+     *
+     * the reference is removed from the source node. When deleteBidirectional is true,
+     * the opposite reference held by the target node is also removed.
+     *
+     * @method deleteReferenceFromItem
+     * @param  deleteReferencesItem {DeleteReferencesItem}
+     * @return {StatusCode}
+     *
+     *   |StatusCode                      |                                                                 |
+     *   |--------------------------------|:----------------------------------------------------------------|
+     *   |BadSourceNodeIdInvalid          | the source node doesn't exist                                   |
+     *   |BadReferenceTypeIdInvalid       | the referenceTypeId doesn't refer to a ReferenceType            |
+     *   |BadTargetNodeIdInvalid          | the target node is unknown or located in a remote server        |
+     *   |BadNotFound                     | the source node doesn't hold the reference                      |
+     */
+    AddressSpace.prototype.deleteReferenceFromItem = function (deleteReferencesItem) {
+
+        var self = this;
+        assert(deleteReferencesItem instanceof DeleteReferencesItem);
+
+        var sourceNode = isNullNodeId(deleteReferencesItem.sourceNodeId) ? null : self.findNode(deleteReferencesItem.sourceNodeId);
+        if (!sourceNode) {
+            return StatusCodes.BadSourceNodeIdInvalid;
+        }
+
+        var referenceType = _findReferenceType(self, deleteReferencesItem.referenceNodeId);
+        if (!referenceType) {
+            return StatusCodes.BadReferenceTypeIdInvalid;
+        }
+
+        var targetNodeId = isNullNodeId(deleteReferencesItem.targetNodeId) ? null :
+            _resolveExpandedNodeId(self, deleteReferencesItem.targetNodeId);
+        if (!targetNodeId) {
+            return StatusCodes.BadTargetNodeIdInvalid;
+        }
+        // note: the target node may not exist anymore if it has been deleted without its target references
+        var targetNode = self.findNode(targetNodeId);
+
+        var isForward = deleteReferencesItem.isForward;
+        var referenceName = referenceType.browseName.toString();
+        var reference = new Reference({referenceType: referenceName, isForward: isForward, nodeId: targetNodeId});
+        var counterPart = new Reference({referenceType: referenceName, isForward: !isForward, nodeId: sourceNode.nodeId});
+
+        if (!sourceNode._findReference(reference)) {
+            return targetNode ? StatusCodes.BadNotFound : StatusCodes.BadTargetNodeIdInvalid;
+        }
+        if (targetNode) {
+            cetools._handle_delete_reference_change_event(sourceNode, targetNode.nodeId);
+        }
+        sourceNode._remove_reference(reference);
+
+        if (deleteReferencesItem.deleteBidirectional && targetNode) {
+            targetNode._remove_reference(counterPart);
+        }
+        return StatusCodes.Good;
+    };
+
+    /**
+     * @method deleteReferences
+     * @param referencesToDelete {DeleteReferencesItem[]}
+     * @return {StatusCode[]}
+     */
+    AddressSpace.prototype.deleteReferences = function (referencesToDelete) {
+
+        var self = this;
+        assert(_.isArray(referencesToDelete));
+        var results = [];
+        self.modelChangeTransaction(function () {
+            results = referencesToDelete.map(function (deleteReferencesItem) {
+                return self.deleteReferenceFromItem(deleteReferencesItem);
+            });
+        });
+        return results;
+    };
+};
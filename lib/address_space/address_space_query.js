@@ -0,0 +1,277 @@
+"use strict";
+/**
+ * @module opcua.address_space
+ * @class AddressSpace
+ */
+require("requirish")._(module);
+var assert = require("better-assert");
+var _ = require("underscore");
+
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+var NodeClass = require("lib/datamodel/nodeclass").NodeClass;
+var makeExpandedNodeId = require("lib/datamodel/expanded_nodeid").makeExpandedNodeId;
+var is_valid_attributeId = require("lib/datamodel/attributeIds").is_valid_attributeId;
+var Variant = require("lib/datamodel/variant").Variant;
+var DataType = require("lib/datamodel/variant").DataType;
+var VariantArrayType = require("lib/datamodel/variant").VariantArrayType;
+
+var BrowseDirection = require("lib/services/browse_service").BrowseDirection;
+
+var query_service = require("lib/services/query_service");
+var QueryDataSet = query_service.QueryDataSet;
+var ParsingResult = query_service.ParsingResult;
+
+var content_filter_tools = require("lib/tools/tools_content_filter");
+var checkContentFilter = content_filter_tools.checkContentFilter;
+var evaluateContentFilter = content_filter_tools.evaluateContentFilter;
+var followRelativePath = content_filter_tools.followRelativePath;
+var getNodesInView = content_filter_tools.getNodesInView;
+
+
+function _isNullNodeId(nodeId) {
+    return !nodeId || (nodeId.namespace === 0 && nodeId.isEmpty());
+}
+
+function _isReferencePath(relativePath) {
+    var elements = (relativePath && relativePath.elements) ? relativePath.elements : [];
+    var last = elements[elements.length - 1];
+    return !!last && (!last.targetName || !last.targetName.name);
+}
+
+/**
+ * check a QueryDataDescription
+ * @method _checkQueryDataDescription
+ * @param queryDataDescription {QueryDataDescription}
+ * @return {StatusCode}
+ * @private
+ */
+function _checkQueryDataDescription(queryDataDescription) {
+
+    // the attributeId is ignored if the relativePath ends in a Reference
+    if (!_isReferencePath(queryDataDescription.relativePath) && !is_valid_attributeId(queryDataDescription.attributeId)) {
+        return StatusCodes.BadAttributeIdInvalid;
+    }
+    var indexRange = queryDataDescription.indexRange;
+    if (indexRange && !indexRange.isValid()) {
+        return StatusCodes.BadIndexRangeInvalid;
+    }
+    return StatusCodes.Good;
+}
+
+/**
+ * returns the typeDefinition node and all its subtypes
+ * @method _getTypeAndSubtypes
+ * @param typeNode {BaseNode}
+ * @param includeSubtypes {Boolean}
+ * @return {BaseNode[]}
+ * @private
+ */
+function _getTypeAndSubtypes(typeNode, includeSubtypes) {
+
+    var types = [typeNode];
+    if (!includeSubtypes) {
+        return types;
+    }
+    for (var i = 0; i < types.length; i++) {
+        types[i].findReferencesAsObject("HasSubtype", true).forEach(function (subtype) {
+            if (types.indexOf(subtype) < 0) {
+                types.push(subtype);
+            }
+        });
+    }
+    return types;
+}
+
+/**
+ * returns the instances of a type. InstanceDeclarations (i.e the children of a type that have a modelling rule)
+ * are not considered as instances.
+ * @method _getInstancesOfType
+ * @param typeNode {BaseNode}
+ * @return {BaseNode[]}
+ * @private
+ */
+function _getInstancesOfType(typeNode) {
+    return typeNode.findReferencesAsObject("HasTypeDefinition", false).filter(function (node) {
+        return node.findReferences("HasModellingRule", true).length === 0;
+    });
+}
+
+function _dataValueToVariant(dataValue) {
+    if (dataValue.statusCode !== StatusCodes.Good) {
+        return new Variant({dataType: DataType.StatusCode, value: dataValue.statusCode});
+    }
+    return dataValue.value || new Variant();
+}
+
+function _extractReferenceDescriptions(addressSpace, nodes, element) {
+
+    var referenceType = "References";
+    if (!_isNullNodeId(element.referenceTypeId)) {
+        var referenceTypeNode = addressSpace.findNode(element.referenceTypeId);
+        if (!referenceTypeNode || referenceTypeNode.nodeClass !== NodeClass.ReferenceType) {
+            return [];
+        }
+        referenceType = referenceTypeNode.nodeId;
+    }
+    var browseDirection = element.isInverse ? BrowseDirection.Inverse : BrowseDirection.Forward;
+    var referenceDescriptions = [];
+    nodes.forEach(function (node) {
+        referenceDescriptions = referenceDescriptions.concat(node.findReferencesExDescription(referenceType, browseDirection));
+    });
+    return referenceDescriptions;
+}
+
+/**
+ * extract the value described by a QueryDataDescription from a node.
+ * @method _extractQueryData
+ * @param addressSpace {AddressSpace}
+ * @param node {BaseNode}
+ * @param queryDataDescription {QueryDataDescription}
+ * @return {Variant}
+ * @private
+ */
+function _extractQueryData(addressSpace, node, queryDataDescription) {
+
+    var relativePath = queryDataDescription.relativePath;
+
+    if (_isReferencePath(relativePath)) {
+        var elements = relativePath.elements;
+        var sources = followRelativePath(node, {elements: elements.slice(0, elements.length - 1)});
+        return new Variant({
+            dataType: DataType.ExtensionObject,
+            arrayType: VariantArrayType.Array,
+            value: _extractReferenceDescriptions(addressSpace, sources, elements[elements.length - 1])
+        });
+    }
+
+    var values = followRelativePath(node, relativePath).map(function (target) {
+        return _dataValueToVariant(target.readAttribute(queryDataDescription.attributeId, queryDataDescription.indexRange));
+    });
+    if (values.length === 0) {
+        return new Variant();
+    }
+    if (values.length === 1) {
+        return values[0];
+    }
+    return new Variant({dataType: DataType.Variant, arrayType: VariantArrayType.Array, value: values});
+}
+
+exports.install = function (AddressSpace) {
+
+    /**
+     * check a NodeTypeDescription
+     * @method _parseNodeTypeDescription
+     * @param nodeTypeDescription {NodeTypeDescription}
+     * @return {ParsingResult}
+     * @private
+     */
+    AddressSpace.prototype._parseNodeTypeDescription = function (nodeTypeDescription) {
+
+        var self = this;
+        var typeDefinitionNode = nodeTypeDescription.typeDefinitionNode;
+        if (_isNullNodeId(typeDefinitionNode)) {
+            return new ParsingResult({statusCode: StatusCodes.BadNodeIdInvalid});
+        }
+        var typeNode = self.findNodeFromExpandedNodeId(typeDefinitionNode);
+        if (!typeNode) {
+            return new ParsingResult({statusCode: StatusCodes.BadNodeIdUnknown});
+        }
+        if (typeNode.nodeClass !== NodeClass.ObjectType && typeNode.nodeClass !== NodeClass.VariableType) {
+            return new ParsingResult({statusCode: StatusCodes.BadNotTypeDefinition});
+        }
+        var dataStatusCodes = (nodeTypeDescription.dataToReturn || []).map(_checkQueryDataDescription);
+        var badStatusCode = _.find(dataStatusCodes, function (statusCode) {
+            return statusCode !== StatusCodes.Good;
+        });
+        return new ParsingResult({
+            statusCode: badStatusCode || StatusCodes.Good,
+            dataStatusCodes: dataStatusCodes
+        });
+    };
+
+    /**
+     * find all the instances of the given node types that match the content filter.
+     *
+     * Instances are found by following the inverse HasTypeDefinition references of the type definition
+     * nodes, so that the address space doesn't have to be browsed.
+     *
+     * @method query
+     * @param options
+     * @param options.nodeTypes {NodeTypeDescription[]}
+     * @param [options.filter]  {ContentFilter}
+     * @param [options.view]    {ViewDescription}
+     * @return {Object} result
+     * @return {StatusCode} result.statusCode
+     * @return {QueryDataSet[]} result.queryDataSets
+     * @return {ParsingResult[]} result.parsingResults (empty if no parsing error has been found)
+     * @return {ContentFilterResult} result.filterResult
+     */
+    AddressSpace.prototype.query = function (options) {
+
+        var self = this;
+        assert(_.isArray(options.nodeTypes));
+
+        var result = {
+            statusCode: StatusCodes.Good,
+            queryDataSets: [],
+            parsingResults: [],
+            filterResult: checkContentFilter(self, options.filter)
+        };
+
+        var nodesInView = null;
+        if (options.view && !_isNullNodeId(options.view.viewId)) {
+            var view = self.findNode(options.view.viewId);
+            if (!view || view.nodeClass !== NodeClass.View) {
+                result.statusCode = StatusCodes.BadViewIdUnknown;
+                return result;
+            }
+            nodesInView = getNodesInView(view);
+        }
+
+        if (result.filterResult.elementResults.length > 0) {
+            result.statusCode = StatusCodes.BadContentFilterInvalid;
+            return result;
+        }
+
+        var parsingResults = options.nodeTypes.map(self._parseNodeTypeDescription.bind(self));
+        var hasParsingError = _.some(parsingResults, function (parsingResult) {
+            return parsingResult.statusCode !== StatusCodes.Good;
+        });
+        result.parsingResults = hasParsingError ? parsingResults : [];
+
+        var visited = {};
+        options.nodeTypes.forEach(function (nodeTypeDescription, index) {
+
+            if (parsingResults[index].statusCode !== StatusCodes.Good) {
+                return;
+            }
+            var typeNode = self.findNodeFromExpandedNodeId(nodeTypeDescription.typeDefinitionNode);
+            var dataToReturn = nodeTypeDescription.dataToReturn || [];
+
+            _getTypeAndSubtypes(typeNode, nodeTypeDescription.includeSubtypes).forEach(function (type) {
+
+                _getInstancesOfType(type).forEach(function (node) {
+
+                    var key = node.nodeId.toString();
+                    if (visited[key]) {
+                        return;
+                    }
+                    visited[key] = true;
+
+                    if (nodesInView && !nodesInView[key]) {
+                        return;
+                    }
+                    if (!evaluateContentFilter(self, options.filter, node)) {
+                        return;
+                    }
+                    result.queryDataSets.push(new QueryDataSet({
+                        nodeId: makeExpandedNodeId(node.nodeId),
+                        typeDefinitionNode: makeExpandedNodeId(type.nodeId),
+                        values: dataToReturn.map(_extractQueryData.bind(null, self, node))
+                    }));
+                });
+            });
+        });
+        return result;
+    };
+};
@@ -0,0 +1,610 @@
+"use strict";
+/**
+ * @module opcua.address_space
+ */
+require("requirish")._(module);
+var assert = require("better-assert");
+var _ = require("underscore");
+var async = require("async");
+
+var DataValue = require("lib/datamodel/datavalue").DataValue;
+var Variant = require("lib/datamodel/variant").Variant;
+var DataType = require("lib/datamodel/variant").DataType;
+var VariantArrayType = require("lib/datamodel/variant").VariantArrayType;
+var resolveNodeId = require("lib/datamodel/nodeid").resolveNodeId;
+var makeNodeId = require("lib/datamodel/nodeid").makeNodeId;
+var ObjectIds = require("lib/opcua_node_ids").ObjectIds;
+var minDate = require("lib/misc/factories_builtin_types").minDate;
+
+var opcua_status_code = require("lib/datamodel/opcua_status_code");
+var StatusCodes = opcua_status_code.StatusCodes;
+var StatusCode = opcua_status_code.StatusCode;
+var makeStatusCode = opcua_status_code.makeStatusCode;
+
+var historizing_service = require("lib/services/historizing_service");
+var HistoryReadResult = historizing_service.HistoryReadResult;
+var HistoryData = historizing_service.HistoryData;
+var ReadRawModifiedDetails = historizing_service.ReadRawModifiedDetails;
+
+/**
+ * the aggregate configuration used when a client sets useServerCapabilitiesDefaults
+ * (see OPC UA Part 13 - 4.2.1.2)
+ * @property defaultAggregateConfiguration
+ * @type {Object}
+ */
+var defaultAggregateConfiguration = {
+    treatUncertainAsBad: true,
+    percentDataBad: 100,
+    percentDataGood: 100,
+    useSlopedExtrapolation: false
+};
+exports.defaultAggregateConfiguration = defaultAggregateConfiguration;
+
+var numericDataTypes = [
+    DataType.SByte, DataType.Byte, DataType.Int16, DataType.UInt16,
+    DataType.Int32, DataType.UInt32, DataType.Float, DataType.Double
+];
+
+function _isUnspecifiedTime(date) {
+    return !date || date.getTime() <= minDate.getTime();
+}
+
+function _timeOf(dataValue) {
+    return dataValue.sourceTimestamp.getTime();
+}
+
+function _isGood(point, configuration) {
+    var severity = point.dataValue.statusCode.value >>> 30; // 0: Good , 1: Uncertain , 2: Bad
+    return severity === 0 || (severity === 1 && !configuration.treatUncertainAsBad);
+}
+
+function _isNumeric(point) {
+    var variant = point.dataValue.value;
+    return !!variant && variant.arrayType === VariantArrayType.Scalar && numericDataTypes.indexOf(variant.dataType) >= 0;
+}
+
+function _doubleValue(value) {
+    return new Variant({dataType: DataType.Double, value: value});
+}
+
+// ------------------------------------------------------------------------------------------------------------------
+// the context of a interval [start,end[
+//   points   : all the raw values sorted by timestamp ( { time, dataValue, isGood } )
+//   segments : the portions of the interval during which a raw value applies ( { index, start, end } ),
+//              index is -1 for the portion before the first raw value
+// ------------------------------------------------------------------------------------------------------------------
+function Interval(points, start, end, isPartial, configuration) {
+
+    var self = this;
+    self.points = points;
+    self.start = start;
+    self.end = end;
+    self.isPartial = isPartial;
+    self.configuration = configuration;
+
+    // the raw values of the interval
+    self.inside = points.filter(function (point) {
+        return point.time >= start && point.time < end;
+    });
+    self.goodInside = self.inside.filter(function (point) {
+        return point.isGood;
+    });
+
+    self.segments = [];
+    var index = _.findLastIndex(points, function (point) {
+        return point.time <= start;
+    });
+    var time = start;
+    for (var i = index + 1; i < points.length && points[i].time < end; i++) {
+        self.segments.push({index: index, start: time, end: points[i].time});
+        index = i;
+        time = points[i].time;
+    }
+    self.segments.push({index: index, start: time, end: end});
+
+    self.durationGood = 0;
+    self.durationBad = 0;
+    self.segments.forEach(function (segment) {
+        if (segment.index >= 0 && points[segment.index].isGood) {
+            self.durationGood += segment.end - segment.start;
+        } else {
+            self.durationBad += segment.end - segment.start;
+        }
+    });
+}
+
+Interval.prototype._withBits = function (statusCode, extraBits) {
+    return makeStatusCode(statusCode, this.isPartial ? extraBits + "|HistorianPartial" : extraBits);
+};
+
+/**
+ * the status of a calculated value, according to PercentDataGood and PercentDataBad (see Part 13 - 5.4.3)
+ * @method calculatedStatusCode
+ * @return {StatusCode}
+ */
+Interval.prototype.calculatedStatusCode = function () {
+
+    var self = this;
+    var duration = self.end - self.start;
+    var percentGood = 100 * self.durationGood / duration;
+    var percentBad = 100 * self.durationBad / duration;
+
+    if (percentGood >= self.configuration.percentDataGood) {
+        return self._withBits(StatusCodes.Good, "HistorianCalculated");
+    }
+    if (percentBad >= self.configuration.percentDataBad) {
+        return self.goodInside.length ? StatusCodes.Bad : StatusCodes.BadNoData;
+    }
+    return self._withBits(StatusCodes.UncertainDataSubNormal, "HistorianCalculated");
+};
+
+// the value of a good raw value at a given time, using a linear interpolation with the next raw value if it is good.
+Interval.prototype._slopedValueAt = function (index, time) {
+    var point = this.points[index];
+    var next = this.points[index + 1];
+    if (!next || !next.isGood) {
+        return point.dataValue.value.value;
+    }
+    var ratio = (time - point.time) / (next.time - point.time);
+    return point.dataValue.value.value + ratio * (next.dataValue.value.value - point.dataValue.value.value);
+};
+
+// the time integral (in value x millisecond) of the good values of the interval, using sloped interpolation
+Interval.prototype._integral = function () {
+    var self = this;
+    return self.segments.reduce(function (sum, segment) {
+        if (segment.index < 0 || !self.points[segment.index].isGood) {
+            return sum;
+        }
+        var v0 = self._slopedValueAt(segment.index, segment.start);
+        var v1 = self._slopedValueAt(segment.index, segment.end);
+        return sum + (v0 + v1) / 2 * (segment.end - segment.start);
+    }, 0);
+};
+
+Interval.prototype._hasNonNumericGoodValues = function () {
+    return _.some(this.points, function (point) {
+        return point.isGood && !_isNumeric(point);
+    });
+};
+
+function _makeResult(value, statusCode, time) {
+    return {value: value, statusCode: statusCode, sourceTimestamp: new Date(time)};
+}
+
+function _calculated(interval, time, computeValue) {
+    var statusCode = interval.calculatedStatusCode();
+    if (statusCode.name.substr(0, 3) === "Bad") {
+        return _makeResult(null, statusCode, time);
+    }
+    return _makeResult(computeValue(), statusCode, time);
+}
+
+function _numericCalculated(interval, time, computeValue) {
+    if (interval._hasNonNumericGoodValues()) {
+        return _makeResult(null, StatusCodes.BadAggregateInvalidInputs, time);
+    }
+    if (interval.durationGood === 0) {
+        return _makeResult(null, StatusCodes.BadNoData, time);
+    }
+    return _calculated(interval, time, computeValue);
+}
+
+// the aggregates that only use the raw values of the interval
+function _rawValuesCalculated(interval, time, computeValue) {
+    if (interval.goodInside.length === 0) {
+        return _makeResult(null, StatusCodes.BadNoData, time);
+    }
+    return _numericCalculated(interval, time, computeValue);
+}
+
+function _extremum(interval, time, compare) {
+    return _rawValuesCalculated(interval, time, function () {
+        var best = _.reduce(interval.goodInside, function (best, point) {
+            return (!best || compare(point.dataValue.value.value, best.dataValue.value.value)) ? point : best;
+        }, null);
+        // the minimum and maximum keep the data type of the raw values
+        return new Variant({dataType: best.dataValue.value.dataType, value: best.dataValue.value.value});
+    });
+}
+
+/**
+ * the value at a given time, using the bounding values of this time.
+ *
+ * * the bounding values are the nearest good raw values before and after the time ( Interpolated Bounding
+ *   Values ), the result is uncertain when bad raw values are skipped. When useSimpleBounds is set, the
+ *   bounding values are the nearest raw values whatever their status ( Simple Bounding Values ), and the
+ *   result is BadNoData when the value before the time is bad.
+ * * the value is interpolated linearly between the bounding values, or equals the value before the time
+ *   when stepped is set.
+ * * after the last raw value, the value is extrapolated with the last value, or with the slope of the
+ *   last two values when useSlopedExtrapolation is set.
+ *
+ * @method _interpolate
+ * @param points {Object[]} the raw values sorted by timestamp
+ * @param time {Number}
+ * @param options
+ * @param [options.useSimpleBounds=false] {Boolean}
+ * @param [options.stepped=false] {Boolean}
+ * @param [options.useSlopedExtrapolation=false] {Boolean}
+ * @return {Object} { value, statusCode, sourceTimestamp }
+ * @private
+ */
+function _interpolate(points, time, options) {
+
+    var exact = _.find(points, function (point) {
+        return point.time === time;
+    });
+    if (exact) {
+        return _makeResult(exact.dataValue.value, exact.dataValue.statusCode, time);
+    }
+    var isBound = options.useSimpleBounds ? _.constant(true) : function (point) {
+        return point.isGood;
+    };
+    var previous = _.findLastIndex(points, function (point) {
+        return point.time < time && isBound(point);
+    });
+    var next = _.findIndex(points, function (point) {
+        return point.time > time && isBound(point);
+    });
+    if (previous < 0 || !points[previous].isGood) {
+        return _makeResult(null, StatusCodes.BadNoData, time);
+    }
+    if (next >= 0 && !points[next].isGood) {
+        // a bad simple bounding value cannot be used
+        next = -1;
+    }
+    var p1 = points[previous];
+    var v1 = p1.dataValue.value.value;
+
+    if (next < 0) {
+        // extrapolation after the last good raw value
+        var statusCode = makeStatusCode(StatusCodes.UncertainDataSubNormal, "HistorianInterpolated");
+        var before = _.findLastIndex(points.slice(0, previous), function (point) {
+            return point.isGood;
+        });
+        if (options.useSlopedExtrapolation && !options.stepped && before >= 0) {
+            var p0 = points[before];
+            var v0 = p0.dataValue.value.value;
+            return _makeResult(_doubleValue(v1 + (v1 - v0) * (time - p1.time) / (p1.time - p0.time)), statusCode, time);
+        }
+        return _makeResult(options.stepped ? p1.dataValue.value : _doubleValue(v1), statusCode, time);
+    }
+    // the interpolated value is uncertain when bad values are skipped
+    var base = (next === previous + 1) ? StatusCodes.Good : StatusCodes.UncertainDataSubNormal;
+    if (options.stepped) {
+        return _makeResult(p1.dataValue.value, makeStatusCode(base, "HistorianInterpolated"), time);
+    }
+    var p2 = points[next];
+    var v2 = p2.dataValue.value.value;
+    return _makeResult(
+        _doubleValue(v1 + (v2 - v1) * (time - p1.time) / (p2.time - p1.time)),
+        makeStatusCode(base, "HistorianInterpolated"), time);
+}
+
+// aggregate name => function(interval,time) returning { value, statusCode, sourceTimestamp }
+var aggregateFunctions = {
+
+    Interpolative: function (interval, time) {
+        if (interval._hasNonNumericGoodValues()) {
+            return _makeResult(null, StatusCodes.BadAggregateInvalidInputs, time);
+        }
+        return _interpolate(interval.points, time, interval.configuration);
+    },
+
+    Average: function (interval, time) {
+        return _rawValuesCalculated(interval, time, function () {
+            var sum = interval.goodInside.reduce(function (sum, point) {
+                return sum + point.dataValue.value.value;
+            }, 0);
+            return _doubleValue(sum / interval.goodInside.length);
+        });
+    },
+
+    TimeAverage: function (interval, time) {
+        return _numericCalculated(interval, time, function () {
+            return _doubleValue(interval._integral() / interval.durationGood);
+        });
+    },
+
+    Total: function (interval, time) {
+        return _numericCalculated(interval, time, function () {
+            // the time integral of the values, in seconds
+            return _doubleValue(interval._integral() / 1000);
+        });
+    },
+
+    Minimum: function (interval, time) {
+        return _extremum(interval, time, function (a, b) {
+            return a < b;
+        });
+    },
+
+    Maximum: function (interval, time) {
+        return _extremum(interval, time, function (a, b) {
+            return a > b;
+        });
+    },
+
+    Count: function (interval, time) {
+        return _calculated(interval, time, function () {
+            return new Variant({dataType: DataType.UInt32, value: interval.goodInside.length});
+        });
+    },
+
+    Start: function (interval, time) {
+        var point = _.first(interval.inside);
+        if (!point) {
+            return _makeResult(null, StatusCodes.BadNoData, time);
+        }
+        return _makeResult(point.dataValue.value, point.dataValue.statusCode, point.time);
+    },
+
+    End: function (interval, time) {
+        var point = _.last(interval.inside);
+        if (!point) {
+            return _makeResult(null, StatusCodes.BadNoData, time);
+        }
+        return _makeResult(point.dataValue.value, point.dataValue.statusCode, point.time);
+    },
+
+    Delta: function (interval, time) {
+        return _rawValuesCalculated(interval, time, function () {
+            var first = _.first(interval.goodInside).dataValue.value.value;
+            var last = _.last(interval.goodInside).dataValue.value.value;
+            return _doubleValue(last - first);
+        });
+    },
+
+    DurationGood: function (interval, time) {
+        return _makeResult(_doubleValue(interval.durationGood), interval._withBits(StatusCodes.Good, "HistorianCalculated"), time);
+    },
+
+    DurationBad: function (interval, time) {
+        return _makeResult(_doubleValue(interval.durationBad), interval._withBits(StatusCodes.Good, "HistorianCalculated"), time);
+    },
+
+    PercentGood: function (interval, time) {
+        var percent = 100 * interval.durationGood / (interval.end - interval.start);
+        return _makeResult(_doubleValue(percent), interval._withBits(StatusCodes.Good, "HistorianCalculated"), time);
+    },
+
+    PercentBad: function (interval, time) {
+        var percent = 100 * interval.durationBad / (interval.end - interval.start);
+        return _makeResult(_doubleValue(percent), interval._withBits(StatusCodes.Good, "HistorianCalculated"), time);
+    }
+};
+
+/**
+ * the nodeIds of the AggregateFunction objects of the aggregates that can be computed by the server.
+ * @property supportedAggregateFunctions
+ * @type {NodeId[]}
+ */
+var supportedAggregateFunctions = Object.keys(aggregateFunctions).map(function (name) {
+    return makeNodeId(ObjectIds["AggregateFunction_" + name]);
+});
+exports.supportedAggregateFunctions = supportedAggregateFunctions;
+
+function _findAggregateFunction(aggregateType) {
+    var nodeId = resolveNodeId(aggregateType);
+    var name = _.find(Object.keys(aggregateFunctions), function (name) {
+        return makeNodeId(ObjectIds["AggregateFunction_" + name]).toString() === nodeId.toString();
+    });
+    return name ? aggregateFunctions[name] : null;
+}
+
+function _resolveAggregateConfiguration(aggregateConfiguration) {
+    if (!aggregateConfiguration || aggregateConfiguration.useServerCapabilitiesDefaults) {
+        return defaultAggregateConfiguration;
+    }
+    var configuration = _.pick(aggregateConfiguration,
+        "treatUncertainAsBad", "percentDataBad", "percentDataGood", "useSlopedExtrapolation");
+
+    // Part 13 - 4.2.1.2 : PercentDataGood shall be greater than or equal to (100 - PercentDataBad)
+    if (configuration.percentDataBad > 100 || configuration.percentDataGood > 100 ||
+        configuration.percentDataGood < 100 - configuration.percentDataBad) {
+        return null;
+    }
+    return configuration;
+}
+
+// the intervals of the request, in the order of the request ( from startTime to endTime )
+function _makeIntervals(startTime, endTime, processingInterval) {
+
+    var isReverse = endTime < startTime;
+    var low = Math.min(startTime, endTime);
+    var high = Math.max(startTime, endTime);
+    var step = (processingInterval > 0 && processingInterval < high - low) ? processingInterval : high - low;
+
+    var intervals = [];
+    var t;
+    if (!isReverse) {
+        for (t = low; t < high; t += step) {
+            intervals.push({start: t, end: Math.min(t + step, high), isPartial: t + step > high, time: t});
+        }
+    } else {
+        // the intervals start at startTime and are processed backward, their time is their later bound
+        for (t = high; t > low; t -= step) {
+            intervals.push({start: Math.max(t - step, low), end: t, isPartial: t - step < low, time: t});
+        }
+    }
+    return intervals;
+}
+
+/**
+ * read the raw values in [low,high[ and their bounding values.
+ * @method _readRawPoints
+ * @param historyRead {Function}
+ * @param low {Number}
+ * @param high {Number}
+ * @param configuration {Object} the aggregate configuration
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @param callback.statusCode {StatusCode} the status code of the raw read
+ * @param callback.points {Object[]} the raw values sorted by timestamp ( { time, dataValue, isGood } )
+ * @private
+ */
+function _readRawPoints(historyRead, low, high, configuration, callback) {
+
+    function readRaw(options, innerCallback) {
+        historyRead(new ReadRawModifiedDetails(options), null, null, null, function (err, result) {
+            if (!err && result.statusCode.name.substr(0, 4) !== "Good") {
+                err = result.statusCode;
+            }
+            innerCallback(err, (result && result.historyData && result.historyData.dataValues) || []);
+        });
+    }
+
+    var tasks = [
+        readRaw.bind(null, {startTime: new Date(low), endTime: new Date(high), returnBounds: true})
+    ];
+    if (configuration.useSlopedExtrapolation) {
+        // the two values before low are needed to extrapolate when there is a single value before low
+        tasks.push(readRaw.bind(null, {endTime: new Date(low), numValuesPerNode: 2}));
+    }
+
+    async.series(tasks, function (err, results) {
+
+        if (err instanceof StatusCode) {
+            return callback(null, err);
+        }
+        if (err) {
+            return callback(err, StatusCodes.BadInternalError);
+        }
+        var dataValues = _.flatten(results, true).filter(function (dataValue) {
+            return dataValue.statusCode !== StatusCodes.BadBoundNotFound && dataValue.sourceTimestamp;
+        });
+        var points = _.uniq(_.sortBy(dataValues, _timeOf), true, _timeOf).map(function (dataValue) {
+            return {time: _timeOf(dataValue), dataValue: dataValue};
+        });
+        points.forEach(function (point) {
+            point.isGood = _isGood(point, configuration);
+        });
+        callback(null, StatusCodes.Good, points);
+    });
+}
+
+/**
+ * compute the aggregate of a ReadProcessedDetails on the raw values of a variable.
+ *
+ * The raw values are read with the historyRead function of the variable (see UAVariable#historyRead), using
+ * a ReadRawModifiedDetails with bounding values ( and a second ReadRawModifiedDetails for the values before
+ * startTime when a sloped extrapolation is used ).
+ *
+ * * the interval [startTime,endTime[ is divided in intervals of processingInterval milliseconds (a single
+ *   interval is used when processingInterval is 0). The last interval may be shorter: its values
+ *   have the HistorianPartial bit set.
+ * * the intervals are processed backward when endTime is before startTime.
+ * * the calculated values have the HistorianCalculated bit set, the interpolated values have the
+ *   HistorianInterpolated bit set.
+ *
+ * @method readProcessed
+ * @param historyRead {Function} the function that reads the raw values ( see UAVariable#historyRead )
+ * @param historyReadDetails {ReadProcessedDetails} a ReadProcessedDetails with a single aggregateType
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @param callback.result {HistoryReadResult}
+ * @async
+ */
+function readProcessed(historyRead, historyReadDetails, callback) {
+
+    assert(_.isFunction(historyRead));
+
+    if (historyReadDetails.aggregateType.length !== 1) {
+        return callback(null, new HistoryReadResult({statusCode: StatusCodes.BadAggregateListMismatch}));
+    }
+    var aggregateFunction = _findAggregateFunction(historyReadDetails.aggregateType[0]);
+    if (!aggregateFunction) {
+        return callback(null, new HistoryReadResult({statusCode: StatusCodes.BadAggregateNotSupported}));
+    }
+    var configuration = _resolveAggregateConfiguration(historyReadDetails.aggregateConfiguration);
+    if (!configuration) {
+        return callback(null, new HistoryReadResult({statusCode: StatusCodes.BadAggregateConfigurationRejected}));
+    }
+    if (_isUnspecifiedTime(historyReadDetails.startTime) || _isUnspecifiedTime(historyReadDetails.endTime)) {
+        return callback(null, new HistoryReadResult({statusCode: StatusCodes.BadInvalidTimestampArgument}));
+    }
+    var startTime = historyReadDetails.startTime.getTime();
+    var endTime = historyReadDetails.endTime.getTime();
+    if (startTime === endTime || historyReadDetails.processingInterval < 0) {
+        return callback(null, new HistoryReadResult({statusCode: StatusCodes.BadInvalidArgument}));
+    }
+
+    var low = Math.min(startTime, endTime);
+    var high = Math.max(startTime, endTime);
+    _readRawPoints(historyRead, low, high, configuration, function (err, statusCode, points) {
+
+        if (err || statusCode !== StatusCodes.Good) {
+            return callback(err, new HistoryReadResult({statusCode: statusCode}));
+        }
+        var processedValues = _makeIntervals(startTime, endTime, historyReadDetails.processingInterval).map(function (i) {
+            var interval = new Interval(points, i.start, i.end, i.isPartial, configuration);
+            return new DataValue(aggregateFunction(interval, i.time));
+        });
+
+        callback(null, new HistoryReadResult({
+            statusCode: StatusCodes.Good,
+            historyData: new HistoryData({dataValues: processedValues})
+        }));
+    });
+}
+exports.readProcessed = readProcessed;
+
+/**
+ * compute the values of a ReadAtTimeDetails from the raw values of a variable.
+ *
+ * * a raw value that exists at a requested time is returned as is.
+ * * otherwise the value is interpolated from the bounding values ( see useSimpleBounds ) and has the
+ *   HistorianInterpolated bit set. The interpolation is stepped for a stepped variable or for non numeric
+ *   values, and linear otherwise.
+ * * the value is UncertainDataSubNormal after the last value or when bad values are skipped, and BadNoData
+ *   when no value exists before the requested time.
+ *
+ * @method readAtTime
+ * @param historyRead {Function} the function that reads the raw values ( see UAVariable#historyRead )
+ * @param historyReadDetails {ReadAtTimeDetails}
+ * @param options
+ * @param [options.stepped=false] {Boolean} true if the value of the variable doesn't change between two raw values
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @param callback.result {HistoryReadResult}
+ * @async
+ */
+function readAtTime(historyRead, historyReadDetails, options, callback) {
+
+    assert(_.isFunction(historyRead));
+
+    var reqTimes = historyReadDetails.reqTimes || [];
+    if (reqTimes.length === 0) {
+        return callback(null, new HistoryReadResult({statusCode: StatusCodes.BadNothingToDo}));
+    }
+    if (_.some(reqTimes, _isUnspecifiedTime)) {
+        return callback(null, new HistoryReadResult({statusCode: StatusCodes.BadInvalidTimestampArgument}));
+    }
+    var times = reqTimes.map(function (date) {
+        return date.getTime();
+    });
+    var low = _.min(times);
+    var high = _.max(times) + 1; // the raw value at the last requested time is needed
+
+    _readRawPoints(historyRead, low, high, defaultAggregateConfiguration, function (err, statusCode, points) {
+
+        if (err || statusCode !== StatusCodes.Good) {
+            return callback(err, new HistoryReadResult({statusCode: statusCode}));
+        }
+        var stepped = options.stepped || !_.every(points, function (point) {
+            return !point.isGood || _isNumeric(point);
+        });
+        var dataValues = times.map(function (time) {
+            return new DataValue(_interpolate(points, time, {
+                useSimpleBounds: historyReadDetails.useSimpleBounds,
+                stepped: stepped
+            }));
+        });
+        callback(null, new HistoryReadResult({
+            statusCode: StatusCodes.Good,
+            historyData: new HistoryData({dataValues: dataValues})
+        }));
+    });
+}
+exports.readAtTime = readAtTime;
@@ -0,0 +1,113 @@
+"use strict";
+/**
+ * @module opcua.address_space
+ * @class AddressSpace
+ */
+require("requirish")._(module);
+var assert = require("better-assert");
+var _ = require("underscore");
+
+var DataType = require("lib/datamodel/variant").DataType;
+var lowerFirstLetter = require("lib/misc/utils").lowerFirstLetter;
+
+var limitNames = ["HighHigh", "High", "Low", "LowLow"];
+
+exports.install = function (AddressSpace) {
+
+    function _instantiateLimitAlarm(addressSpace, limitAlarmTypeId, baseTypeName, options, data) {
+
+        assert(options.inputNode, "expecting a inputNode");
+        var limitAlarmType = addressSpace.findEventType(limitAlarmTypeId);
+
+        /* istanbul ignore next */
+        if (!limitAlarmType) {
+            throw new Error(" cannot find Alarm Type for " + limitAlarmTypeId);
+        }
+        assert(limitAlarmType.isSupertypeOf(addressSpace.findEventType(baseTypeName)),
+            "the alarm type must be a subtype of " + baseTypeName);
+
+        var inputNode = addressSpace._coerceNode(options.inputNode);
+        assert(inputNode, "cannot find the inputNode");
+
+        data = data || {};
+        data.inputNode = {dataType: DataType.NodeId, value: inputNode.nodeId};
+
+        var optionals = (options.optionals || []).slice(0);
+        limitNames.forEach(function (limitName) {
+            var key = lowerFirstLetter(limitName) + "Limit";
+            if (_.isFinite(options[key])) {
+                optionals.push(limitName + "Limit");
+                data[key] = {
+                    dataType: DataType.Double,
+                    value: options[key]
+                };
+                if (baseTypeName === "NonExclusiveLimitAlarmType") {
+                    optionals.push(limitName + "State");
+                }
+            }
+        });
+
+        if (options.setpointNode) {
+            var setpointNode = addressSpace._coerceNode(options.setpointNode);
+            assert(setpointNode, "cannot find the setpointNode");
+            data.setpointNode = {dataType: DataType.NodeId, value: setpointNode.nodeId};
+        }
+
+        var alarm = addressSpace.instantiateCondition(limitAlarmType, _.extend(_.omit(options,
+            "inputNode", "setpointNode", "highHighLimit", "highLimit", "lowLimit", "lowLowLimit",
+            "deadband", "rateOfChangeWindow"), {optionals: optionals}), data);
+
+        alarm._bindInput({deadband: options.deadband, rateOfChangeWindow: options.rateOfChangeWindow});
+        return alarm;
+    }
+
+    /**
+     * instantiate a ExclusiveLimitAlarm ( or a ExclusiveLevelAlarm, ExclusiveDeviationAlarm,
+     * ExclusiveRateOfChangeAlarm ) that monitors the value of a input node.
+     *
+     * @example
+     *
+     *     var alarm = addressSpace.instantiateExclusiveLimitAlarm("ExclusiveLevelAlarmType", {
+     *         browseName: "TankLevelAlarm",
+     *         componentOf: tank,
+     *         conditionSource: tank,
+     *         inputNode: tankLevel,
+     *         highHighLimit: 95,
+     *         highLimit: 90,
+     *         lowLimit: 10,
+     *         deadband: 1
+     *     });
+     *
+     * @method instantiateExclusiveLimitAlarm
+     * @param limitAlarmTypeId {String|NodeId|UAObjectType} a subtype of ExclusiveLimitAlarmType
+     * @param options {Object}  the options of instantiateCondition, and :
+     * @param options.inputNode {NodeId|UAVariable} the node whose value is compared to the limits
+     * @param [options.highHighLimit] {Number}
+     * @param [options.highLimit] {Number}
+     * @param [options.lowLimit] {Number}
+     * @param [options.lowLowLimit] {Number}
+     * @param [options.deadband=0] {Number}
+     * @param [options.setpointNode] {NodeId|UAVariable} the setpoint of a DeviationAlarm
+     * @param [options.rateOfChangeWindow=1000] {Number} the sliding window ( in ms ) of a RateOfChangeAlarm
+     * @param [data] {Object} the value of the variables of the alarm (see instantiateCondition)
+     * @return {UAExclusiveLimitAlarm}
+     */
+    AddressSpace.prototype.instantiateExclusiveLimitAlarm = function (limitAlarmTypeId, options, data) {
+        return _instantiateLimitAlarm(this, limitAlarmTypeId, "ExclusiveLimitAlarmType", options, data);
+    };
+
+    /**
+     * instantiate a NonExclusiveLimitAlarm ( or a NonExclusiveLevelAlarm, NonExclusiveDeviationAlarm,
+     * NonExclusiveRateOfChangeAlarm ) that monitors the value of a input node.
+     * ( see instantiateExclusiveLimitAlarm for the options )
+     *
+     * @method instantiateNonExclusiveLimitAlarm
+     * @param limitAlarmTypeId {String|NodeId|UAObjectType} a subtype of NonExclusiveLimitAlarmType
+     * @param options {Object}
+     * @param [data] {Object}
+     * @return {UANonExclusiveLimitAlarm}
+     */
+    AddressSpace.prototype.instantiateNonExclusiveLimitAlarm = function (limitAlarmTypeId, options, data) {
+        return _instantiateLimitAlarm(this, limitAlarmTypeId, "NonExclusiveLimitAlarmType", options, data);
+    };
+};
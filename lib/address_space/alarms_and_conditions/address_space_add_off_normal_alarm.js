@@ -0,0 +1,75 @@
+"use strict";
+/**
+ * @module opcua.address_space
+ * @class AddressSpace
+ */
+require("requirish")._(module);
+var assert = require("better-assert");
+var _ = require("underscore");
+
+var DataType = require("lib/datamodel/variant").DataType;
+
+exports.install = function (AddressSpace) {
+
+    /**
+     * instantiate a OffNormalAlarm ( or a SystemOffNormalAlarm, TripAlarm ) that becomes active when the value
+     * of its input node differs from the value of its normal state node.
+     *
+     * @example
+     *
+     *     var pumpState = addressSpace.addTwoStateDiscreteType({
+     *         componentOf: pump, browseName: "Running", trueState: "Running", falseState: "Stopped", value: true
+     *     });
+     *     var pumpNormalState = addressSpace.addVariable({
+     *         propertyOf: pump, browseName: "NormalState", dataType: "Boolean",
+     *         value: {dataType: DataType.Boolean, value: true}
+     *     });
+     *     var alarm = addressSpace.instantiateOffNormalAlarm({
+     *         alarmType: "TripAlarmType",
+     *         browseName: "PumpTripAlarm",
+     *         componentOf: pump,
+     *         conditionSource: pump,
+     *         inputNode: pumpState,
+     *         normalState: pumpNormalState
+     *     });
+     *
+     * @method instantiateOffNormalAlarm
+     * @param options {Object}  the options of instantiateCondition, and :
+     * @param [options.alarmType="OffNormalAlarmType"] {String|NodeId|UAObjectType} a subtype of OffNormalAlarmType
+     * @param options.inputNode {NodeId|UAVariable} the node whose value is monitored
+     * @param options.normalState {NodeId|UAVariable} the node that holds the value of the input node in normal condition
+     * @param [data] {Object} the value of the variables of the alarm (see instantiateCondition)
+     * @return {UAOffNormalAlarm}
+     */
+    AddressSpace.prototype.instantiateOffNormalAlarm = function (options, data) {
+
+        var addressSpace = this;
+        assert(options.inputNode, "expecting a inputNode");
+        assert(options.normalState, "expecting a normalState");
+
+        var alarmTypeId = options.alarmType || "OffNormalAlarmType";
+        var alarmType = addressSpace.findEventType(alarmTypeId);
+
+        /* istanbul ignore next */
+        if (!alarmType) {
+            throw new Error(" cannot find Alarm Type for " + alarmTypeId);
+        }
+        assert(alarmType.isSupertypeOf(addressSpace.findEventType("OffNormalAlarmType")),
+            "the alarm type must be a subtype of OffNormalAlarmType");
+
+        var inputNode = addressSpace._coerceNode(options.inputNode);
+        assert(inputNode, "cannot find the inputNode");
+        var normalStateNode = addressSpace._coerceNode(options.normalState);
+        assert(normalStateNode, "cannot find the normalState node");
+
+        data = data || {};
+        data.inputNode = {dataType: DataType.NodeId, value: inputNode.nodeId};
+        data.normalState = {dataType: DataType.NodeId, value: normalStateNode.nodeId};
+
+        var alarm = addressSpace.instantiateCondition(alarmType,
+            _.omit(options, "alarmType", "inputNode", "normalState"), data);
+
+        alarm._bindInput();
+        return alarm;
+    };
+};
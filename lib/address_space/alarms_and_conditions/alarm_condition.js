@@ -0,0 +1,352 @@
+"use strict";
+/**
+ * @module opcua.address_space.AlarmsAndConditions
+ */
+require("requirish")._(module);
+var assert = require("better-assert");
+var util = require("util");
+
+var DataType = require("lib/datamodel/variant").DataType;
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+
+var UAConditionBase = require("./condition").UAConditionBase;
+var UAAcknowledgeableConditionBase = require("./condition").UAAcknowledgeableConditionBase;
+
+var _initializeTwoState = UAConditionBase._initializeTwoState;
+var _update_condition_info = UAConditionBase._update_condition_info;
+
+/**
+ * @class UAAlarmConditionBase
+ * @constructor
+ * @extends UAAcknowledgeableConditionBase
+ */
+function UAAlarmConditionBase() {
+}
+util.inherits(UAAlarmConditionBase, UAAcknowledgeableConditionBase);
+
+UAAlarmConditionBase.prototype._initialize = function () {
+
+    var self = this;
+    _initializeTwoState(self.activeState, false);
+    if (self.suppressedState) {
+        _initializeTwoState(self.suppressedState, false);
+    }
+
+    UAAcknowledgeableConditionBase.prototype._initialize.call(self);
+
+    if (self.shelvingState) {
+        _installShelvingStateMachine(self);
+    }
+    _updateSuppressedOrShelved(self);
+};
+
+/**
+ * @method getActiveState
+ * @return {Boolean}
+ */
+UAAlarmConditionBase.prototype.getActiveState = function () {
+    return this.currentBranch().getTwoStateValue("ActiveState");
+};
+
+/**
+ * the templates of the Active or Inactive state of the branch take precedence over the Default templates.
+ * @method _getMessageTemplates
+ * @param branch {ConditionSnapshot}
+ * @return {LocalizedText[]|null}
+ * @private
+ */
+UAAlarmConditionBase.prototype._getMessageTemplates = function (branch) {
+
+    var self = this;
+    if (!self._messageTemplates) {
+        return null;
+    }
+    var state = branch.getTwoStateValue("ActiveState") ? "Active" : "Inactive";
+    return self._messageTemplates[state] || self._messageTemplates.Default || null;
+};
+
+/**
+ * the message templates of a alarm can also refer to the {Value} and the {EUInformation} of its input node.
+ * @method _getMessageTemplateValues
+ * @private
+ */
+UAAlarmConditionBase.prototype._getMessageTemplateValues = function (branch, locale, conditionInfo) {
+
+    var self = this;
+    var values = UAAcknowledgeableConditionBase.prototype._getMessageTemplateValues.call(self, branch, locale, conditionInfo);
+    var inputNodeId = branch.getValue("InputNode");
+    var inputNode = (inputNodeId && !inputNodeId.isEmpty()) ? self.__address_space.findNode(inputNodeId) : null;
+    if (inputNode) {
+        values.Value = inputNode.readValue().value.value;
+        var engineeringUnits = inputNode.getPropertyByName("EngineeringUnits");
+        var euInformation = engineeringUnits ? engineeringUnits.readValue().value.value : null;
+        values.EUInformation = (euInformation && euInformation.displayName) ? euInformation.displayName.text : null;
+    }
+    return values;
+};
+
+/**
+ * an alarm is retained while it is active, or until it has been acknowledged (and confirmed).
+ * @method _calculateRetain
+ * @param branch {ConditionSnapshot}
+ * @return {Boolean}
+ * @private
+ */
+UAAlarmConditionBase.prototype._calculateRetain = function (branch) {
+    return branch.getTwoStateValue("ActiveState") ||
+        UAAcknowledgeableConditionBase.prototype._calculateRetain.call(this, branch);
+};
+
+/**
+ * activate the alarm.
+ *
+ * If the previous occurrence of the alarm has not been acknowledged yet, its state is preserved in a new branch,
+ * so that the operator can still acknowledge it.
+ *
+ * @method activateAlarm
+ * @param [conditionInfo] {Object}  (see raiseNewCondition)
+ */
+UAAlarmConditionBase.prototype.activateAlarm = function (conditionInfo) {
+
+    var self = this;
+    var branch = self.currentBranch();
+
+    if (!self.getEnabledState()) {
+        return;
+    }
+    var wasActive = branch.getTwoStateValue("ActiveState");
+    if (!wasActive && self._calculateRetain(branch)) {
+        self.raiseConditionEvent(self.createBranch());
+    }
+    branch.setTwoStateValue("ActiveState", true);
+    if (!wasActive) {
+        branch.setTwoStateValue("AckedState", false);
+    }
+    _update_condition_info(branch, conditionInfo || {});
+    self.raiseConditionEvent(branch);
+};
+
+/**
+ * deactivate the alarm ( the alarm returns to normal ).
+ * @method deactivateAlarm
+ * @param [conditionInfo] {Object}  (see raiseNewCondition)
+ */
+UAAlarmConditionBase.prototype.deactivateAlarm = function (conditionInfo) {
+
+    var self = this;
+    var branch = self.currentBranch();
+
+    if (!self.getEnabledState() || !branch.getTwoStateValue("ActiveState")) {
+        return;
+    }
+    branch.setTwoStateValue("ActiveState", false);
+    _update_condition_info(branch, conditionInfo || {});
+
+    // OPC UA Part 9 - 5.8.10 : a OneShotShelved alarm is unshelved when it returns to normal
+    if (_getShelvingStateName(self) === "OneShotShelved") {
+        _setShelvingState(self, "Unshelved");
+    }
+    self.raiseConditionEvent(branch);
+};
+
+/**
+ * @method setSuppressedState
+ * @param suppressed {Boolean}
+ */
+UAAlarmConditionBase.prototype.setSuppressedState = function (suppressed) {
+
+    var self = this;
+    assert(self.suppressedState, "the alarm has no SuppressedState");
+    suppressed = !!suppressed;
+    if (self.currentBranch().getTwoStateValue("SuppressedState") === suppressed) {
+        return;
+    }
+    self.currentBranch().setTwoStateValue("SuppressedState", suppressed);
+    _updateSuppressedOrShelved(self);
+    if (self.getEnabledState()) {
+        self.raiseConditionEvent(self.currentBranch());
+    }
+};
+
+function _updateSuppressedOrShelved(alarm) {
+    var suppressed = alarm.suppressedState ? alarm.currentBranch().getTwoStateValue("SuppressedState") : false;
+    var shelved = alarm.shelvingState ? _getShelvingStateName(alarm) !== "Unshelved" : false;
+    alarm.currentBranch().setValue("SuppressedOrShelved", {dataType: DataType.Boolean, value: suppressed || shelved});
+}
+
+/*
+ * OPC UA Part 9 - 5.8.10 ShelvedStateMachineType
+ *
+ *                  +-----------> TimedShelved <----------+
+ *                  |                  |                  |
+ *  Unshelved <-----+------------------+---------> OneShotShelved
+ *
+ * a TimedShelved alarm is automatically unshelved when its shelving time has expired,
+ * the UnshelveTime property gives the remaining time (in ms) before the alarm is automatically unshelved.
+ */
+function _getShelvingStateName(alarm) {
+    if (!alarm.shelvingState) {
+        return "Unshelved";
+    }
+    var currentState = alarm.shelvingState.currentState.readValue().value.value;
+    return (currentState && currentState.text) ? currentState.text : "Unshelved";
+}
+
+function _setShelvingState(alarm, stateName) {
+
+    var shelvingState = alarm.shelvingState;
+    var stateMachineType = alarm.__address_space.findObjectType("ShelvedStateMachineType");
+    var previousStateName = _getShelvingStateName(alarm);
+
+    if (stateName === "Unshelved") {
+        _clearUnshelveTimer(alarm);
+    }
+    shelvingState.currentState.setValueFromSource({dataType: DataType.LocalizedText, value: {text: stateName}});
+    shelvingState.currentState.id.setValueFromSource({
+        dataType: DataType.NodeId,
+        value: stateMachineType.getComponentByName(stateName).nodeId
+    });
+
+    var transition = stateMachineType.getComponentByName(previousStateName + "To" + stateName);
+    if (transition && shelvingState.lastTransition) {
+        shelvingState.lastTransition.setValueFromSource({
+            dataType: DataType.LocalizedText,
+            value: {text: transition.browseName.name}
+        });
+        shelvingState.lastTransition.id.setValueFromSource({dataType: DataType.NodeId, value: transition.nodeId});
+        if (shelvingState.lastTransition.transitionTime) {
+            shelvingState.lastTransition.transitionTime.setValueFromSource({
+                dataType: DataType.DateTime,
+                value: new Date()
+            });
+        }
+    }
+    _updateSuppressedOrShelved(alarm);
+}
+
+function _getMaxTimeShelved(alarm) {
+    return alarm.maxTimeShelved ? alarm.maxTimeShelved.readValue().value.value : 0;
+}
+
+function _setUnshelveTime(alarm, value) {
+    alarm.shelvingState.unshelveTime.setValueFromSource({dataType: DataType.Double, value: value});
+}
+
+function _clearUnshelveTimer(alarm) {
+    if (alarm._unshelveTimer) {
+        clearInterval(alarm._unshelveTimer);
+        alarm._unshelveTimer = null;
+    }
+    _setUnshelveTime(alarm, 0);
+}
+
+function _startUnshelveTimer(alarm, duration) {
+
+    _clearUnshelveTimer(alarm);
+    var endTime = Date.now() + duration;
+    _setUnshelveTime(alarm, duration);
+
+    alarm._unshelveTimer = setInterval(function () {
+        var remaining = Math.max(0, endTime - Date.now());
+        _setUnshelveTime(alarm, remaining);
+        if (remaining === 0) {
+            _setShelvingState(alarm, "Unshelved");
+            alarm.raiseConditionEvent(alarm.currentBranch());
+        }
+    }, Math.min(duration, 1000));
+}
+
+function _installShelvingStateMachine(alarm) {
+
+    var shelvingState = alarm.shelvingState;
+    _setShelvingState(alarm, "Unshelved");
+
+    shelvingState.timedShelve.bindMethod(function (inputArguments, context, callback) {
+        // ShelvingTime => Duration  the time (in ms) after which the alarm is automatically unshelved
+        assert(inputArguments.length === 1);
+        var statusCode = alarm._timedShelve(inputArguments[0].value);
+        return callback(null, {statusCode: statusCode});
+    });
+    shelvingState.oneShotShelve.bindMethod(function (inputArguments, context, callback) {
+        var statusCode = alarm._oneShotShelve();
+        return callback(null, {statusCode: statusCode});
+    });
+    shelvingState.unshelve.bindMethod(function (inputArguments, context, callback) {
+        var statusCode = alarm._unshelve();
+        return callback(null, {statusCode: statusCode});
+    });
+
+    alarm.on("dispose", function () {
+        _clearUnshelveTimer(alarm);
+    });
+}
+
+/**
+ * @method getShelvingState
+ * @return {String} "Unshelved", "TimedShelved" or "OneShotShelved"
+ */
+UAAlarmConditionBase.prototype.getShelvingState = function () {
+    return _getShelvingStateName(this);
+};
+
+/**
+ * @method _timedShelve
+ * @param shelvingTime {Number} the duration in ms after which the alarm is automatically unshelved
+ * @return {StatusCode}
+ * @private
+ */
+UAAlarmConditionBase.prototype._timedShelve = function (shelvingTime) {
+
+    var self = this;
+    if (_getShelvingStateName(self) === "TimedShelved") {
+        return StatusCodes.BadConditionAlreadyShelved;
+    }
+    var maxTimeShelved = _getMaxTimeShelved(self);
+    if (!(shelvingTime > 0) || (maxTimeShelved && shelvingTime > maxTimeShelved)) {
+        return StatusCodes.BadShelvingTimeOutOfRange;
+    }
+    _setShelvingState(self, "TimedShelved");
+    _startUnshelveTimer(self, shelvingTime);
+    self.raiseConditionEvent(self.currentBranch());
+    return StatusCodes.Good;
+};
+
+/**
+ * @method _oneShotShelve
+ * @return {StatusCode}
+ * @private
+ */
+UAAlarmConditionBase.prototype._oneShotShelve = function () {
+
+    var self = this;
+    if (_getShelvingStateName(self) === "OneShotShelved") {
+        return StatusCodes.BadConditionAlreadyShelved;
+    }
+    _setShelvingState(self, "OneShotShelved");
+    var maxTimeShelved = _getMaxTimeShelved(self);
+    if (maxTimeShelved) {
+        _startUnshelveTimer(self, maxTimeShelved);
+    } else {
+        _clearUnshelveTimer(self);
+    }
+    self.raiseConditionEvent(self.currentBranch());
+    return StatusCodes.Good;
+};
+
+/**
+ * @method _unshelve
+ * @return {StatusCode}
+ * @private
+ */
+UAAlarmConditionBase.prototype._unshelve = function () {
+
+    var self = this;
+    if (_getShelvingStateName(self) === "Unshelved") {
+        return StatusCodes.BadConditionNotShelved;
+    }
+    _setShelvingState(self, "Unshelved");
+    self.raiseConditionEvent(self.currentBranch());
+    return StatusCodes.Good;
+};
+
+exports.UAAlarmConditionBase = UAAlarmConditionBase;
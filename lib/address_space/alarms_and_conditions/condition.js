@@ -0,0 +1,571 @@
+"use strict";
+/**
+ * @module opcua.address_space.AlarmsAndConditions
+ */
+require("requirish")._(module);
+var assert = require("better-assert");
+var util = require("util");
+var _ = require("underscore");
+
+var NodeId = require("lib/datamodel/nodeid").NodeId;
+var NodeIdType = require("lib/datamodel/nodeid").NodeIdType;
+var randomGuid = require("lib/misc/encode_decode").randomGuid;
+var DataType = require("lib/datamodel/variant").DataType;
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+var coerceLocalizedText = require("lib/datamodel/localized_text").coerceLocalizedText;
+var LocalizedText = require("lib/datamodel/localized_text").LocalizedText;
+
+var UAObject = require("lib/address_space/ua_object").UAObject;
+var _install_TwoStateVariable_machinery = require("lib/address_space/address_space_add_two_state_variable")._install_TwoStateVariable_machinery;
+var ConditionSnapshot = require("./condition_snapshot").ConditionSnapshot;
+
+/*
+ * OPC UA Part 9 - 5.5 ConditionType
+ *
+ * A Condition may have several branches: the current branch (with a null BranchId) reflects the current state
+ * of the condition, the other branches keep track of previous states that still require an action from the
+ * operator (i.e. an acknowledgement or a confirmation).
+ * Each change of the state of a branch is notified with a new event, and each event gets a new EventId.
+ */
+
+/**
+ * @class UAConditionBase
+ * @constructor
+ * @extends UAObject
+ */
+function UAConditionBase() {
+}
+util.inherits(UAConditionBase, UAObject);
+
+/**
+ * returns the UserName of the session that has called a method of the condition.
+ * @method _getClientUserId
+ * @param context {Object} the method call context
+ * @return {String}
+ * @private
+ */
+function _getClientUserId(context) {
+    var session = context ? context.session : null;
+    var userIdentityToken = session ? session.userIdentityToken : null;
+    return (userIdentityToken && userIdentityToken.userName) ? userIdentityToken.userName : "";
+}
+UAConditionBase._getClientUserId = _getClientUserId;
+
+function _initializeTwoState(node, defaultValue) {
+    _install_TwoStateVariable_machinery(node);
+    if (node.id.readValue().value.dataType !== DataType.Boolean) {
+        node.setValue(defaultValue);
+    }
+}
+UAConditionBase._initializeTwoState = _initializeTwoState;
+
+function _setSourceTimestamp(branch, path, now) {
+    if (branch.hasValue(path + ".SourceTimestamp")) {
+        branch.setValue(path + ".SourceTimestamp", {dataType: DataType.DateTime, value: now});
+    }
+}
+
+/**
+ * attach the behavior of the condition to the condition node once it has been instantiated.
+ * @method _initialize
+ * @private
+ */
+UAConditionBase.prototype._initialize = function () {
+
+    var self = this;
+
+    _initializeTwoState(self.enabledState, true);
+
+    self._branches = {};
+    self._currentBranch = new ConditionSnapshot(self, null);
+
+    if (self.retain.readValue().value.dataType !== DataType.Boolean) {
+        self._currentBranch.setValue("Retain", {dataType: DataType.Boolean, value: false});
+    }
+
+    self.enable.bindMethod(function (inputArguments, context, callback) {
+        var statusCode = self._setEnableState(true);
+        return callback(null, {statusCode: statusCode});
+    });
+
+    self.disable.bindMethod(function (inputArguments, context, callback) {
+        var statusCode = self._setEnableState(false);
+        return callback(null, {statusCode: statusCode});
+    });
+
+    if (self.addComment) {
+        self.addComment.bindMethod(function (inputArguments, context, callback) {
+            // inputArguments has 2 arguments
+            // EventId  => ByteString      The Identifier of the event to comment
+            // Comment  => LocalizedText   The Comment to add to the condition
+            assert(inputArguments.length === 2);
+            var eventId = inputArguments[0].value;
+            var comment = inputArguments[1].value;
+            var statusCode = self._addComment(eventId, comment, _getClientUserId(context));
+            return callback(null, {statusCode: statusCode});
+        });
+    }
+};
+
+/**
+ * @method currentBranch
+ * @return {ConditionSnapshot} the current branch of the condition
+ */
+UAConditionBase.prototype.currentBranch = function () {
+    return this._currentBranch;
+};
+
+/**
+ * @method getBranches
+ * @return {ConditionSnapshot[]} the branches of the condition, the current branch excluded
+ */
+UAConditionBase.prototype.getBranches = function () {
+    return _.values(this._branches);
+};
+
+/**
+ * returns the branches whose last notified state was retained ( the current branch included ): these are the
+ * branches that are notified again when a client calls ConditionRefresh.
+ * @method getRetainedBranches
+ * @return {ConditionSnapshot[]}
+ */
+UAConditionBase.prototype.getRetainedBranches = function () {
+    var self = this;
+    return [self._currentBranch].concat(self.getBranches()).filter(function (branch) {
+        return !!branch.getValue("Retain");
+    });
+};
+
+/**
+ * create a new branch holding a copy of the current state of the condition.
+ * @method createBranch
+ * @return {ConditionSnapshot}
+ */
+UAConditionBase.prototype.createBranch = function () {
+
+    var self = this;
+    var branchId = new NodeId(NodeIdType.GUID, randomGuid(), self.nodeId.namespace);
+    var branch = self._currentBranch.clone(branchId);
+    self._branches[branchId.toString()] = branch;
+    return branch;
+};
+
+/**
+ * @method deleteBranch
+ * @param branch {ConditionSnapshot}
+ */
+UAConditionBase.prototype.deleteBranch = function (branch) {
+    assert(!branch.isCurrentBranch());
+    delete this._branches[branch.getBranchId().toString()];
+};
+
+/**
+ * find the branch whose last event has the given EventId.
+ * @method _findBranchForEventId
+ * @param eventId {Buffer}
+ * @return {ConditionSnapshot|null}
+ * @private
+ */
+UAConditionBase.prototype._findBranchForEventId = function (eventId) {
+
+    var self = this;
+    if (!(eventId instanceof Buffer)) {
+        return null;
+    }
+    var key = eventId.toString("hex");
+    var branches = [self._currentBranch].concat(self.getBranches());
+    return _.find(branches, function (branch) {
+        var branchEventId = branch.getValue("EventId");
+        return branchEventId instanceof Buffer && branchEventId.toString("hex") === key;
+    }) || null;
+};
+
+/**
+ * @method getEnabledState
+ * @return {Boolean}
+ */
+UAConditionBase.prototype.getEnabledState = function () {
+    return this._currentBranch.getTwoStateValue("EnabledState");
+};
+
+/**
+ * @method _setEnableState
+ * @param requestedEnableState {Boolean}
+ * @return {StatusCode}
+ * @private
+ */
+UAConditionBase.prototype._setEnableState = function (requestedEnableState) {
+
+    var self = this;
+    var enabledState = self.getEnabledState();
+    if (enabledState && requestedEnableState) {
+        return StatusCodes.BadConditionAlreadyEnabled;
+    }
+    if (!enabledState && !requestedEnableState) {
+        return StatusCodes.BadConditionAlreadyDisabled;
+    }
+    var branches = [self._currentBranch].concat(self.getBranches());
+    branches.forEach(function (branch) {
+        branch.setTwoStateValue("EnabledState", requestedEnableState);
+    });
+    // a disabled condition is no longer retained, re-enabling it re-evaluates the retain flag of each branch.
+    branches.forEach(function (branch) {
+        self.raiseConditionEvent(branch);
+    });
+    return StatusCodes.Good;
+};
+
+/**
+ * returns true if the branch still requires an action from the operator and shall be retained.
+ * ConditionType leaves the Retain flag under the control of the application (see raiseNewCondition).
+ * @method _calculateRetain
+ * @param branch {ConditionSnapshot}
+ * @return {Boolean}
+ * @private
+ */
+UAConditionBase.prototype._calculateRetain = function (branch) {
+    return !!branch._retainRequested;
+};
+
+/**
+ * raise an event that notifies the state of a branch of the condition.
+ * @method raiseConditionEvent
+ * @param branch {ConditionSnapshot}
+ */
+UAConditionBase.prototype.raiseConditionEvent = function (branch) {
+
+    var self = this;
+    var addressSpace = self.__address_space;
+    var now = new Date();
+
+    var enabled = self.getEnabledState();
+    var retain = enabled && self._calculateRetain(branch);
+
+    branch.setValue("EventId", addressSpace.generateEventId());
+    branch.setValue("Time", {dataType: DataType.DateTime, value: now});
+    branch.setValue("ReceiveTime", {dataType: DataType.DateTime, value: now});
+    branch.setValue("Retain", {dataType: DataType.Boolean, value: retain});
+
+    self._raiseEventData(branch.toEventData());
+
+    // a branch that requires no more action from the operator disappears
+    if (enabled && !retain && !branch.isCurrentBranch()) {
+        self.deleteBranch(branch);
+    }
+};
+
+function _update_condition_info(branch, conditionInfo) {
+
+    var now = new Date();
+    if (conditionInfo.hasOwnProperty("severity")) {
+        branch.setValue("LastSeverity", {dataType: DataType.UInt16, value: branch.getValue("Severity") || 0});
+        _setSourceTimestamp(branch, "LastSeverity", now);
+        branch.setValue("Severity", {dataType: DataType.UInt16, value: conditionInfo.severity});
+    }
+    if (conditionInfo.hasOwnProperty("quality")) {
+        branch.setValue("Quality", {dataType: DataType.StatusCode, value: conditionInfo.quality});
+        _setSourceTimestamp(branch, "Quality", now);
+    }
+    // the message templates of the condition are resolved once the state of the branch has been updated
+    var templates = branch.condition._getMessageTemplates(branch);
+    if (templates) {
+        branch.setLocalizedValue("Message", templates.map(function (template) {
+            return new LocalizedText({
+                locale: template.locale,
+                text: branch.condition._resolveMessageTemplate(branch, template, conditionInfo)
+            });
+        }));
+    } else if (conditionInfo.hasOwnProperty("message")) {
+        branch.setValue("Message", {
+            dataType: DataType.LocalizedText,
+            value: coerceLocalizedText(conditionInfo.message)
+        });
+    }
+    if (conditionInfo.hasOwnProperty("retain")) {
+        branch._retainRequested = !!conditionInfo.retain;
+    }
+}
+UAConditionBase._update_condition_info = _update_condition_info;
+
+/**
+ * update the current state of the condition and notify it.
+ * @method raiseNewCondition
+ * @param conditionInfo {Object}
+ * @param [conditionInfo.message] {String|LocalizedText}
+ * @param [conditionInfo.severity] {UInt16}
+ * @param [conditionInfo.quality] {StatusCode}
+ * @param [conditionInfo.retain] {Boolean}
+ */
+UAConditionBase.prototype.raiseNewCondition = function (conditionInfo) {
+
+    var self = this;
+    _update_condition_info(self._currentBranch, conditionInfo || {});
+    if (self.getEnabledState()) {
+        self.raiseConditionEvent(self._currentBranch);
+    }
+};
+
+var messageTemplateStates = ["Default", "Active", "Inactive"];
+
+function _coerceMessageTemplates(templates) {
+    if (_.isArray(templates)) {
+        return templates.map(coerceLocalizedText);
+    }
+    return _.map(templates, function (text, locale) {
+        return new LocalizedText({locale: locale, text: text});
+    });
+}
+
+/**
+ * configure the templates of the Message of the events raised by the condition, in one or several locales.
+ *
+ * The templates are resolved each time the state of the condition is updated ( see raiseNewCondition ), and the
+ * subscribers receive the text that matches the locales of their session, the first template being the default.
+ * A template may contain the following placeholders :
+ *
+ *   - {SourceName}    the display name of the source node of the condition, in the locale of the template
+ *   - {ConditionName} the name of the condition
+ *   - {Severity}      the severity of the condition
+ *   - {Message}       the message given by the application
+ *   - {Value}         the value of the input node ( alarms only )
+ *   - {EUInformation} the engineering units of the input node ( alarms only )
+ *
+ * @example
+ *
+ *     alarm.setMessageTemplates({
+ *         Active: {
+ *             "en": "{SourceName} : the level is too high ({Value} {EUInformation})",
+ *             "fr": "{SourceName} : le niveau est trop haut ({Value} {EUInformation})",
+ *             "de": "{SourceName} : der Füllstand ist zu hoch ({Value} {EUInformation})"
+ *         },
+ *         Inactive: {
+ *             "en": "{SourceName} : the level is back to normal",
+ *             "fr": "{SourceName} : le niveau est revenu à la normale",
+ *             "de": "{SourceName} : der Füllstand ist wieder normal"
+ *         }
+ *     });
+ *
+ * @method setMessageTemplates
+ * @param templates {Object|LocalizedText[]|null} the template of each locale ( i.e {"en": "...", "fr": "..."} ),
+ *        or the templates of each state of a alarm ( {Active: {...}, Inactive: {...}, Default: {...}} ).
+ *        null removes the templates.
+ */
+UAConditionBase.prototype.setMessageTemplates = function (templates) {
+
+    var self = this;
+    if (!templates) {
+        self._messageTemplates = null;
+        return;
+    }
+    var keys = _.keys(templates);
+    var isByState = !_.isArray(templates) && keys.length > 0 && _.every(keys, function (key) {
+        return messageTemplateStates.indexOf(key) >= 0;
+    });
+    self._messageTemplates = _.mapObject(isByState ? templates : {Default: templates}, _coerceMessageTemplates);
+};
+
+/**
+ * @method _getMessageTemplates
+ * @param branch {ConditionSnapshot}
+ * @return {LocalizedText[]|null} the templates that apply to the state of the branch
+ * @private
+ */
+UAConditionBase.prototype._getMessageTemplates = function (branch) {
+    return this._messageTemplates ? (this._messageTemplates.Default || null) : null;
+};
+
+/**
+ * @method _getMessageTemplateValues
+ * @param branch {ConditionSnapshot}
+ * @param locale {String}
+ * @param conditionInfo {Object}
+ * @return {Object} the value of each placeholder of the message templates
+ * @private
+ */
+UAConditionBase.prototype._getMessageTemplateValues = function (branch, locale, conditionInfo) {
+
+    var self = this;
+    var sourceNodeId = branch.getValue("SourceNode");
+    var sourceNode = sourceNodeId ? self.__address_space.findNode(sourceNodeId) : null;
+    var message = coerceLocalizedText(conditionInfo.message);
+    return {
+        SourceName: sourceNode ? sourceNode.getDisplayName(locale) : branch.getValue("SourceName"),
+        ConditionName: branch.getValue("ConditionName"),
+        Severity: branch.getValue("Severity"),
+        Message: message ? message.text : null
+    };
+};
+
+/**
+ * @method _resolveMessageTemplate
+ * @param branch {ConditionSnapshot}
+ * @param template {LocalizedText}
+ * @param conditionInfo {Object}
+ * @return {String} the text of the template whose placeholders are replaced by their value
+ * @private
+ */
+UAConditionBase.prototype._resolveMessageTemplate = function (branch, template, conditionInfo) {
+
+    var values = this._getMessageTemplateValues(branch, template.locale, conditionInfo);
+    return template.text.replace(/\{(\w+)\}/g, function (placeholder, name) {
+        var value = values[name];
+        // unknown placeholders are left untouched
+        return (value === undefined || value === null) ? placeholder : String(value);
+    });
+};
+
+function _setComment(branch, comment, clientUserId) {
+
+    comment = coerceLocalizedText(comment);
+    // a null or empty comment leaves the Comment of the condition unchanged
+    if (comment && comment.text) {
+        branch.setValue("Comment", {dataType: DataType.LocalizedText, value: comment});
+        _setSourceTimestamp(branch, "Comment", new Date());
+    }
+    branch.setValue("ClientUserId", {dataType: DataType.String, value: clientUserId || ""});
+}
+UAConditionBase._setComment = _setComment;
+
+/**
+ * @method _addComment
+ * @param eventId {Buffer} the EventId of the event notifying the state of the branch to comment
+ * @param comment {LocalizedText|String}
+ * @param [clientUserId] {String}
+ * @return {StatusCode}
+ * @private
+ */
+UAConditionBase.prototype._addComment = function (eventId, comment, clientUserId) {
+
+    var self = this;
+    if (!self.getEnabledState()) {
+        return StatusCodes.BadConditionDisabled;
+    }
+    var branch = self._findBranchForEventId(eventId);
+    if (!branch) {
+        return StatusCodes.BadEventIdUnknown;
+    }
+    _setComment(branch, comment, clientUserId);
+    self.raiseConditionEvent(branch);
+    return StatusCodes.Good;
+};
+
+exports.UAConditionBase = UAConditionBase;
+
+
+/**
+ * @class UAAcknowledgeableConditionBase
+ * @constructor
+ * @extends UAConditionBase
+ */
+function UAAcknowledgeableConditionBase() {
+}
+util.inherits(UAAcknowledgeableConditionBase, UAConditionBase);
+
+UAAcknowledgeableConditionBase.prototype._initialize = function () {
+
+    var self = this;
+    // a condition that has never been active has nothing to acknowledge nor to confirm
+    _initializeTwoState(self.ackedState, true);
+    if (self.confirmedState) {
+        _initializeTwoState(self.confirmedState, true);
+    }
+
+    UAConditionBase.prototype._initialize.call(self);
+
+    self.acknowledge.bindMethod(function (inputArguments, context, callback) {
+        assert(inputArguments.length === 2);
+        var eventId = inputArguments[0].value;
+        var comment = inputArguments[1].value;
+        var statusCode = self._acknowledge(eventId, comment, _getClientUserId(context));
+        return callback(null, {statusCode: statusCode});
+    });
+
+    if (self.confirm) {
+        self.confirm.bindMethod(function (inputArguments, context, callback) {
+            assert(inputArguments.length === 2);
+            var eventId = inputArguments[0].value;
+            var comment = inputArguments[1].value;
+            var statusCode = self._confirm(eventId, comment, _getClientUserId(context));
+            return callback(null, {statusCode: statusCode});
+        });
+    }
+};
+
+/**
+ * an acknowledgeable condition is retained until it has been acknowledged (and confirmed when the
+ * condition supports confirmation)
+ * @method _calculateRetain
+ * @param branch {ConditionSnapshot}
+ * @return {Boolean}
+ * @private
+ */
+UAAcknowledgeableConditionBase.prototype._calculateRetain = function (branch) {
+    if (!branch.getTwoStateValue("AckedState")) {
+        return true;
+    }
+    return branch.hasValue("ConfirmedState.Id") && !branch.getTwoStateValue("ConfirmedState");
+};
+
+UAAcknowledgeableConditionBase.prototype._findBranchForAction = function (eventId) {
+
+    var self = this;
+    if (!self.getEnabledState()) {
+        return StatusCodes.BadConditionDisabled;
+    }
+    return self._findBranchForEventId(eventId) || StatusCodes.BadEventIdUnknown;
+};
+
+/**
+ * @method _acknowledge
+ * @param eventId {Buffer} the EventId of the event notifying the state of the branch to acknowledge
+ * @param comment {LocalizedText|String}
+ * @param [clientUserId] {String}
+ * @return {StatusCode}
+ * @private
+ */
+UAAcknowledgeableConditionBase.prototype._acknowledge = function (eventId, comment, clientUserId) {
+
+    var self = this;
+    var branch = self._findBranchForAction(eventId);
+    if (!(branch instanceof ConditionSnapshot)) {
+        return branch;
+    }
+    if (branch.getTwoStateValue("AckedState")) {
+        return StatusCodes.BadConditionBranchAlreadyAcked;
+    }
+    branch.setTwoStateValue("AckedState", true);
+    if (branch.hasValue("ConfirmedState.Id")) {
+        // the acknowledged branch now waits for a confirmation
+        branch.setTwoStateValue("ConfirmedState", false);
+    }
+    _setComment(branch, comment, clientUserId);
+    self.raiseConditionEvent(branch);
+    return StatusCodes.Good;
+};
+
+/**
+ * @method _confirm
+ * @param eventId {Buffer} the EventId of the event notifying the state of the branch to confirm
+ * @param comment {LocalizedText|String}
+ * @param [clientUserId] {String}
+ * @return {StatusCode}
+ * @private
+ */
+UAAcknowledgeableConditionBase.prototype._confirm = function (eventId, comment, clientUserId) {
+
+    var self = this;
+    var branch = self._findBranchForAction(eventId);
+    if (!(branch instanceof ConditionSnapshot)) {
+        return branch;
+    }
+    assert(branch.hasValue("ConfirmedState.Id"), "the condition must expose a ConfirmedState");
+    if (branch.getTwoStateValue("ConfirmedState")) {
+        return StatusCodes.BadConditionBranchAlreadyConfirmed;
+    }
+    branch.setTwoStateValue("ConfirmedState", true);
+    _setComment(branch, comment, clientUserId);
+    self.raiseConditionEvent(branch);
+    return StatusCodes.Good;
+};
+
+exports.UAAcknowledgeableConditionBase = UAAcknowledgeableConditionBase;
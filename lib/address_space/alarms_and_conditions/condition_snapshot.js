@@ -0,0 +1,227 @@
+"use strict";
+/**
+ * @module opcua.address_space.AlarmsAndConditions
+ */
+require("requirish")._(module);
+var assert = require("better-assert");
+var _ = require("underscore");
+
+var makeNodeId = require("lib/datamodel/nodeid").makeNodeId;
+var Variant = require("lib/datamodel/variant").Variant;
+var DataType = require("lib/datamodel/variant").DataType;
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+var lowerFirstLetter = require("lib/misc/utils").lowerFirstLetter;
+
+var UAVariable = require("lib/address_space/ua_variable").UAVariable;
+var UAMethod = require("lib/address_space/ua_method").UAMethod;
+var EventData = require("lib/address_space/address_space_add_event_type").EventData;
+
+var nullNodeId = makeNodeId(0, 0);
+
+// record the value of all the variables of the condition, indexed by their browse path ( "AckedState.Id" ...)
+function _record_condition_state(snapshot, node, prefix) {
+
+    var children = [].concat(node.getProperties(), node.getComponents());
+    children.forEach(function (child) {
+        if (child instanceof UAMethod) {
+            return;
+        }
+        var key = prefix + child.browseName.toString();
+        if (child instanceof UAVariable) {
+            snapshot._node_index[key] = child;
+            snapshot._map[key] = child.readValue().value;
+        }
+        _record_condition_state(snapshot, child, key + ".");
+    });
+}
+
+/**
+ * a ConditionSnapshot holds the state of a branch of a condition.
+ *
+ * The current branch of the condition (the branch whose BranchId is null) reflects the variables of the condition
+ * node: changing a value of the current branch also changes the value of the corresponding variable. The other
+ * branches keep a copy of the state of the condition at the time they were created.
+ *
+ * @class ConditionSnapshot
+ * @param condition {UAConditionBase}
+ * @param [branchId] {NodeId} the BranchId of the branch, a null NodeId for the current branch.
+ * @constructor
+ */
+function ConditionSnapshot(condition, branchId) {
+
+    var self = this;
+    self.condition = condition;
+    self._map = {};
+    self._node_index = {};
+    self._localizedTexts = {};
+    _record_condition_state(self, condition, "");
+    self._map.BranchId = new Variant({dataType: DataType.NodeId, value: branchId || nullNodeId});
+}
+
+/**
+ * @method getBranchId
+ * @return {NodeId}
+ */
+ConditionSnapshot.prototype.getBranchId = function () {
+    return this._map.BranchId.value;
+};
+
+/**
+ * returns true if the snapshot is the current branch of the condition.
+ * @method isCurrentBranch
+ * @return {Boolean}
+ */
+ConditionSnapshot.prototype.isCurrentBranch = function () {
+    var branchId = this.getBranchId();
+    return branchId.namespace === 0 && branchId.isEmpty();
+};
+
+/**
+ * @method hasValue
+ * @param path {String} the browse path of the variable (e.g. "AckedState.Id")
+ * @return {Boolean}
+ */
+ConditionSnapshot.prototype.hasValue = function (path) {
+    return this._map.hasOwnProperty(path);
+};
+
+/**
+ * @method getValue
+ * @param path {String} the browse path of the variable (e.g. "AckedState.Id")
+ * @return {*} the value of the variable
+ */
+ConditionSnapshot.prototype.getValue = function (path) {
+    assert(this.hasValue(path));
+    var variant = this._readVariant(path);
+    return variant ? variant.value : null;
+};
+
+ConditionSnapshot.prototype._readVariant = function (path) {
+    var self = this;
+    if (self.isCurrentBranch() && path !== "BranchId") {
+        // the current branch is the condition itself
+        self._map[path] = self._node_index[path].readValue().value;
+    }
+    return self._map[path];
+};
+
+/**
+ * @method setValue
+ * @param path {String} the browse path of the variable (e.g. "Severity")
+ * @param variant {Variant|Object}
+ */
+ConditionSnapshot.prototype.setValue = function (path, variant) {
+
+    var self = this;
+    assert(self.hasValue(path), "the condition has no variable with this path");
+    variant = (variant instanceof Variant) ? variant : new Variant(variant);
+    self._map[path] = variant;
+    delete self._localizedTexts[path];
+    if (self.isCurrentBranch()) {
+        self._node_index[path].setValueFromSource(variant, StatusCodes.Good);
+    }
+};
+
+/**
+ * set the value of a LocalizedText variable in several locales.
+ * the first text becomes the value of the variable, the event notifying the branch provides the text that best
+ * matches the locales of the session of each subscriber.
+ * @method setLocalizedValue
+ * @param path {String} the browse path of the variable (e.g. "Message")
+ * @param localizedTexts {LocalizedText[]}
+ */
+ConditionSnapshot.prototype.setLocalizedValue = function (path, localizedTexts) {
+
+    var self = this;
+    assert(_.isArray(localizedTexts) && localizedTexts.length > 0);
+    self.setValue(path, {dataType: DataType.LocalizedText, value: localizedTexts[0]});
+    self._localizedTexts[path] = localizedTexts;
+};
+
+/**
+ * returns the boolean state of a TwoStateVariable of the condition (i.e. the value of its Id property)
+ * @method getTwoStateValue
+ * @param name {String} the browse name of the TwoStateVariable (e.g. "AckedState")
+ * @return {Boolean}
+ */
+ConditionSnapshot.prototype.getTwoStateValue = function (name) {
+    return !!this.getValue(name + ".Id");
+};
+
+function _twoStateText(self, name, value) {
+    var stateName = name + (value ? ".TrueState" : ".FalseState");
+    if (self.hasValue(stateName) && self.getValue(stateName)) {
+        return self.getValue(stateName);
+    }
+    return {text: value ? "TRUE" : "FALSE"};
+}
+
+/**
+ * change the state of a TwoStateVariable of the condition
+ * @method setTwoStateValue
+ * @param name {String} the browse name of the TwoStateVariable (e.g. "AckedState")
+ * @param value {Boolean}
+ */
+ConditionSnapshot.prototype.setTwoStateValue = function (name, value) {
+
+    var self = this;
+    value = !!value;
+    if (self.isCurrentBranch()) {
+        // the TwoStateVariable machinery updates the text and the transition times of the variable
+        self._node_index[name].setValue(value);
+        return;
+    }
+    var now = new Date();
+    self._map[name + ".Id"] = new Variant({dataType: DataType.Boolean, value: value});
+    self._map[name] = new Variant({dataType: DataType.LocalizedText, value: _twoStateText(self, name, value)});
+    [name + ".TransitionTime", name + ".EffectiveTransitionTime"].forEach(function (path) {
+        if (self.hasValue(path)) {
+            self._map[path] = new Variant({dataType: DataType.DateTime, value: now});
+        }
+    });
+};
+
+/**
+ * create a copy of the snapshot with another BranchId
+ * @method clone
+ * @param branchId {NodeId}
+ * @return {ConditionSnapshot}
+ */
+ConditionSnapshot.prototype.clone = function (branchId) {
+
+    var self = this;
+    var snapshot = Object.create(ConditionSnapshot.prototype);
+    snapshot.condition = self.condition;
+    snapshot._node_index = self._node_index;
+    snapshot._localizedTexts = _.clone(self._localizedTexts);
+    snapshot._map = {};
+    Object.keys(self._map).forEach(function (path) {
+        snapshot._map[path] = self._readVariant(path);
+    });
+    snapshot._map.BranchId = new Variant({dataType: DataType.NodeId, value: branchId});
+    return snapshot;
+};
+
+/**
+ * construct the data of the event that notifies the state of the branch.
+ * @method toEventData
+ * @return {EventData}
+ */
+ConditionSnapshot.prototype.toEventData = function () {
+
+    var self = this;
+    var eventData = new EventData(self.condition.typeDefinitionObj);
+    eventData.$condition = self.condition;
+    eventData.$localizedTexts = _.clone(self._localizedTexts);
+    eventData.__paths = {};
+    Object.keys(self._map).forEach(function (path) {
+        var variant = self._readVariant(path);
+        eventData.__paths[path] = variant;
+        if (path.indexOf(".") < 0) {
+            eventData[lowerFirstLetter(path)] = variant;
+        }
+    });
+    return eventData;
+};
+
+exports.ConditionSnapshot = ConditionSnapshot;
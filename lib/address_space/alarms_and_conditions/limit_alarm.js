@@ -0,0 +1,389 @@
+"use strict";
+/**
+ * @module opcua.address_space.AlarmsAndConditions
+ */
+require("requirish")._(module);
+var assert = require("better-assert");
+var util = require("util");
+var _ = require("underscore");
+
+var makeNodeId = require("lib/datamodel/nodeid").makeNodeId;
+var DataType = require("lib/datamodel/variant").DataType;
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+
+var UAAlarmConditionBase = require("./alarm_condition").UAAlarmConditionBase;
+var _initializeTwoState = require("./condition").UAConditionBase._initializeTwoState;
+
+/*
+ * OPC UA Part 9 - 5.8.11 LimitAlarmType
+ *
+ * a LimitAlarm is active when the value of its input node exceeds one of its limits ( HighHigh, High, Low, LowLow ).
+ *
+ *  - ExclusiveLimitAlarmType    : only one limit can be exceeded at a time, the exceeded limit is given by
+ *                                 the LimitState state machine.
+ *  - NonExclusiveLimitAlarmType : several limits can be exceeded at the same time ( i.e High and HighHigh), each limit
+ *                                 has its own TwoStateVariable ( HighHighState, HighState, LowState, LowLowState).
+ *
+ * the Level, Deviation and RateOfChange alarms are LimitAlarms whose limits are respectively compared to the value
+ * of the input node, to the difference between the input node and the setpoint node, and to the rate of change of
+ * the input node ( in unit per second ).
+ *
+ * note : a deadband can be specified to avoid the alarm flickering around a limit : a limit that has been exceeded
+ *        is considered exceeded until the value returns under the limit minus the deadband ( or above the limit
+ *        plus the deadband for the low limits).
+ */
+var limitNames = ["HighHigh", "High", "Low", "LowLow"];
+
+/**
+ * @class UALimitAlarm
+ * @constructor
+ * @extends UAAlarmConditionBase
+ */
+function UALimitAlarm() {
+}
+util.inherits(UALimitAlarm, UAAlarmConditionBase);
+
+/**
+ * @method getLimit
+ * @param limitName {String} "HighHigh", "High", "Low" or "LowLow"
+ * @return {Number|null} the value of the limit, or null if the alarm doesn't have this limit.
+ */
+UALimitAlarm.prototype.getLimit = function (limitName) {
+    var limitNode = this.getPropertyByName(limitName + "Limit");
+    return limitNode ? limitNode.readValue().value.value : null;
+};
+
+/**
+ * @method setLimit
+ * @param limitName {String} "HighHigh", "High", "Low" or "LowLow"
+ * @param value {Number}
+ */
+UALimitAlarm.prototype.setLimit = function (limitName, value) {
+    var self = this;
+    var limitNode = self.getPropertyByName(limitName + "Limit");
+    assert(limitNode, "the alarm doesn't have this limit");
+    limitNode.setValueFromSource({dataType: DataType.Double, value: value});
+    self._evaluateInput();
+};
+
+function _getNode(alarm, propertyName) {
+    var property = alarm.getPropertyByName(propertyName);
+    var nodeId = property ? property.readValue().value.value : null;
+    return (nodeId && !nodeId.isEmpty()) ? alarm.__address_space.findNode(nodeId) : null;
+}
+
+function _readNumber(node) {
+    var dataValue = node.readValue();
+    if (dataValue.statusCode !== StatusCodes.Good || !_.isFinite(dataValue.value.value)) {
+        return null;
+    }
+    return dataValue.value.value;
+}
+
+function _isRateOfChangeAlarm(alarm) {
+    var addressSpace = alarm.__address_space;
+    return ["ExclusiveRateOfChangeAlarmType", "NonExclusiveRateOfChangeAlarmType"].some(function (typeName) {
+        var rateOfChangeType = addressSpace.findEventType(typeName);
+        return rateOfChangeType && alarm.typeDefinitionObj.isSupertypeOf(rateOfChangeType);
+    });
+}
+
+/**
+ * start evaluating the limits of the alarm each time the value of the input node ( or of the setpoint node of
+ * a deviation alarm ) changes.
+ * @method _bindInput
+ * @param [options]
+ * @param [options.deadband=0] {Number}
+ * @param [options.rateOfChangeWindow=1000] {Number} the duration in ms of the window over which the rate of change
+ *                                                   of the input node is computed.
+ * @private
+ */
+UALimitAlarm.prototype._bindInput = function (options) {
+
+    var self = this;
+    options = options || {};
+    self._deadband = options.deadband || 0;
+
+    var inputNode = _getNode(self, "InputNode");
+    assert(inputNode, "the InputNode of the alarm must be set");
+
+    if (_isRateOfChangeAlarm(self)) {
+        self._rateOfChangeWindow = options.rateOfChangeWindow || 1000;
+        self._samples = [];
+    }
+
+    function onValueChanged() {
+        self._evaluateInput();
+    }
+    inputNode.on("value_changed", onValueChanged);
+    var setpointNode = _getNode(self, "SetpointNode");
+    if (setpointNode) {
+        setpointNode.on("value_changed", onValueChanged);
+    }
+    self.on("dispose", function () {
+        inputNode.removeListener("value_changed", onValueChanged);
+        if (setpointNode) {
+            setpointNode.removeListener("value_changed", onValueChanged);
+        }
+    });
+    self._evaluateInput();
+};
+
+/**
+ * returns the value that is compared to the limits of the alarm
+ * @method _getMonitoredValue
+ * @return {Number|null}
+ * @private
+ */
+UALimitAlarm.prototype._getMonitoredValue = function () {
+
+    var self = this;
+    var inputNode = _getNode(self, "InputNode");
+    var value = _readNumber(inputNode);
+    if (value === null) {
+        return null;
+    }
+    var setpointNode = _getNode(self, "SetpointNode");
+    if (setpointNode) {
+        var setpoint = _readNumber(setpointNode);
+        return setpoint === null ? null : value - setpoint;
+    }
+    if (self._samples) {
+        return _rateOfChange(self, value, inputNode.readValue().sourceTimestamp || new Date());
+    }
+    return value;
+};
+
+function _rateOfChange(alarm, value, timestamp) {
+
+    var samples = alarm._samples;
+    var time = timestamp.getTime();
+    // discard the samples that are more recent than the new one ( i.e. the source clock has been set back )
+    while (samples.length > 0 && samples[samples.length - 1].time > time) {
+        samples.pop();
+    }
+    samples.push({time: time, value: value});
+    // only keep the samples of the sliding window
+    while (samples.length > 2 && samples[samples.length - 1].time - samples[1].time >= alarm._rateOfChangeWindow) {
+        samples.shift();
+    }
+    var first = samples[0];
+    var last = samples[samples.length - 1];
+    if (last.time === first.time) {
+        return 0;
+    }
+    return (last.value - first.value) * 1000 / (last.time - first.time);
+}
+
+/**
+ * evaluate which limits are exceeded by the value, taking the deadband into account for the limits that were
+ * already exceeded.
+ * @method _evaluateLimits
+ * @param value {Number}
+ * @param previousStates {Object}  the limits that were exceeded ( i.e. {High: true} )
+ * @return {Object} the limits that are exceeded
+ * @private
+ */
+UALimitAlarm.prototype._evaluateLimits = function (value, previousStates) {
+
+    var self = this;
+    var deadband = self._deadband || 0;
+
+    function exceeds(limitName, wasExceeded) {
+        var limit = self.getLimit(limitName);
+        if (!_.isFinite(limit)) {
+            return false;
+        }
+        var isHigh = limitName.indexOf("High") === 0;
+        if (isHigh) {
+            return wasExceeded ? value > limit - deadband : value > limit;
+        }
+        return wasExceeded ? value < limit + deadband : value < limit;
+    }
+
+    return {
+        HighHigh: exceeds("HighHigh", previousStates.HighHigh),
+        High: exceeds("High", previousStates.High || previousStates.HighHigh),
+        Low: exceeds("Low", previousStates.Low || previousStates.LowLow),
+        LowLow: exceeds("LowLow", previousStates.LowLow)
+    };
+};
+
+/**
+ * @method _evaluateInput
+ * @private
+ */
+UALimitAlarm.prototype._evaluateInput = function () {
+
+    var self = this;
+    if (!_getNode(self, "InputNode")) {
+        return;
+    }
+    var value = self._getMonitoredValue();
+    if (value === null) {
+        return;
+    }
+    var states = self._evaluateLimits(value, self._getLimitStates());
+    if (!self._setLimitStates(states)) {
+        return;
+    }
+    var exceededLimits = self._getExceededLimits();
+    if (exceededLimits.length > 0) {
+        self.activateAlarm({message: "the value " + value + " exceeds the " + exceededLimits.join(",") + " limit"});
+    } else {
+        self.deactivateAlarm({message: "the value " + value + " is back to normal"});
+    }
+};
+
+exports.UALimitAlarm = UALimitAlarm;
+
+
+/**
+ * @class UAExclusiveLimitAlarm
+ * @constructor
+ * @extends UALimitAlarm
+ */
+function UAExclusiveLimitAlarm() {
+}
+util.inherits(UAExclusiveLimitAlarm, UALimitAlarm);
+
+UAExclusiveLimitAlarm.prototype._initialize = function () {
+    var self = this;
+    UALimitAlarm.prototype._initialize.call(self);
+    self._setLimitStates({});
+};
+
+/**
+ * @method getLimitState
+ * @return {String|null} the exceeded limit ( "HighHigh", "High", "Low" or "LowLow" ) or null if the alarm is inactive.
+ */
+UAExclusiveLimitAlarm.prototype.getLimitState = function () {
+    var currentState = this.limitState.currentState.readValue().value.value;
+    return (currentState && currentState.text) ? currentState.text : null;
+};
+
+UAExclusiveLimitAlarm.prototype._getLimitStates = function () {
+    var states = {};
+    var limitState = this.getLimitState();
+    if (limitState) {
+        states[limitState] = true;
+    }
+    return states;
+};
+
+UAExclusiveLimitAlarm.prototype._getExceededLimits = function () {
+    var limitState = this.getLimitState();
+    return limitState ? [limitState] : [];
+};
+
+/**
+ * @method _setLimitStates
+ * @param states {Object} the limits that are exceeded
+ * @return {Boolean} true if the state of the alarm has changed
+ * @private
+ */
+UAExclusiveLimitAlarm.prototype._setLimitStates = function (states) {
+
+    var self = this;
+    var stateMachineType = self.__address_space.findObjectType("ExclusiveLimitStateMachineType");
+
+    // the most severe limit wins
+    var stateName = _.find(["HighHigh", "LowLow", "High", "Low"], function (limitName) {
+        return states[limitName];
+    }) || null;
+
+    var previousStateName = self.getLimitState();
+    if (stateName === previousStateName && self._limitStateInitialized) {
+        return false;
+    }
+    self._limitStateInitialized = true;
+    var limitState = self.limitState;
+
+    limitState.currentState.setValueFromSource({
+        dataType: DataType.LocalizedText,
+        value: {text: stateName || ""}
+    });
+    limitState.currentState.id.setValueFromSource({
+        dataType: DataType.NodeId,
+        value: stateName ? stateMachineType.getComponentByName(stateName).nodeId : makeNodeId(0, 0)
+    });
+
+    var transition = (previousStateName && stateName) ?
+        stateMachineType.getComponentByName(previousStateName + "To" + stateName) : null;
+    if (transition && limitState.lastTransition) {
+        limitState.lastTransition.setValueFromSource({
+            dataType: DataType.LocalizedText,
+            value: {text: transition.browseName.name}
+        });
+        limitState.lastTransition.id.setValueFromSource({dataType: DataType.NodeId, value: transition.nodeId});
+    }
+    return true;
+};
+
+exports.UAExclusiveLimitAlarm = UAExclusiveLimitAlarm;
+
+
+/**
+ * @class UANonExclusiveLimitAlarm
+ * @constructor
+ * @extends UALimitAlarm
+ */
+function UANonExclusiveLimitAlarm() {
+}
+util.inherits(UANonExclusiveLimitAlarm, UALimitAlarm);
+
+function _limitStateNode(alarm, limitName) {
+    return alarm.getComponentByName(limitName + "State");
+}
+
+UANonExclusiveLimitAlarm.prototype._initialize = function () {
+
+    var self = this;
+    limitNames.forEach(function (limitName) {
+        var stateNode = _limitStateNode(self, limitName);
+        if (stateNode) {
+            _initializeTwoState(stateNode, false);
+        }
+    });
+    UALimitAlarm.prototype._initialize.call(self);
+};
+
+UANonExclusiveLimitAlarm.prototype._getLimitStates = function () {
+
+    var self = this;
+    var states = {};
+    limitNames.forEach(function (limitName) {
+        var stateNode = _limitStateNode(self, limitName);
+        states[limitName] = stateNode ? self.currentBranch().getTwoStateValue(limitName + "State") : false;
+    });
+    return states;
+};
+
+UANonExclusiveLimitAlarm.prototype._getExceededLimits = function () {
+    var states = this._getLimitStates();
+    return limitNames.filter(function (limitName) {
+        return states[limitName];
+    });
+};
+
+/**
+ * @method _setLimitStates
+ * @param states {Object} the limits that are exceeded
+ * @return {Boolean} true if the state of the alarm has changed
+ * @private
+ */
+UANonExclusiveLimitAlarm.prototype._setLimitStates = function (states) {
+
+    var self = this;
+    var previousStates = self._getLimitStates();
+    var changed = false;
+    limitNames.forEach(function (limitName) {
+        if (_limitStateNode(self, limitName) && previousStates[limitName] !== !!states[limitName]) {
+            self.currentBranch().setTwoStateValue(limitName + "State", !!states[limitName]);
+            changed = true;
+        }
+    });
+    return changed;
+};
+
+exports.UANonExclusiveLimitAlarm = UANonExclusiveLimitAlarm;
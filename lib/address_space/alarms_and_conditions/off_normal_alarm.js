@@ -0,0 +1,145 @@
+"use strict";
+/**
+ * @module opcua.address_space.AlarmsAndConditions
+ */
+require("requirish")._(module);
+var assert = require("better-assert");
+var util = require("util");
+var _ = require("underscore");
+
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+
+var UAAlarmConditionBase = require("./alarm_condition").UAAlarmConditionBase;
+
+/*
+ * OPC UA Part 9 - 5.8.21 OffNormalAlarmType
+ *
+ * a OffNormalAlarm is a DiscreteAlarm that is active when the value of its input node differs from the value
+ * of the node referenced by its NormalState property.
+ *
+ *  - SystemOffNormalAlarmType : a OffNormalAlarm that reports a abnormal situation of the system itself.
+ *  - TripAlarmType            : a OffNormalAlarm that reports the trip of a equipment ( i.e a motor that has
+ *                               been stopped by a protection ).
+ *
+ * the input node is typically a TwoStateDiscrete or a MultiStateDiscrete variable, and the normal state node
+ * a variable of the same data type holding the value of the input node in normal condition.
+ */
+
+/**
+ * @class UAOffNormalAlarm
+ * @constructor
+ * @extends UAAlarmConditionBase
+ */
+function UAOffNormalAlarm() {
+}
+util.inherits(UAOffNormalAlarm, UAAlarmConditionBase);
+
+function _getNode(alarm, propertyName) {
+    var property = alarm.getPropertyByName(propertyName);
+    var nodeId = property ? property.readValue().value.value : null;
+    return (nodeId && !nodeId.isEmpty()) ? alarm.__address_space.findNode(nodeId) : null;
+}
+
+function _readValue(node) {
+    var dataValue = node.readValue();
+    if (dataValue.statusCode !== StatusCodes.Good || !dataValue.value) {
+        return null;
+    }
+    return dataValue.value.value;
+}
+
+// returns the text associated with a value of a TwoStateDiscrete ( TrueState/FalseState ) or
+// a MultiStateDiscrete ( EnumStrings ) variable, or the value itself for other variables.
+function _getValueText(node, value) {
+
+    if (_.isBoolean(value)) {
+        var stateNode = node.getPropertyByName(value ? "TrueState" : "FalseState");
+        if (stateNode) {
+            return stateNode.readValue().value.value.text;
+        }
+    }
+    var enumStrings = node.getPropertyByName("EnumStrings");
+    if (enumStrings && _.isFinite(value)) {
+        var texts = enumStrings.readValue().value.value || [];
+        if (texts[value]) {
+            return texts[value].text;
+        }
+    }
+    return String(value);
+}
+
+/**
+ * @method getInputNode
+ * @return {UAVariable|null} the node whose value is compared to the normal state.
+ */
+UAOffNormalAlarm.prototype.getInputNode = function () {
+    return _getNode(this, "InputNode");
+};
+
+/**
+ * @method getNormalStateNode
+ * @return {UAVariable|null} the node that holds the value of the input node in normal condition.
+ */
+UAOffNormalAlarm.prototype.getNormalStateNode = function () {
+    return _getNode(this, "NormalState");
+};
+
+/**
+ * start comparing the value of the input node to the value of the normal state node each time one
+ * of them changes.
+ * @method _bindInput
+ * @private
+ */
+UAOffNormalAlarm.prototype._bindInput = function () {
+
+    var self = this;
+    var inputNode = self.getInputNode();
+    var normalStateNode = self.getNormalStateNode();
+    assert(inputNode, "the InputNode of the alarm must be set");
+    assert(normalStateNode, "the NormalState of the alarm must be set");
+
+    function onValueChanged() {
+        self._evaluateInput();
+    }
+    inputNode.on("value_changed", onValueChanged);
+    normalStateNode.on("value_changed", onValueChanged);
+    self.on("dispose", function () {
+        inputNode.removeListener("value_changed", onValueChanged);
+        normalStateNode.removeListener("value_changed", onValueChanged);
+    });
+    self._evaluateInput();
+};
+
+/**
+ * @method _evaluateInput
+ * @private
+ */
+UAOffNormalAlarm.prototype._evaluateInput = function () {
+
+    var self = this;
+    var inputNode = self.getInputNode();
+    var normalStateNode = self.getNormalStateNode();
+    if (!inputNode || !normalStateNode) {
+        return;
+    }
+    var value = _readValue(inputNode);
+    var normalValue = _readValue(normalStateNode);
+    if (value === null || normalValue === null) {
+        return;
+    }
+    var isOffNormal = !_.isEqual(value, normalValue);
+    if (isOffNormal === self.getActiveState()) {
+        return;
+    }
+    var valueText = _getValueText(inputNode, value);
+    if (isOffNormal) {
+        self.activateAlarm({
+            message: inputNode.browseName.toString() + " is " + valueText + " instead of " +
+                _getValueText(inputNode, normalValue)
+        });
+    } else {
+        self.deactivateAlarm({message: inputNode.browseName.toString() + " is back to normal ( " + valueText + " )"});
+    }
+};
+
+exports.UAOffNormalAlarm = UAOffNormalAlarm;
@@ -17,6 +17,7 @@ var resolveNodeId = require("lib/datamodel/nodeid").resolveNodeId;
 
 var coerceQualifyName = require("lib/datamodel/qualified_name").coerceQualifyName;
 var coerceLocalizedText = require("lib/datamodel/localized_text").coerceLocalizedText;
+var selectLocalizedText = require("lib/datamodel/localized_text").selectLocalizedText;
 
 var DataValue = require("lib/datamodel/datavalue").DataValue;
 var DataType = require("lib/datamodel/variant").DataType;
@@ -179,8 +180,14 @@ Object.defineProperty(BaseNode.prototype, "displayName", {
     }
 });
 
+/**
+ * returns the text of the display name that best matches the given locale(s).
+ * @method getDisplayName
+ * @param [locale] {String|String[]} the locale ( or the list of locales ordered by preference )
+ * @return {String}
+ */
 BaseNode.prototype.getDisplayName = function(locale) {
-    return this.__displayName[0].text;
+    return selectLocalizedText(this.__displayName, locale).text;
 };
 
 /**
@@ -544,6 +551,10 @@ BaseNode.prototype.__defineGetter__("hasMethods", function () {
 });
 
 /**
+ * returns the method of this node whose nodeId is given.
+ *
+ * note: a method can also be found with the nodeId of its declaration in the type of the node, as clients do
+ *       when they call the methods of a condition (see OPCUA 1.03 Part 9 : 5.5.4 Disable Method).
  * @method getMethodById
  * @param nodeId
  * @return {UAMethod|null}
@@ -551,8 +562,11 @@ BaseNode.prototype.__defineGetter__("hasMethods", function () {
 BaseNode.prototype.getMethodById = function (nodeId) {
 
     var methods = this.getMethods();
+    var key = nodeId.toString();
     return _.find(methods, function (m) {
-        return m.nodeId.toString() === nodeId.toString();
+        return m.nodeId.toString() === key;
+    }) || _.find(methods, function (m) {
+        return m.methodDeclarationId && m.methodDeclarationId.toString() === key;
     });
 };
 
@@ -641,6 +655,66 @@ BaseNode.prototype._remove_backward_reference = function (reference) {
     reference.dispose();
 };
 
+/**
+ * find a reference held by this node, whether it is a forward reference or a back reference
+ * @method _findReference
+ * @param reference {Reference}
+ * @return {Reference|null}
+ * @private
+ */
+BaseNode.prototype._findReference = function (reference) {
+    var self = this;
+    var h = reference.hash;
+    return self._referenceIdx[h] || self._back_referenceIdx[h] || null;
+};
+
+/**
+ * remove a reference held by this node, whether it is a forward reference or a back reference
+ * @method _remove_reference
+ * @param reference {Reference}
+ * @return {Boolean} true if the reference has been found and removed
+ * @private
+ */
+BaseNode.prototype._remove_reference = function (reference) {
+
+    var self = this;
+    assert(reference instanceof Reference);
+
+    var h = reference.hash;
+    var index = self._referenceIdx[h] ? self._referenceIdx : self._back_referenceIdx;
+    if (!index[h]) {
+        return false;
+    }
+    if (reference.isForward) {
+        _remove_HierarchicalReference(self, reference);
+    }
+    index[h].dispose();
+    delete index[h];
+    reference.dispose();
+    self._clear_caches();
+    return true;
+};
+
+/**
+ * keep the reference held by this node but forget the node it points to, as this
+ * node is about to be deleted. The reference will then be seen as a reference to a unknown node.
+ * @method _detach_reference
+ * @param reference {Reference}
+ * @private
+ */
+BaseNode.prototype._detach_reference = function (reference) {
+
+    var self = this;
+    var existing = self._findReference(reference);
+    if (existing) {
+        existing.node = null;
+    }
+    if (reference.isForward) {
+        _remove_HierarchicalReference(self, reference);
+    }
+    self._clear_caches();
+};
+
 BaseNode.prototype._add_backward_reference = function (reference) {
 
     var self = this;
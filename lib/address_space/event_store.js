@@ -0,0 +1,108 @@
+"use strict";
+/**
+ * @module opcua.address_space
+ */
+require("requirish")._(module);
+var assert = require("better-assert");
+var async = require("async");
+var _ = require("underscore");
+
+var history_storage = require("./history_storage");
+var lowerBound = history_storage.lowerBound;
+var selectRange = history_storage.selectRange;
+
+function _timeOf(eventData) {
+    return eventData.time.value.getTime();
+}
+
+/**
+ * A event store keeps the events raised on a notifier, sorted by their Time field, so that they can be read
+ * with a HistoryRead and a ReadEventDetails.
+ *
+ * The event store follows the interface of the history storages ( see MemoryHistoryStorage ) :
+ *
+ * * append(eventData, callback)
+ * * readRange(startTime, endTime, limit, reverse, callback)
+ * * deleteEvents(eventIds, callback)
+ *
+ * @class MemoryEventStore
+ * @param [options]
+ * @param [options.maxEvents=1000] {Number} the maximum number of events to keep in memory: the oldest
+ *        event is discarded when a new event is appended to a full store.
+ * @constructor
+ */
+function MemoryEventStore(options) {
+    options = options || {};
+    this.maxEvents = options.maxEvents || 1000;
+    // events sorted by time, oldest first
+    this._events = [];
+}
+
+/**
+ * @method append
+ * @param eventData {EventData} the event data returned by AddressSpace#constructEventData
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @async
+ */
+MemoryEventStore.prototype.append = function (eventData, callback) {
+
+    var self = this;
+    assert(eventData.time && eventData.time.value instanceof Date);
+
+    var index = lowerBound(self._events, _timeOf(eventData) + 1, _timeOf);
+    self._events.splice(index, 0, eventData);
+
+    if (self._events.length > self.maxEvents) {
+        self._events.shift();
+    }
+    async.setImmediate(callback);
+};
+
+/**
+ * @method readRange
+ * @param startTime {Date|null}
+ * @param endTime {Date|null}
+ * @param limit {Number} the maximum number of events to return (0 means no limit)
+ * @param reverse {Boolean}
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @param callback.events {EventData[]}
+ * @async
+ */
+MemoryEventStore.prototype.readRange = function (startTime, endTime, limit, reverse, callback) {
+
+    var events = selectRange(this._events, startTime, endTime, limit, reverse, _timeOf);
+    async.setImmediate(function () {
+        callback(null, events);
+    });
+};
+
+/**
+ * @method deleteEvents
+ * @param eventIds {Buffer[]} the EventIds of the events to delete
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @param callback.deleted {Boolean[]} for each eventId, true if the event has been found and deleted
+ * @async
+ */
+MemoryEventStore.prototype.deleteEvents = function (eventIds, callback) {
+
+    var self = this;
+    var deleted = eventIds.map(function (eventId) {
+        var index = _.findIndex(self._events, function (eventData) {
+            var value = eventData.eventId && eventData.eventId.value;
+            return !!eventId && value instanceof Buffer && value.toString("hex") === eventId.toString("hex");
+        });
+        if (index < 0) {
+            return false;
+        }
+        self._events.splice(index, 1);
+        return true;
+    });
+    async.setImmediate(function () {
+        callback(null, deleted);
+    });
+};
+
+exports.MemoryEventStore = MemoryEventStore;
@@ -0,0 +1,171 @@
+"use strict";
+/**
+ * @module opcua.address_space
+ */
+require("requirish")._(module);
+var assert = require("better-assert");
+var _ = require("underscore");
+var async = require("async");
+
+var DataValue = require("lib/datamodel/datavalue").DataValue;
+
+/**
+ * A history storage holds the historical values of a variable, sorted by sourceTimestamp.
+ *
+ * A history storage adapter shall implement the following asynchronous methods:
+ *
+ * * append(dataValue, callback)
+ *      record a new value. dataValue.sourceTimestamp is always defined.
+ * * readRange(startTime, endTime, limit, reverse, callback)
+ *      call back with the values whose sourceTimestamp is in [startTime, endTime[ ( startTime and/or endTime
+ *      may be null for a open interval ), sorted by ascending sourceTimestamp or by descending sourceTimestamp
+ *      if reverse is true. When limit is not 0, only the first limit values are returned.
+ * * deleteRange(startTime, endTime, callback)
+ *      remove the values whose sourceTimestamp is in [startTime, endTime[ and call back with the number of
+ *      values that have been removed.
+ *
+ * MemoryHistoryStorage and FileHistoryStorage are the two storages provided by node-opcua.
+ *
+ * @class MemoryHistoryStorage
+ * @param [options]
+ * @param [options.maxOnlineValues=1000] {Number} the maximum number of values to keep in memory: the oldest
+ *        value is discarded when a new value is appended to a full storage.
+ * @constructor
+ */
+function MemoryHistoryStorage(options) {
+    options = options || {};
+    this.maxOnlineValues = options.maxOnlineValues || 1000;
+    // values sorted by source timestamp, oldest first
+    this._values = [];
+}
+
+function _timeOf(dataValue) {
+    return dataValue.sourceTimestamp.getTime();
+}
+
+/**
+ * returns the index of the first element of a sorted array whose time is greater or equal to the given time
+ * @method lowerBound
+ * @param array {Array}
+ * @param time {Number}
+ * @param getTime {Function}
+ * @return {Number}
+ * @private
+ */
+function lowerBound(array, time, getTime) {
+    var low = 0, high = array.length;
+    while (low < high) {
+        var mid = (low + high) >>> 1;
+        if (getTime(array[mid]) < time) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+/**
+ * returns the indexes [first,last[ of the elements of a sorted array in [startTime,endTime[
+ * @method indexRange
+ * @private
+ */
+function indexRange(array, startTime, endTime, getTime) {
+    var first = startTime ? lowerBound(array, startTime.getTime(), getTime) : 0;
+    var last = endTime ? lowerBound(array, endTime.getTime(), getTime) : array.length;
+    return {first: first, last: Math.max(first, last)};
+}
+
+/**
+ * select the elements in a range of a sorted array
+ * @method selectRange
+ * @private
+ */
+function selectRange(array, startTime, endTime, limit, reverse, getTime) {
+
+    var range = indexRange(array, startTime, endTime, getTime);
+    var selection = array.slice(range.first, range.last);
+    if (reverse) {
+        selection.reverse();
+    }
+    if (limit) {
+        selection = selection.slice(0, limit);
+    }
+    return selection;
+}
+
+exports.lowerBound = lowerBound;
+exports.indexRange = indexRange;
+exports.selectRange = selectRange;
+
+/**
+ * @method append
+ * @param dataValue {DataValue}
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @async
+ */
+MemoryHistoryStorage.prototype.append = function (dataValue, callback) {
+
+    var self = this;
+    assert(dataValue instanceof DataValue);
+    assert(dataValue.sourceTimestamp instanceof Date);
+
+    // values usually come in chronological order, but a device may provide a older sourceTimestamp
+    var index = lowerBound(self._values, _timeOf(dataValue) + 1, _timeOf);
+    self._values.splice(index, 0, dataValue);
+
+    if (self._values.length > self.maxOnlineValues) {
+        self._values.shift();
+    }
+    async.setImmediate(callback);
+};
+
+/**
+ * @method readRange
+ * @param startTime {Date|null}
+ * @param endTime {Date|null}
+ * @param limit {Number} the maximum number of values to return (0 means no limit)
+ * @param reverse {Boolean}
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @param callback.dataValues {DataValue[]}
+ * @async
+ */
+MemoryHistoryStorage.prototype.readRange = function (startTime, endTime, limit, reverse, callback) {
+
+    var dataValues = selectRange(this._values, startTime, endTime, limit, reverse, _timeOf);
+    async.setImmediate(function () {
+        callback(null, dataValues);
+    });
+};
+
+/**
+ * @method deleteRange
+ * @param startTime {Date|null}
+ * @param endTime {Date|null}
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @param callback.count {Number} the number of deleted values
+ * @async
+ */
+MemoryHistoryStorage.prototype.deleteRange = function (startTime, endTime, callback) {
+
+    var range = indexRange(this._values, startTime, endTime, _timeOf);
+    var count = this._values.splice(range.first, range.last - range.first).length;
+    async.setImmediate(function () {
+        callback(null, count);
+    });
+};
+
+exports.MemoryHistoryStorage = MemoryHistoryStorage;
+
+/**
+ * check that a object implements the history storage interface
+ * @method isHistoryStorage
+ * @param storage {Object}
+ * @return {Boolean}
+ */
+exports.isHistoryStorage = function (storage) {
+    return !!storage && _.isFunction(storage.append) && _.isFunction(storage.readRange) && _.isFunction(storage.deleteRange);
+};
@@ -0,0 +1,316 @@
+"use strict";
+/**
+ * @module opcua.address_space
+ */
+require("requirish")._(module);
+var assert = require("better-assert");
+var fs = require("fs");
+var async = require("async");
+
+var DataValue = require("lib/datamodel/datavalue").DataValue;
+var BinaryStream = require("lib/misc/binaryStream").BinaryStream;
+
+var history_storage = require("./history_storage");
+var selectRange = history_storage.selectRange;
+var indexRange = history_storage.indexRange;
+
+// record layout:
+//    UInt32  size of the record body
+//    --- record body ---
+//    UInt8   record kind
+//    Double  time ( sourceTimestamp of a value or startTime of a deletion , NaN for a open interval )
+//    ...     the binary encoded DataValue ( VALUE record ) or the endTime as a Double ( DELETE record )
+var RECORD_HEADER_SIZE = 4;
+var RECORD_KIND_SIZE = 1 + 8;
+var RecordKind = {
+    VALUE: 1,
+    DELETE: 2
+};
+
+function _timeOf(entry) {
+    return entry.time;
+}
+
+function _encodeTime(date) {
+    return date ? date.getTime() : NaN;
+}
+
+function _decodeTime(time) {
+    return isNaN(time) ? null : new Date(time);
+}
+
+/**
+ * a history storage that records the values of a variable in a local append-only file.
+ *
+ * The values are never rewritten: deleting a range of values appends a deletion record to the file.
+ * The file is scanned when the storage is opened to build a in-memory index of the records, sorted by
+ * sourceTimestamp, so that only the requested values are read back from the disk.
+ *
+ * All operations are queued and performed in sequence.
+ *
+ * @class FileHistoryStorage
+ * @param options
+ * @param options.filename {String} the file where the values are stored. It is created if it doesn't exist.
+ * @constructor
+ */
+function FileHistoryStorage(options) {
+
+    var self = this;
+    assert(options && typeof options.filename === "string");
+
+    self.filename = options.filename;
+    self._fd = null;
+    self._openError = null;
+    self._fileSize = 0;
+    // entries of the index : { time: sourceTimestamp in ms, offset: position of the record body, size: body size }
+    self._index = [];
+
+    self._queue = async.queue(function (task, callback) {
+        if (self._openError) {
+            return callback(self._openError);
+        }
+        task.call(self, callback);
+    }, 1);
+
+    self._queue.push(self._open);
+}
+
+FileHistoryStorage.prototype._open = function (callback) {
+
+    var self = this;
+    function done(err) {
+        // the next operations will fail with the same error
+        self._openError = err;
+        if (!err || self._fd === null) {
+            return callback(err);
+        }
+        fs.close(self._fd, function () {
+            self._fd = null;
+            callback(err);
+        });
+    }
+
+    fs.open(self.filename, "a+", function (err, fd) {
+        if (err) {
+            return done(err);
+        }
+        self._fd = fd;
+        fs.fstat(fd, function (err, stats) {
+            if (err) {
+                return done(err);
+            }
+            self._fileSize = stats.size;
+            self._loadIndex(done);
+        });
+    });
+};
+
+FileHistoryStorage.prototype._readAt = function (position, length, callback) {
+    var self = this;
+    var buffer = new Buffer(length);
+    fs.read(self._fd, buffer, 0, length, position, function (err, bytesRead) {
+        if (!err && bytesRead !== length) {
+            err = new Error("FileHistoryStorage: unexpected end of file " + self.filename);
+        }
+        callback(err, buffer);
+    });
+};
+
+FileHistoryStorage.prototype._loadIndex = function (callback) {
+
+    var self = this;
+    var position = 0;
+    var isComplete = true;
+
+    function hasMoreRecords() {
+        return isComplete && position < self._fileSize;
+    }
+
+    async.whilst(hasMoreRecords, function (innerCallback) {
+
+        if (position + RECORD_HEADER_SIZE + RECORD_KIND_SIZE > self._fileSize) {
+            isComplete = false;
+            return innerCallback();
+        }
+        self._readAt(position, RECORD_HEADER_SIZE + RECORD_KIND_SIZE, function (err, buffer) {
+            if (err) {
+                return innerCallback(err);
+            }
+            var size = buffer.readUInt32LE(0);
+            var kind = buffer.readUInt8(RECORD_HEADER_SIZE);
+            var time = buffer.readDoubleLE(RECORD_HEADER_SIZE + 1);
+            var offset = position + RECORD_HEADER_SIZE;
+
+            if (offset + size > self._fileSize) {
+                isComplete = false;
+                return innerCallback();
+            }
+            var isValueRecord = kind === RecordKind.VALUE && size > RECORD_KIND_SIZE;
+            var isDeleteRecord = kind === RecordKind.DELETE && size === RECORD_KIND_SIZE + 8;
+            if (!isValueRecord && !isDeleteRecord) {
+                return innerCallback(new Error("FileHistoryStorage: invalid record at position " + position +
+                    " in " + self.filename));
+            }
+            position = offset + size;
+
+            if (isValueRecord) {
+                self._addToIndex({time: time, offset: offset, size: size});
+                return innerCallback();
+            }
+            self._readAt(offset + RECORD_KIND_SIZE, 8, function (err, buffer) {
+                if (!err) {
+                    self._removeFromIndex(_decodeTime(time), _decodeTime(buffer.readDoubleLE(0)));
+                }
+                innerCallback(err);
+            });
+        });
+    }, function (err) {
+        if (err || isComplete) {
+            return callback(err);
+        }
+        // the last record is incomplete ( the server may have been stopped while writing it ) : drop it
+        self._fileSize = position;
+        fs.ftruncate(self._fd, position, callback);
+    });
+};
+
+FileHistoryStorage.prototype._addToIndex = function (entry) {
+    var index = history_storage.lowerBound(this._index, entry.time + 1, _timeOf);
+    this._index.splice(index, 0, entry);
+};
+
+FileHistoryStorage.prototype._removeFromIndex = function (startTime, endTime) {
+    var range = indexRange(this._index, startTime, endTime, _timeOf);
+    return this._index.splice(range.first, range.last - range.first).length;
+};
+
+FileHistoryStorage.prototype._appendRecord = function (kind, time, body, callback) {
+
+    var self = this;
+    var size = RECORD_KIND_SIZE + body.length;
+    var buffer = new Buffer(RECORD_HEADER_SIZE + size);
+    buffer.writeUInt32LE(size, 0);
+    buffer.writeUInt8(kind, RECORD_HEADER_SIZE);
+    buffer.writeDoubleLE(time, RECORD_HEADER_SIZE + 1);
+    body.copy(buffer, RECORD_HEADER_SIZE + RECORD_KIND_SIZE);
+
+    var offset = self._fileSize + RECORD_HEADER_SIZE;
+    fs.write(self._fd, buffer, 0, buffer.length, null, function (err) {
+        if (!err) {
+            self._fileSize += buffer.length;
+        }
+        callback(err, {time: time, offset: offset, size: size});
+    });
+};
+
+FileHistoryStorage.prototype._readValue = function (entry, callback) {
+    this._readAt(entry.offset + RECORD_KIND_SIZE, entry.size - RECORD_KIND_SIZE, function (err, buffer) {
+        if (err) {
+            return callback(err);
+        }
+        var dataValue = new DataValue();
+        dataValue.decode(new BinaryStream(buffer));
+        callback(null, dataValue);
+    });
+};
+
+/**
+ * @method append
+ * @param dataValue {DataValue}
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @async
+ */
+FileHistoryStorage.prototype.append = function (dataValue, callback) {
+
+    assert(dataValue instanceof DataValue);
+    assert(dataValue.sourceTimestamp instanceof Date);
+
+    var stream = new BinaryStream(dataValue.binaryStoreSize());
+    dataValue.encode(stream);
+
+    this._queue.push(function (innerCallback) {
+        var self = this;
+        self._appendRecord(RecordKind.VALUE, dataValue.sourceTimestamp.getTime(), stream._buffer, function (err, entry) {
+            if (!err) {
+                self._addToIndex(entry);
+            }
+            innerCallback(err);
+        });
+    }, callback);
+};
+
+/**
+ * @method readRange
+ * @param startTime {Date|null}
+ * @param endTime {Date|null}
+ * @param limit {Number} the maximum number of values to return (0 means no limit)
+ * @param reverse {Boolean}
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @param callback.dataValues {DataValue[]}
+ * @async
+ */
+FileHistoryStorage.prototype.readRange = function (startTime, endTime, limit, reverse, callback) {
+
+    var dataValues;
+    this._queue.push(function (innerCallback) {
+        var self = this;
+        var entries = selectRange(self._index, startTime, endTime, limit, reverse, _timeOf);
+        async.mapSeries(entries, self._readValue.bind(self), function (err, results) {
+            dataValues = results;
+            innerCallback(err);
+        });
+    }, function (err) {
+        callback(err, dataValues);
+    });
+};
+
+/**
+ * @method deleteRange
+ * @param startTime {Date|null}
+ * @param endTime {Date|null}
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @param callback.count {Number} the number of deleted values
+ * @async
+ */
+FileHistoryStorage.prototype.deleteRange = function (startTime, endTime, callback) {
+
+    var count = 0;
+    this._queue.push(function (innerCallback) {
+        var self = this;
+        var body = new Buffer(8);
+        body.writeDoubleLE(_encodeTime(endTime), 0);
+        self._appendRecord(RecordKind.DELETE, _encodeTime(startTime), body, function (err) {
+            if (!err) {
+                count = self._removeFromIndex(startTime, endTime);
+            }
+            innerCallback(err);
+        });
+    }, function (err) {
+        callback(err, count);
+    });
+};
+
+/**
+ * close the file once the pending operations are completed.
+ * @method close
+ * @param callback {Function}
+ * @async
+ */
+FileHistoryStorage.prototype.close = function (callback) {
+
+    this._queue.push(function (innerCallback) {
+        var self = this;
+        if (self._fd === null) {
+            return innerCallback();
+        }
+        fs.close(self._fd, function (err) {
+            self._fd = null;
+            innerCallback(err);
+        });
+    }, callback);
+};
+
+exports.FileHistoryStorage = FileHistoryStorage;
@@ -67,3 +67,4 @@ UAObject.prototype.clone = function (options,extraInfo) {
 
 exports.UAObject = UAObject;
 require("./ua_object_raiseEvent").install(UAObject);
+require("./ua_object_event_history").install(UAObject);
@@ -0,0 +1,228 @@
+"use strict";
+/**
+ * @module opcua.address_space
+ * @class UAObject
+ */
+require("requirish")._(module);
+var assert = require("better-assert");
+var _ = require("underscore");
+
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+var EventNotifierFlags = require("lib/datamodel/event_notifier").EventNotifierFlags;
+var minDate = require("lib/misc/factories_builtin_types").minDate;
+
+var historizing_service = require("lib/services/historizing_service");
+var HistoryReadResult = historizing_service.HistoryReadResult;
+var HistoryEvent = historizing_service.HistoryEvent;
+var HistoryEventFieldList = historizing_service.HistoryEventFieldList;
+var HistoryUpdateResult = historizing_service.HistoryUpdateResult;
+
+var extractEventFields = require("lib/tools/tools_event_filter").extractEventFields;
+var tools_content_filter = require("lib/tools/tools_content_filter");
+var checkContentFilter = tools_content_filter.checkContentFilter;
+var evaluateContentFilter = tools_content_filter.evaluateContentFilter;
+
+var MemoryEventStore = require("./event_store").MemoryEventStore;
+
+var debugLog = require("lib/misc/utils").make_debugLog(__filename);
+
+function _isUnspecifiedTime(date) {
+    return !date || date.getTime() <= minDate.getTime();
+}
+
+function _after(date) {
+    return new Date(date.getTime() + 1);
+}
+
+/**
+ * read the events of a event store matching the time interval of a ReadEventDetails.
+ *
+ * The events are returned in chronological order when startTime < endTime (or when endTime is not specified),
+ * and in reverse order when startTime > endTime (or when startTime is not specified).
+ * startTime is included in the interval, endTime is excluded (unless startTime === endTime).
+ *
+ * @method _readEventRange
+ * @private
+ */
+function _readEventRange(eventStore, historyReadDetails, callback) {
+
+    var startTime = _isUnspecifiedTime(historyReadDetails.startTime) ? null : historyReadDetails.startTime;
+    var endTime = _isUnspecifiedTime(historyReadDetails.endTime) ? null : historyReadDetails.endTime;
+
+    if (!startTime) {
+        // events are read backward, starting at endTime
+        return eventStore.readRange(null, _after(endTime), 0, true, callback);
+    }
+    if (!endTime) {
+        return eventStore.readRange(startTime, null, 0, false, callback);
+    }
+    if (endTime.getTime() < startTime.getTime()) {
+        return eventStore.readRange(_after(endTime), _after(startTime), 0, true, callback);
+    }
+    var isSingleTime = endTime.getTime() === startTime.getTime();
+    eventStore.readRange(startTime, isSingleTime ? _after(endTime) : endTime, 0, false, callback);
+}
+
+exports.install = function (UAObject) {
+
+    /**
+     * returns true if the events raised on the object are recorded, i.e. if the HistoryRead bit of its
+     * EventNotifier attribute is set.
+     * @method isEventHistorian
+     * @return {Boolean}
+     */
+    UAObject.prototype.isEventHistorian = function () {
+        return (this.eventNotifier & EventNotifierFlags.HistoryRead.value) === EventNotifierFlags.HistoryRead.value;
+    };
+
+    /**
+     * returns true if the recorded events of the object can be deleted, i.e. if the HistoryWrite bit of its
+     * EventNotifier attribute is set.
+     * @method isEventHistoryWritable
+     * @return {Boolean}
+     */
+    UAObject.prototype.isEventHistoryWritable = function () {
+        return (this.eventNotifier & EventNotifierFlags.HistoryWrite.value) === EventNotifierFlags.HistoryWrite.value;
+    };
+
+    /**
+     * the event store where the events raised on the object are recorded.
+     *
+     * A MemoryEventStore is created the first time the store is needed, unless a event store has been
+     * assigned to the eventStore property of the object.
+     *
+     * @method getEventStore
+     * @return {MemoryEventStore}
+     */
+    UAObject.prototype.getEventStore = function () {
+        if (!this.eventStore) {
+            this.eventStore = new MemoryEventStore();
+        }
+        return this.eventStore;
+    };
+
+    /**
+     * record a event in the event store of the object.
+     * ( this method is called by UAObject#raiseEvent for the notifiers that have the HistoryRead bit set )
+     * @method recordEvent
+     * @param eventData {EventData}
+     * @param [callback] {Function}
+     * @param callback.err {Error|null}
+     * @async
+     */
+    UAObject.prototype.recordEvent = function (eventData, callback) {
+
+        var self = this;
+        assert(eventData.hasOwnProperty("$eventType"));
+        self.getEventStore().append(eventData, function (err) {
+            if (err) {
+                debugLog("cannot record the event on ", self.nodeId.toString(), err.message);
+            }
+            if (callback) {
+                callback(err);
+            }
+        });
+    };
+
+    /**
+     * read the recorded events with a ReadEventDetails.
+     *
+     * The events that match the where clause of the filter are returned as HistoryEventFieldList, containing
+     * the fields of the select clauses of the filter.
+     *
+     * @method historyRead
+     * @param historyReadDetails {ReadEventDetails}
+     * @param indexRange {NumericRange || null}
+     * @param dataEncoding {String}
+     * @param continuationPoint {ByteString}
+     * @param callback {Function}
+     * @param callback.err
+     * @param callback.result {HistoryReadResult}
+     */
+    UAObject.prototype.historyRead = function (historyReadDetails, indexRange, dataEncoding, continuationPoint, callback) {
+
+        var self = this;
+        var addressSpace = self.__address_space;
+
+        if (historyReadDetails._schema.name !== "ReadEventDetails") {
+            return callback(null, new HistoryReadResult({statusCode: StatusCodes.BadHistoryOperationUnsupported}));
+        }
+        if (!self.isEventHistorian()) {
+            return callback(null, new HistoryReadResult({statusCode: StatusCodes.BadNotReadable}));
+        }
+        var startTime = _isUnspecifiedTime(historyReadDetails.startTime) ? null : historyReadDetails.startTime;
+        var endTime = _isUnspecifiedTime(historyReadDetails.endTime) ? null : historyReadDetails.endTime;
+        // at least two of startTime, endTime and numValuesPerNode must be specified
+        if ((!startTime && !endTime) || ((!startTime || !endTime) && !historyReadDetails.numValuesPerNode)) {
+            return callback(null, new HistoryReadResult({statusCode: StatusCodes.BadInvalidTimestampArgument}));
+        }
+
+        var filter = historyReadDetails.filter;
+        var selectClauses = (filter && filter.selectClauses) || [];
+        var whereClause = filter ? filter.whereClause : null;
+        if (selectClauses.length === 0 || checkContentFilter(addressSpace, whereClause, {isEventFilter: true}).elementResults.length > 0) {
+            return callback(null, new HistoryReadResult({statusCode: StatusCodes.BadEventFilterInvalid}));
+        }
+
+        _readEventRange(self.getEventStore(), historyReadDetails, function (err, events) {
+            if (err) {
+                return callback(err);
+            }
+            var historyEvents = events.filter(function (eventData) {
+                return evaluateContentFilter(addressSpace, whereClause, eventData);
+            }).map(function (eventData) {
+                return new HistoryEventFieldList({
+                    eventFields: extractEventFields(eventData.$eventType, selectClauses, eventData)
+                });
+            });
+            callback(null, new HistoryReadResult({
+                statusCode: historyEvents.length ? StatusCodes.Good : StatusCodes.GoodNoData,
+                historyData: new HistoryEvent({events: historyEvents})
+            }));
+        });
+    };
+
+    /**
+     * delete recorded events with a DeleteEventDetails.
+     *
+     * The result contains one operationResult per requested eventId : Good when the event has been deleted,
+     * BadNoEntryExists when no recorded event has this eventId.
+     *
+     * @method historyUpdate
+     * @param historyUpdateDetails {DeleteEventDetails}
+     * @param callback {Function}
+     * @param callback.err
+     * @param callback.result {HistoryUpdateResult}
+     */
+    UAObject.prototype.historyUpdate = function (historyUpdateDetails, callback) {
+
+        var self = this;
+
+        if (historyUpdateDetails._schema.name !== "DeleteEventDetails") {
+            return callback(null, new HistoryUpdateResult({statusCode: StatusCodes.BadHistoryOperationUnsupported}));
+        }
+        if (!self.isEventHistorian() || !self.isEventHistoryWritable()) {
+            return callback(null, new HistoryUpdateResult({statusCode: StatusCodes.BadNotWritable}));
+        }
+        var eventIds = historyUpdateDetails.eventIds || [];
+        if (eventIds.length === 0) {
+            return callback(null, new HistoryUpdateResult({statusCode: StatusCodes.BadNothingToDo}));
+        }
+        var eventStore = self.getEventStore();
+        if (!_.isFunction(eventStore.deleteEvents)) {
+            return callback(null, new HistoryUpdateResult({statusCode: StatusCodes.BadHistoryOperationUnsupported}));
+        }
+        eventStore.deleteEvents(eventIds, function (err, deleted) {
+            if (err) {
+                return callback(err);
+            }
+            assert(deleted.length === eventIds.length);
+            callback(null, new HistoryUpdateResult({
+                statusCode: StatusCodes.Good,
+                operationResults: deleted.map(function (isDeleted) {
+                    return isDeleted ? StatusCodes.Good : StatusCodes.BadNoEntryExists;
+                })
+            }));
+        });
+    };
+};
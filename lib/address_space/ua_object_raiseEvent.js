@@ -3,6 +3,13 @@ require("requirish")._(module);
 var assert = require("better-assert");
 var DataType = require("lib/datamodel/variant").DataType;
 
+function _recordEvent(obj, eventData) {
+    // notifiers with the HistoryRead bit set in their EventNotifier keep a history of their events
+    if (obj.isEventHistorian && obj.isEventHistorian()) {
+        obj.recordEvent(eventData);
+    }
+}
+
 exports.install = function (UAObject) {
 
     /**
@@ -36,19 +43,54 @@ exports.install = function (UAObject) {
 
         var eventData = addressSpace.constructEventData(eventTypeNode,data);
 
+        self._raiseEventData(eventData);
+    };
+
+    /**
+     * notify a event that has already been constructed to the Server object, to the object itself and to
+     * the notifiers of the object.
+     * @method _raiseEventData
+     * @param eventData {EventData}
+     * @private
+     */
+    UAObject.prototype._raiseEventData = function (eventData) {
+
+        assert(eventData.$eventType);
+
+        var self = this;
+        var addressSpace = self.__address_space;
+
+        if (!addressSpace.findNode("Server")) {
+            console.warn("Warning. ".yellow + "UAObject#raiseEvent".cyan + " cannot find Server object on addressSpace".red);
+        }
+        self._getEventNotifiers().forEach(function (obj) {
+            obj.emit("event", eventData);
+            _recordEvent(obj, eventData);
+        });
+    };
+
+    /**
+     * returns the objects that notify the events raised by this object : the Server object, the object itself
+     * and the objects found by walking up the HasNotifier / HasEventSource / HasCondition chain.
+     * @method _getEventNotifiers
+     * @return {UAObject[]}
+     * @private
+     */
+    UAObject.prototype._getEventNotifiers = function () {
+
+        var self = this;
+        var addressSpace = self.__address_space;
+
+        var notifiers = [];
         var queue = [];
         // walk up the hasNotify / hasEventSource chain
         var m = {};
 
         // all events are notified to the server object
-        // emit on server object
         var server = addressSpace.findNode("Server");
-
         if (server) {
-            server.emit("event",eventData);
+            notifiers.push(server);
             m[server.nodeId.toString()] = server;
-        } else {
-            console.warn("Warning. ".yellow + "UAObject#raiseEvent".cyan + " cannot find Server object on addressSpace".red);
         }
 
         addinqueue(self);
@@ -62,14 +104,18 @@ exports.install = function (UAObject) {
         }
         while (queue.length) {
             var obj = queue.pop();
-            // emit on object itself
-            obj.emit("event", eventData);
+            notifiers.push(obj);
 
             var elements1 = obj.findReferencesAsObject("HasNotifier", false);
             elements1.forEach(addinqueue);
 
             var elements2 = obj.findReferencesAsObject("HasEventSource", false);
             elements2.forEach(addinqueue);
+
+            // the events of a condition are also notified by its condition source
+            var elements3 = obj.findReferencesAsObject("HasCondition", false);
+            elements3.forEach(addinqueue);
         }
+        return notifiers;
     };
 };
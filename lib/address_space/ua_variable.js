@@ -34,6 +34,8 @@ var write_service = require("lib/services/write_service");
 var WriteValue = write_service.WriteValue;
 
 var HistoryReadResult = historizing_service.HistoryReadResult;
+var HistoryUpdateResult = historizing_service.HistoryUpdateResult;
+var PerformUpdateType = historizing_service.PerformUpdateType;
 
 var doDebug = false;
 var debugLog = function(){ if(doDebug) { console.log.apply(console,arguments); }};
@@ -96,6 +98,9 @@ function _dataType_toUADataType(__address_space, dataType) {
 }
 
 var findBuiltInType = require("lib/misc/factories_builtin_types").findBuiltInType;
+var minDate = require("lib/misc/factories_builtin_types").minDate;
+var readProcessed = require("./aggregates").readProcessed;
+var readAtTime = require("./aggregates").readAtTime;
 
 /*==
  *
@@ -507,22 +512,120 @@ UAVariable.prototype.readAttribute = function (attributeId, indexRange, dataEnco
  * @param historyReadDetails {HistoryReadDetails}
  * @param indexRange {NumericRange || null}
  * @param dataEncoding {String}
- * @param continuationPoint {ByteString}
+ * @param continuationPoint {ByteString} the continuation point returned by the previous historyRead of the
+ *        raw values ( see VariableHistorian#readRawModified )
  * @param callback {Function}
  * @param callback.err
  * @param callback.result {HistoryReadResult}
+ *
+ * note : the aggregates of a ReadProcessedDetails and the values of a ReadAtTimeDetails are computed from
+ *        the raw values returned by the historyRead function of the variable (see readProcessed and
+ *        readAtTime in aggregates.js). The values at time are interpolated linearly, unless the
+ *        stepped property of the variable is true.
  */
 UAVariable.prototype.historyRead = function (historyReadDetails, indexRange, dataEncoding, continuationPoint, callback) {
-    if (continuationPoint) {
-        //TODO: use continutaion point manager to support continuation of historical reads
+    var isRaw = historyReadDetails._schema.name === "ReadRawModifiedDetails";
+    if (continuationPoint && continuationPoint.length > 0 && !isRaw) {
+        // the continuation points of the other reads are managed by the server engine (see ServerEngine#historyRead)
         callback(null, new HistoryReadResult({statusCode: StatusCodes.BadNotSupported}));
     } else if (typeof this["_historyRead"] != "function") {
         callback(null, new HistoryReadResult({statusCode: StatusCodes.BadNotSupported}));
+    } else if (historyReadDetails._schema.name === "ReadProcessedDetails") {
+        readProcessed(this._historyRead.bind(this), historyReadDetails, callback);
+    } else if (historyReadDetails._schema.name === "ReadAtTimeDetails") {
+        readAtTime(this._historyRead.bind(this), historyReadDetails, {stepped: !!this.stepped}, callback);
     } else {
         this._historyRead(historyReadDetails, indexRange, dataEncoding, continuationPoint, callback);
     }
 }
 
+function _isUnspecifiedTime(date) {
+    return !date || date.getTime() <= minDate.getTime();
+}
+
+function _checkHistoryUpdateDetails(historyUpdateDetails) {
+
+    var detailsType = historyUpdateDetails._schema.name;
+    switch (detailsType) {
+        case "UpdateDataDetails":
+        case "UpdateStructureDataDetails":
+            var performInsertReplace = historyUpdateDetails.performInsertReplace;
+            if (performInsertReplace === PerformUpdateType.Remove && detailsType === "UpdateDataDetails") {
+                // Remove can only be requested for structure data, raw data use DeleteXXXDetails instead
+                return StatusCodes.BadHistoryOperationInvalid;
+            }
+            if (!performInsertReplace || !PerformUpdateType.get(performInsertReplace.value)) {
+                return StatusCodes.BadHistoryOperationInvalid;
+            }
+            return StatusCodes.Good;
+        case "DeleteRawModifiedDetails":
+            if (_isUnspecifiedTime(historyUpdateDetails.startTime) && _isUnspecifiedTime(historyUpdateDetails.endTime)) {
+                return StatusCodes.BadInvalidTimestampArgument;
+            }
+            return StatusCodes.Good;
+        case "DeleteAtTimeDetails":
+            return StatusCodes.Good;
+        case "DeleteEventDetails":
+            // events are stored against Objects that are EventNotifiers, not against Variables
+            return StatusCodes.BadHistoryOperationUnsupported;
+        default:
+            return StatusCodes.BadHistoryOperationInvalid;
+    }
+}
+
+function _expectedNumberOfOperationResults(historyUpdateDetails) {
+    if (historyUpdateDetails.updateValues) {
+        return historyUpdateDetails.updateValues.length;
+    }
+    if (historyUpdateDetails.reqTimes) {
+        return historyUpdateDetails.reqTimes.length;
+    }
+    return -1; // not specified ( DeleteRawModifiedDetails)
+}
+
+/**
+ * insert, replace or delete historical values of this variable.
+ *
+ * The operation is delegated to the `historyUpdate` function provided in bindVariable, which shall call back
+ * with a HistoryUpdateResult containing one operationResult per value to update ( UpdateDataDetails,
+ * UpdateStructureDataDetails) or per timestamp to delete (DeleteAtTimeDetails), for instance GoodEntryInserted,
+ * GoodEntryReplaced, BadEntryExists or BadNoEntryExists.
+ *
+ * @method historyUpdate
+ * @param historyUpdateDetails {UpdateDataDetails|UpdateStructureDataDetails|DeleteRawModifiedDetails|DeleteAtTimeDetails}
+ * @param callback {Function}
+ * @param callback.err
+ * @param callback.result {HistoryUpdateResult}
+ */
+UAVariable.prototype.historyUpdate = function (historyUpdateDetails, callback) {
+
+    var self = this;
+    assert(_.isFunction(callback));
+
+    if (!_.isFunction(self._historyUpdate)) {
+        return callback(null, new HistoryUpdateResult({statusCode: StatusCodes.BadHistoryOperationUnsupported}));
+    }
+    var statusCode = _checkHistoryUpdateDetails(historyUpdateDetails);
+    if (statusCode !== StatusCodes.Good) {
+        return callback(null, new HistoryUpdateResult({statusCode: statusCode}));
+    }
+
+    self._historyUpdate(historyUpdateDetails, function (err, result) {
+        if (err) {
+            return callback(err);
+        }
+        var expected = _expectedNumberOfOperationResults(historyUpdateDetails);
+        if (!(result instanceof HistoryUpdateResult) ||
+            (expected >= 0 && result.statusCode === StatusCodes.Good && result.operationResults.length !== expected)) {
+            // the historyUpdate function provided in bindVariable doesn't return one operation result per value
+            debugLog(" Warning:  UAVariable#historyUpdate ".red + self.browseName.toString().cyan +
+                " : historyUpdate must provide a HistoryUpdateResult with one operation result per value");
+            return callback(null, new HistoryUpdateResult({statusCode: StatusCodes.BadInternalError}));
+        }
+        callback(null, result);
+    });
+};
+
 UAVariable.prototype._validate_DataType = function (variantDataType) {
 
     return validateDataType(this.__address_space, this.dataType, variantDataType, this.nodeId);
@@ -1020,6 +1123,8 @@ UAVariable.prototype._internal_set_dataValue = function (dataValue, indexRange)
  *    - sourcePicoseconds
  * @param [options.timestamped_set] {Function}
  * @param [options.refreshFunc] {Function} the variable asynchronous getter function.
+ * @param [options.historyRead] {Function} the historical read function (see UAVariable#historyRead)
+ * @param [options.historyUpdate] {Function} the historical update function (see UAVariable#historyUpdate)
  * @param [overwrite {Boolean} = false] set overwrite to true to overwrite existing binding
  * @return void
  *
@@ -1152,6 +1257,7 @@ UAVariable.prototype.bindVariable = function (options, overwrite) {
     bind_getter(self,options);
     bind_setter(self,options);
     self._historyRead = options.historyRead;
+    self._historyUpdate = options.historyUpdate;
     assert(_.isFunction(self._timestamped_set_func));
     assert(self._timestamped_set_func.length === 3);
 };
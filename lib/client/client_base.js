@@ -20,6 +20,7 @@ var endpoints_service = require("lib/services/get_endpoints_service");
 var GetEndpointsRequest = endpoints_service.GetEndpointsRequest;
 var GetEndpointsResponse = endpoints_service.GetEndpointsResponse;
 var MessageSecurityMode = endpoints_service.MessageSecurityMode;
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
 
 var securityPolicy_m = require("lib/misc/security_policy");
 var SecurityPolicy = securityPolicy_m.SecurityPolicy;
@@ -49,6 +50,8 @@ var defaultConnectionStrategy = {
  * @param [options.privateKeyFile="certificates/client_key_1024.pem"] {String} client private key pem file.
  * @param [options.connectionStrategy] {Object}
  * @param [options.keepSessionAlive=false]{Boolean}
+ * @param [options.certificateManager=null] {CertificateManager} the certificate manager used to verify the
+ *        certificate of the server before a secure channel is opened.
  * @constructor
  */
 function OPCUAClientBase(options) {
@@ -106,6 +109,14 @@ function OPCUAClientBase(options) {
      */
     this.serverCertificate = options.serverCertificate || null;
 
+    /**
+     * @property certificateManager
+     * @type {CertificateManager}
+     */
+    this.certificateManager = options.certificateManager || null;
+    // the folders of the certificate manager are created once, on the first connection
+    this._certificateManagerInitialized = false;
+
     /**
      * true if session shall periodically probe the server to keep the session alive and prevent timeout
      * @property keepSessionAlive
@@ -511,44 +522,101 @@ OPCUAClientBase.prototype.connect = function (endpoint_url, callback) {
         return;
     }
 
-    if (!self.serverCertificate && self.securityMode!== MessageSecurityMode.NONE) {
-
-        // we have not been given the serverCertificate but this certificate
-        // is required as the connection is to be secured.
-        //
-        // Let's explore the server endpoint that matches our security settings
-        // This will give us the missing Certificate as well from the server itself.
-        // todo :
-        // Once we have the certificate, we cannot trust it straight away
-        // we have to verify that the certificate is valid and not outdated and not revoked.
-        // if the certificate is self-signed the certificate must appear in the trust certificate
-        // list.
-        // if the certificate has been certified by an Certificate Authority we have to
-        // verify that the certificates in the chain are valid and not revoked.
-        //
-        return __findEndpoint(endpoint_url,this.securityMode,this.securityPolicy,function(err,endpoint){
-            if (err) { return callback(err); }
-            console.log(" Found End point ");
-            _verify_serverCertificate(endpoint.serverCertificate,function(err) {
-                if (err) { return callback(err); }
-                self.serverCertificate = endpoint.serverCertificate;
-                return self.connect(endpoint_url,callback);
-            });
-        });
-    }
-
     //todo: make sure endpoint_url exists in the list of endpoints send by the server
     // [...]
 
     // make sure callback will only be call once regardless of outcome, and will be also deferred.
     var callback_od = once(delayed.deferred(callback)); callback = null;
 
-    self._internal_create_secure_channel(function(err,secureChannel) {
+    async.series([
+
+        function (inner_callback) {
+            if (self.serverCertificate || self.securityMode === MessageSecurityMode.NONE) {
+                return inner_callback(null);
+            }
+            // we have not been given the serverCertificate but this certificate
+            // is required as the connection is to be secured.
+            //
+            // Let's explore the server endpoint that matches our security settings
+            // This will give us the missing Certificate as well from the server itself.
+            // todo :
+            // Once we have the certificate, we cannot trust it straight away
+            // we have to verify that the certificate is valid and not outdated and not revoked.
+            // if the certificate is self-signed the certificate must appear in the trust certificate
+            // list.
+            // if the certificate has been certified by an Certificate Authority we have to
+            // verify that the certificates in the chain are valid and not revoked.
+            //
+            __findEndpoint(endpoint_url, self.securityMode, self.securityPolicy, function (err, endpoint) {
+                if (err) {
+                    return inner_callback(err);
+                }
+                console.log(" Found End point ");
+                if (self.certificateManager) {
+                    // the certificate will be verified by the certificate manager
+                    self.serverCertificate = endpoint.serverCertificate;
+                    return inner_callback(null);
+                }
+                _verify_serverCertificate(endpoint.serverCertificate, function (err) {
+                    if (!err) {
+                        self.serverCertificate = endpoint.serverCertificate;
+                    }
+                    inner_callback(err);
+                });
+            });
+        },
+
+        function (inner_callback) {
+            self._check_serverCertificate(inner_callback);
+        },
+
+        function (inner_callback) {
+            self._internal_create_secure_channel(function (err/*,secureChannel*/) {
+                inner_callback(err);
+            });
+        }
+
+    ], function (err) {
         callback_od(err);
     });
 
 };
 
+/**
+ * verify the certificate of the server with the certificate manager of the client, if any.
+ * @method _check_serverCertificate
+ * @async
+ * @param callback {Function}
+ * @param callback.err {Error|null} an error if the certificate of the server has been rejected
+ * @private
+ */
+OPCUAClientBase.prototype._check_serverCertificate = function (callback) {
+
+    var self = this;
+    if (!self.certificateManager || !self.serverCertificate || self.securityMode === MessageSecurityMode.NONE) {
+        return callback(null);
+    }
+    async.waterfall([
+        function (inner_callback) {
+            if (self._certificateManagerInitialized) {
+                return inner_callback(null);
+            }
+            self.certificateManager.initialize(function (err) {
+                self._certificateManagerInitialized = !err;
+                inner_callback(err);
+            });
+        },
+        function (inner_callback) {
+            self.certificateManager.checkCertificate(self.serverCertificate, inner_callback);
+        }
+    ], function (err, statusCode) {
+        if (!err && statusCode !== StatusCodes.Good) {
+            err = new Error("the certificate of the server has been rejected : " + statusCode.toString());
+        }
+        callback(err);
+    });
+};
+
 OPCUAClientBase.prototype.getClientNonce = function () {
     return this._secureChannel.clientNonce;
 };
@@ -724,6 +792,20 @@ OPCUAClientBase.prototype._addSession = function (session) {
     session._client = self;
     self._sessions.push(session);
 
+    session.on("server_state_changed", function (state, previousState) {
+        /**
+         * raised when one of the sessions of the client has detected that the state of the server has changed.
+         * When the server enters the Shutdown state, the client can read the SecondsTillShutdown and
+         * ShutdownReason of the ServerStatus, close its sessions and reconnect later.
+         * ( only detected on the sessions that are kept alive, see options.keepSessionAlive )
+         * @event server_state_changed
+         * @param state {ServerState}
+         * @param previousState {ServerState}
+         * @param session {ClientSession}
+         */
+        self.emit("server_state_changed", state, previousState, session);
+    });
+
     if (self.keepSessionAlive) {
         session.startKeepAliveManager();
     }
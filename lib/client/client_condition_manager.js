@@ -0,0 +1,452 @@
+"use strict";
+/**
+ * @module opcua.client
+ */
+require("requirish")._(module);
+var assert = require("better-assert");
+var util = require("util");
+var EventEmitter = require("events").EventEmitter;
+var _ = require("underscore");
+
+var NodeId = require("lib/datamodel/nodeid").NodeId;
+var makeNodeId = require("lib/datamodel/nodeid").makeNodeId;
+var DataType = require("lib/datamodel/variant").DataType;
+var Variant = require("lib/datamodel/variant").Variant;
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+var AttributeIds = require("lib/datamodel/attributeIds").AttributeIds;
+var ObjectIds = require("lib/opcua_node_ids").ObjectIds;
+var ObjectTypeIds = require("lib/opcua_node_ids").ObjectTypeIds;
+var MethodIds = require("lib/opcua_node_ids").MethodIds;
+
+var subscription_service = require("lib/services/subscription_service");
+var read_service = require("lib/services/read_service");
+var makeBrowsePath = require("lib/address_space/make_browse_path").makeBrowsePath;
+var constructEventFilter = require("lib/tools/tools_event_filter").constructEventFilter;
+
+/*
+ * the fields of the condition events that are requested by the condition manager ( see OPCUA 1.03 Part 9 ),
+ * the ConditionId ( the NodeId of the condition ) is requested in addition.
+ */
+var conditionFields = [
+    "EventId",
+    "EventType",
+    "SourceNode",
+    "SourceName",
+    "Time",
+    "ReceiveTime",
+    "Message",
+    "Severity",
+    "ConditionName",
+    "BranchId",
+    "Retain",
+    "EnabledState.Id",
+    "Quality",
+    "LastSeverity",
+    "Comment",
+    "ClientUserId",
+    "AckedState.Id",
+    "ConfirmedState.Id",
+    "ActiveState.Id",
+    "ShelvingState.CurrentState",
+    "SuppressedState.Id"
+];
+exports.conditionFields = conditionFields;
+
+/**
+ * construct the EventFilter with the standard condition select clauses, followed by the ConditionId.
+ * @method constructConditionEventFilter
+ * @return {EventFilter}
+ */
+function constructConditionEventFilter() {
+
+    var eventFilter = constructEventFilter(conditionFields);
+    // the ConditionId is requested with the NodeId attribute of the ConditionType ( see OPCUA 1.03 Part 9 : 5.5.2 )
+    eventFilter.selectClauses.push(new subscription_service.SimpleAttributeOperand({
+        typeId: makeNodeId(ObjectTypeIds.ConditionType),
+        browsePath: [],
+        attributeId: AttributeIds.NodeId,
+        indexRange: null
+    }));
+    return eventFilter;
+}
+exports.constructConditionEventFilter = constructConditionEventFilter;
+
+function _statusCodeOf(err, results, callback) {
+    if (err) {
+        return callback(err);
+    }
+    callback(null, results[0].statusCode);
+}
+
+function _isNullNodeId(nodeId) {
+    return !(nodeId instanceof NodeId) || nodeId.isEmpty();
+}
+
+function _conditionKey(conditionId, branchId) {
+    return conditionId.toString() + (_isNullNodeId(branchId) ? "" : "/" + branchId.toString());
+}
+
+/**
+ * the client side view of a condition ( or of a branch of a condition ), as notified by the last event
+ * received for it.
+ *
+ * @class ClientCondition
+ * @param manager {ClientConditionManager}
+ * @param conditionId {NodeId}
+ * @constructor
+ */
+function ClientCondition(manager, conditionId) {
+    this._manager = manager;
+    /**
+     * the NodeId of the condition
+     * @property conditionId
+     * @type {NodeId}
+     */
+    this.conditionId = conditionId;
+    /**
+     * the fields of the last event notified for this condition, by name ( see conditionFields )
+     * @property fields
+     * @type {Object}
+     */
+    this.fields = {};
+}
+
+ClientCondition.prototype._update = function (fields) {
+    this.fields = fields;
+};
+
+/**
+ * @property eventId
+ * @type {Buffer}  the EventId of the last event notified for this condition
+ */
+ClientCondition.prototype.__defineGetter__("eventId", function () {
+    return this.fields.EventId;
+});
+
+/**
+ * @property branchId
+ * @type {NodeId|null} the BranchId of the condition, null for the current state of the condition
+ */
+ClientCondition.prototype.__defineGetter__("branchId", function () {
+    return _isNullNodeId(this.fields.BranchId) ? null : this.fields.BranchId;
+});
+
+ClientCondition.prototype._callConditionMethod = function (objectId, methodId, inputArguments, callback) {
+    this._manager.session.call([{
+        objectId: objectId,
+        methodId: makeNodeId(methodId),
+        inputArguments: inputArguments
+    }], function (err, results) {
+        _statusCodeOf(err, results, callback);
+    });
+};
+
+ClientCondition.prototype._callWithComment = function (methodId, comment, callback) {
+    var self = this;
+    self._callConditionMethod(self.conditionId, methodId, [
+        new Variant({dataType: DataType.ByteString, value: self.eventId}),
+        new Variant({dataType: DataType.LocalizedText, value: _.isString(comment) ? {text: comment} : comment})
+    ], callback);
+};
+
+/**
+ * acknowledge the state of the condition notified by its last event.
+ * @method acknowledge
+ * @async
+ * @param comment {String|LocalizedText}
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @param callback.statusCode {StatusCode} the result of the Acknowledge method
+ */
+ClientCondition.prototype.acknowledge = function (comment, callback) {
+    this._callWithComment(MethodIds.AcknowledgeableConditionType_Acknowledge, comment, callback);
+};
+
+/**
+ * confirm the state of the condition notified by its last event.
+ * @method confirm
+ * @async
+ * @param comment {String|LocalizedText}
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @param callback.statusCode {StatusCode} the result of the Confirm method
+ */
+ClientCondition.prototype.confirm = function (comment, callback) {
+    this._callWithComment(MethodIds.AcknowledgeableConditionType_Confirm, comment, callback);
+};
+
+/**
+ * add a comment to the state of the condition notified by its last event.
+ * @method addComment
+ * @async
+ * @param comment {String|LocalizedText}
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @param callback.statusCode {StatusCode} the result of the AddComment method
+ */
+ClientCondition.prototype.addComment = function (comment, callback) {
+    this._callWithComment(MethodIds.ConditionType_AddComment, comment, callback);
+};
+
+/**
+ * @method enable
+ * @async
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @param callback.statusCode {StatusCode} the result of the Enable method
+ */
+ClientCondition.prototype.enable = function (callback) {
+    this._callConditionMethod(this.conditionId, MethodIds.ConditionType_Enable, [], callback);
+};
+
+/**
+ * @method disable
+ * @async
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @param callback.statusCode {StatusCode} the result of the Disable method
+ */
+ClientCondition.prototype.disable = function (callback) {
+    this._callConditionMethod(this.conditionId, MethodIds.ConditionType_Disable, [], callback);
+};
+
+ClientCondition.prototype._callShelvingMethod = function (methodId, inputArguments, callback) {
+
+    var self = this;
+    // the shelving methods are called on the ShelvingState of the alarm
+    self._manager.session.translateBrowsePath(makeBrowsePath(self.conditionId, ".ShelvingState"), function (err, result) {
+        if (err) {
+            return callback(err);
+        }
+        if (result.statusCode !== StatusCodes.Good) {
+            // the condition is not a alarm that supports shelving
+            return callback(null, StatusCodes.BadMethodInvalid);
+        }
+        self._callConditionMethod(result.targets[0].targetId, methodId, inputArguments, callback);
+    });
+};
+
+/**
+ * shelve the alarm, for the given duration or until it becomes inactive ( one-shot shelving ).
+ * @method shelve
+ * @async
+ * @param [shelvingTime] {Number} the duration in ms after which the alarm is automatically unshelved,
+ *                                the alarm is shelved until it becomes inactive when omitted.
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @param callback.statusCode {StatusCode} the result of the TimedShelve or OneShotShelve method
+ */
+ClientCondition.prototype.shelve = function (shelvingTime, callback) {
+    if (_.isFunction(shelvingTime)) {
+        callback = shelvingTime;
+        shelvingTime = null;
+    }
+    if (shelvingTime) {
+        this._callShelvingMethod(MethodIds.AlarmConditionType_ShelvingState_TimedShelve, [
+            new Variant({dataType: DataType.Double, value: shelvingTime})
+        ], callback);
+    } else {
+        this._callShelvingMethod(MethodIds.AlarmConditionType_ShelvingState_OneShotShelve, [], callback);
+    }
+};
+
+/**
+ * @method unshelve
+ * @async
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @param callback.statusCode {StatusCode} the result of the Unshelve method
+ */
+ClientCondition.prototype.unshelve = function (callback) {
+    this._callShelvingMethod(MethodIds.AlarmConditionType_ShelvingState_Unshelve, [], callback);
+};
+
+exports.ClientCondition = ClientCondition;
+
+
+/**
+ * maintain a table of the conditions ( and of their branches ) that are retained by the server, by
+ * monitoring the events of the Server object.
+ *
+ * @class ClientConditionManager
+ * @param session {ClientSession}
+ * @param subscription {ClientSubscription}
+ * @constructor
+ *
+ * @example
+ *
+ *     var conditionManager = session.getConditionManager(subscription);
+ *     conditionManager.on("condition_changed", function (condition) {
+ *         if (!condition.fields["AckedState.Id"]) {
+ *             condition.acknowledge("on my way", function (err, statusCode) { ... });
+ *         }
+ *     });
+ *     conditionManager.start(function (err) { ... });
+ */
+function ClientConditionManager(session, subscription) {
+
+    var self = this;
+    assert(session && subscription);
+    EventEmitter.call(self);
+    self.session = session;
+    self.subscription = subscription;
+    self.monitoredItem = null;
+    self._conditions = {};
+}
+util.inherits(ClientConditionManager, EventEmitter);
+
+/**
+ * monitor the events of the Server object, and request the current state of the conditions with
+ * a ConditionRefresh.
+ * @method start
+ * @async
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ */
+ClientConditionManager.prototype.start = function (callback) {
+
+    var self = this;
+    assert(!self.monitoredItem, "the condition manager is already started");
+
+    self.monitoredItem = self.subscription.monitor({
+        nodeId: makeNodeId(ObjectIds.Server),
+        attributeId: AttributeIds.EventNotifier
+    }, {
+        queueSize: 1000,
+        filter: constructConditionEventFilter(),
+        discardOldest: true
+    }, read_service.TimestampsToReturn.Neither, function (err) {
+        if (err) {
+            return callback(err);
+        }
+        self.conditionRefresh(function (err, statusCode) {
+            if (!err && statusCode !== StatusCodes.Good) {
+                err = new Error("ConditionRefresh has failed with " + statusCode.toString());
+            }
+            callback(err);
+        });
+    });
+
+    self.monitoredItem.on("changed", function (eventFields) {
+        self._onEvent(eventFields);
+    });
+};
+
+/**
+ * stop monitoring the events of the Server object.
+ * @method stop
+ * @async
+ * @param callback {Function}
+ */
+ClientConditionManager.prototype.stop = function (callback) {
+    var self = this;
+    var monitoredItem = self.monitoredItem;
+    self.monitoredItem = null;
+    self._conditions = {};
+    if (!monitoredItem) {
+        return callback();
+    }
+    monitoredItem.terminate(callback);
+};
+
+/**
+ * ask the server to notify again the state of all the retained conditions.
+ * @method conditionRefresh
+ * @async
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @param callback.statusCode {StatusCode} the result of the ConditionRefresh method
+ */
+ClientConditionManager.prototype.conditionRefresh = function (callback) {
+    var self = this;
+    self.session.call([{
+        objectId: makeNodeId(ObjectTypeIds.ConditionType),
+        methodId: makeNodeId(MethodIds.ConditionType_ConditionRefresh),
+        inputArguments: [new Variant({dataType: DataType.UInt32, value: self.subscription.subscriptionId})]
+    }], function (err, results) {
+        _statusCodeOf(err, results, callback);
+    });
+};
+
+/**
+ * @method getConditions
+ * @return {ClientCondition[]} the conditions, and the branches of the conditions, retained by the server
+ */
+ClientConditionManager.prototype.getConditions = function () {
+    return _.values(this._conditions);
+};
+
+/**
+ * @method getCondition
+ * @param conditionId {NodeId}
+ * @param [branchId=null] {NodeId}
+ * @return {ClientCondition|null}
+ */
+ClientConditionManager.prototype.getCondition = function (conditionId, branchId) {
+    return this._conditions[_conditionKey(conditionId, branchId)] || null;
+};
+
+var refreshStartEventTypeId = makeNodeId(ObjectTypeIds.RefreshStartEventType).toString();
+var refreshEndEventTypeId = makeNodeId(ObjectTypeIds.RefreshEndEventType).toString();
+
+ClientConditionManager.prototype._onEvent = function (eventFields) {
+
+    var self = this;
+    var fields = {};
+    conditionFields.forEach(function (name, index) {
+        fields[name] = eventFields[index].value;
+    });
+    var conditionId = eventFields[conditionFields.length].value;
+    var eventType = fields.EventType ? fields.EventType.toString() : "";
+
+    if (eventType === refreshStartEventTypeId) {
+        // the server is about to notify again all the retained conditions
+        self._conditions = {};
+        /**
+         * @event refresh_start
+         */
+        self.emit("refresh_start");
+        return;
+    }
+    if (eventType === refreshEndEventTypeId) {
+        /**
+         * @event refresh_end
+         */
+        self.emit("refresh_end");
+        return;
+    }
+    if (_isNullNodeId(conditionId)) {
+        // not a condition event
+        return;
+    }
+
+    var key = _conditionKey(conditionId, fields.BranchId);
+    var condition = self._conditions[key];
+    if (!fields.Retain) {
+        // the condition ( or the branch ) is no longer of interest to the client
+        if (condition) {
+            delete self._conditions[key];
+            condition._update(fields);
+            /**
+             * raised when a condition, or a branch, is no longer retained by the server.
+             * @event condition_removed
+             * @param condition {ClientCondition}
+             */
+            self.emit("condition_removed", condition);
+        }
+        return;
+    }
+    if (!condition) {
+        condition = new ClientCondition(self, conditionId);
+        self._conditions[key] = condition;
+    }
+    condition._update(fields);
+    /**
+     * raised when a event has been received for a condition, or a branch, retained by the server.
+     * @event condition_changed
+     * @param condition {ClientCondition}
+     */
+    self.emit("condition_changed", condition);
+};
+
+exports.ClientConditionManager = ClientConditionManager;
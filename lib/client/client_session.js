@@ -298,6 +298,48 @@ ClientSession.prototype.readVariableValue = function (nodes, callback) {
 
 };
 
+function _readHistory(session, nodes, historyReadDetails, callback) {
+
+    assert(_.isFunction(callback));
+    if (!_.isArray(nodes)) {
+        nodes = [nodes];
+    }
+
+    var nodesToRead = [];
+    nodes.forEach(function (node) {
+        nodesToRead.push({
+            nodeId: resolveNodeId(node),
+            indexRange: null,
+            dataEncoding: {namespaceIndex: 0, name: null},
+            continuationPoint: null,
+        });
+    });
+
+    var request = new historizing_service.HistoryReadRequest({
+        nodesToRead: nodesToRead,
+        historyReadDetails: historyReadDetails,
+        timestampsToReturn: read_service.TimestampsToReturn.Both,
+        releaseContinuationPoints: false
+    });
+
+    assert(nodes.length === request.nodesToRead.length);
+    session.performMessageTransaction(request, function (err, response) {
+
+        if (err) {
+            return callback(err, response);
+        }
+
+        if (response.responseHeader.serviceResult !== StatusCodes.Good) {
+            return callback(new Error(response.responseHeader.serviceResult.toString()));
+        }
+
+        assert(response instanceof historizing_service.HistoryReadResponse);
+        assert(nodes.length === response.results.length);
+
+        callback(null, response.results, response.diagnosticInfos);
+    });
+}
+
 /**
  * @method readHistoryValue
  * @async
@@ -315,39 +357,121 @@ ClientSession.prototype.readVariableValue = function (nodes, callback) {
  */
 ClientSession.prototype.readHistoryValue = function (nodes, start, end, callback) {
 
-    var self = this;
-    assert(_.isFunction(callback));
-    if (!_.isArray(nodes)) {
-        nodes = [nodes];
+    var readRawModifiedDetails = new historizing_service.ReadRawModifiedDetails({
+        isReadModified: false,
+        startTime: start,
+        endTime: end,
+        numValuesPerNode: 0,
+        returnBounds: true
+    });
+    _readHistory(this, nodes, readRawModifiedDetails, callback);
+};
+
+/**
+ * read the historical values of one or more nodes at some given times.
+ *
+ * The server interpolates the values when no value has been recorded at a requested time.
+ *
+ * @method readHistoryValueAtTimes
+ * @async
+ * @example:
+ *
+ *     var timestamps = [new Date("2015-06-10T09:00:00.000Z"), new Date("2015-06-10T09:01:00.000Z")];
+ *     session.readHistoryValueAtTimes("ns=5;s=Simulation Examples.Functions.Sine1", timestamps, function (err, results) {
+ *         // results[0].historyData.dataValues contains one value per timestamp
+ *     });
+ *
+ * @param nodes  {ReadValueId[]} - the read value id
+ * @param timestamps {Date[]} - the times of the values to read
+ * @param [useSimpleBounds=false] {Boolean} - true to interpolate the values with the raw values that surround the
+ *        requested times whatever their status, false to only use good values.
+ * @param {Function} callback -   the callback function
+ * @param callback.err {object|null} the error if the read has failed or null if OK
+ * @param callback.results {HistoryReadResult[]} - the result of each node
+ * @param callback.diagnosticInfos {DiagnosticInfo[]} - the diagnostic infos.
+ */
+ClientSession.prototype.readHistoryValueAtTimes = function (nodes, timestamps, useSimpleBounds, callback) {
+
+    if (_.isFunction(useSimpleBounds)) {
+        callback = useSimpleBounds;
+        useSimpleBounds = false;
     }
+    assert(_.isArray(timestamps));
 
-    var nodesToRead = [];
-    var historyReadDetails = [];
-    nodes.forEach(function (node) {
-        nodesToRead.push({
-            nodeId: resolveNodeId(node),
-            indexRange: null,
-            dataEncoding: {namespaceIndex: 0, name: null},
-            continuationPoint: null,
-        });
+    var readAtTimeDetails = new historizing_service.ReadAtTimeDetails({
+        reqTimes: timestamps,
+        useSimpleBounds: !!useSimpleBounds
     });
+    _readHistory(this, nodes, readAtTimeDetails, callback);
+};
 
-    var ReadRawModifiedDetails = new historizing_service.ReadRawModifiedDetails({
-        isReadModified: false,
+/**
+ * read the events recorded by one or more notifiers between two dates.
+ *
+ * The events are returned in reverse order when end is before start.
+ *
+ * @method readHistoryEvents
+ * @async
+ * @example:
+ *
+ *     var eventFilter = opcua.constructEventFilter(["SourceName", "Message", "Severity"]);
+ *     session.readHistoryEvents("ns=1;s=Area1", start, end, eventFilter, function (err, results) {
+ *         // results[0].historyData.events contains the fields selected by the filter for each event
+ *     });
+ *
+ * @param nodes  {NodeId[]} - the notifiers
+ * @param start {Date} - the starttime in UTC format
+ * @param end {Date} - the endtime in UTC format
+ * @param eventFilter {EventFilter} - the fields to return and the where clause of the events to return
+ * @param {Function} callback -   the callback function
+ * @param callback.err {object|null} the error if the read has failed or null if OK
+ * @param callback.results {HistoryReadResult[]} - the result of each node
+ * @param callback.diagnosticInfos {DiagnosticInfo[]} - the diagnostic infos.
+ */
+ClientSession.prototype.readHistoryEvents = function (nodes, start, end, eventFilter, callback) {
+
+    var readEventDetails = new historizing_service.ReadEventDetails({
         startTime: start,
         endTime: end,
         numValuesPerNode: 0,
-        returnBounds: true
+        filter: eventFilter
     });
+    _readHistory(this, nodes, readEventDetails, callback);
+};
 
-    var request = new historizing_service.HistoryReadRequest({
-        nodesToRead: nodesToRead,
-        historyReadDetails: ReadRawModifiedDetails,
-        timestampsToReturn: read_service.TimestampsToReturn.Both,
-        releaseContinuationPoints: false
+/**
+ * insert, replace or delete historical data of one or more nodes.
+ *
+ * @method historyUpdate
+ * @async
+ * @example:
+ *
+ *     var updateDataDetails = new opcua.historizing_service.UpdateDataDetails({
+ *         nodeId: "ns=1;s=Temperature",
+ *         performInsertReplace: opcua.historizing_service.PerformUpdateType.Insert,
+ *         updateValues: [ dataValue1, dataValue2 ]
+ *     });
+ *     session.historyUpdate(updateDataDetails,function(err,results) {} );
+ *
+ * @param historyUpdateDetails {HistoryUpdateDetails|HistoryUpdateDetails[]} - UpdateDataDetails,
+ *          UpdateStructureDataDetails, DeleteRawModifiedDetails, DeleteAtTimeDetails or DeleteEventDetails
+ * @param {Function} callback -   the callback function
+ * @param callback.err {object|null} the error if the request has failed or null if OK
+ * @param callback.results {HistoryUpdateResult[]} - one result per historyUpdateDetails
+ * @param callback.diagnosticInfos {DiagnosticInfo[]} - the diagnostic infos.
+ */
+ClientSession.prototype.historyUpdate = function (historyUpdateDetails, callback) {
+
+    var self = this;
+    assert(_.isFunction(callback));
+    if (!_.isArray(historyUpdateDetails)) {
+        historyUpdateDetails = [historyUpdateDetails];
+    }
+
+    var request = new historizing_service.HistoryUpdateRequest({
+        historyUpdateDetails: historyUpdateDetails
     });
 
-    assert(nodes.length === request.nodesToRead.length);
     self.performMessageTransaction(request, function (err, response) {
 
         if (err) {
@@ -358,8 +482,8 @@ ClientSession.prototype.readHistoryValue = function (nodes, start, end, callback
             return callback(new Error(response.responseHeader.serviceResult.toString()));
         }
 
-        assert(response instanceof historizing_service.HistoryReadResponse);
-        assert(nodes.length === response.results.length);
+        assert(response instanceof historizing_service.HistoryUpdateResponse);
+        assert(historyUpdateDetails.length === response.results.length);
 
         callback(null, response.results, response.diagnosticInfos);
     });
@@ -1082,8 +1206,20 @@ var query_service = require("lib/services/query_service");
  * @param queryFirstRequest {queryFirstRequest}
  * @param callback {Function}
  * @param callback.err {Error|null}
- * @param callback.response {queryFirstResponse}
+ * @param callback.response {QueryFirstResponse}
+ *
+ * @example
+ *
+ *    session.queryFirst({
+ *        nodeTypes: [{ typeDefinitionNode: makeExpandedNodeId(pumpTypeId), includeSubtypes: true, dataToReturn: [] }],
+ *        maxDataSetsToReturn: 100
+ *    }, function (err, response) {
+ *        // response.queryDataSet contains the matching nodes
+ *        // use session.queryNext with response.continuationPoint to get the next ones
+ *    });
  *
+ * note : the callback used to receive `response.results`, which QueryFirstResponse doesn't define,
+ *        ( and was therefore always undefined ); it now receives the whole QueryFirstResponse.
  */
 ClientSession.prototype.queryFirst = function(queryFirstRequest,callback) {
     var self = this;
@@ -1097,10 +1233,66 @@ ClientSession.prototype.queryFirst = function(queryFirstRequest,callback) {
             return callback(err);
         }
         assert(response instanceof query_service.QueryFirstResponse);
-        callback(null, response.results);
+        callback(null, response);
+    });
+};
+
+/**
+ * @method queryNext
+ * @param continuationPoint {ContinuationPoint} the continuation point returned by queryFirst or queryNext
+ * @param [releaseContinuationPoint=false] {Boolean} true to release the continuation point in the server
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @param callback.response {QueryNextResponse}
+ */
+ClientSession.prototype.queryNext = function(continuationPoint, releaseContinuationPoint, callback) {
+    var self = this;
+    if (_.isFunction(releaseContinuationPoint)) {
+        callback = releaseContinuationPoint;
+        releaseContinuationPoint = false;
+    }
+    assert(_.isFunction(callback));
+
+    var request = new query_service.QueryNextRequest({
+        continuationPoint: continuationPoint,
+        releaseContinuationPoint: !!releaseContinuationPoint
+    });
+
+    self.performMessageTransaction(request, function (err, response) {
+        /* istanbul ignore next */
+        if (err) {
+            return callback(err);
+        }
+        assert(response instanceof query_service.QueryNextResponse);
+        callback(null, response);
     });
 };
 
+var ClientConditionManager = require("./client_condition_manager").ClientConditionManager;
+
+/**
+ * create a helper that maintains the table of the conditions retained by the server and that calls their
+ * methods ( Acknowledge, Confirm, AddComment, Enable, Disable, shelving and ConditionRefresh ).
+ * The condition manager monitors the events of the Server object on the given subscription once started.
+ *
+ * @method getConditionManager
+ * @param subscription {ClientSubscription} the subscription on which the condition events are monitored
+ * @return {ClientConditionManager}
+ *
+ * @example
+ *
+ *     var conditionManager = session.getConditionManager(subscription);
+ *     conditionManager.start(function (err) {
+ *         conditionManager.getConditions().forEach(function (condition) {
+ *             console.log(condition.conditionId.toString(), condition.fields.Message.text);
+ *         });
+ *     });
+ */
+ClientSession.prototype.getConditionManager = function (subscription) {
+    assert(subscription.session === this, "the subscription must belong to this session");
+    return new ClientConditionManager(this, subscription);
+};
+
 var ClientSessionKeepAliveManager = require("./client_session_keepalive_manager").ClientSessionKeepAliveManager;
 
 ClientSession.prototype.startKeepAliveManager = function() {
@@ -1124,6 +1316,16 @@ ClientSession.prototype.startKeepAliveManager = function() {
          */
         self.emit("keepalive",state);
     });
+    self._keepAliveManager.on("state_changed",function(state, previousState) {
+        /**
+         * raised when the keep-alive requests have detected a change of the state of the server
+         * ( i.e. Running => Shutdown ).
+         * @event server_state_changed
+         * @param state {ServerState}
+         * @param previousState {ServerState}
+         */
+        self.emit("server_state_changed", state, previousState);
+    });
     self._keepAliveManager.start();
 };
 
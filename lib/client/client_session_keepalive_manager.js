@@ -55,14 +55,21 @@ ClientSessionKeepAliveManager.prototype.ping_server = function(callback) {
             self.emit("failure");
         } else {
             var newState = ServerState.get(dataValues[0].value.value);
-            
-            //istanbul ignore next
-            if (newState !== self.lastKnownState) {
-                // console.log(" Server State = ", newState.toString());
-            }
-            
+            var previousState = self.lastKnownState;
+
             self.lastKnownState = newState;
 
+            if (previousState && newState !== previousState) {
+                /**
+                 * raised when the State of the ServerStatus has changed since the previous keep alive
+                 * ( i.e. the server is shutting down ).
+                 * @event state_changed
+                 * @param newState {ServerState}
+                 * @param previousState {ServerState}
+                 */
+                self.emit("state_changed", newState, previousState);
+            }
+
             self.emit("keepalive",self.lastKnownState);
         }
         callback();
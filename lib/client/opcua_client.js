@@ -62,6 +62,8 @@ function validateServerNonce(serverNonce) {
  * @param [options.keepSessionAlive=false]{Boolean}
  * @param [options.certificateFile="certificates/client_selfsigned_cert_1024.pem"] {String} client certificate pem file.
  * @param [options.privateKeyFile="certificates/client_key_1024.pem"] {String} client private key pem file.
+ * @param [options.certificateManager=null] {CertificateManager} the certificate manager used to verify the
+ *        certificate of the server.
  * @constructor
  */
 function OPCUAClient(options) {
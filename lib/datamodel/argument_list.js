@@ -128,7 +128,7 @@ function getMethodDeclaration_ArgumentList(addressSpace, objectId, methodId) {
 }
 exports.getMethodDeclaration_ArgumentList = getMethodDeclaration_ArgumentList;
 
-function isArgumentValid(argDefinition, arg) {
+function isArgumentValid(argDefinition, arg, addressSpace) {
 
     assert(arg instanceof Variant);
     assert(argDefinition instanceof Argument);
@@ -148,11 +148,26 @@ function isArgumentValid(argDefinition, arg) {
     }
 
     // check that datatype is the same
-    return (argDefinition.dataType.value === arg.dataType.value);
+    if (argDefinition.dataType.value === arg.dataType.value) {
+        return true;
+    }
+    // the argument may be declared with a subtype of a built-in type ( i.e. IntegerId, Duration )
+    if (addressSpace && addressSpace.findDataType(argDefinition.dataType)) {
+        return addressSpace.findCorrespondingBasicDataType(argDefinition.dataType) === arg.dataType;
+    }
+    return false;
 }
 
 
-function verifyArguments_ArgumentList(methodInputArguments, inputArguments) {
+/**
+ * @method verifyArguments_ArgumentList
+ * @param methodInputArguments {Argument[]} the definition of the input arguments of the method
+ * @param inputArguments {Variant[]} the input arguments provided by the client
+ * @param [addressSpace] {AddressSpace} the address space used to resolve the arguments whose data type is
+ *                                      a subtype of a built-in type
+ * @return {{statusCode: StatusCode, inputArgumentResults: StatusCode[]}}
+ */
+function verifyArguments_ArgumentList(methodInputArguments, inputArguments, addressSpace) {
 
     var inputArgumentResults = [];
 
@@ -171,7 +186,7 @@ function verifyArguments_ArgumentList(methodInputArguments, inputArguments) {
         var argDefinition = methodInputArguments[i];
         var arg = inputArguments[i];
         //xx console.log("xxxxxxxx verifyArguments_ArgumentList checking argument " + i + "  expected : " + JSON.stringify(argDefinition)+ " actual = " + JSON.stringify(arg));
-        if (!isArgumentValid(argDefinition, arg)) {
+        if (!isArgumentValid(argDefinition, arg, addressSpace)) {
             //xx console.log("xxxxxxxx verifyArguments_ArgumentList The client did specify a argument with the wrong data type.   expected : " +argDefinition.dataType+ " actual = " + arg.dataType);
             inputArgumentResults.push(StatusCodes.BadTypeMismatch);
             errorCount += 1;
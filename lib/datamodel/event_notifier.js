@@ -0,0 +1,17 @@
+"use strict";
+/**
+ * @module opcua.datamodel
+ */
+require("requirish")._(module);
+var Enum = require("lib/misc/enum");
+
+/**
+ * the bits of the EventNotifier attribute of Objects and Views (see Part 3 - 5.4)
+ * @class EventNotifierFlags
+ */
+var EventNotifierFlags = new Enum({
+    SubscribeToEvents: 0x01,//bit 0 : Indicates if it can be used to subscribe to Events (0 means cannot subscribe, 1 means can subscribe).
+    HistoryRead:       0x04,//bit 2 : Indicates if the history of the Events is readable (0 means not readable, 1 means readable).
+    HistoryWrite:      0x08 //bit 3 : Indicates if the history of the Events is writable (0 means not writable, 1 means writable).
+});
+exports.EventNotifierFlags = EventNotifierFlags;
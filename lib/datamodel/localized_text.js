@@ -4,6 +4,7 @@
  */
 require("requirish")._(module);
 var assert = require("better-assert");
+var _ = require("underscore");
 
 var LocalizedText = require("_generated_/_auto_generated_LocalizedText").LocalizedText;
 exports.LocalizedText = LocalizedText;
@@ -24,3 +25,37 @@ function coerceLocalizedText(value) {
 }
 exports.coerceLocalizedText = coerceLocalizedText;
 
+
+function _language(locale) {
+    return (locale || "").split("-")[0].toLowerCase();
+}
+
+/**
+ * select the LocalizedText that best matches a list of locales ordered by preference ( see OPC UA Part 4 - 5.6.3
+ * ActivateSession localeIds ): a text whose locale matches exactly is preferred to a text of the same language
+ * ( i.e "fr" for "fr-FR" ). The first text is returned if none of the locales match.
+ *
+ * @method selectLocalizedText
+ * @param localizedTexts {LocalizedText[]}
+ * @param [localeIds] {String|String[]}
+ * @return {LocalizedText|null}
+ */
+function selectLocalizedText(localizedTexts, localeIds) {
+
+    localizedTexts = localizedTexts || [];
+    localeIds = _.isArray(localeIds) ? localeIds : (localeIds ? [localeIds] : []);
+
+    for (var i = 0; i < localeIds.length; i++) {
+        var localeId = localeIds[i].toLowerCase();
+        var found = _.find(localizedTexts, function (localizedText) {
+            return (localizedText.locale || "").toLowerCase() === localeId;
+        }) || _.find(localizedTexts, function (localizedText) {
+            return _language(localizedText.locale) === _language(localeId);
+        });
+        if (found) {
+            return found;
+        }
+    }
+    return localizedTexts.length > 0 ? localizedTexts[0] : null;
+}
+exports.selectLocalizedText = selectLocalizedText;
@@ -0,0 +1,40 @@
+"use strict";
+/**
+ * @module opcua.datamodel
+ */
+require("requirish")._(module);
+
+var Enum = require("lib/misc/enum");
+
+/**
+ * the NodeAttributesMask indicates which fields of a NodeAttributes structure (ObjectAttributes, VariableAttributes...)
+ * contain a valid value ( see the specifiedAttributes field).
+ * (OPC-UA Spec 1.02 part 4 - 7.18.1 NodeAttributes parameters)
+ *
+ * @class NodeAttributesMask
+ */
+var NodeAttributesMask = new Enum({
+    AccessLevel:             (1 << 0),
+    ArrayDimensions:         (1 << 1),
+    BrowseName:              (1 << 2),
+    ContainsNoLoops:         (1 << 3),
+    DataType:                (1 << 4),
+    Description:             (1 << 5),
+    DisplayName:             (1 << 6),
+    EventNotifier:           (1 << 7),
+    Executable:              (1 << 8),
+    Historizing:             (1 << 9),
+    InverseName:             (1 << 10),
+    IsAbstract:              (1 << 11),
+    MinimumSamplingInterval: (1 << 12),
+    NodeClass:               (1 << 13),
+    NodeId:                  (1 << 14),
+    Symmetric:               (1 << 15),
+    UserAccessLevel:         (1 << 16),
+    UserExecutable:          (1 << 17),
+    UserWriteMask:           (1 << 18),
+    ValueRank:               (1 << 19),
+    WriteMask:               (1 << 20),
+    Value:                   (1 << 21)
+});
+exports.NodeAttributesMask = NodeAttributesMask;
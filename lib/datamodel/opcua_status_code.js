@@ -72,7 +72,13 @@ exports.encodeStatusCode = encodeStatusCode;
 var decodeStatusCode = function (stream) {
     var code = stream.readUInt32();
     var sc = StatusCodes_reverse_map[code];
-    assert(sc !== null && "expecting a known StatusCode");
+    if (!sc && (code & 0xFFFF)) {
+        // a known status code combined with some extra bits
+        // note: >>> 0 keeps the high word unsigned for the Bad status codes
+        var base = StatusCodes_reverse_map[(code & 0xFFFF0000) >>> 0];
+        sc = base ? makeStatusCode(base, code & 0xFFFF) : sc;
+    }
+    assert(!!sc && "expecting a known StatusCode");
     return sc;
 };
 
@@ -91,3 +97,87 @@ _.forEach(StatusCodes, function (code) {
  * @type {exports.StatusCodes|*}
  */
 exports.StatusCodes = StatusCodes;
+
+/**
+ * the bits of the low word of a StatusCode (see Part 4 - 7.34.1)
+ * @class ExtraStatusCodeBits
+ */
+var ExtraStatusCodeBits = {
+    StructureChanged:      0x8000,
+    SemanticChanged:       0x4000,
+    InfoTypeDataValue:     0x0400, // the info bits below are only valid with a DataValue info type
+    LimitLow:              0x0100,
+    LimitHigh:             0x0200,
+    LimitConstant:         0x0300,
+    Overflow:              0x0080,
+    HistorianCalculated:   0x0001, // the value was calculated with an aggregate
+    HistorianInterpolated: 0x0002, // the value was interpolated
+    HistorianPartial:      0x0004, // the value was calculated with an incomplete interval
+    HistorianExtraData:    0x0008,
+    HistorianMultiValue:   0x0010
+};
+exports.ExtraStatusCodeBits = ExtraStatusCodeBits;
+
+var INFO_BITS_MASK = 0x03FF;
+
+function _extraBitsName(extraBits) {
+    return _.filter(_.keys(ExtraStatusCodeBits), function (key) {
+        var bits = ExtraStatusCodeBits[key];
+        return key !== "InfoTypeDataValue" && (extraBits & bits) === bits;
+    }).join("#");
+}
+
+/**
+ * returns the StatusCode made of a StatusCode and some extra bits.
+ *
+ * The InfoType bit is added when a info bit ( limit, overflow or historian bits ) is set.
+ * StatusCodes with extra bits are shared, so that they can be compared with ===.
+ *
+ * @example
+ *     var statusCode = makeStatusCode(StatusCodes.Good, "HistorianCalculated | HistorianPartial");
+ *     statusCode.name.should.eql("Good#HistorianCalculated#HistorianPartial");
+ *
+ * @method makeStatusCode
+ * @param statusCode {StatusCode}
+ * @param extraBits {Number|String} the extra bits, or the names of the ExtraStatusCodeBits separated by |
+ * @return {StatusCode}
+ * @for StatusCodes
+ */
+function makeStatusCode(statusCode, extraBits) {
+
+    assert(statusCode instanceof StatusCode);
+    if (typeof extraBits === "string") {
+        extraBits = extraBits.split("|").reduce(function (bits, name) {
+            name = name.trim();
+            assert(ExtraStatusCodeBits.hasOwnProperty(name), "invalid extra status code bit");
+            return bits | ExtraStatusCodeBits[name];
+        }, 0);
+    }
+    if (extraBits & INFO_BITS_MASK) {
+        extraBits |= ExtraStatusCodeBits.InfoTypeDataValue;
+    }
+    var baseValue = (statusCode.value & 0xFFFF0000) >>> 0;
+    var value = (baseValue | extraBits) >>> 0;
+    if (!StatusCodes_reverse_map[value]) {
+        var base = StatusCodes_reverse_map[baseValue];
+        assert(base, "expecting a known StatusCode");
+        StatusCodes_reverse_map[value] = new StatusCode({
+            value: value,
+            name: base.name + "#" + _extraBitsName(extraBits),
+            description: base.description
+        });
+    }
+    return StatusCodes_reverse_map[value];
+}
+exports.makeStatusCode = makeStatusCode;
+
+/**
+ * returns the StatusCode without its extra bits
+ * @method getBaseStatusCode
+ * @param statusCode {StatusCode}
+ * @return {StatusCode}
+ * @for StatusCodes
+ */
+exports.getBaseStatusCode = function (statusCode) {
+    return StatusCodes_reverse_map[(statusCode.value & 0xFFFF0000) >>> 0] || statusCode;
+};
@@ -0,0 +1,547 @@
+"use strict";
+/**
+ * @module opcua.miscellaneous
+ */
+require("requirish")._(module);
+
+var fs = require("fs");
+var path = require("path");
+var async = require("async");
+var assert = require("better-assert");
+var _ = require("underscore");
+
+var crypto_utils = require("lib/misc/crypto_utils");
+var crypto_explore_certificate = require("lib/misc/crypto_explore_certificate");
+var exploreCertificate = crypto_explore_certificate.exploreCertificate;
+var exploreCertificateRevocationList = crypto_explore_certificate.exploreCertificateRevocationList;
+var split_der = crypto_explore_certificate.split_der;
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+
+var debugLog = require("lib/misc/utils").make_debugLog(__filename);
+
+/**
+ * A CertificateManager maintains the certificate stores of a OPCUA application and validates
+ * the certificates presented by the peers.
+ *
+ * The certificates are stored in a PKI folder with the following layout:
+ *
+ *     <location>
+ *        +-> own/certs         the certificate of the application
+ *        +-> own/private       the private key of the application
+ *        +-> trusted/certs     the trusted certificates ( application certificates or CA certificates )
+ *        +-> trusted/crl       the revocation lists of the trusted CAs
+ *        +-> issuers/certs     the CA certificates that are needed to build the chains but that are not trusted
+ *        +-> issuers/crl       the revocation lists of the issuers CAs
+ *        +-> rejected          the certificates that have been rejected
+ *
+ * The certificates and the certificate revocation lists can be stored in the DER or in the PEM format.
+ *
+ * @class CertificateManager
+ * @param options
+ * @param options.location {String} the PKI folder
+ * @param [options.automaticallyAcceptUnknownCertificate = false] {Boolean} when true, unknown certificates
+ *        are added to the trusted certificates instead of being rejected.
+ * @param [options.ignoreMissingRevocationList = false] {Boolean} when true, a certificate whose issuer has no
+ *        certificate revocation list is accepted instead of being reported as BadCertificateRevocationUnknown.
+ * @constructor
+ */
+function CertificateManager(options) {
+
+    assert(options && typeof options.location === "string");
+
+    this.location = options.location;
+    this.automaticallyAcceptUnknownCertificate = !!options.automaticallyAcceptUnknownCertificate;
+    this.ignoreMissingRevocationList = !!options.ignoreMissingRevocationList;
+
+    this.ownCertsFolder = path.join(this.location, "own/certs");
+    this.ownPrivateFolder = path.join(this.location, "own/private");
+    this.trustedFolder = path.join(this.location, "trusted/certs");
+    this.trustedCrlFolder = path.join(this.location, "trusted/crl");
+    this.issuersFolder = path.join(this.location, "issuers/certs");
+    this.issuersCrlFolder = path.join(this.location, "issuers/crl");
+    this.rejectedFolder = path.join(this.location, "rejected");
+
+    // the certificates and revocation lists already parsed, by folder and by file
+    this._cache = {};
+}
+
+function _mkdir(folder, callback) {
+    fs.mkdir(folder, function (err) {
+        callback(err && err.code !== "EEXIST" ? err : null);
+    });
+}
+
+/**
+ * create the folders of the PKI if they don't exist yet
+ * @method initialize
+ * @async
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ */
+CertificateManager.prototype.initialize = function (callback) {
+
+    var self = this;
+    assert(_.isFunction(callback));
+
+    var folders = [
+        self.location,
+        path.join(self.location, "own"),
+        self.ownCertsFolder,
+        self.ownPrivateFolder,
+        path.join(self.location, "trusted"),
+        self.trustedFolder,
+        self.trustedCrlFolder,
+        path.join(self.location, "issuers"),
+        self.issuersFolder,
+        self.issuersCrlFolder,
+        self.rejectedFolder
+    ];
+    async.eachSeries(folders, _mkdir, callback);
+};
+
+function _readDERorPEM(filename, callback) {
+
+    fs.readFile(filename, function (err, data) {
+        if (err) {
+            return callback(err);
+        }
+        if (data.toString("ascii", 0, 11) === "-----BEGIN ") {
+            data = crypto_utils.readPEM(data.toString("ascii"));
+        }
+        callback(null, data);
+    });
+}
+
+/**
+ * read the files of a folder whose name matches a pattern, and parse them with parseFile.
+ *
+ * The parsed content of the files is kept in cache : a file is only read and parsed again when its
+ * modification time or its size have changed.
+ *
+ * @method _readFolder
+ * @param cache {Object} the cache of the CertificateManager
+ * @param folder {String}
+ * @param pattern {RegExp}
+ * @param parseFile {Function} returns the content of a file, given its data
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @param callback.contents {Array} the content of each file, or null for the files that cannot be read
+ * @private
+ */
+function _readFolder(cache, folder, pattern, parseFile, callback) {
+
+    fs.readdir(folder, function (err, files) {
+        if (err) {
+            return callback(err.code === "ENOENT" ? null : err, []);
+        }
+        files = files.filter(function (file) {
+            return pattern.test(file);
+        });
+        var folderCache = cache[folder] || {};
+        var newFolderCache = {};
+        async.map(files, function (file, inner_callback) {
+            var filename = path.join(folder, file);
+            fs.stat(filename, function (err, stats) {
+                if (err) {
+                    // the file has been removed in the meantime
+                    return inner_callback(null, null);
+                }
+                var timestamp = stats.mtime.getTime() + ":" + stats.size;
+                var entry = folderCache[file];
+                if (entry && entry.timestamp === timestamp) {
+                    newFolderCache[file] = entry;
+                    return inner_callback(null, entry.content);
+                }
+                _readDERorPEM(filename, function (err, data) {
+                    if (err) {
+                        return inner_callback(null, null);
+                    }
+                    var content = parseFile(data, file);
+                    newFolderCache[file] = {timestamp: timestamp, content: content};
+                    inner_callback(null, content);
+                });
+            });
+        }, function (err, contents) {
+            cache[folder] = newFolderCache;
+            callback(err, _.compact(contents));
+        });
+    });
+}
+
+function _parseCertificates(data, file) {
+    try {
+        var certificates = split_der(data);
+        certificates.forEach(exploreCertificate);
+        return certificates;
+    }
+    catch (err) {
+        debugLog(" ignoring invalid certificate file ", file);
+        return [];
+    }
+}
+
+function _parseRevocationList(data, file) {
+    try {
+        return {
+            data: data,
+            tbsCertList: exploreCertificateRevocationList(data).tbsCertList
+        };
+    }
+    catch (err) {
+        debugLog(" ignoring invalid certificate revocation list file ", file);
+        return null;
+    }
+}
+
+/**
+ * read all the certificates stored in a folder
+ * files that are not valid certificates are ignored.
+ * @method _readCertificates
+ * @param folder {String}
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @param callback.certificates {Buffer[]}
+ * @private
+ */
+CertificateManager.prototype._readCertificates = function (folder, callback) {
+
+    _readFolder(this._cache, folder, /\.(pem|der|crt|cer)$/, _parseCertificates, function (err, results) {
+        callback(err, _.flatten(results, true));
+    });
+};
+
+/**
+ * read all the certificate revocation lists stored in a folder
+ * files that are not valid certificate revocation lists are ignored.
+ * @method _readRevocationLists
+ * @param folder {String}
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @param callback.revocationLists {Object[]} the DER revocation lists ( data ) and their content ( tbsCertList )
+ * @private
+ */
+CertificateManager.prototype._readRevocationLists = function (folder, callback) {
+
+    _readFolder(this._cache, folder, /\.(crl|pem|der)$/, _parseRevocationList, callback);
+};
+
+function _thumbprint(certificate) {
+    return crypto_utils.makeSHA1Thumbprint(certificate).toString("hex");
+}
+
+function _isSelfSigned(certificate) {
+    var tbsCertificate = exploreCertificate(certificate).tbsCertificate;
+    return _.isEqual(tbsCertificate.issuer, tbsCertificate.subject) &&
+        crypto_utils.verifyCertificateSignature(certificate, certificate);
+}
+
+function _findIssuer(certificate, candidates) {
+    var issuerName = exploreCertificate(certificate).tbsCertificate.issuer;
+    return _.find(candidates, function (candidate) {
+        return _.isEqual(exploreCertificate(candidate).tbsCertificate.subject, issuerName) &&
+            crypto_utils.verifyCertificateSignature(certificate, candidate);
+    }) || null;
+}
+
+function _writeCertificate(folder, certificate, callback) {
+    var filename = path.join(folder, _thumbprint(certificate) + ".pem");
+    fs.writeFile(filename, crypto_utils.toPem(certificate, "CERTIFICATE"), callback);
+}
+
+function _removeCertificate(folder, certificate, callback) {
+    var filename = path.join(folder, _thumbprint(certificate) + ".pem");
+    fs.unlink(filename, function (err) {
+        callback(err && err.code !== "ENOENT" ? err : null);
+    });
+}
+
+/**
+ * add a certificate to the trusted certificates
+ * @method trustCertificate
+ * @async
+ * @param certificate {Buffer} the DER certificate
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ */
+CertificateManager.prototype.trustCertificate = function (certificate, callback) {
+
+    var self = this;
+    assert(certificate instanceof Buffer);
+    async.series([
+        _removeCertificate.bind(null, self.rejectedFolder, certificate),
+        _writeCertificate.bind(null, self.trustedFolder, certificate)
+    ], function (err) {
+        callback(err);
+    });
+};
+
+/**
+ * move a certificate to the rejected certificates
+ * @method rejectCertificate
+ * @async
+ * @param certificate {Buffer} the DER certificate
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ */
+CertificateManager.prototype.rejectCertificate = function (certificate, callback) {
+
+    var self = this;
+    assert(certificate instanceof Buffer);
+    async.series([
+        _removeCertificate.bind(null, self.trustedFolder, certificate),
+        _writeCertificate.bind(null, self.rejectedFolder, certificate)
+    ], function (err) {
+        callback(err);
+    });
+};
+
+/**
+ * add a certificate revocation list to the revocation lists of the trusted CAs
+ * @method addRevocationList
+ * @async
+ * @param revocationList {Buffer} the DER certificate revocation list
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ */
+CertificateManager.prototype.addRevocationList = function (revocationList, callback) {
+
+    var self = this;
+    assert(revocationList instanceof Buffer);
+    var filename = path.join(self.trustedCrlFolder, _thumbprint(revocationList) + ".der");
+    fs.writeFile(filename, revocationList, callback);
+};
+
+/**
+ * @method getCertificateStatus
+ * @async
+ * @param certificate {Buffer} the DER certificate
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @param callback.status {String} "trusted", "rejected" or "unknown"
+ */
+CertificateManager.prototype.getCertificateStatus = function (certificate, callback) {
+
+    var self = this;
+    var thumbprint = _thumbprint(certificate);
+
+    function contains(certificates) {
+        return _.some(certificates, function (c) {
+            return _thumbprint(c) === thumbprint;
+        });
+    }
+
+    async.parallel([
+        self._readCertificates.bind(self, self.trustedFolder),
+        self._readCertificates.bind(self, self.rejectedFolder)
+    ], function (err, results) {
+        if (err) {
+            return callback(err);
+        }
+        var status = contains(results[0]) ? "trusted" : (contains(results[1]) ? "rejected" : "unknown");
+        callback(null, status);
+    });
+};
+
+function _isOutOfDate(certificate, now) {
+    var validity = exploreCertificate(certificate).tbsCertificate.validity;
+    return now.getTime() < validity.notBefore.getTime() || now.getTime() > validity.notAfter.getTime();
+}
+
+function _keyUsage(certificate) {
+    var extensions = exploreCertificate(certificate).tbsCertificate.extensions;
+    return extensions ? extensions.keyUsage : null;
+}
+
+/**
+ * verify a certificate sent by a peer.
+ *
+ * the following checks are performed, in this order :
+ *   - the certificate structure                         ( BadCertificateInvalid )
+ *   - the certificate, or one of its issuers, must be trusted
+ *     unknown certificates are moved to the rejected folder   ( BadCertificateUntrusted )
+ *   - the validity period of the certificate and of its issuers
+ *                                      ( BadCertificateTimeInvalid, BadCertificateIssuerTimeInvalid )
+ *   - the applicationUri matches the URI of the SubjectAltName extension    ( BadCertificateUriInvalid )
+ *   - the key usage of the certificate and of its issuers
+ *                                      ( BadCertificateUseNotAllowed, BadCertificateIssuerUseNotAllowed )
+ *   - the certificate and its issuers must not appear in the revocation list of their issuer
+ *                                      ( BadCertificateRevoked, BadCertificateIssuerRevoked )
+ *     the revocation lists are searched in the trusted/crl and issuers/crl folders; if a known issuer
+ *     has no revocation list, or only revocation lists that are past their nextUpdate date,
+ *     BadCertificateRevocationUnknown ( or BadCertificateIssuerRevocationUnknown ) is reported unless
+ *     the manager has been created with ignoreMissingRevocationList.
+ *
+ * The certificates and the revocation lists of the PKI folders are parsed once and kept in cache until
+ * their files are modified.
+ *
+ * The chain of the certificate is built from the certificates sent by the peer and from
+ * the certificates found in the issuers and trusted folders.
+ *
+ * @method checkCertificate
+ * @async
+ * @param certificateChain {Buffer} the DER certificate, optionally followed by its issuer certificates
+ * @param [options]
+ * @param [options.applicationUri] {String} the applicationUri that the certificate must contain
+ * @param callback {Function}
+ * @param callback.err {Error|null}
+ * @param callback.statusCode {StatusCode}
+ */
+CertificateManager.prototype.checkCertificate = function (certificateChain, options, callback) {
+
+    var self = this;
+    if (_.isFunction(options)) {
+        callback = options;
+        options = {};
+    }
+    assert(_.isFunction(callback));
+
+    var chain;
+    try {
+        chain = split_der(certificateChain);
+        chain.forEach(exploreCertificate);
+    }
+    catch (err) {
+        return callback(null, StatusCodes.BadCertificateInvalid);
+    }
+    var certificate = chain[0];
+
+    async.parallel([
+        self._readCertificates.bind(self, self.trustedFolder),
+        self._readCertificates.bind(self, self.issuersFolder),
+        self._readRevocationLists.bind(self, self.trustedCrlFolder),
+        self._readRevocationLists.bind(self, self.issuersCrlFolder)
+    ], function (err, results) {
+
+        if (err) {
+            return callback(err);
+        }
+        var trustedCertificates = results[0];
+        var issuerCertificates = results[1];
+        var revocationLists = results[2].concat(results[3]);
+
+        // build the chain, from the certificate up to its root CA
+        var candidates = chain.slice(1).concat(issuerCertificates, trustedCertificates);
+        var certificates = [certificate];
+        var current = certificate;
+        while (!_isSelfSigned(current)) {
+            var issuer = _findIssuer(current, candidates);
+            if (!issuer || _.contains(certificates, issuer)) {
+                break;
+            }
+            certificates.push(issuer);
+            current = issuer;
+        }
+
+        function checkCertificateChain() {
+            var status = _checkCertificateChain(certificates, options);
+            if (status !== StatusCodes.Good) {
+                return status;
+            }
+            return _checkRevocationStatus(certificates, revocationLists, self.ignoreMissingRevocationList, new Date());
+        }
+
+        var trustedThumbprints = trustedCertificates.map(_thumbprint);
+        var isTrusted = _.some(certificates, function (c) {
+            return trustedThumbprints.indexOf(_thumbprint(c)) >= 0;
+        });
+
+        if (!isTrusted) {
+            if (self.automaticallyAcceptUnknownCertificate) {
+                debugLog(" accepting unknown certificate ", _thumbprint(certificate));
+                return self.trustCertificate(certificate, function (err) {
+                    callback(err, err ? null : checkCertificateChain());
+                });
+            }
+            debugLog(" rejecting unknown certificate ", _thumbprint(certificate));
+            return self.rejectCertificate(certificate, function (err) {
+                callback(err, err ? null : StatusCodes.BadCertificateUntrusted);
+            });
+        }
+        callback(null, checkCertificateChain());
+    });
+};
+
+function _checkCertificateChain(certificates, options) {
+
+    var now = new Date();
+    var certificate = certificates[0];
+    var issuers = certificates.slice(1);
+
+    if (_isOutOfDate(certificate, now)) {
+        return StatusCodes.BadCertificateTimeInvalid;
+    }
+    if (_.some(issuers, function (issuer) {
+            return _isOutOfDate(issuer, now);
+        })) {
+        return StatusCodes.BadCertificateIssuerTimeInvalid;
+    }
+
+    if (options.applicationUri) {
+        var extensions = exploreCertificate(certificate).tbsCertificate.extensions;
+        var subjectAltName = extensions ? extensions.subjectAltName : null;
+        var uris = (subjectAltName && subjectAltName.uniformResourceIdentifier) || [];
+        if (uris.indexOf(options.applicationUri) < 0) {
+            return StatusCodes.BadCertificateUriInvalid;
+        }
+    }
+
+    // an application instance certificate must allow digital signatures and key encipherment
+    var keyUsage = _keyUsage(certificate);
+    if (keyUsage && !(keyUsage.digitalSignature && keyUsage.keyEncipherment)) {
+        return StatusCodes.BadCertificateUseNotAllowed;
+    }
+    // an issuer certificate must allow certificate signing
+    if (_.some(issuers, function (issuer) {
+            var keyUsage = _keyUsage(issuer);
+            return keyUsage && !keyUsage.keyCertSign;
+        })) {
+        return StatusCodes.BadCertificateIssuerUseNotAllowed;
+    }
+    return StatusCodes.Good;
+}
+
+function _isRevocationListOutOfDate(revocationList, now) {
+    var nextUpdate = revocationList.tbsCertList.nextUpdate;
+    return !!nextUpdate && now.getTime() > nextUpdate.getTime();
+}
+
+function _checkRevocationStatus(certificates, revocationLists, ignoreMissingRevocationList, now) {
+
+    for (var i = 0; i < certificates.length; i++) {
+
+        var certificate = certificates[i];
+        var issuer = certificates[i + 1];
+        // self-signed certificates and root CAs are not revoked through a revocation list, and
+        // a certificate that has been trusted explicitly without its issuer cannot be checked
+        if (!issuer) {
+            break;
+        }
+        var issuerName = exploreCertificate(issuer).tbsCertificate.subject;
+
+        var issuerRevocationLists = revocationLists.filter(function (revocationList) {
+            return _.isEqual(revocationList.tbsCertList.issuer, issuerName) &&
+                crypto_utils.verifyCertificateSignature(revocationList.data, issuer);
+        });
+
+        var serialNumber = exploreCertificate(certificate).tbsCertificate.serialNumber;
+        var isRevoked = _.some(issuerRevocationLists, function (revocationList) {
+            return _.some(revocationList.tbsCertList.revokedCertificates, function (entry) {
+                return entry.userCertificate === serialNumber;
+            });
+        });
+        if (isRevoked) {
+            return i === 0 ? StatusCodes.BadCertificateRevoked : StatusCodes.BadCertificateIssuerRevoked;
+        }
+
+        // a revocation list that is past its nextUpdate date may miss the latest revoked certificates
+        var hasUpToDateRevocationList = _.some(issuerRevocationLists, function (revocationList) {
+            return !_isRevocationListOutOfDate(revocationList, now);
+        });
+        if (!hasUpToDateRevocationList && !ignoreMissingRevocationList) {
+            return i === 0 ? StatusCodes.BadCertificateRevocationUnknown : StatusCodes.BadCertificateIssuerRevocationUnknown;
+        }
+    }
+    return StatusCodes.Good;
+}
+
+exports.CertificateManager = CertificateManager;
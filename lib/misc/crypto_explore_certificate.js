@@ -73,7 +73,8 @@ var tagTypes = {
     TeletexString: 0x14,
     IA5String: 0x16,
     UTCTime: 0x17,
-    GeneralizedTime: 0x18
+    GeneralizedTime: 0x18,
+    SEQUENCE: 0x30
 
 };
 
@@ -306,6 +307,12 @@ var oid_map = {
     "2.5.29.67": {"d": "allowedAttAss", "c": "X.509 extension", "w": false},
     "2.5.29.68": {"d": "attributeMappings", "c": "X.509 extension", "w": false},
     "2.5.29.69": {"d": "holderNameConstraints", "c": "X.509 extension", "w": false},
+    "1.3.6.1.5.5.7.3.1": {"d": "serverAuth", "c": "X.509 extended key usage", "w": false},
+    "1.3.6.1.5.5.7.3.2": {"d": "clientAuth", "c": "X.509 extended key usage", "w": false},
+    "1.3.6.1.5.5.7.3.3": {"d": "codeSigning", "c": "X.509 extended key usage", "w": false},
+    "1.3.6.1.5.5.7.3.4": {"d": "emailProtection", "c": "X.509 extended key usage", "w": false},
+    "1.3.6.1.5.5.7.3.8": {"d": "timeStamping", "c": "X.509 extended key usage", "w": false},
+    "1.3.6.1.5.5.7.3.9": {"d": "OCSPSigning", "c": "X.509 extended key usage", "w": false},
     "done": {}
 };
 
@@ -643,6 +650,70 @@ function read_authorityKeyIdentifier(buffer) {
         authorityCertIssuer: authorityCertIssuer_block ? read_authorithyCertIssuer(authorityCertIssuer_block) : null
     };
 }
+// KeyUsage ::= BIT STRING {
+//      digitalSignature        (0),
+//      nonRepudiation          (1),
+//      keyEncipherment         (2),
+//      dataEncipherment        (3),
+//      keyAgreement            (4),
+//      keyCertSign             (5),
+//      cRLSign                 (6),
+//      encipherOnly            (7),
+//      decipherOnly            (8) }
+function read_KeyUsage(buffer) {
+
+    var block_info = readTag(buffer, 0);
+    assert(block_info.tag === tagTypes.BIT_STRING);
+    var data = read_BitString(buffer, block_info).data;
+
+    var b0 = data.length > 0 ? data.readUInt8(0) : 0;
+    var b1 = data.length > 1 ? data.readUInt8(1) : 0;
+    return {
+        digitalSignature: !!(b0 & 0x80),
+        nonRepudiation:   !!(b0 & 0x40),
+        keyEncipherment:  !!(b0 & 0x20),
+        dataEncipherment: !!(b0 & 0x10),
+        keyAgreement:     !!(b0 & 0x08),
+        keyCertSign:      !!(b0 & 0x04),
+        cRLSign:          !!(b0 & 0x02),
+        encipherOnly:     !!(b0 & 0x01),
+        decipherOnly:     !!(b1 & 0x80)
+    };
+}
+
+// BasicConstraints ::= SEQUENCE {
+//      cA                      BOOLEAN DEFAULT FALSE,
+//      pathLenConstraint       INTEGER (0..MAX) OPTIONAL }
+function read_BasicConstraints(buffer) {
+
+    var block_info = readTag(buffer, 0);
+    var inner_blocks = readStruct(buffer, block_info);
+
+    var result = {cA: false, pathLengthConstraint: null};
+    inner_blocks.forEach(function (block) {
+        if (block.tag === tagTypes.BOOLEAN) {
+            result.cA = buffer.readUInt8(block.position) !== 0;
+        } else if (block.tag === tagTypes.INTEGER) {
+            result.pathLengthConstraint = read_IntegerValue(buffer, block);
+        }
+    });
+    return result;
+}
+
+// ExtKeyUsageSyntax ::= SEQUENCE SIZE (1..MAX) OF KeyPurposeId
+// KeyPurposeId ::= OBJECT IDENTIFIER
+function read_ExtKeyUsage(buffer) {
+
+    var block_info = readTag(buffer, 0);
+    var inner_blocks = readStruct(buffer, block_info);
+
+    var result = {};
+    inner_blocks.forEach(function (block) {
+        result[read_ObjectIdentifier(buffer, block)] = true;
+    });
+    return result;
+}
+
 /*
  Extension  ::=  SEQUENCE  {
  extnID      OBJECT IDENTIFIER,
@@ -678,6 +749,13 @@ function read_Extension(buffer, block) {
             value = read_authorityKeyIdentifier(buf);
             break;
         case "basicConstraints":
+            value = read_BasicConstraints(buf);
+            break;
+        case "keyUsage":
+            value = read_KeyUsage(buf);
+            break;
+        case "extKeyUsage":
+            value = read_ExtKeyUsage(buf);
             break;
         default:
             value = "Unknown " + hexDump(buf);
@@ -946,6 +1024,123 @@ function exploreCertificate(buffer) {
 
 exports.exploreCertificate = exploreCertificate;
 
+/**
+ * extract the signed part, the signature algorithm and the signature of a signed DER structure
+ * (certificate, certificate revocation list, certificate signing request ...)
+ *
+ *     SignedData  ::=  SEQUENCE  {
+ *          tbsData              SEQUENCE,
+ *          signatureAlgorithm   AlgorithmIdentifier,
+ *          signatureValue       BIT STRING  }
+ *
+ * @method exploreSignedData
+ * @param buffer {Buffer}
+ * @return {Object}
+ * @return {Buffer} return.tbsData            the bytes covered by the signature
+ * @return {String} return.signatureAlgorithm for instance "sha256WithRSAEncryption"
+ * @return {Buffer} return.signatureValue
+ */
+function exploreSignedData(buffer) {
+
+    assert(buffer instanceof Buffer);
+    var block_info = readTag(buffer, 0);
+    var blocks = readStruct(buffer, block_info);
+    assert(blocks.length === 3);
+
+    // the signed bytes include the tag and the length of the tbsData block
+    var tbs_start = block_info.position;
+    var tbs_end = blocks[0].position + blocks[0].length;
+    return {
+        tbsData: buffer.slice(tbs_start, tbs_end),
+        signatureAlgorithm: read_AlgorithmIdentifier(buffer, blocks[1]).identifier,
+        signatureValue: read_BitString(buffer, blocks[2]).data
+    };
+}
+exports.exploreSignedData = exploreSignedData;
+
+function read_RevokedCertificates(buffer, block) {
+    // revokedCertificates     SEQUENCE OF SEQUENCE  {
+    //      userCertificate         CertificateSerialNumber,
+    //      revocationDate          Time,
+    //      crlEntryExtensions      Extensions OPTIONAL }
+    var inner_blocks = readStruct(buffer, block);
+    return inner_blocks.map(function (entry_block) {
+        var blocks = readStruct(buffer, entry_block);
+        return {
+            userCertificate: read_LongIntegerValue(buffer, blocks[0]),
+            revocationDate: read_time(buffer, blocks[1])
+        };
+    });
+}
+
+function read_tbsCertList(buffer, block) {
+
+    // TBSCertList  ::=  SEQUENCE  {
+    //      version                 Version OPTIONAL,     -- if present, MUST be v2
+    //      signature               AlgorithmIdentifier,
+    //      issuer                  Name,
+    //      thisUpdate              Time,
+    //      nextUpdate              Time OPTIONAL,
+    //      revokedCertificates     SEQUENCE OF SEQUENCE  { ... }  OPTIONAL,
+    //      crlExtensions           [0]  EXPLICIT Extensions OPTIONAL }
+    var blocks = readStruct(buffer, block);
+
+    var index = 0;
+    var version = 1;
+    if (blocks[index].tag === tagTypes.INTEGER) {
+        version = read_IntegerValue(buffer, blocks[index]) + 1;
+        index += 1;
+    }
+    var signature = read_AlgorithmIdentifier(buffer, blocks[index++]);
+    var issuer = read_Name(buffer, blocks[index++]);
+    var thisUpdate = read_time(buffer, blocks[index++]);
+
+    var nextUpdate = null;
+    if (blocks[index] && (blocks[index].tag === tagTypes.UTCTime || blocks[index].tag === tagTypes.GeneralizedTime)) {
+        nextUpdate = read_time(buffer, blocks[index++]);
+    }
+    var revokedCertificates = [];
+    if (blocks[index] && blocks[index].tag === tagTypes.SEQUENCE) {
+        revokedCertificates = read_RevokedCertificates(buffer, blocks[index++]);
+    }
+    return {
+        version: version,
+        signature: signature,
+        issuer: issuer,
+        thisUpdate: thisUpdate,
+        nextUpdate: nextUpdate,
+        revokedCertificates: revokedCertificates
+    };
+}
+
+/**
+ * explore a DER certificate revocation list
+ *
+ *     CertificateList  ::=  SEQUENCE  {
+ *          tbsCertList          TBSCertList,
+ *          signatureAlgorithm   AlgorithmIdentifier,
+ *          signatureValue       BIT STRING  }
+ *
+ * the serial numbers of the revoked certificates have the same format as the
+ * serialNumber of a certificate returned by exploreCertificate.
+ *
+ * @method exploreCertificateRevocationList
+ * @param buffer {Buffer} the DER certificate revocation list
+ * @return {Object}
+ */
+function exploreCertificateRevocationList(buffer) {
+
+    assert(buffer instanceof Buffer);
+    var block_info = readTag(buffer, 0);
+    var blocks = readStruct(buffer, block_info);
+    return {
+        tbsCertList: read_tbsCertList(buffer, blocks[0]),
+        signatureAlgorithm: read_AlgorithmIdentifier(buffer, blocks[1]),
+        signatureValue: read_SignatureValue(buffer, blocks[2])
+    };
+}
+exports.exploreCertificateRevocationList = exploreCertificateRevocationList;
+
 
 /**
  * @method combine_der
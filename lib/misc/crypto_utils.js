@@ -90,7 +90,7 @@ function toPem(raw_key, pem) {
         return raw_key;
     } else {
         pemType = pem;
-        assert(["CERTIFICATE", "RSA PRIVATE KEY", "PUBLIC KEY"].indexOf(pemType) >= 0);
+        assert(["CERTIFICATE", "CERTIFICATE REQUEST", "RSA PRIVATE KEY", "PUBLIC KEY"].indexOf(pemType) >= 0);
         var b = raw_key.toString("base64");
         var str = "-----BEGIN " + pemType + "-----\n";
         while (b.length) {
@@ -104,6 +104,14 @@ function toPem(raw_key, pem) {
 }
 exports.toPem = toPem;
 
+// the key is passed with its padding options when the signature is not a RSA-PKCS1-v1_5 signature
+function makeRsaKeyOptions(key, options) {
+    if (!options.padding) {
+        return key;
+    }
+    return {key: key, padding: options.padding, saltLength: options.saltLength};
+}
+
 /**
  * @method makeMessageChunkSignature
  * @param chunk
@@ -111,6 +119,8 @@ exports.toPem = toPem;
  * @param options.signatureLength {Number}
  * @param options.algorithm {String}   for example "RSA-SHA256"
  * @param options.privateKey {Buffer}
+ * @param [options.padding] {Number}   RSA_PKCS1_PSS_PADDING for a RSA-PSS signature
+ * @param [options.saltLength] {Number} the salt length of a RSA-PSS signature
  * @return {Buffer} - the signature
  */
 function makeMessageChunkSignature(chunk, options) {
@@ -121,7 +131,7 @@ function makeMessageChunkSignature(chunk, options) {
     // signature length = 128 bytes
     var signer = crypto.createSign(options.algorithm);
     signer.update(chunk);
-    var signature = signer.sign(options.privateKey, 'binary');
+    var signature = signer.sign(makeRsaKeyOptions(options.privateKey, options), 'binary');
     //xx console.log("xxx makeMessageChunkSignature signature.length = ",signature.length);
     //xx console.log("xxxxx ",options);
     //xx console.log("xxxxx ",require("lib/misc/utils").hexDump(new Buffer(signature, "binary")));
@@ -145,6 +155,8 @@ exports.makeMessageChunkSignature = makeMessageChunkSignature;
  * @param options.signatureLength {Number}
  * @param options.algorithm {String}   for example "RSA-SHA256"
  * @param options.publicKey {Buffer}*
+ * @param [options.padding] {Number}   RSA_PKCS1_PSS_PADDING for a RSA-PSS signature
+ * @param [options.saltLength] {Number} the salt length of a RSA-PSS signature
  * @return {Boolean} - true if the signature is valid
  */
 exports.verifyMessageChunkSignature = function (block_to_verify, signature, options) {
@@ -160,7 +172,7 @@ exports.verifyMessageChunkSignature = function (block_to_verify, signature, opti
     var verify = crypto.createVerify(options.algorithm);
     verify.update(block_to_verify, "binary");
 
-    var isValid = verify.verify(options.publicKey, signature);
+    var isValid = verify.verify(makeRsaKeyOptions(options.publicKey, options), signature);
     //xx console.log("xxxxx VALID =",isValid);
     return isValid;
 };
@@ -280,6 +292,108 @@ if (ursa) {
     exports.RSA_PKCS1_OAEP_PADDING = ursa.RSA_PKCS1_OAEP_PADDING;
     exports.RSA_PKCS1_PADDING = ursa.RSA_PKCS1_PADDING;
 }
+// RSA-OAEP with SHA256 and MGF1-SHA256 is provided by the crypto module since node 12.9 ( oaepHash option ).
+// With older versions, the message is padded here (see RFC 8017 7.1) and encrypted without padding.
+exports.RSA_PKCS1_OAEP_SHA256_PADDING = "RSA_PKCS1_OAEP_SHA256_PADDING";
+exports.RSA_PKCS1_PSS_PADDING = constants.RSA_PKCS1_PSS_PADDING;
+var RSA_NO_PADDING = ursa ? ursa.RSA_NO_PADDING : constants.RSA_NO_PADDING;
+var hasNativeOaepHash = (function () {
+    var version = process.versions.node.split(".").map(Number);
+    return version[0] > 12 || (version[0] === 12 && version[1] >= 9);
+})();
+
+function isSupportedRsaPadding(algorithm) {
+    return algorithm === crypto_utils.RSA_PKCS1_PADDING ||
+        algorithm === crypto_utils.RSA_PKCS1_OAEP_PADDING ||
+        algorithm === crypto_utils.RSA_PKCS1_OAEP_SHA256_PADDING;
+}
+
+function MGF1_SHA256(seed, maskLength) {
+    var chunks = [];
+    var counter = new Buffer(4);
+    for (var i = 0; i * 32 < maskLength; i++) {
+        counter.writeUInt32BE(i, 0);
+        chunks.push(crypto.createHash("sha256").update(Buffer.concat([seed, counter])).digest());
+    }
+    return Buffer.concat(chunks).slice(0, maskLength);
+}
+
+function xor(buf1, buf2) {
+    var result = new Buffer(buf1.length);
+    for (var i = 0; i < buf1.length; i++) {
+        result[i] = buf1[i] ^ buf2[i];
+    }
+    return result;
+}
+
+var hLen_SHA256 = 32;
+var lHash_SHA256 = crypto.createHash("sha256").update(new Buffer(0)).digest();
+
+/**
+ * EME-OAEP encoding with SHA256 and MGF1-SHA256 (RFC 8017 7.1.1)
+ * @method oaepSHA256Encode
+ * @param message {Buffer}
+ * @param keyLength {Number} the length of the RSA modulus in bytes
+ * @return {Buffer} the encoded message, of length keyLength
+ */
+function oaepSHA256Encode(message, keyLength) {
+
+    assert(message.length <= keyLength - 2 * hLen_SHA256 - 2);
+    var ps = new Buffer(keyLength - message.length - 2 * hLen_SHA256 - 2);
+    ps.fill(0);
+    var db = Buffer.concat([lHash_SHA256, ps, new Buffer([0x01]), message]);
+    var seed = crypto.randomBytes(hLen_SHA256);
+    var maskedDB = xor(db, MGF1_SHA256(seed, db.length));
+    var maskedSeed = xor(seed, MGF1_SHA256(maskedDB, hLen_SHA256));
+    return Buffer.concat([new Buffer([0x00]), maskedSeed, maskedDB]);
+}
+exports.oaepSHA256Encode = oaepSHA256Encode;
+
+/**
+ * EME-OAEP decoding with SHA256 and MGF1-SHA256 (RFC 8017 7.1.2)
+ *
+ * The decoding runs in constant time : every byte is checked and the failures are accumulated, so that the time
+ * taken to reject a invalid message does not reveal which check has failed ( see the note of RFC 8017 7.1.2 ).
+ *
+ * @method oaepSHA256Decode
+ * @param encodedMessage {Buffer}
+ * @return {Buffer|null} the message or null if the encoded message is invalid
+ */
+function oaepSHA256Decode(encodedMessage) {
+
+    if (encodedMessage.length < 2 * hLen_SHA256 + 2) {
+        return null;
+    }
+    var maskedSeed = encodedMessage.slice(1, 1 + hLen_SHA256);
+    var maskedDB = encodedMessage.slice(1 + hLen_SHA256);
+    var seed = xor(maskedSeed, MGF1_SHA256(maskedDB, hLen_SHA256));
+    var db = xor(maskedDB, MGF1_SHA256(seed, maskedDB.length));
+
+    var i;
+    var bad = encodedMessage[0];
+    for (i = 0; i < hLen_SHA256; i++) {
+        bad |= db[i] ^ lHash_SHA256[i];
+    }
+    // the zero padding string shall be followed by a 0x01 byte
+    var found = 0;
+    var index = 0;
+    for (i = hLen_SHA256; i < db.length; i++) {
+        var isZero = ((db[i] - 1) >> 8) & 1;
+        var isOne = (((db[i] ^ 0x01) - 1) >> 8) & 1;
+        var notFound = found ^ 1;
+        index |= -(notFound & isOne) & i;
+        bad |= notFound & ((isZero | isOne) ^ 1);
+        found |= isOne;
+    }
+    bad |= found ^ 1;
+
+    if (bad !== 0) {
+        return null;
+    }
+    return db.slice(index + 1);
+}
+exports.oaepSHA256Decode = oaepSHA256Decode;
+
 //xx console.log("xxxxxxxxxxxx exports.RSA_PKCS1_PADDING",exports.RSA_PKCS1_PADDING,ursa.RSA_PKCS1_PADDING,constants.RSA_PKCS1_PADDING);
 //xx console.log("xxxxxxxxxxxx exports.RSA_PKCS1_OAEP_PADDING",exports.RSA_PKCS1_OAEP_PADDING,ursa.RSA_PKCS1_OAEP_PADDING,constants.RSA_PKCS1_OAEP_PADDING);
 
@@ -288,9 +402,20 @@ if (ursa) {
 function publicEncrypt_native(buffer, public_key, algorithm) {
 
     algorithm = algorithm || crypto_utils.RSA_PKCS1_PADDING;
-    assert(algorithm === crypto_utils.RSA_PKCS1_PADDING || algorithm === crypto_utils.RSA_PKCS1_OAEP_PADDING);
+    assert(isSupportedRsaPadding(algorithm));
     assert(buffer instanceof Buffer, "Expecting a buffer");
 
+    if (algorithm === crypto_utils.RSA_PKCS1_OAEP_SHA256_PADDING) {
+        if (hasNativeOaepHash) {
+            return crypto.publicEncrypt({
+                key: public_key,
+                padding: constants.RSA_PKCS1_OAEP_PADDING,
+                oaepHash: "sha256"
+            }, buffer);
+        }
+        buffer = oaepSHA256Encode(buffer, crypto_utils.rsa_length(public_key));
+        algorithm = RSA_NO_PADDING;
+    }
     return crypto.publicEncrypt({
         key: public_key,
         padding: algorithm
@@ -299,9 +424,13 @@ function publicEncrypt_native(buffer, public_key, algorithm) {
 function publicEncrypt_ursa(buffer, public_key, algorithm) {
 
     algorithm = algorithm || crypto_utils.RSA_PKCS1_PADDING;
-    assert(algorithm === crypto_utils.RSA_PKCS1_PADDING || algorithm === crypto_utils.RSA_PKCS1_OAEP_PADDING);
+    assert(isSupportedRsaPadding(algorithm));
     assert(buffer instanceof Buffer, "Expecting a buffer");
     assert(ursa);
+    if (algorithm === crypto_utils.RSA_PKCS1_OAEP_SHA256_PADDING) {
+        buffer = oaepSHA256Encode(buffer, crypto_utils.rsa_length(public_key));
+        algorithm = RSA_NO_PADDING;
+    }
     var crt = ursa.createPublicKey(public_key);
     buffer = crt.encrypt(buffer, undefined, undefined, algorithm);
     return buffer;
@@ -309,10 +438,23 @@ function publicEncrypt_ursa(buffer, public_key, algorithm) {
 
 function privateDecrypt_native(buffer, private_key, algorithm) {
     algorithm = algorithm || crypto_utils.RSA_PKCS1_PADDING;
-    assert(algorithm === crypto_utils.RSA_PKCS1_PADDING || algorithm === crypto_utils.RSA_PKCS1_OAEP_PADDING);
+    assert(isSupportedRsaPadding(algorithm));
     assert(buffer instanceof Buffer, "Expecting a buffer");
 
     try {
+        if (algorithm === crypto_utils.RSA_PKCS1_OAEP_SHA256_PADDING && hasNativeOaepHash) {
+            return crypto.privateDecrypt({
+                key: private_key,
+                padding: constants.RSA_PKCS1_OAEP_PADDING,
+                oaepHash: "sha256"
+            }, buffer);
+        }
+        if (algorithm === crypto_utils.RSA_PKCS1_OAEP_SHA256_PADDING) {
+            return oaepSHA256Decode(crypto.privateDecrypt({
+                key: private_key,
+                padding: RSA_NO_PADDING
+            }, buffer)) || new Buffer(1);
+        }
         return crypto.privateDecrypt({
             key: private_key,
             padding: algorithm
@@ -325,11 +467,14 @@ function privateDecrypt_native(buffer, private_key, algorithm) {
 
 function privateDecrypt_ursa(buffer, private_key, algorithm) {
     algorithm = algorithm || crypto_utils.RSA_PKCS1_PADDING;
-    assert(algorithm === crypto_utils.RSA_PKCS1_PADDING || algorithm === crypto_utils.RSA_PKCS1_OAEP_PADDING);
+    assert(isSupportedRsaPadding(algorithm));
     assert(buffer instanceof Buffer, "Expecting a buffer");
     assert(ursa);
     //xx console.log( " BUFF ER L =",buffer.length);
     var key = ursa.createPrivateKey(private_key);
+    if (algorithm === crypto_utils.RSA_PKCS1_OAEP_SHA256_PADDING) {
+        return oaepSHA256Decode(key.decrypt(buffer, undefined, undefined, RSA_NO_PADDING)) || new Buffer(1);
+    }
     //xx assert(key.isPrivateKey());
     // buffer = key.decrypt(buffer, undefined, undefined, ursa.RSA_PKCS1_PADDING);
     buffer = key.decrypt(buffer, undefined, undefined, algorithm);
@@ -339,7 +484,7 @@ function privateDecrypt_ursa(buffer, private_key, algorithm) {
 
 function publicEncrypt_long(buffer, key, block_size, padding, algorithm) {
     algorithm = algorithm || crypto_utils.RSA_PKCS1_PADDING;
-    assert(algorithm === crypto_utils.RSA_PKCS1_PADDING || algorithm === crypto_utils.RSA_PKCS1_OAEP_PADDING);
+    assert(isSupportedRsaPadding(algorithm));
 
     exports.ensure_crypto_installed();
 
@@ -359,7 +504,7 @@ function publicEncrypt_long(buffer, key, block_size, padding, algorithm) {
 function privateDecrypt_long(buffer, key, block_size, algorithm) {
 
     algorithm = algorithm || crypto_utils.RSA_PKCS1_PADDING;
-    assert(algorithm === crypto_utils.RSA_PKCS1_PADDING || algorithm === crypto_utils.RSA_PKCS1_OAEP_PADDING);
+    assert(isSupportedRsaPadding(algorithm));
 
     exports.ensure_crypto_installed();
 
@@ -463,6 +608,41 @@ exports.exploreCertificate = function (certificate) {
     return data;
 };
 
+var signatureAlgorithmToHash = {
+    "sha1WithRSAEncryption": "RSA-SHA1",
+    "sha224WithRSAEncryption": "RSA-SHA224",
+    "sha256WithRSAEncryption": "RSA-SHA256",
+    "sha384WithRSAEncryption": "RSA-SHA384",
+    "sha512WithRSAEncryption": "RSA-SHA512"
+};
+
+/**
+ * verify that a signed DER structure ( a certificate, a certificate revocation list ... ) has been signed
+ * with the private key of the issuer certificate.
+ *
+ * @method verifyCertificateSignature
+ * @param signedData   {Buffer} the DER certificate ( or certificate revocation list) to verify
+ * @param issuerCertificate {Buffer} the DER certificate of the issuer
+ * @return {Boolean} true if the signature is valid
+ */
+exports.verifyCertificateSignature = function (signedData, issuerCertificate) {
+
+    assert(signedData instanceof Buffer);
+    assert(issuerCertificate instanceof Buffer);
+
+    var exploreSignedData = require("./crypto_explore_certificate").exploreSignedData;
+
+    var info = exploreSignedData(signedData);
+    var algorithm = signatureAlgorithmToHash[info.signatureAlgorithm];
+    if (!algorithm) {
+        // unsupported signature algorithm
+        return false;
+    }
+    var verify = crypto.createVerify(algorithm);
+    verify.update(info.tbsData);
+    return verify.verify(toPem(issuerCertificate, "CERTIFICATE"), info.signatureValue);
+};
+
 /**
  * extract the publickey from a certificate - using the pem module
  *
@@ -566,12 +746,25 @@ exports.extractPublicKeyFromCertificate = function (certificate, callback) {
 //      A(n) = HMAC_SHA1(secret, A(n-1))
 //           + indicates that the results are appended to previous results.
 //
+// The P_SHA256 algorithm used by the Basic256Sha256 SecurityProfile is defined the same way, with HMAC_SHA256.
+//
 // see also http://docs.oasis-open.org/ws-sx/ws-secureconversation/200512/ws-secureconversation-1.3-os.html
 //          http://csrc.nist.gov/publications/fips/fips180-4/fips-180-4.pdf
-function makePseudoRandomBuffer(secret, seed, minLength) {
+/**
+ * @method makePseudoRandomBuffer
+ * @param secret {Buffer}
+ * @param seed {Buffer}
+ * @param minLength {Number}
+ * @param [sha1or256="SHA1"] {String} the hash algorithm used by the HMAC : "SHA1" (P_SHA1) or "SHA256" (P_SHA256)
+ * @return {Buffer}
+ */
+function makePseudoRandomBuffer(secret, seed, minLength, sha1or256) {
+
+    sha1or256 = sha1or256 || "SHA1";
+    assert(sha1or256 === "SHA1" || sha1or256 === "SHA256");
 
-    function HMAC_SHA1(secret, message) {
-        return crypto.createHmac("SHA1", secret).update(message).digest();
+    function HMAC_SHA(secret, message) {
+        return crypto.createHmac(sha1or256, secret).update(message).digest();
     }
 
     function plus(buf1, buf2) {
@@ -589,8 +782,8 @@ function makePseudoRandomBuffer(secret, seed, minLength) {
     var p_sha1 = new Buffer(0);
     while (p_sha1.length <= minLength) {
         /* eslint  new-cap:0 */
-        a[index] = HMAC_SHA1(secret, a[index - 1]);
-        p_sha1 = plus(p_sha1, HMAC_SHA1(secret, plus(a[index], seed)));
+        a[index] = HMAC_SHA(secret, a[index - 1]);
+        p_sha1 = plus(p_sha1, HMAC_SHA(secret, plus(a[index], seed)));
         index += 1;
     }
     return p_sha1.slice(0, minLength);
@@ -602,12 +795,13 @@ function computeDerivedKeys(secret, seed, options) {
     assert(_.isFinite(options.encryptingKeyLength));
     assert(_.isFinite(options.encryptingBlockSize));
     assert(typeof options.algorithm === "string");
+    var sha1or256 = options.sha1or256 || "SHA1";
 
     var offset1 = options.signingKeyLength;
     var offset2 = offset1 + options.encryptingKeyLength;
     var offset3 = offset2 + options.encryptingBlockSize;
     var minLength = offset3;
-    var buf = makePseudoRandomBuffer(secret, seed, minLength);
+    var buf = makePseudoRandomBuffer(secret, seed, minLength, sha1or256);
 
     return {
         signingKey: buf.slice(0, offset1),
@@ -617,7 +811,8 @@ function computeDerivedKeys(secret, seed, options) {
         encryptingKeyLength: options.encryptingKeyLength,
         encryptingBlockSize: options.encryptingBlockSize,
         signatureLength: options.signatureLength,
-        algorithm: options.algorithm
+        algorithm: options.algorithm,
+        sha1or256: sha1or256
     };
 }
 exports.computeDerivedKeys = computeDerivedKeys;
@@ -689,7 +884,8 @@ function makeMessageChunkSignatureWithDerivedKeys(message, derivedKeys) {
 
     assert(message instanceof Buffer);
     assert(derivedKeys.signingKey instanceof Buffer);
-    var signature = crypto.createHmac("SHA1", derivedKeys.signingKey).update(message).digest();
+    var sha1or256 = derivedKeys.sha1or256 || "SHA1";
+    var signature = crypto.createHmac(sha1or256, derivedKeys.signingKey).update(message).digest();
     assert(signature.length === derivedKeys.signatureLength);
     return signature;
 }
@@ -42,12 +42,12 @@ var _ = require("underscore");
  *    -> MaxAsymmetricKeyLength        - 2048
  *    -> CertificateSignatureAlgorithm - Sha1
  *
- * @property Basic256 Security Basic 256 Sha256
+ * @property Basic256Sha256 Security Basic 256 Sha256
  * --------------------------------------------
  * A suite of algorithms that are for 256-Bit encryption, algorithms include.
- *   -> SymmetricSignatureAlgorithm   - Hmac_Sha256 -(http://www.w3.org/2000/09/xmldsig#hmac-sha256).
+ *   -> SymmetricSignatureAlgorithm   - Hmac_Sha256 -(http://www.w3.org/2001/04/xmldsig-more#hmac-sha256).
  *   -> SymmetricEncryptionAlgorithm  -  Aes256_CBC -(http://www.w3.org/2001/04/xmlenc#aes256-cbc).
- *   -> AsymmetricSignatureAlgorithm  -  Rsa_Sha256 -(http://www.w3.org/2000/09/xmldsig#rsa-sha256).
+ *   -> AsymmetricSignatureAlgorithm  -  Rsa_Sha256 -(http://www.w3.org/2001/04/xmldsig-more#rsa-sha256).
  *   -> AsymmetricKeyWrapAlgorithm    -   KwRsaOaep -(http://www.w3.org/2001/04/xmlenc#rsa-oaep-mgf1p).
  *   -> AsymmetricEncryptionAlgorithm -    Rsa_Oaep -(http://www.w3.org/2001/04/xmlenc#rsa-oaep).
  *   -> KeyDerivationAlgorithm        -     PSHA256 -(http://docs.oasis-open.org/ws-sx/ws-secureconversation/200512/dk/p_sha256).
@@ -60,6 +60,30 @@ var _ = require("underscore");
  *  keysize. Applications shall support multiple Application Instance Certificates if required by supported Security
  *  Polices and use the certificate that is required for a given security endpoint.
  *
+ * @property Aes128_Sha256_RsaOaep Security Aes128 Sha256 RsaOaep
+ * --------------------------------------------------------------
+ *   -> SymmetricSignatureAlgorithm   - Hmac_Sha256 -(http://www.w3.org/2001/04/xmldsig-more#hmac-sha256).
+ *   -> SymmetricEncryptionAlgorithm  -  Aes128_CBC -(http://www.w3.org/2001/04/xmlenc#aes128-cbc).
+ *   -> AsymmetricSignatureAlgorithm  -  Rsa_Sha256 -(http://www.w3.org/2001/04/xmldsig-more#rsa-sha256).
+ *   -> AsymmetricEncryptionAlgorithm -    Rsa_Oaep -(http://www.w3.org/2001/04/xmlenc#rsa-oaep).
+ *   -> KeyDerivationAlgorithm        -     PSHA256 -(http://docs.oasis-open.org/ws-sx/ws-secureconversation/200512/dk/p_sha256).
+ *   -> DerivedSignatureKeyLength     - 256
+ *   -> MinAsymmetricKeyLength        - 2048
+ *   -> MaxAsymmetricKeyLength        - 4096
+ *   -> CertificateSignatureAlgorithm - Sha256
+ *
+ * @property Aes256_Sha256_RsaPss Security Aes256 Sha256 RsaPss
+ * ------------------------------------------------------------
+ *   -> SymmetricSignatureAlgorithm   - Hmac_Sha256 -(http://www.w3.org/2001/04/xmldsig-more#hmac-sha256).
+ *   -> SymmetricEncryptionAlgorithm  -  Aes256_CBC -(http://www.w3.org/2001/04/xmlenc#aes256-cbc).
+ *   -> AsymmetricSignatureAlgorithm  - Rsa_Pss_Sha256 -(http://opcfoundation.org/UA/security/rsa-pss-sha2-256).
+ *   -> AsymmetricEncryptionAlgorithm - Rsa_Oaep_Sha256 -(http://opcfoundation.org/UA/security/rsa-oaep-sha2-256).
+ *   -> KeyDerivationAlgorithm        -     PSHA256 -(http://docs.oasis-open.org/ws-sx/ws-secureconversation/200512/dk/p_sha256).
+ *   -> DerivedSignatureKeyLength     - 256
+ *   -> MinAsymmetricKeyLength        - 2048
+ *   -> MaxAsymmetricKeyLength        - 4096
+ *   -> CertificateSignatureAlgorithm - Sha256
+ *
  *
  */
 var SecurityPolicy = new Enum({
@@ -71,7 +95,9 @@ var SecurityPolicy = new Enum({
     Basic192Rsa15: "http://opcfoundation.org/UA/SecurityPolicy#Basic192Rsa15",
     Basic256: "http://opcfoundation.org/UA/SecurityPolicy#Basic256",
     Basic256Rsa15: "http://opcfoundation.org/UA/SecurityPolicy#Basic256Rsa15",
-    Basic256Sha256: "http://opcfoundation.org/UA/SecurityPolicy#Basic256Sha256"
+    Basic256Sha256: "http://opcfoundation.org/UA/SecurityPolicy#Basic256Sha256",
+    Aes128_Sha256_RsaOaep: "http://opcfoundation.org/UA/SecurityPolicy#Aes128_Sha256_RsaOaep",
+    Aes256_Sha256_RsaPss: "http://opcfoundation.org/UA/SecurityPolicy#Aes256_Sha256_RsaPss"
 });
 
 exports.fromURI = function (uri) {
@@ -111,6 +137,10 @@ function RSAOAEP_Decrypt(buffer, privateKey) {
     var block_size = crypto_utils.rsa_length(privateKey);
     return crypto_utils.privateDecrypt_long(buffer, privateKey, block_size, crypto_utils.RSA_PKCS1_OAEP_PADDING);
 }
+function RSAOAEPSHA256_Decrypt(buffer, privateKey) {
+    var block_size = crypto_utils.rsa_length(privateKey);
+    return crypto_utils.privateDecrypt_long(buffer, privateKey, block_size, crypto_utils.RSA_PKCS1_OAEP_SHA256_PADDING);
+}
 // --------------------
 
 function asymmetricVerifyChunk(chunk, certificate) {
@@ -148,6 +178,17 @@ function RSAPKCS1OAEPSHA256_Verify(buffer, signature, certificate) {
     return crypto_utils.verifyMessageChunkSignature(buffer, signature, options);
 }
 
+// the salt length of a RSA-PSS-SHA256 signature is the length of the SHA256 digest
+function RSAPSSSHA256_Verify(buffer, signature, certificate) {
+    var options = {
+        algorithm: "RSA-SHA256",
+        publicKey: crypto_utils.toPem(certificate, "CERTIFICATE"),
+        padding: crypto_utils.RSA_PKCS1_PSS_PADDING,
+        saltLength: 32
+    };
+    return crypto_utils.verifyMessageChunkSignature(buffer, signature, options);
+}
+
 
 function RSAPKCS1V15SHA1_Sign(buffer, privateKey) {
 
@@ -164,6 +205,34 @@ function RSAPKCS1V15SHA1_Sign(buffer, privateKey) {
 
 var RSAPKCS1OAEPSHA1_Sign = RSAPKCS1V15SHA1_Sign;
 
+function RSAPKCS1V15SHA256_Sign(buffer, privateKey) {
+
+    if (privateKey instanceof Buffer) {
+        privateKey = crypto_utils.toPem(privateKey, "RSA PRIVATE KEY");
+    }
+    var params = {
+        signatureLength: crypto_utils.rsa_length(privateKey),
+        algorithm: "RSA-SHA256",
+        privateKey: privateKey
+    };
+    return crypto_utils.makeMessageChunkSignature(buffer, params);
+}
+
+function RSAPSSSHA256_Sign(buffer, privateKey) {
+
+    if (privateKey instanceof Buffer) {
+        privateKey = crypto_utils.toPem(privateKey, "RSA PRIVATE KEY");
+    }
+    var params = {
+        signatureLength: crypto_utils.rsa_length(privateKey),
+        algorithm: "RSA-SHA256",
+        privateKey: privateKey,
+        padding: crypto_utils.RSA_PKCS1_PSS_PADDING,
+        saltLength: 32
+    };
+    return crypto_utils.makeMessageChunkSignature(buffer, params);
+}
+
 function RSAPKCS1V15_Encrypt(buffer, publicKey) {
 
     var key_length = crypto_utils.rsa_length(publicKey);
@@ -175,12 +244,23 @@ function RSAOAEP_Encrypt(buffer, publicKey) {
     return crypto_utils.publicEncrypt_long(buffer, publicKey, key_length, 42, crypto_utils.RSA_PKCS1_OAEP_PADDING);
 }
 
+function RSAOAEPSHA256_Encrypt(buffer, publicKey) {
+    var key_length = crypto_utils.rsa_length(publicKey);
+    return crypto_utils.publicEncrypt_long(buffer, publicKey, key_length, 66, crypto_utils.RSA_PKCS1_OAEP_SHA256_PADDING);
+}
+
 
 function HMAC_SHA1_Sign(buffer) {
 
 }
 function HMAC_SHA1_Verify(buffer) {
 
+}
+function HMAC_SHA256_Sign(buffer) {
+
+}
+function HMAC_SHA256_Verify(buffer) {
+
 }
 
 function AES_128_CBC_Encrypt() {
@@ -209,7 +289,8 @@ function compute_derived_keys(serverNonce, clientNonce) {
             encryptingKeyLength: self.derivedEncryptionKeyLength,
             encryptingBlockSize: self.encryptingBlockSize,
             signatureLength: self.signatureLength,
-            algorithm: self.symmetricEncryptionAlgorithm
+            algorithm: self.symmetricEncryptionAlgorithm,
+            sha1or256: self.sha1or256
         };
         derivedKeys.derivedClientKeys = crypto_utils.computeDerivedKeys(serverNonce, clientNonce, options);
         derivedKeys.derivedServerKeys = crypto_utils.computeDerivedKeys(clientNonce, serverNonce, options);
@@ -254,6 +335,7 @@ var _Basic128Rsa15 = {
     blockPaddingSize: 11,
 
     symmetricEncryptionAlgorithm: "aes-128-cbc",
+    sha1or256: "SHA1",
     compute_derived_keys: compute_derived_keys
 
 };
@@ -291,6 +373,117 @@ var _Basic256 = {
 
     // "aes-256-cbc"
     symmetricEncryptionAlgorithm: "aes-256-cbc",
+    sha1or256: "SHA1",
+    compute_derived_keys: compute_derived_keys
+};
+
+var _Basic256Sha256 = {
+    securityPolicy: SecurityPolicy.Basic256Sha256,
+    symmetricKeyLength: 32,
+    derivedEncryptionKeyLength: 32,
+    derivedSignatureKeyLength: 32,
+    encryptingBlockSize: 16,
+    signatureLength: 32,
+
+    minimumAsymmetricKeyLength: 256,
+    maximumAsymmetricKeyLength: 512,
+
+    /* symmetric signature algorithm */
+    symmetricSign: HMAC_SHA256_Sign,
+    symmetricVerify: HMAC_SHA256_Verify,
+
+    /* symmetric encryption algorithm */
+    symmetricEncrypt: AES_256_CBC_Encrypt,
+    symmetricDecrypt: AES_256_CBC_Decrypt,
+
+    asymmetricVerifyChunk: asymmetricVerifyChunk,
+    asymmetricSign: RSAPKCS1V15SHA256_Sign,
+    asymmetricVerify: RSAPKCS1OAEPSHA256_Verify,
+    asymmetricSignatureAlgorithm: "http://www.w3.org/2001/04/xmldsig-more#rsa-sha256",
+
+    /* asymmetric encryption algorithm */
+    asymmetricEncrypt: RSAOAEP_Encrypt,
+    asymmetricDecrypt: RSAOAEP_Decrypt,
+    asymmetricEncryptionAlgorithm: "http://www.w3.org/2001/04/xmlenc#rsa-oaep",
+
+    blockPaddingSize: 42,
+
+    symmetricEncryptionAlgorithm: "aes-256-cbc",
+    // P_SHA256 key derivation and HMAC-SHA256 symmetric signature
+    sha1or256: "SHA256",
+    compute_derived_keys: compute_derived_keys
+};
+
+var _Aes128_Sha256_RsaOaep = {
+    securityPolicy: SecurityPolicy.Aes128_Sha256_RsaOaep,
+    symmetricKeyLength: 32,
+    derivedEncryptionKeyLength: 16,
+    derivedSignatureKeyLength: 32,
+    encryptingBlockSize: 16,
+    signatureLength: 32,
+
+    minimumAsymmetricKeyLength: 256,
+    maximumAsymmetricKeyLength: 512,
+
+    /* symmetric signature algorithm */
+    symmetricSign: HMAC_SHA256_Sign,
+    symmetricVerify: HMAC_SHA256_Verify,
+
+    /* symmetric encryption algorithm */
+    symmetricEncrypt: AES_128_CBC_Encrypt,
+    symmetricDecrypt: AES_128_CBC_Decrypt,
+
+    asymmetricVerifyChunk: asymmetricVerifyChunk,
+    asymmetricSign: RSAPKCS1V15SHA256_Sign,
+    asymmetricVerify: RSAPKCS1OAEPSHA256_Verify,
+    asymmetricSignatureAlgorithm: "http://www.w3.org/2001/04/xmldsig-more#rsa-sha256",
+
+    /* asymmetric encryption algorithm */
+    asymmetricEncrypt: RSAOAEP_Encrypt,
+    asymmetricDecrypt: RSAOAEP_Decrypt,
+    asymmetricEncryptionAlgorithm: "http://www.w3.org/2001/04/xmlenc#rsa-oaep",
+
+    blockPaddingSize: 42,
+
+    symmetricEncryptionAlgorithm: "aes-128-cbc",
+    sha1or256: "SHA256",
+    compute_derived_keys: compute_derived_keys
+};
+
+var _Aes256_Sha256_RsaPss = {
+    securityPolicy: SecurityPolicy.Aes256_Sha256_RsaPss,
+    symmetricKeyLength: 32,
+    derivedEncryptionKeyLength: 32,
+    derivedSignatureKeyLength: 32,
+    encryptingBlockSize: 16,
+    signatureLength: 32,
+
+    minimumAsymmetricKeyLength: 256,
+    maximumAsymmetricKeyLength: 512,
+
+    /* symmetric signature algorithm */
+    symmetricSign: HMAC_SHA256_Sign,
+    symmetricVerify: HMAC_SHA256_Verify,
+
+    /* symmetric encryption algorithm */
+    symmetricEncrypt: AES_256_CBC_Encrypt,
+    symmetricDecrypt: AES_256_CBC_Decrypt,
+
+    asymmetricVerifyChunk: asymmetricVerifyChunk,
+    asymmetricSign: RSAPSSSHA256_Sign,
+    asymmetricVerify: RSAPSSSHA256_Verify,
+    asymmetricSignatureAlgorithm: "http://opcfoundation.org/UA/security/rsa-pss-sha2-256",
+
+    /* asymmetric encryption algorithm */
+    asymmetricEncrypt: RSAOAEPSHA256_Encrypt,
+    asymmetricDecrypt: RSAOAEPSHA256_Decrypt,
+    asymmetricEncryptionAlgorithm: "http://opcfoundation.org/UA/security/rsa-oaep-sha2-256",
+
+    // 2 * 32 + 2 bytes with a SHA256 digest
+    blockPaddingSize: 66,
+
+    symmetricEncryptionAlgorithm: "aes-256-cbc",
+    sha1or256: "SHA256",
     compute_derived_keys: compute_derived_keys
 };
 
@@ -304,6 +497,12 @@ function getCryptoFactory(securityPolicy) {
             return _Basic128Rsa15;
         case SecurityPolicy.Basic256.key:
             return _Basic256;
+        case SecurityPolicy.Basic256Sha256.key:
+            return _Basic256Sha256;
+        case SecurityPolicy.Aes128_Sha256_RsaOaep.key:
+            return _Aes128_Sha256_RsaOaep;
+        case SecurityPolicy.Aes256_Sha256_RsaPss.key:
+            return _Aes256_Sha256_RsaPss;
         default:
             return null;
     }
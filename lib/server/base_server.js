@@ -9,6 +9,8 @@ var assert = require("better-assert");
 var _ = require("underscore");
 var EventEmitter = require("events").EventEmitter;
 var path = require("path");
+var fs = require("fs");
+var os = require("os");
 
 var util = require("util");
 
@@ -22,6 +24,8 @@ var s = require("lib/datamodel/structures");
 var ApplicationType = s.ApplicationType;
 
 var OPCUASecureObject = require("lib/misc/opcua_secure_object").OPCUASecureObject;
+var crypto_create_certificate = require("lib/misc/crypto_create_certificate");
+var createSelfSignedCertificate = crypto_create_certificate.createSelfSignedCertificate;
 
 var endpoints_service = require("lib/services/get_endpoints_service");
 var GetEndpointsResponse = endpoints_service.GetEndpointsResponse;
@@ -51,8 +55,13 @@ var default_server_info = {
 /**
  * @class OPCUABaseServer
  * @param options
- * @param options.certificateFile
- * @param options.privateKeyFile
+ * @param options.certificateFile      the PEM file of the application instance certificate. When the file doesn't
+ *                                     exist, a self-signed certificate is created by start() for the applicationUri
+ *                                     of the server and saved in this file.
+ * @param options.privateKeyFile       the PEM file of the private key. When the file doesn't exist, a new 2048 bits
+ *                                     key is created along with the certificate. The creation of the key requires
+ *                                     nodejs >= 10.12 : with older versions, the certificate is only created when
+ *                                     the private key file exists, and both files must be provided otherwise.
  * @param [options.serverInfo = null]                   the information used in the end point description
  * @param [options.serverInfo.applicationUri = "urn:NodeOPCUA-SimpleDemoServer"] {String}
  * @param [options.serverInfo.productUri = "SimpleDemoServer"]{String}
@@ -88,7 +97,50 @@ function OPCUABaseServer(options) {
 
     this.serverInfo = new endpoints_service.ApplicationDescription(this.serverInfo);
 
+}
 
+/**
+ * create and save a self-signed application instance certificate ( and its private key if needed )
+ * the first time the server is started, and hand them over to the end points.
+ * @method _create_application_instance_certificate
+ * @param server {OPCUABaseServer}
+ * @param callback {Function}
+ * @private
+ */
+function _create_application_instance_certificate(server, callback) {
+
+    var privateKey = fs.existsSync(server.privateKeyFile) ? fs.readFileSync(server.privateKeyFile, "ascii") : null;
+
+    debugLog("creating a self-signed certificate in ", server.certificateFile);
+    async.waterfall([
+        function (callback) {
+            createSelfSignedCertificate({
+                applicationUri: server.serverInfo.applicationUri,
+                dns: [os.hostname()],
+                privateKey: privateKey,
+                subject: {commonName: server.serverInfo.applicationName.text || "NodeOPCUA"}
+            }, callback);
+        },
+        function (result, callback) {
+            if (privateKey) {
+                return callback(null, result);
+            }
+            // the private key shall only be readable by the owner of the server process
+            fs.writeFile(server.privateKeyFile, result.privateKey, {mode: parseInt("600", 8)}, function (err) {
+                callback(err, result);
+            });
+        },
+        function (result, callback) {
+            fs.writeFile(server.certificateFile, result.certificatePem, callback);
+        }
+    ], function (err) {
+        if (!err) {
+            server.endpoints.forEach(function (endPoint) {
+                endPoint.setCertificate(server.getCertificate(), server.getPrivateKey());
+            });
+        }
+        callback(err);
+    });
 }
 
 util.inherits(OPCUABaseServer, EventEmitter);
@@ -96,6 +148,31 @@ OPCUABaseServer.prototype.getPrivateKey = OPCUASecureObject.prototype.getPrivate
 OPCUABaseServer.prototype.getCertificate = OPCUASecureObject.prototype.getCertificate;
 OPCUABaseServer.prototype.getCertificateChain = OPCUASecureObject.prototype.getCertificateChain;
 
+/**
+ * returns true if the application instance certificate is missing and can be created by start().
+ * @method _willCreateCertificate
+ * @return {Boolean}
+ * @private
+ */
+OPCUABaseServer.prototype._willCreateCertificate = function () {
+    return !fs.existsSync(this.certificateFile) &&
+        (fs.existsSync(this.privateKeyFile) || crypto_create_certificate.canCreatePrivateKey());
+};
+
+/**
+ * the certificate and the private key to give to the end points when they are constructed.
+ * Both are null when the application instance certificate doesn't exist yet : start() creates it then.
+ * @method _getEndPointCredentials
+ * @return {{certificate: Buffer|null, privateKey: String|null}}
+ * @private
+ */
+OPCUABaseServer.prototype._getEndPointCredentials = function () {
+    if (this._willCreateCertificate()) {
+        return {certificate: null, privateKey: null};
+    }
+    return {certificate: this.getCertificate(), privateKey: this.getPrivateKey()};
+};
+
 
 /**
  * The type of server : SERVER, CLIENTANDSERVER, DISCOVERYSERVER
@@ -117,7 +194,13 @@ OPCUABaseServer.prototype.start = function (done) {
     assert(_.isFunction(done));
     assert(_.isArray(this.endpoints));
 
+    var self = this;
     var tasks = [];
+    if (self._willCreateCertificate()) {
+        tasks.push(function (callback) {
+            _create_application_instance_certificate(self, callback);
+        });
+    }
     this.endpoints.forEach(function (endPoint) {
         tasks.push(function (callback) {
             endPoint.start(callback);
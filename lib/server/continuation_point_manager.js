@@ -14,10 +14,38 @@ function make_key() {
     return new Buffer(counter.toString(), "ascii");
 }
 
+/**
+ * the continuation points of a session.
+ *
+ * The Browse, Query and HistoryRead services share the continuation points of the session : each continuation point
+ * is tagged with the service that has created it, and is only accepted by this service.
+ *
+ * @class ContinuationPointManager
+ * @constructor
+ */
 function ContinuationPointManager() {
     this._map = {};
 }
-ContinuationPointManager.prototype.register = function (maxElements, values) {
+
+// returns the data of a continuation point, or null if the continuation point is unknown or if it has been
+// created by another service
+ContinuationPointManager.prototype._find = function (continuationPoint, service) {
+
+    var data = this._map[continuationPoint.toString("ascii")];
+    if (!data || data.service !== service) {
+        return null;
+    }
+    return data;
+};
+
+/**
+ * @method register
+ * @param maxElements {Number} the maximum number of values to return at once (0 means no limit)
+ * @param values {Array} the values to return
+ * @param [service] {String} the service that creates the continuation point ("Browse", "Query" or "HistoryRead")
+ * @return {Object} the first block of values and the continuation point of the next block
+ */
+ContinuationPointManager.prototype.register = function (maxElements, values, service) {
 
     maxElements = maxElements || values.length;
     if (maxElements >= values.length) {
@@ -42,6 +70,7 @@ ContinuationPointManager.prototype.register = function (maxElements, values) {
 
     // create
     var data = {
+        service: service,
         maxElements: maxElements,
         remainingElements: values
     };
@@ -50,15 +79,56 @@ ContinuationPointManager.prototype.register = function (maxElements, values) {
     return result;
 
 };
-ContinuationPointManager.prototype.getNext = function (continuationPoint) {
+/**
+ * register the state a service needs to resume a request, instead of the remaining values.
+ * @method registerState
+ * @param state {Object}
+ * @param [service] {String} the service that creates the continuation point
+ * @return {Buffer} the continuation point
+ */
+ContinuationPointManager.prototype.registerState = function (state, service) {
+
+    assert(state);
+    var key = make_key();
+    this._map[key.toString("ascii")] = {service: service, state: state};
+    return key;
+};
+
+/**
+ * returns the state registered with registerState and releases the continuation point.
+ * @method releaseState
+ * @param continuationPoint {Buffer}
+ * @param [service] {String} the service that uses the continuation point
+ * @return {Object|null} the state, or null if the continuation point doesn't hold a state of this service
+ */
+ContinuationPointManager.prototype.releaseState = function (continuationPoint, service) {
+
+    if (!continuationPoint) {
+        return null;
+    }
+    var data = this._find(continuationPoint, service);
+    if (!data || !data.state) {
+        return null;
+    }
+    delete this._map[continuationPoint.toString("ascii")];
+    return data.state;
+};
+
+/**
+ * @method getNext
+ * @param continuationPoint {Buffer}
+ * @param [service] {String} the service that uses the continuation point
+ * @return {Object} the next block of values, or BadContinuationPointInvalid
+ */
+ContinuationPointManager.prototype.getNext = function (continuationPoint, service) {
 
     if (!continuationPoint) {
         return {statusCode: StatusCodes.BadContinuationPointInvalid};
     }
     var keyHash = continuationPoint.toString("ascii");
 
-    var data = this._map[keyHash];
-    if (!data) {
+    var data = this._find(continuationPoint, service);
+    if (!data || !data.remainingElements) {
         return {statusCode: StatusCodes.BadContinuationPointInvalid};
     }
     assert(data.maxElements > 0);
@@ -79,7 +149,13 @@ ContinuationPointManager.prototype.getNext = function (continuationPoint) {
 
 var nullBuffer = new Buffer(0);
 
-ContinuationPointManager.prototype.cancel = function (continuationPoint) {
+/**
+ * @method cancel
+ * @param continuationPoint {Buffer}
+ * @param [service] {String} the service that uses the continuation point
+ * @return {Object}
+ */
+ContinuationPointManager.prototype.cancel = function (continuationPoint, service) {
 
     if (!continuationPoint) {
         return {statusCode: StatusCodes.BadContinuationPointInvalid};
@@ -87,7 +163,7 @@ ContinuationPointManager.prototype.cancel = function (continuationPoint) {
 
     var keyHash = continuationPoint.toString("ascii");
 
-    var data = this._map[keyHash];
+    var data = this._find(continuationPoint, service);
     if (!data) {
         return {
             statusCode: StatusCodes.BadContinuationPointInvalid,
@@ -197,6 +197,7 @@ MonitoredItem.prototype._on_value_changed = function(dataValue,indexRange) {
 
 var checkSelectClauses = require("lib/tools/tools_event_filter").checkSelectClauses;
 var extractEventFields = require("lib/tools/tools_event_filter").extractEventFields;
+var evaluateContentFilter = require("lib/tools/tools_content_filter").evaluateContentFilter;
 
 MonitoredItem.prototype._on_opcua_event = function (eventData) {
 
@@ -205,7 +206,22 @@ MonitoredItem.prototype._on_opcua_event = function (eventData) {
     var eventType = eventData.$eventType;
     assert(self.filter && self.filter instanceof subscription_service.EventFilter);
 
-    var eventFields = extractEventFields(eventType,self.filter.selectClauses,eventData);
+    // only the events that match the where clause of the filter are notified to the client.
+    // the where clause is checked when the monitored item is created, but a failure of its evaluation must not
+    // prevent the event from reaching the other monitored items : the event is dropped.
+    var isMatching;
+    try {
+        isMatching = evaluateContentFilter(self.node.__address_space, self.filter.whereClause, eventData);
+    }
+    catch (err) {
+        console.log("MonitoredItem#_on_opcua_event : cannot evaluate the where clause ".red, err.message);
+        isMatching = false;
+    }
+    if (!isMatching) {
+        return;
+    }
+
+    var eventFields = extractEventFields(eventType,self.filter.selectClauses,eventData, self._getLocaleIds());
 
     // istanbul ignore next
     if (doDebug) {
@@ -217,6 +233,33 @@ MonitoredItem.prototype._on_opcua_event = function (eventData) {
     self._enqueue_event(eventFields);
 };
 
+/**
+ * notify the RefreshStartEvent or the RefreshEndEvent that brackets the events sent by a ConditionRefresh.
+ * note : these events are notified even if they don't match the where clause of the filter, so that the
+ *        client always knows when the refresh starts and ends.
+ * @method _on_condition_refresh_event
+ * @param eventData {EventData}
+ * @private
+ */
+MonitoredItem.prototype._on_condition_refresh_event = function (eventData) {
+
+    var self = this;
+    assert(self.filter && self.filter instanceof subscription_service.EventFilter);
+    var eventFields = extractEventFields(eventData.$eventType, self.filter.selectClauses, eventData, self._getLocaleIds());
+    self._enqueue_event(eventFields);
+};
+
+/**
+ * the locales of the session that owns the monitored item, in which the localized event fields are notified.
+ * @method _getLocaleIds
+ * @return {String[]}
+ * @private
+ */
+MonitoredItem.prototype._getLocaleIds = function () {
+    var subscription = this.$subscription;
+    return (subscription && subscription.session) ? subscription.session.localeIds : [];
+};
+
 MonitoredItem.prototype._start_sampling = function (recordInitialValue) {
 
     var self = this;
@@ -226,6 +269,11 @@ MonitoredItem.prototype._start_sampling = function (recordInitialValue) {
 
     self._stop_sampling();
 
+    if (self._nodeDeleted) {
+        // the monitored node has been deleted, there is nothing to sample anymore
+        return;
+    }
+
     MonitoredItem.registry.register(self);
 
 
@@ -333,6 +381,56 @@ MonitoredItem.prototype._set_parameters = function (options) {
     self.queueSize = _adjust_queue_size(options.queueSize);
 };
 
+/**
+ * attach the MonitoredItem to the node of the address space that it monitors.
+ * @method setNode
+ * @param node {BaseNode}
+ */
+MonitoredItem.prototype.setNode = function (node) {
+    var self = this;
+    if (self.node === node) {
+        return;
+    }
+    self._detach_node();
+    self.node = node;
+    if (self.node) {
+        self._on_node_disposed_callback = self._on_node_disposed.bind(self);
+        self.node.once("dispose", self._on_node_disposed_callback);
+    }
+};
+
+MonitoredItem.prototype._detach_node = function () {
+    var self = this;
+    if (self._on_node_disposed_callback) {
+        self.node.removeListener("dispose", self._on_node_disposed_callback);
+        self._on_node_disposed_callback = null;
+    }
+};
+
+/**
+ * called when the monitored node has been deleted from the address space.
+ * a last notification with a BadNodeIdUnknown status code is sent to the client and the sampling stops.
+ * @method _on_node_disposed
+ * @private
+ */
+MonitoredItem.prototype._on_node_disposed = function () {
+
+    var self = this;
+    self._on_node_disposed_callback = null;
+    self._stop_sampling();
+
+    if (self.itemToMonitor.attributeId !== AttributeIds.EventNotifier &&
+        self.monitoringMode !== MonitoringMode.Disabled) {
+        self._enqueue_value(new DataValue({
+            statusCode: StatusCodes.BadNodeIdUnknown,
+            sourceTimestamp: new Date(),
+            serverTimestamp: new Date()
+        }));
+    }
+    self._nodeDeleted = true;
+    self.node = null;
+};
+
 /**
  * Terminate the  MonitoredItem.
  * @method terminate
@@ -342,6 +440,7 @@ MonitoredItem.prototype._set_parameters = function (options) {
 MonitoredItem.prototype.terminate = function () {
     var self = this;
     self._stop_sampling();
+    self._detach_node();
 };
 
 /**
@@ -62,10 +62,11 @@ function OPCUADiscoveryServer(options) {
     // see OPC UA Spec 1.2 part 6 : 7.4 Well Known Addresses
     // opc.tcp://localhost:4840/UADiscovery
 
+    var credentials = self._getEndPointCredentials();
     var endPoint = new OPCUAServerEndPoint({
         port: port,
-        certificate: self.getCertificate(),
-        privateKey: self.getPrivateKey(),
+        certificate: credentials.certificate,
+        privateKey: credentials.privateKey,
         serverInfo: self.serverInfo
     });
     endPoint.addStandardEndpointDescriptions();
@@ -89,6 +89,8 @@ var ReadValueId = read_service.ReadValueId;
 
 var HistoryReadRequest = historizing_service.HistoryReadRequest;
 var HistoryReadResponse = historizing_service.HistoryReadResponse;
+var HistoryUpdateRequest = historizing_service.HistoryUpdateRequest;
+var HistoryUpdateResponse = historizing_service.HistoryUpdateResponse;
 
 var BrowseRequest = browse_service.BrowseRequest;
 var BrowseResponse = browse_service.BrowseResponse;
@@ -111,6 +113,7 @@ var RegisterServerResponse = register_server_service.RegisterServerResponse;
 var NodeId = require("lib/datamodel/nodeid").NodeId;
 var DataValue = require("lib/datamodel/datavalue").DataValue;
 var DataType = require("lib/datamodel/variant").DataType;
+var VariantArrayType = require("lib/datamodel/variant").VariantArrayType;
 var AttributeIds = require("lib/datamodel/attributeIds").AttributeIds;
 
 var MonitoredItem = require("lib/server/monitored_item").MonitoredItem;
@@ -140,6 +143,7 @@ Factory.prototype.constructObject = function (id) {
 
 var default_maxAllowedSessionNumber   = 10;
 var default_maxConnectionsPerEndpoint = 10;
+var default_shutdownGracePeriod = 10;
 
 
 function g_sendError(channel, message, ResponseClass, statusCode) {
@@ -181,7 +185,7 @@ var default_build_info = {
  * @param [options.serverInfo.gatewayServerUri = null]{String}
  * @param [options.serverInfo.discoveryProfileUri= null]{String}
  * @param [options.serverInfo.discoveryUrls = []]{Array<String>}
- * @param [options.securityPolicies= [SecurityPolicy.None,SecurityPolicy.Basic128Rsa15,SecurityPolicy.Basic256]]
+ * @param [options.securityPolicies= [SecurityPolicy.None,SecurityPolicy.Basic128Rsa15,SecurityPolicy.Basic256,SecurityPolicy.Basic256Sha256,SecurityPolicy.Aes128_Sha256_RsaOaep,SecurityPolicy.Aes256_Sha256_RsaPss]]
  * @param [options.securityModes= [MessageSecurityMode.NONE,MessageSecurityMode.SIGN,MessageSecurityMode.SIGNANDENCRYPT]]
  * @param [options.allowAnonymous = true] tells if the server default endpoints should allow anonymous connection.
  * @param [options.userManager = null ] a object that implements user authentication methods
@@ -191,6 +195,19 @@ var default_build_info = {
  * @param [options.alternateHostname=null] {String} alternate hostname to use
  *  UserNameIdentityToken is valid.
  * @param [options.isAuditing = false] {Boolean} true if server shall raise AuditingEvent
+ * @param [options.nodeManagementPolicy = null] {Function} a function that decides whether a node management
+ *        operation ( AddNodes, DeleteNodes, AddReferences, DeleteReferences ) is allowed.
+ *        nodeManagementPolicy(userIdentityToken, node, item) is called with the session as `this` for each item
+ *        of the request, node being the parent node (AddNodes), the node to delete (DeleteNodes) or the
+ *        source node (AddReferences, DeleteReferences) - or null if the node doesn't exist.
+ *        It returns StatusCodes.Good to accept the item, or the status code of the rejected item
+ *        ( i.e StatusCodes.BadUserAccessDenied ). An item is rejected with BadInternalError when the
+ *        function throws, and with BadUserAccessDenied when it doesn't return a StatusCode.
+ * @param [options.shutdownGracePeriod = 10] {Number} the default time in ms during which the server stays in the
+ *        Shutdown state before actually shutting down ( see OPCUAServer#shutdown ).
+ * @param [options.certificateManager = null] {CertificateManager} the certificate manager used to verify the
+ *        certificates of the clients in OpenSecureChannel and CreateSession. When null, only the validity
+ *        period of the client certificates is checked.
  * @constructor
  */
 function OPCUAServer(options) {
@@ -206,6 +223,8 @@ function OPCUAServer(options) {
 
     self.maxAllowedSessionNumber = options.maxAllowedSessionNumber || default_maxAllowedSessionNumber;
     self.maxConnectionsPerEndpoint = options.maxConnectionsPerEndpoint || default_maxConnectionsPerEndpoint;
+    self.shutdownGracePeriod = _.isFinite(options.shutdownGracePeriod) ? options.shutdownGracePeriod : default_shutdownGracePeriod;
+    self.certificateManager = options.certificateManager || null;
 
     // build Info
     var buildInfo = _.clone(default_build_info);
@@ -220,7 +239,8 @@ function OPCUAServer(options) {
         buildInfo: buildInfo,
         serverCapabilities: options.serverCapabilities,
         applicationUri: self.serverInfo.applicationUri,
-        isAuditing: options.isAuditing
+        isAuditing: options.isAuditing,
+        nodeManagementPolicy: options.nodeManagementPolicy
     });
 
     self.nonce = self.makeServerNonce();
@@ -239,15 +259,17 @@ function OPCUAServer(options) {
     //xx console.log(" maxConnectionsPerEndpoint = ",self.maxConnectionsPerEndpoint);
 
     // add the tcp/ip endpoint with no security
+    var credentials = self._getEndPointCredentials();
     var endPoint = new OPCUAServerEndPoint({
         port: port,
         defaultSecureTokenLifetime: options.defaultSecureTokenLifetime || 600000,
         timeout: options.timeout || 10000,
-        certificate: self.getCertificate(),
-        privateKey: self.getPrivateKey(),
+        certificate: credentials.certificate,
+        privateKey: credentials.privateKey,
         objectFactory: self.objectFactory,
         serverInfo: self.serverInfo,
-        maxConnections: self.maxConnectionsPerEndpoint
+        maxConnections: self.maxConnectionsPerEndpoint,
+        certificateManager: self.certificateManager
     });
 
     endPoint.addStandardEndpointDescriptions({
@@ -265,6 +287,14 @@ function OPCUAServer(options) {
         self.on_request(message, channel);
     });
 
+    endPoint.on("open_secure_channel", function (request, statusCode, channel) {
+        _raiseAuditOpenSecureChannelEvent(self, request, statusCode, channel);
+    });
+
+    endPoint.on("certificate_rejected", function (certificate, statusCode, channel) {
+        _raiseAuditCertificateEvent(self, certificate, statusCode, channel);
+    });
+
     endPoint.on("error", function (err) {
         console.log("OPCUAServer endpoint error", err);
 
@@ -452,6 +482,11 @@ OPCUAServer.prototype.start = function (done) {
 
     var self = this;
     var tasks = [];
+    if (self.certificateManager) {
+        tasks.push(function (callback) {
+            self.certificateManager.initialize(callback);
+        });
+    }
     if (!self.initialized) {
         tasks.push(function (callback) {
             self.initialize(callback);
@@ -476,9 +511,15 @@ OPCUAServer.prototype.start = function (done) {
 
 /**
  * shutdown all server endpoints
+ *
+ * the server enters the Shutdown state and raises a SystemStatusChangeEvent first. During the grace period,
+ * the ServerStatus exposes the SecondsTillShutdown and the ShutdownReason so that the clients can
+ * disconnect and prepare to reconnect.
+ *
  * @method shutdown
  * @async
- * @param  [timeout=0] {Integer} the timeout before the server is actually shutted down
+ * @param  [timeout=options.shutdownGracePeriod] {Integer} the timeout before the server is actually shutted down
+ * @param  [reason="Server shutdown"] {String|LocalizedText} the reason of the shutdown
  * @param  done {Function}
  *
  *
@@ -491,18 +532,32 @@ OPCUAServer.prototype.start = function (done) {
  *    // shutdown within 10 seconds
  *    server.shutdown(10000,function(err) {
  *    });
+ *
+ *    // shutdown within 10 seconds, telling the clients why
+ *    server.shutdown(10000, "maintenance", function(err) {
+ *    });
  */
-OPCUAServer.prototype.shutdown = function (timeout, done) {
+OPCUAServer.prototype.shutdown = function (timeout, reason, done) {
 
+    var self = this;
 
-    if (_.isFunction(timeout) && !done) {
+    if (_.isFunction(timeout)) {
         done = timeout;
-        timeout = 10;
+        timeout = self.shutdownGracePeriod;
+        reason = null;
+    } else if (_.isFunction(reason)) {
+        done = reason;
+        reason = null;
     }
-    var self = this;
+    assert(_.isFunction(done));
 
     debugLog("OPCUAServer#shutdown (timeout = ",timeout,")");
 
+    // the server may already be shutting down ( i.e. after a endpoint error )
+    if (self.engine.serverStatus.state !== ServerState.Shutdown) {
+        self.engine.setShutdownReason(reason || "Server shutdown");
+        self.engine.setShutdownTime(new Date(Date.now() + timeout));
+    }
     self.engine.setServerState(ServerState.Shutdown);
 
     setTimeout(function () {
@@ -579,6 +634,15 @@ OPCUAServer.prototype._on_CreateSessionRequest = function (message, channel) {
 
         server.engine._rejectedSessionCount += 1;
 
+        server.raiseAuditEvent("AuditCreateSessionEventType", {
+            sourceName: "Session/CreateSession",
+            request: request,
+            status: false,
+            message: "CreateSession has been rejected : " + statusCode.toString()
+        }, {
+            secureChannelId: {dataType: "String", value: channel.secureChannelId.toString()}
+        });
+
         var response = new CreateSessionResponse({responseHeader: {serviceResult: statusCode}});
         channel.send_response("MSG", response, message);
         // and close !
@@ -628,6 +692,26 @@ OPCUAServer.prototype._on_CreateSessionRequest = function (message, channel) {
         return rejectConnection(StatusCodes.BadCertificateUriInvalid);
     }
 
+    // verify the client certificate against the trust list of the server
+    if (server.certificateManager && channel.securityMode !== endpoints_service.MessageSecurityMode.NONE &&
+        request.clientCertificate && request.clientCertificate.length > 0) {
+
+        var options = {applicationUri: request.clientDescription.applicationUri};
+        return server.certificateManager.checkCertificate(request.clientCertificate, options, function (err, statusCode) {
+            statusCode = err ? StatusCodes.BadCertificateInvalid : statusCode;
+            if (statusCode !== StatusCodes.Good) {
+                _raiseAuditCertificateEvent(server, request.clientCertificate, statusCode, channel);
+                return rejectConnection(statusCode);
+            }
+            _createSession(server, message, channel, revisedSessionTimeout);
+        });
+    }
+    _createSession(server, message, channel, revisedSessionTimeout);
+};
+
+function _createSession(server, message, channel, revisedSessionTimeout) {
+
+    var request = message.request;
 
     // see Release 1.02  27  OPC Unified Architecture, Part 4
 
@@ -726,25 +810,9 @@ OPCUAServer.prototype._on_CreateSessionRequest = function (message, channel) {
             assert(reason === "Timeout" || reason==="Terminated" || reason === "CloseSession");
             var sourceName = "Session/" + reason;
 
-            server.raiseEvent("AuditSessionEventType", {
-                /* part 5 -  6.4.3 AuditEventType */
-                actionTimeStamp:    {dataType: "DateTime", value: new Date()},
-                status:             {dataType: "Boolean", value: true},
-
-                serverId:           {dataType: "String", value: ""},
-
-                // ClientAuditEntryId contains the human-readable AuditEntryId defined in Part 3.
-                clientAuditEntryId: {dataType: "String", value: ""},
-
-                // The ClientUserId identifies the user of the client requesting an action. The ClientUserId can be
-                // obtained from the UserIdentityToken passed in the ActivateSession call.
-                clientUserId:       {dataType: "String", value: "" },
-
-                sourceName:         {dataType: "String", value: sourceName},
-
+            server.raiseAuditEvent("AuditSessionEventType", {sourceName: sourceName, session: session}, {
                 /* part 5 - 6.4.7 AuditSessionEventType */
                 sessionId:          {dataType: "NodeId", value: session.nodeId}
-
             });
         }
 
@@ -755,22 +823,7 @@ OPCUAServer.prototype._on_CreateSessionRequest = function (message, channel) {
     if (server.isAuditing) {
 
         // ----------------------------------------------------------------------------------------------------------------
-        server.raiseEvent("AuditCreateSessionEventType", {
-
-            /* part 5 -  6.4.3 AuditEventType */
-            actionTimeStamp:    {dataType: "DateTime", value: new Date()},
-            status:             {dataType: "Boolean", value: true},
-
-            serverId:           {dataType: "String", value: ""},
-
-            // ClientAuditEntryId contains the human-readable AuditEntryId defined in Part 3.
-            clientAuditEntryId: {dataType: "String", value: ""},
-
-            // The ClientUserId identifies the user of the client requesting an action. The ClientUserId can be
-            // obtained from the UserIdentityToken passed in the ActivateSession call.
-            clientUserId:       {dataType: "String", value: "" },
-
-            sourceName:         {dataType: "String", value: "Session/CreateSession"},
+        server.raiseAuditEvent("AuditCreateSessionEventType", {sourceName: "Session/CreateSession", request: request}, {
 
             /* part 5 - 6.4.7 AuditSessionEventType */
             sessionId:          {dataType: "NodeId", value: session.nodeId},
@@ -796,7 +849,7 @@ OPCUAServer.prototype._on_CreateSessionRequest = function (message, channel) {
 
     assert(response.authenticationToken);
     channel.send_response("MSG", response, message);
-};
+}
 
 var UserNameIdentityToken = session_service.UserNameIdentityToken;
 var AnonymousIdentityToken = session_service.AnonymousIdentityToken;
@@ -1005,6 +1058,19 @@ OPCUAServer.prototype._on_ActivateSessionRequest = function (message, channel) {
 
     function rejectConnection(statusCode) {
         server.engine._rejectedSessionCount += 1;
+
+        if (session) {
+            server.raiseAuditEvent("AuditActivateSessionEventType", {
+                sourceName: "Session/ActivateSession",
+                request: request,
+                session: session,
+                status: false,
+                message: "ActivateSession has been rejected : " + statusCode.toString()
+            }, {
+                sessionId: {dataType: "NodeId", value: session.nodeId},
+                secureChannelId: {dataType: "String", value: channel.secureChannelId.toString()}
+            });
+        }
         var response = new ActivateSessionResponse({responseHeader: {serviceResult: statusCode}});
 
         channel.send_response("MSG", response, message);
@@ -1100,6 +1166,12 @@ OPCUAServer.prototype._on_ActivateSessionRequest = function (message, channel) {
 
             session.status = "active";
 
+            // OpcUA 1.02 part 4 $5.6.3.2 : if the localeIds are not specified the Server shall keep using
+            // the current localeIds for the Session.
+            if (request.localeIds && request.localeIds.length > 0) {
+                session.localeIds = request.localeIds;
+            }
+
             response = new ActivateSessionResponse({serverNonce: session.nonce});
             channel.send_response("MSG", response, message);
 
@@ -1113,28 +1185,16 @@ OPCUAServer.prototype._on_ActivateSessionRequest = function (message, channel) {
             // see part 5 : 6.4.3 AuditEventType
             //              6.4.7 AuditSessionEventType
             //              6.4.10 AuditActivateSessionEventType
-            var VariantArrayType = require("lib/datamodel/variant").VariantArrayType;
             assert(session.nodeId); // sessionId
             //xx assert(session.channel.clientCertificate instanceof Buffer);
             assert(session.sessionTimeout > 0);
 
             if (server.isAuditing) {
-                server.raiseEvent("AuditActivateSessionEventType", {
-
-                    /* part 5 -  6.4.3 AuditEventType */
-                    actionTimeStamp:    {dataType: "DateTime", value: new Date()},
-                    status:             {dataType: "Boolean", value: true},
-
-                    serverId:           {dataType: "String", value: ""},
-
-                    // ClientAuditEntryId contains the human-readable AuditEntryId defined in Part 3.
-                    clientAuditEntryId: {dataType: "String", value: ""},
-
-                    // The ClientUserId identifies the user of the client requesting an action. The ClientUserId can be
-                    // obtained from the UserIdentityToken passed in the ActivateSession call.
-                    clientUserId:       {dataType: "String", value: "cc"},
-
-                    sourceName:         {dataType: "String", value: "Session/ActivateSession"},
+                server.raiseAuditEvent("AuditActivateSessionEventType", {
+                    sourceName: "Session/ActivateSession",
+                    request: request,
+                    session: session
+                }, {
 
                     /* part 5 - 6.4.7 AuditSessionEventType */
                     sessionId:          {dataType: "NodeId", value: session.nodeId},
@@ -1196,6 +1256,78 @@ OPCUAServer.prototype.raiseEvent = function (eventType, options) {
 };
 
 
+var makeSHA1Thumbprint = require("lib/misc/crypto_utils").makeSHA1Thumbprint;
+
+// The ClientUserId identifies the user of the client requesting an action. The ClientUserId can be
+// obtained from the UserIdentityToken passed in the ActivateSession call.
+function _getClientUserId(session) {
+    var userIdentityToken = session ? session.userIdentityToken : null;
+    if (!userIdentityToken) {
+        return "";
+    }
+    if (userIdentityToken.userName) {
+        return userIdentityToken.userName;
+    }
+    if (userIdentityToken.certificateData) {
+        return makeSHA1Thumbprint(userIdentityToken.certificateData).toString("hex");
+    }
+    return "anonymous";
+}
+
+/**
+ * raise a AuditEventType event ( or a event of a subtype ) from the Server object.
+ * The event is only raised when the server is auditing ( see the Auditing property of the Server object ).
+ *
+ * the fields defined by AuditEventType are filled by this method:
+ *   - ClientAuditEntryId : the auditEntryId of the header of the request that has caused the event
+ *   - ClientUserId       : the user of the session
+ *   - Status             : true if the action has succeeded
+ *   - ActionTimeStamp, ServerId
+ *
+ * note : the event is silently dropped if the event type is not defined in the address space.
+ *
+ * @method raiseAuditEvent
+ * @param eventType {String} the browse name of the event type (i.e "AuditWriteUpdateEventType")
+ * @param options {Object}
+ * @param options.sourceName {String} the action that is audited ( i.e "Attribute/Write" )
+ * @param [options.request] {Object} the request that has caused the event
+ * @param [options.session] {ServerSession} the session of the client
+ * @param [options.status=true] {Boolean}
+ * @param [options.message] {String} the description of the failure
+ * @param [data] {Object} the value of the other fields of the event
+ */
+OPCUAServer.prototype.raiseAuditEvent = function (eventType, options, data) {
+
+    var self = this;
+    if (!self.isAuditing || !self.engine.addressSpace || !self.engine.addressSpace.findEventType(eventType)) {
+        return;
+    }
+    var requestHeader = options.request ? options.request.requestHeader : null;
+
+    data = _.extend({
+
+        /* part 5 -  6.4.3 AuditEventType */
+        actionTimeStamp:    {dataType: "DateTime", value: new Date()},
+        status:             {dataType: "Boolean", value: options.status === undefined ? true : !!options.status},
+
+        serverId:           {dataType: "String", value: self.serverInfo.applicationUri || ""},
+
+        // ClientAuditEntryId contains the human-readable AuditEntryId defined in Part 3.
+        clientAuditEntryId: {dataType: "String", value: (requestHeader && requestHeader.auditEntryId) || ""},
+
+        clientUserId:       {dataType: "String", value: _getClientUserId(options.session)},
+
+        sourceName:         {dataType: "String", value: options.sourceName}
+
+    }, data);
+
+    if (options.message) {
+        data.message = {dataType: "LocalizedText", value: {text: options.message}};
+    }
+    self.raiseEvent(eventType, data);
+};
+
+
 /**
  * ensure that action is performed on a valid session object,
  * @method _apply_on_SessionObject
@@ -1357,7 +1489,7 @@ OPCUAServer.prototype._on_BrowseRequest = function (message, channel) {
         // handle continuation point and requestedMaxReferencesPerNode
         results = results.map(function (result) {
             assert(!result.continuationPoint);
-            var r = session.continuationPointManager.register(requestedMaxReferencesPerNode, result.references);
+            var r = session.continuationPointManager.register(requestedMaxReferencesPerNode, result.references, "Browse");
             assert(r.statusCode === StatusCodes.Good);
             r.statusCode = result.statusCode;
             return r;
@@ -1397,7 +1529,7 @@ OPCUAServer.prototype._on_BrowseNextRequest = function (message, channel) {
             //   the Server. The continuation points are released and the results
             //   and diagnosticInfos arrays are empty.
             results = request.continuationPoints.map(function (continuationPoint) {
-                return session.continuationPointManager.cancel(continuationPoint);
+                return session.continuationPointManager.cancel(continuationPoint, "Browse");
             });
 
         } else {
@@ -1407,7 +1539,7 @@ OPCUAServer.prototype._on_BrowseNextRequest = function (message, channel) {
             //   passed continuationPoints shall be used to get the next set of
             //   browse information.
             results = request.continuationPoints.map(function (continuationPoint) {
-                return session.continuationPointManager.getNext(continuationPoint);
+                return session.continuationPointManager.getNext(continuationPoint, "Browse");
             });
         }
 
@@ -1523,7 +1655,7 @@ OPCUAServer.prototype._on_HistoryReadRequest = function (message, channel) {
 
             assert(!err, " error not handled here , fix me"); //TODO
 
-            server.engine.historyRead(request, function(err, results){
+            server.engine.historyRead(request, session, function(err, results){
                 assert(results[0]._schema.name === "HistoryReadResult");
                 assert(results.length === request.nodesToRead.length);
 
@@ -1554,6 +1686,80 @@ OPCUAServer.prototype._on_HistoryReadRequest = function (message, channel) {
  // In the cases where the Server is able to verify that it has successfully written to the data source,
  // it reports an unconditional success.
  */
+// see part 5 - 6.4.6 AuditOpenSecureChannelEventType
+function _raiseAuditOpenSecureChannelEvent(server, request, statusCode, channel) {
+
+    var clientCertificate = channel.clientCertificate || null;
+    server.raiseAuditEvent("AuditOpenSecureChannelEventType", {
+        sourceName: "SecureChannel/OpenSecureChannel",
+        request: request,
+        status: statusCode === StatusCodes.Good,
+        message: statusCode === StatusCodes.Good ? null : "OpenSecureChannel has failed : " + statusCode.toString()
+    }, {
+        /* part 5 - 6.4.5 AuditChannelEventType */
+        secureChannelId: {dataType: "String", value: channel.secureChannelId.toString()},
+
+        clientCertificate: {dataType: "ByteString", value: clientCertificate},
+        clientCertificateThumbprint: {
+            dataType: "String",
+            value: clientCertificate ? makeSHA1Thumbprint(clientCertificate).toString("hex") : null
+        },
+        requestType: {dataType: "Int32", value: request.requestType.value},
+        securityPolicyUri: {dataType: "String", value: channel.securityHeader ? channel.securityHeader.securityPolicyUri : null},
+        securityMode: {dataType: "Int32", value: request.securityMode.value},
+        requestedLifetime: {dataType: "Duration", value: request.requestedLifetime}
+    });
+}
+
+// see part 5 - 6.4.17 AuditCertificateEventType : the subtype of the event depends on the reason of the rejection
+var auditCertificateEventTypes = {
+    BadCertificateTimeInvalid: "AuditCertificateExpiredEventType",
+    BadCertificateIssuerTimeInvalid: "AuditCertificateExpiredEventType",
+    BadCertificateUntrusted: "AuditCertificateUntrustedEventType",
+    BadCertificateRevoked: "AuditCertificateRevokedEventType",
+    BadCertificateIssuerRevoked: "AuditCertificateRevokedEventType",
+    BadCertificateRevocationUnknown: "AuditCertificateRevokedEventType",
+    BadCertificateIssuerRevocationUnknown: "AuditCertificateRevokedEventType",
+    BadCertificateUriInvalid: "AuditCertificateDataMismatchEventType",
+    BadCertificateHostNameInvalid: "AuditCertificateDataMismatchEventType",
+    BadCertificateUseNotAllowed: "AuditCertificateMismatchEventType",
+    BadCertificateIssuerUseNotAllowed: "AuditCertificateMismatchEventType"
+};
+
+function _raiseAuditCertificateEvent(server, certificate, statusCode, channel) {
+
+    var eventType = auditCertificateEventTypes[statusCode.name] || "AuditCertificateInvalidEventType";
+    server.raiseAuditEvent(eventType, {
+        sourceName: "Security/Certificate",
+        status: false,
+        message: "the certificate of the client has been rejected : " + statusCode.toString() +
+            " ( secure channel " + channel.secureChannelId + " )"
+    }, {
+        certificate: {dataType: "ByteString", value: certificate}
+    });
+}
+
+// see part 5 - 6.4.24 AuditWriteUpdateEventType
+function _raiseAuditWriteUpdateEvents(server, message, oldValues, results) {
+
+    message.request.nodesToWrite.forEach(function (writeValue, index) {
+        var node = server.engine.addressSpace.findNode(writeValue.nodeId);
+        server.raiseAuditEvent("AuditWriteUpdateEventType", {
+            sourceName: "Attribute/Write",
+            request: message.request,
+            session: message.session,
+            status: results[index] === StatusCodes.Good,
+            message: results[index] === StatusCodes.Good ? null : "Write has failed : " + results[index].toString()
+        }, {
+            sourceNode: {dataType: "NodeId", value: node ? node.nodeId : server.engine.addressSpace.findNode("Server").nodeId},
+            attributeId: {dataType: "UInt32", value: writeValue.attributeId},
+            indexRange: {dataType: "String", value: writeValue.indexRange ? writeValue.indexRange.toEncodeableString() : null},
+            oldValue: oldValues[index] || {dataType: "Null"},
+            newValue: writeValue.value.value || {dataType: "Null"}
+        });
+    });
+}
+
 OPCUAServer.prototype._on_WriteRequest = function (message, channel) {
 
     var server = this;
@@ -1571,10 +1777,19 @@ OPCUAServer.prototype._on_WriteRequest = function (message, channel) {
     }
 
     assert(request.nodesToWrite[0]._schema.name === "WriteValue");
+
+    // keep the values before they are overwritten, to report them in the AuditWriteUpdateEventType events
+    var oldValues = server.isAuditing ? request.nodesToWrite.map(function (writeValue) {
+        return server.engine.readSingleNode(writeValue.nodeId, writeValue.attributeId).value;
+    }) : null;
+
     server.engine.write(request.nodesToWrite, function (err, results) {
         assert(!err);
         assert(_.isArray(results));
         assert(results.length === request.nodesToWrite.length);
+        if (oldValues) {
+            _raiseAuditWriteUpdateEvents(server, message, oldValues, results);
+        }
         response = new WriteResponse({
             results: results,
             diagnosticInfos: null
@@ -1651,7 +1866,7 @@ function build_scanning_node_function(addressSpace, monitoredItem, itemToMonitor
         };
     }
 
-    monitoredItem.node = node;
+    monitoredItem.setNode(node);
 
     if (itemToMonitor.attributeId === AttributeIds.Value) {
 
@@ -2188,19 +2403,20 @@ function callMethod(session, callMethodRequest, callback) {
     // verify input Parameters
     var methodInputArguments = methodDeclaration.getInputArguments();
 
-    response = verifyArguments_ArgumentList(methodInputArguments, inputArguments);
+    response = verifyArguments_ArgumentList(methodInputArguments, inputArguments, addressSpace);
     if (response.statusCode !== StatusCodes.Good) {
         return callback(null, response);
     }
 
-    var methodObj = addressSpace.findNode(methodId);
-
     // invoke method on object
     var context = {
         session: session,
         object:  addressSpace.findNode(objectId)
     };
 
+    // note : methodId may be the nodeId of the method declaration in the type of the object
+    var methodObj = context.object.getMethodById(methodId);
+
     methodObj.execute(inputArguments, context, function (err, callMethodResponse) {
 
         /* istanbul ignore next */
@@ -2228,6 +2444,30 @@ function callMethod(session, callMethodRequest, callback) {
 
 
 
+// see part 5 - 6.4.27 AuditUpdateMethodEventType
+function _raiseAuditUpdateMethodEvents(server, request, session, results) {
+
+    request.methodsToCall.forEach(function (callMethodRequest, index) {
+        var statusCode = results[index].statusCode;
+        var object = server.engine.addressSpace.findNode(callMethodRequest.objectId);
+        server.raiseAuditEvent("AuditUpdateMethodEventType", {
+            sourceName: "Method/Call",
+            request: request,
+            session: session,
+            status: statusCode === StatusCodes.Good,
+            message: statusCode === StatusCodes.Good ? null : "Call has failed : " + statusCode.toString()
+        }, {
+            sourceNode: {dataType: "NodeId", value: object ? object.nodeId : server.engine.addressSpace.findNode("Server").nodeId},
+            methodId: {dataType: "NodeId", value: callMethodRequest.methodId},
+            inputArguments: {
+                dataType: "Variant",
+                arrayType: VariantArrayType.Array,
+                value: callMethodRequest.inputArguments || []
+            }
+        });
+    });
+}
+
 // Call Service Result Codes
 // Symbolic Id Description
 // Bad_NothingToDo       See Table 165 for the description of this result code.
@@ -2262,6 +2502,7 @@ OPCUAServer.prototype._on_CallRequest = function (message, channel) {
         async.map(request.methodsToCall, callMethod.bind(server, session), function (err, results) {
             assert(!err);
             assert(_.isArray(results));
+            _raiseAuditUpdateMethodEvents(server, request, session, results);
             response = new CallResponse({results: results});
             channel.send_response("MSG", response, message);
 
@@ -2331,32 +2572,366 @@ OPCUAServer.prototype._on_Cancel =  function (message, channel) {
 //
 var node_managment_service = require("lib/services/node_management_service");
 
-OPCUAServer.prototype._on_AddNodes= function (message, channel) {
-    return g_sendError(channel, message, node_managment_service.AddNodesResponse, StatusCodes.BadNotImplemented);
+// the MaxNodesPerNodeManagement Property indicates the maximum size of the nodesToAdd array when a Client calls
+// the AddNodes Service, the maximum size of the referencesToAdd array when a Client calls the AddReferences Service,
+// the maximum size of the nodesToDelete array when a Client calls the DeleteNodes Service, and the maximum size
+// of the referencesToDelete array when a Client calls the DeleteReferences Service.
+function exceedsMaxNodesPerNodeManagement(server, items) {
+    var maxNodesPerNodeManagement = server.engine.serverCapabilities.operationLimits.maxNodesPerNodeManagement;
+    return maxNodesPerNodeManagement > 0 && items.length > maxNodesPerNodeManagement;
+}
+
+var AddNodesRequest = node_managment_service.AddNodesRequest;
+var AddNodesResponse = node_managment_service.AddNodesResponse;
+
+// AddNodes Service Result Codes
+// Symbolic Id Description
+// Bad_NothingToDo       See Table 165 for the description of this result code.
+// Bad_TooManyOperations See Table 165 for the description of this result code.
+//
+OPCUAServer.prototype._on_AddNodesRequest = function (message, channel) {
+
+    var server = this;
+    var request = message.request;
+    assert(request instanceof AddNodesRequest);
+
+    function sendError(statusCode) {
+        return g_sendError(channel, message, AddNodesResponse, statusCode);
+    }
+
+    this._apply_on_SessionObject(AddNodesResponse, message, channel, function (session) {
+
+        if (!request.nodesToAdd || request.nodesToAdd.length === 0) {
+            return sendError(StatusCodes.BadNothingToDo);
+        }
+        if (exceedsMaxNodesPerNodeManagement(server, request.nodesToAdd)) {
+            return sendError(StatusCodes.BadTooManyOperations);
+        }
+
+        var results = server.engine.addNodes(request.nodesToAdd, session);
+        assert(results.length === request.nodesToAdd.length);
+
+        var response = new AddNodesResponse({
+            results: results,
+            diagnosticInfos: null
+        });
+        channel.send_response("MSG", response, message);
+    });
 };
 
-OPCUAServer.prototype._on_AddReferences= function (message, channel) {
-    return g_sendError(channel, message, node_managment_service.AddReferencesResponse, StatusCodes.BadNotImplemented);
+var AddReferencesRequest = node_managment_service.AddReferencesRequest;
+var AddReferencesResponse = node_managment_service.AddReferencesResponse;
+
+// AddReferences Service Result Codes
+// Symbolic Id Description
+// Bad_NothingToDo       See Table 165 for the description of this result code.
+// Bad_TooManyOperations See Table 165 for the description of this result code.
+//
+OPCUAServer.prototype._on_AddReferencesRequest = function (message, channel) {
+
+    var server = this;
+    var request = message.request;
+    assert(request instanceof AddReferencesRequest);
+
+    function sendError(statusCode) {
+        return g_sendError(channel, message, AddReferencesResponse, statusCode);
+    }
+
+    this._apply_on_SessionObject(AddReferencesResponse, message, channel, function (session) {
+
+        if (!request.referencesToAdd || request.referencesToAdd.length === 0) {
+            return sendError(StatusCodes.BadNothingToDo);
+        }
+        if (exceedsMaxNodesPerNodeManagement(server, request.referencesToAdd)) {
+            return sendError(StatusCodes.BadTooManyOperations);
+        }
+
+        var results = server.engine.addReferences(request.referencesToAdd, session);
+        assert(results.length === request.referencesToAdd.length);
+
+        var response = new AddReferencesResponse({
+            results: results,
+            diagnosticInfos: null
+        });
+        channel.send_response("MSG", response, message);
+    });
 };
-OPCUAServer.prototype._on_DeleteNodes= function (message, channel) {
-    return g_sendError(channel, message, node_managment_service.DeleteNodesResponse, StatusCodes.BadNotImplemented);
+
+var DeleteNodesRequest = node_managment_service.DeleteNodesRequest;
+var DeleteNodesResponse = node_managment_service.DeleteNodesResponse;
+
+// DeleteNodes Service Result Codes
+// Symbolic Id Description
+// Bad_NothingToDo       See Table 165 for the description of this result code.
+// Bad_TooManyOperations See Table 165 for the description of this result code.
+//
+OPCUAServer.prototype._on_DeleteNodesRequest = function (message, channel) {
+
+    var server = this;
+    var request = message.request;
+    assert(request instanceof DeleteNodesRequest);
+
+    function sendError(statusCode) {
+        return g_sendError(channel, message, DeleteNodesResponse, statusCode);
+    }
+
+    this._apply_on_SessionObject(DeleteNodesResponse, message, channel, function (session) {
+
+        if (!request.nodesToDelete || request.nodesToDelete.length === 0) {
+            return sendError(StatusCodes.BadNothingToDo);
+        }
+        if (exceedsMaxNodesPerNodeManagement(server, request.nodesToDelete)) {
+            return sendError(StatusCodes.BadTooManyOperations);
+        }
+
+        var results = server.engine.deleteNodes(request.nodesToDelete, session);
+        assert(results.length === request.nodesToDelete.length);
+
+        var response = new DeleteNodesResponse({
+            results: results,
+            diagnosticInfos: null
+        });
+        channel.send_response("MSG", response, message);
+    });
 };
-OPCUAServer.prototype._on_DeleteReferences= function (message, channel) {
-    return g_sendError(channel, message, node_managment_service.DeleteReferencesResponse, StatusCodes.BadNotImplemented);
+
+
+var DeleteReferencesRequest = node_managment_service.DeleteReferencesRequest;
+var DeleteReferencesResponse = node_managment_service.DeleteReferencesResponse;
+
+// DeleteReferences Service Result Codes
+// Symbolic Id Description
+// Bad_NothingToDo       See Table 165 for the description of this result code.
+// Bad_TooManyOperations See Table 165 for the description of this result code.
+//
+OPCUAServer.prototype._on_DeleteReferencesRequest = function (message, channel) {
+
+    var server = this;
+    var request = message.request;
+    assert(request instanceof DeleteReferencesRequest);
+
+    function sendError(statusCode) {
+        return g_sendError(channel, message, DeleteReferencesResponse, statusCode);
+    }
+
+    this._apply_on_SessionObject(DeleteReferencesResponse, message, channel, function (session) {
+
+        if (!request.referencesToDelete || request.referencesToDelete.length === 0) {
+            return sendError(StatusCodes.BadNothingToDo);
+        }
+        if (exceedsMaxNodesPerNodeManagement(server, request.referencesToDelete)) {
+            return sendError(StatusCodes.BadTooManyOperations);
+        }
+
+        var results = server.engine.deleteReferences(request.referencesToDelete, session);
+        assert(results.length === request.referencesToDelete.length);
+
+        var response = new DeleteReferencesResponse({
+            results: results,
+            diagnosticInfos: null
+        });
+        channel.send_response("MSG", response, message);
+    });
 };
 
 
 // Query Service
-OPCUAServer.prototype._on_QueryFirst= function (message, channel) {
-    return g_sendError(channel, message, query_service.QueryFirstResponse, StatusCodes.BadNotImplemented);
+var query_service = require("lib/services/query_service");
+var QueryFirstRequest = query_service.QueryFirstRequest;
+var QueryFirstResponse = query_service.QueryFirstResponse;
+var QueryNextRequest = query_service.QueryNextRequest;
+var QueryNextResponse = query_service.QueryNextResponse;
+
+// the number of references returned by a query data set : the ReferenceDescription arrays returned
+// for the dataToReturn whose relative path ends in a reference
+function _countQueryDataSetReferences(queryDataSet) {
+    return queryDataSet.values.reduce(function (count, variant) {
+        var isReferenceArray = variant.dataType === DataType.ExtensionObject && _.isArray(variant.value) &&
+            variant.value[0] instanceof browse_service.ReferenceDescription;
+        return count + (isReferenceArray ? variant.value.length : 0);
+    }, 0);
+}
+
+/**
+ * extract the query data sets of a QueryFirst or QueryNext response, and keep the remaining ones
+ * in a continuation point of the session.
+ *
+ * A response contains at most state.maxDataSetsToReturn data sets whose references don't exceed
+ * state.maxReferencesToReturn ( 0 means no limit ), but always contains at least one data set.
+ *
+ * @method _extractQueryDataSets
+ * @param session {ServerSession}
+ * @param state {Object}
+ * @param state.queryDataSets {QueryDataSet[]} the data sets that have not been returned yet
+ * @param state.maxDataSetsToReturn {Number}
+ * @param state.maxReferencesToReturn {Number}
+ * @return {Object} the data sets of the response and the continuation point of the next ones
+ * @private
+ */
+function _extractQueryDataSets(session, state) {
+
+    var count = 0;
+    var referenceCount = 0;
+    while (count < state.queryDataSets.length) {
+        if (state.maxDataSetsToReturn && count >= state.maxDataSetsToReturn) {
+            break;
+        }
+        referenceCount += _countQueryDataSetReferences(state.queryDataSets[count]);
+        if (state.maxReferencesToReturn && referenceCount > state.maxReferencesToReturn && count > 0) {
+            break;
+        }
+        count += 1;
+    }
+    var queryDataSets = state.queryDataSets.splice(0, count);
+    return {
+        queryDataSets: queryDataSets,
+        continuationPoint: state.queryDataSets.length ? session.continuationPointManager.registerState(state, "Query") : null
+    };
+}
+
+// QueryFirst Service Result Codes
+// Symbolic Id                Description
+// Bad_NothingToDo            See Table 165 for the description of this result code.
+// Bad_ViewIdUnknown          See Table 165 for the description of this result code.
+// Bad_ContentFilterInvalid   See Table 165 for the description of this result code.
+//
+OPCUAServer.prototype._on_QueryFirstRequest = function (message, channel) {
+
+    var server = this;
+    var request = message.request;
+    assert(request instanceof QueryFirstRequest);
+
+    function sendError(statusCode) {
+        return g_sendError(channel, message, QueryFirstResponse, statusCode);
+    }
+
+    this._apply_on_SessionObject(QueryFirstResponse, message, channel, function (session) {
+
+        if (!request.nodeTypes || request.nodeTypes.length === 0) {
+            return sendError(StatusCodes.BadNothingToDo);
+        }
+
+        var result = server.engine.query(request);
+
+        if (result.statusCode !== StatusCodes.Good) {
+            var errorResponse = new QueryFirstResponse({
+                responseHeader: {serviceResult: result.statusCode},
+                filterResult: result.filterResult
+            });
+            return channel.send_response("MSG", errorResponse, message);
+        }
+
+        // the query data sets that do not fit in this response are kept in the session
+        // and can be retrieved with QueryNext.
+        var r = _extractQueryDataSets(session, {
+            queryDataSets: result.queryDataSets,
+            maxDataSetsToReturn: request.maxDataSetsToReturn,
+            maxReferencesToReturn: request.maxReferencesToReturn
+        });
+
+        var response = new QueryFirstResponse({
+            queryDataSet: r.queryDataSets,
+            continuationPoint: r.continuationPoint,
+            parsingResult: result.parsingResults,
+            diagnosticInfos: null,
+            filterResult: result.filterResult
+        });
+        channel.send_response("MSG", response, message);
+    });
 };
-OPCUAServer.prototype._on_QueryNext = function (message, channel) {
-    return g_sendError(channel, message, query_service.QueryNextResponse, StatusCodes.BadNotImplemented);
+
+// QueryNext Service Result Codes
+// Symbolic Id                      Description
+// Bad_ContinuationPointInvalid     See Table 165 for the description of this result code.
+//
+OPCUAServer.prototype._on_QueryNextRequest = function (message, channel) {
+
+    var request = message.request;
+    assert(request instanceof QueryNextRequest);
+
+    function sendError(statusCode) {
+        return g_sendError(channel, message, QueryNextResponse, statusCode);
+    }
+
+    this._apply_on_SessionObject(QueryNextResponse, message, channel, function (session) {
+
+        if (request.releaseContinuationPoint) {
+            // the continuation point is released and the response arrays are empty
+            var statusCode = session.continuationPointManager.cancel(request.continuationPoint, "Query").statusCode;
+            if (statusCode !== StatusCodes.Good) {
+                return sendError(statusCode);
+            }
+            return channel.send_response("MSG", new QueryNextResponse({queryDataSet: []}), message);
+        }
+
+        var state = session.continuationPointManager.releaseState(request.continuationPoint, "Query");
+        if (!state) {
+            return sendError(StatusCodes.BadContinuationPointInvalid);
+        }
+        var r = _extractQueryDataSets(session, state);
+
+        var response = new QueryNextResponse({
+            queryDataSet: r.queryDataSets,
+            revisedContinuationPoint: r.continuationPoint
+        });
+        channel.send_response("MSG", response, message);
+    });
 };
 
 
-OPCUAServer.prototype._on_HistoryUpdate = function (message, channel) {
-    return g_sendError(channel, message, historizing_service.HistorizingUpdateResponse, StatusCodes.BadNotImplemented);
+// the MaxNodesPerHistoryUpdateData and MaxNodesPerHistoryUpdateEvents Properties indicate the maximum size of the
+// historyUpdateDetails array supported by the Server when a Client calls the HistoryUpdate Service
+// respectively for data and for events.
+function exceedsMaxNodesPerHistoryUpdate(server, historyUpdateDetails) {
+    var operationLimits = server.engine.serverCapabilities.operationLimits;
+    var nbEvents = historyUpdateDetails.filter(function (details) {
+        return details._schema.name === "DeleteEventDetails";
+    }).length;
+    var nbData = historyUpdateDetails.length - nbEvents;
+    return (operationLimits.maxNodesPerHistoryUpdateData > 0 && nbData > operationLimits.maxNodesPerHistoryUpdateData) ||
+        (operationLimits.maxNodesPerHistoryUpdateEvents > 0 && nbEvents > operationLimits.maxNodesPerHistoryUpdateEvents);
+}
+
+// HistoryUpdate Service Result Codes
+// Symbolic Id Description
+// Bad_NothingToDo       See Table 165 for the description of this result code.
+// Bad_TooManyOperations See Table 165 for the description of this result code.
+//
+OPCUAServer.prototype._on_HistoryUpdateRequest = function (message, channel) {
+
+    var server = this;
+    var request = message.request;
+    assert(request instanceof HistoryUpdateRequest);
+
+    function sendError(statusCode) {
+        return g_sendError(channel, message, HistoryUpdateResponse, statusCode);
+    }
+
+    this._apply_on_SessionObject(HistoryUpdateResponse, message, channel, function (session) {
+
+        if (!request.historyUpdateDetails || request.historyUpdateDetails.length === 0) {
+            return sendError(StatusCodes.BadNothingToDo);
+        }
+        if (exceedsMaxNodesPerHistoryUpdate(server, request.historyUpdateDetails)) {
+            return sendError(StatusCodes.BadTooManyOperations);
+        }
+
+        server.engine.historyUpdate(request, function (err, results) {
+
+            if (err) {
+                // a error of the engine or of a historian
+                var fault = OPCUABaseServer.makeServiceFault(StatusCodes.BadInternalError, [err.message]);
+                return channel.send_response("MSG", fault, message);
+            }
+            assert(results.length === request.historyUpdateDetails.length);
+
+            var response = new HistoryUpdateResponse({
+                results: results,
+                diagnosticInfos: null
+            });
+            channel.send_response("MSG", response, message);
+        });
+    });
 };
 
 
@@ -42,6 +42,8 @@ var crypto_utils = require("lib/misc/crypto_utils");
  * @param [options.timeout=30000]                     {Number} the  timeout for the TCP HEL/ACK transaction (in ms)
  * @param [options.maxConnections = 20 ]{Number}       {Number} the maximum number of connection allowed on the TCP server socket
  * @param options.objectFactory
+ * @param [options.certificateManager = null] {CertificateManager} the certificate manager that verifies
+ *        the certificates of the clients
  * @constructor
  */
 function OPCUAServerEndPoint(options) {
@@ -56,6 +58,7 @@ function OPCUAServerEndPoint(options) {
 
     self.certificate = options.certificate;
     self.privateKey = options.privateKey;
+    self.certificateManager = options.certificateManager || null;
 
     self._channels = {};
 
@@ -156,6 +159,14 @@ OPCUAServerEndPoint.prototype._on_client_connection = function (socket) {
         self._unregisterChannel(channel);
     });
 
+    // forward the security events of the channel ( see ServerSecureChannelLayer )
+    channel.on("open_secure_channel", function (request, statusCode) {
+        self.emit("open_secure_channel", request, statusCode, channel, self);
+    });
+    channel.on("certificate_rejected", function (certificate, statusCode) {
+        self.emit("certificate_rejected", certificate, statusCode, channel, self);
+    });
+
 };
 
 /**
@@ -176,6 +187,22 @@ OPCUAServerEndPoint.prototype.getPrivateKey = function () {
     return this.privateKey;
 };
 
+/**
+ * replace the certificate and the private key of the end point, and the server certificate
+ * exposed in its endpoint descriptions.
+ * @method setCertificate
+ * @param certificate {Buffer} the DER certificate
+ * @param privateKey  {String} PEM string of the private key
+ */
+OPCUAServerEndPoint.prototype.setCertificate = function (certificate, privateKey) {
+    var self = this;
+    self.certificate = certificate;
+    self.privateKey = privateKey;
+    self._endpoints.forEach(function (endpoint) {
+        endpoint.serverCertificate = certificate;
+    });
+};
+
 /**
  * The number of active channel on this end point.
  * @property currentChannelCount
@@ -250,6 +277,14 @@ function _makeEndpointDescription(options) {
             securityPolicyUri: SecurityPolicy.Basic128Rsa15.value
         });
 
+        userIdentityTokens.push({
+            policyId: "username_basic256sha256",
+            tokenType: UserIdentityTokenType.USERNAME,
+            issuedTokenType: null,
+            issuerEndpointUrl: null,
+            securityPolicyUri: SecurityPolicy.Basic256Sha256.value
+        });
+
     } else {
         // note:
         //  when channel session security is not NONE,
@@ -378,7 +413,13 @@ OPCUAServerEndPoint.prototype.addStandardEndpointDescriptions = function (option
     options = options || {};
 
     options.securityModes = options.securityModes || [MessageSecurityMode.NONE, MessageSecurityMode.SIGN, MessageSecurityMode.SIGNANDENCRYPT];
-    options.securityPolicies = options.securityPolicies || [SecurityPolicy.Basic128Rsa15, SecurityPolicy.Basic256];
+    options.securityPolicies = options.securityPolicies || [
+        SecurityPolicy.Basic128Rsa15,
+        SecurityPolicy.Basic256,
+        SecurityPolicy.Basic256Sha256,
+        SecurityPolicy.Aes128_Sha256_RsaOaep,
+        SecurityPolicy.Aes256_Sha256_RsaPss
+    ];
 
     if (options.securityModes.indexOf(MessageSecurityMode.NONE) >= 0) {
         self.addEndpointDescription(MessageSecurityMode.NONE, SecurityPolicy.None, options);
@@ -28,10 +28,19 @@ var BaseNode = require("lib/address_space/base_node").BaseNode;
 var UAObject = require("lib/address_space/ua_object").UAObject;
 var UAVariable = require("lib/address_space/ua_variable").UAVariable;
 
+var node_managment_service = require("lib/services/node_management_service");
+var AddNodesResult = node_managment_service.AddNodesResult;
+
 var historizing_service = require("lib/services/historizing_service");
 var HistoryReadRequest = historizing_service.HistoryReadRequest;
 var HistoryReadDetails = historizing_service.HistoryReadDetails;
 var HistoryReadResult = historizing_service.HistoryReadResult;
+var HistoryData = historizing_service.HistoryData;
+var HistoryEvent = historizing_service.HistoryEvent;
+var HistoryEventFieldList = historizing_service.HistoryEventFieldList;
+var ReadProcessedDetails = historizing_service.ReadProcessedDetails;
+var HistoryUpdateRequest = historizing_service.HistoryUpdateRequest;
+var HistoryUpdateResult = historizing_service.HistoryUpdateResult;
 
 var DataValue = require("lib/datamodel/datavalue").DataValue;
 var Variant = require("lib/datamodel/variant").Variant;
@@ -59,6 +68,7 @@ var ServerSession = require("lib/server/server_session").ServerSession;
 var VariableIds = require("lib/opcua_node_ids").VariableIds;
 var MethodIds = require("lib/opcua_node_ids").MethodIds;
 var ObjectIds = require("lib/opcua_node_ids").ObjectIds;
+var supportedAggregateFunctions = require("lib/address_space/aggregates").supportedAggregateFunctions;
 
 var ReferenceType = require("lib/address_space/referenceType").ReferenceType;
 
@@ -109,6 +119,8 @@ var eoan = require("lib/address_space/extension_object_array_node");
  * @param [options.serverCapabilities.serverProfileArray]
  * @param [options.serverCapabilities.localeIdArray]
  * @param options.applicationUri {String} the application URI.
+ * @param [options.nodeManagementPolicy = null] {Function} the function that decides whether a node management
+ *                                          operation is allowed (see {{#crossLink "OPCUAServer"}}{{/crossLink}})
  * @constructor
  */
 function ServerEngine(options) {
@@ -123,16 +135,22 @@ function ServerEngine(options) {
 
     this.isAuditing = _.isBoolean(options.isAuditing) ? options.isAuditing : false;
 
+    assert(!options.nodeManagementPolicy || _.isFunction(options.nodeManagementPolicy));
+    this.nodeManagementPolicy = options.nodeManagementPolicy || null;
+
     // ---------------------------------------------------- ServerStatus
     this.serverStatus = new ServerStatus({
         startTime: new Date(),
         currentTime: new Date(),
         state: ServerState.NoConfiguration,
         buildInfo: options.buildInfo,
-        secondsTillShutdown: 10,
+        secondsTillShutdown: 0,
         shutdownReason: {text: ""}
     });
 
+    // the time at which the server will actually be shut down ( see setShutdownTime )
+    this._shutdownTime = null;
+
     var self = this;
 
     this.serverStatus.__defineGetter__("secondsTillShutdown",function() {
@@ -310,8 +328,30 @@ ServerEngine.prototype.__defineGetter__("publishingIntervalCount", function () {
  * value is only relevant once the state changes into SHUTDOWN.
  */
 ServerEngine.prototype.secondsTillShutdown = function () {
-    // ToDo: implement a correct solution here
-    return 1;
+    var self = this;
+    if (!self._shutdownTime) {
+        return 0;
+    }
+    return Math.max(0, Math.ceil((self._shutdownTime.getTime() - Date.now()) / 1000));
+};
+
+/**
+ * set the time at which the server will be shut down, from which SecondsTillShutdown is computed.
+ * @method setShutdownTime
+ * @param shutdownTime {Date|null}
+ */
+ServerEngine.prototype.setShutdownTime = function (shutdownTime) {
+    assert(shutdownTime === null || shutdownTime instanceof Date);
+    this._shutdownTime = shutdownTime;
+};
+
+/**
+ * set the ShutdownReason exposed in the ServerStatus.
+ * @method setShutdownReason
+ * @param reason {String|LocalizedText}
+ */
+ServerEngine.prototype.setShutdownReason = function (reason) {
+    this.serverStatus.shutdownReason = new LocalizedText(_.isString(reason) ? {text: reason} : reason);
 };
 
 
@@ -351,6 +391,123 @@ function getMonitoredItemsId(inputArguments, context, callback) {
 
 }
 
+/*
+ * OPCUA 1.03 Part 9 : 5.5.7 ConditionRefresh Method
+ *
+ * ConditionRefresh allows a Client to request a Refresh of all Condition instances that currently are in an
+ * interesting state (they have the Retain flag set). The Server sends a RefreshStartEvent, then the state of each
+ * retained condition ( and of each retained branch ) as a event, and finally a RefreshEndEvent.
+ * ConditionRefresh2 does the same for a single MonitoredItem of the subscription.
+ */
+var MonitoringMode = require("lib/services/subscription_service").MonitoringMode;
+
+function _findConditions(addressSpace) {
+    var UAConditionBase = require("lib/address_space/alarms_and_conditions/condition").UAConditionBase;
+    return _.filter(addressSpace._nodeid_index, function (node) {
+        return node instanceof UAConditionBase;
+    });
+}
+
+function _conditionRefreshMonitoredItem(addressSpace, monitoredItem, conditions) {
+
+    if (monitoredItem.itemToMonitor.attributeId !== AttributeIds.EventNotifier ||
+        monitoredItem.monitoringMode === MonitoringMode.Disabled) {
+        return;
+    }
+    var server = addressSpace.findNode("Server");
+
+    function constructRefreshEventData(eventType) {
+        return addressSpace.constructEventData(eventType, {
+            sourceNode: {dataType: DataType.NodeId, value: server.nodeId}
+        });
+    }
+
+    monitoredItem._on_condition_refresh_event(constructRefreshEventData("RefreshStartEventType"));
+
+    // only the conditions whose events reach the monitored notifier are refreshed
+    conditions.filter(function (condition) {
+        return condition._getEventNotifiers().indexOf(monitoredItem.node) >= 0;
+    }).forEach(function (condition) {
+        condition.getRetainedBranches().forEach(function (branch) {
+            monitoredItem._on_opcua_event(branch.toEventData());
+        });
+    });
+
+    monitoredItem._on_condition_refresh_event(constructRefreshEventData("RefreshEndEventType"));
+}
+
+function _getSubscriptionForConditionRefresh(context, subscriptionId) {
+
+    assert(context.hasOwnProperty("session"), " expecting a session id in the context object");
+    var session = context.session;
+    if (!session) {
+        return {statusCode: StatusCodes.BadInternalError};
+    }
+    var subscription = session.getSubscription(subscriptionId);
+    if (!subscription) {
+        return {statusCode: StatusCodes.BadSubscriptionIdInvalid};
+    }
+    return {statusCode: StatusCodes.Good, subscription: subscription};
+}
+
+function conditionRefresh(inputArguments, context, callback) {
+
+    var engine = this;
+    assert(_.isArray(inputArguments));
+    assert(_.isFunction(callback));
+
+    // SubscriptionId  => IntegerId
+    var result = _getSubscriptionForConditionRefresh(context, inputArguments[0].value);
+    if (result.statusCode !== StatusCodes.Good) {
+        return callback(null, {statusCode: result.statusCode});
+    }
+    var conditions = _findConditions(engine.addressSpace);
+    _.forEach(result.subscription.monitoredItems, function (monitoredItem) {
+        _conditionRefreshMonitoredItem(engine.addressSpace, monitoredItem, conditions);
+    });
+    callback(null, {statusCode: StatusCodes.Good});
+}
+
+function conditionRefresh2(inputArguments, context, callback) {
+
+    var engine = this;
+    assert(_.isArray(inputArguments));
+    assert(_.isFunction(callback));
+
+    // SubscriptionId  => IntegerId
+    // MonitoredItemId => IntegerId
+    var result = _getSubscriptionForConditionRefresh(context, inputArguments[0].value);
+    if (result.statusCode !== StatusCodes.Good) {
+        return callback(null, {statusCode: result.statusCode});
+    }
+    var monitoredItem = result.subscription.getMonitoredItem(inputArguments[1].value);
+    if (!monitoredItem) {
+        return callback(null, {statusCode: StatusCodes.BadMonitoredItemIdInvalid});
+    }
+    _conditionRefreshMonitoredItem(engine.addressSpace, monitoredItem, _findConditions(engine.addressSpace));
+    callback(null, {statusCode: StatusCodes.Good});
+}
+
+function bindConditionRefresh(engine) {
+
+    var addressSpace = engine.addressSpace;
+    var conditionType = addressSpace.findEventType("ConditionType");
+    // ConditionRefresh needs the RefreshStartEventType and RefreshEndEventType of the standard nodeset
+    if (!conditionType || !addressSpace.findEventType("RefreshStartEventType") ||
+        !addressSpace.findEventType("RefreshEndEventType")) {
+        return;
+    }
+    [
+        {name: "ConditionRefresh", func: conditionRefresh},
+        {name: "ConditionRefresh2", func: conditionRefresh2}
+    ].forEach(function (m) {
+        var method = conditionType.getComponentByName(m.name);
+        if (method) {
+            engine.__internal_bindMethod(method.nodeId, m.func.bind(engine));
+        }
+    });
+}
+
 /**
  * the name of the server
  * @property serverName
@@ -379,11 +536,45 @@ ServerEngine.prototype.__defineGetter__("serverNamespaceUrn", function () {
 });
 
 
+/**
+ * change the State of the ServerStatus, and raise a SystemStatusChangeEvent from the Server object
+ * when the state has changed.
+ * @method setServerState
+ * @param serverState {ServerState}
+ */
 ServerEngine.prototype.setServerState = function (serverState) {
     assert(serverState !== null && serverState !== undefined);
-    this.serverStatus.state = serverState;
+    var self = this;
+    var previousState = self.serverStatus.state;
+    self.serverStatus.state = serverState;
+    if (previousState !== serverState) {
+        _raiseSystemStatusChangeEvent(self, serverState);
+    }
 };
 
+function _raiseSystemStatusChangeEvent(engine, serverState) {
+
+    var addressSpace = engine.addressSpace;
+    if (!addressSpace || !addressSpace.findEventType("SystemStatusChangeEventType")) {
+        return;
+    }
+    var server = addressSpace.findNode(makeNodeId(ObjectIds.Server));
+    if (!server) {
+        return;
+    }
+    var message = "Server state is " + serverState.key;
+    var shutdownReason = engine.serverStatus.shutdownReason;
+    if (serverState === ServerState.Shutdown && shutdownReason && shutdownReason.text) {
+        message += " : " + shutdownReason.text;
+    }
+    server.raiseEvent("SystemStatusChangeEventType", {
+        sourceName: {dataType: DataType.String, value: "Server"},
+        message: {dataType: DataType.LocalizedText, value: {text: message}},
+        severity: {dataType: DataType.UInt16, value: serverState === ServerState.Running ? 100 : 700},
+        systemState: {dataType: DataType.Int32, value: serverState.value}
+    });
+}
+
 
 /**
  * @method initialize
@@ -680,6 +871,21 @@ ServerEngine.prototype.initialize = function (options, callback) {
             }
             bindOperationLimits(self.serverCapabilities.operationLimits);
 
+            // the aggregates that can be used in a HistoryRead with a ReadProcessedDetails
+            function bindAggregateFunctions(folderId) {
+                var folder = self.addressSpace.findNode(makeNodeId(folderId));
+                if (!folder) {
+                    return;
+                }
+                supportedAggregateFunctions.forEach(function (aggregateFunctionId) {
+                    var aggregateFunction = self.addressSpace.findNode(aggregateFunctionId);
+                    if (aggregateFunction) {
+                        folder.addReference({referenceType: "Organizes", nodeId: aggregateFunction.nodeId});
+                    }
+                });
+            }
+            bindAggregateFunctions(ObjectIds.Server_ServerCapabilities_AggregateFunctions);
+            bindAggregateFunctions(ObjectIds.HistoryServerCapabilities_AggregateFunctions);
         }
 
         bindServerDiagnostics();
@@ -722,6 +928,8 @@ ServerEngine.prototype.initialize = function (options, callback) {
 
         self.__internal_bindMethod(makeNodeId(MethodIds.Server_GetMonitoredItems), getMonitoredItemsId.bind(self));
 
+        bindConditionRefresh(self);
+
         function prepareServerDiagnostics() {
 
             var addressSpace = self.addressSpace;
@@ -1061,10 +1269,52 @@ ServerEngine.prototype.historyReadSingleNode = function (nodeId, attributeId, hi
     this._historyReadSingleNode({
         nodeId: nodeId,
         attributeId: attributeId
-    }, historyReadDetails, timestampsToReturn, callback);
+    }, historyReadDetails, timestampsToReturn, null, callback);
 };
 
-ServerEngine.prototype._historyReadSingleNode = function (nodeToRead, historyReadDetails, timestampsToReturn, callback) {
+function _historyReadNext(continuationPointManager, nodeToRead, releaseContinuationPoints) {
+
+    if (!continuationPointManager) {
+        return new HistoryReadResult({statusCode: StatusCodes.BadContinuationPointInvalid});
+    }
+    var r = releaseContinuationPoints ?
+        continuationPointManager.cancel(nodeToRead.continuationPoint, "HistoryRead") :
+        continuationPointManager.getNext(nodeToRead.continuationPoint, "HistoryRead");
+
+    if (r.statusCode !== StatusCodes.Good || releaseContinuationPoints) {
+        return new HistoryReadResult({statusCode: r.statusCode});
+    }
+    var isEventHistory = r.references.length > 0 && r.references[0] instanceof HistoryEventFieldList;
+    return new HistoryReadResult({
+        statusCode: StatusCodes.Good,
+        continuationPoint: r.continuationPoint,
+        historyData: isEventHistory ?
+            new HistoryEvent({events: r.references}) :
+            new HistoryData({dataValues: r.references})
+    });
+}
+
+// split the historical values ( or events ) in blocks of numValuesPerNode elements with a continuation point
+function _registerHistoryReadContinuationPoint(continuationPointManager, historyReadDetails, result) {
+
+    var numValuesPerNode = historyReadDetails.numValuesPerNode;
+    if (!continuationPointManager || !numValuesPerNode) {
+        return;
+    }
+    var r;
+    if (result.historyData instanceof HistoryData) {
+        r = continuationPointManager.register(numValuesPerNode, result.historyData.dataValues, "HistoryRead");
+        result.historyData.dataValues = r.references;
+    } else if (result.historyData instanceof HistoryEvent) {
+        r = continuationPointManager.register(numValuesPerNode, result.historyData.events, "HistoryRead");
+        result.historyData.events = r.references;
+    } else {
+        return;
+    }
+    result.continuationPoint = r.continuationPoint;
+}
+
+ServerEngine.prototype._historyReadSingleNode = function (nodeToRead, historyReadDetails, timestampsToReturn, continuationPointManager, callback) {
 
     var self = this;
     var nodeId = nodeToRead.nodeId;
@@ -1081,10 +1331,24 @@ ServerEngine.prototype._historyReadSingleNode = function (nodeToRead, historyRea
 
     var obj = self.__findObject(nodeId);
 
+    if (continuationPoint && continuationPoint.length > 0) {
+        // the historian reads its values block by block: the session only keeps the position of the next block
+        var state = continuationPointManager ? continuationPointManager.releaseState(continuationPoint, "HistoryRead") : null;
+        if (!state) {
+            return callback(null, _historyReadNext(continuationPointManager, nodeToRead, false));
+        }
+        if (!obj || state.nodeId.toString() !== obj.nodeId.toString()) {
+            return callback(null, new HistoryReadResult({statusCode: StatusCodes.BadContinuationPointInvalid}));
+        }
+        continuationPoint = state.continuationPoint;
+    }
+
     if (!obj) {
         // may be return BadNodeIdUnknown in dataValue instead ?
         // Object Not Found
         callback(null, new HistoryReadResult({statusCode: StatusCodes.BadNodeIdUnknown}));
+    } else if (!_.isFunction(obj.historyRead)) {
+        callback(null, new HistoryReadResult({statusCode: StatusCodes.BadHistoryOperationUnsupported}));
     } else {
 
         // check access
@@ -1093,10 +1357,24 @@ ServerEngine.prototype._historyReadSingleNode = function (nodeToRead, historyRea
         //    invalid attributes : BadNodeAttributesInvalid
         //    invalid range      : BadIndexRangeInvalid
         obj.historyRead(historyReadDetails, indexRange, dataEncoding, continuationPoint, function(err, result){
+            if (err) {
+                // the caller reports BadInternalError for this node
+                return callback(err);
+            }
             assert(result.statusCode instanceof StatusCode);
             assert(result.isValid());
             //result = apply_timestamps(result, timestampsToReturn, attributeId);
 
+            if (!err && result.statusCode.name.substr(0, 4) === "Good") {
+                if (result.continuationPoint && result.continuationPoint.length > 0) {
+                    result.continuationPoint = continuationPointManager ? continuationPointManager.registerState({
+                        nodeId: obj.nodeId,
+                        continuationPoint: result.continuationPoint
+                    }, "HistoryRead") : null;
+                } else {
+                    _registerHistoryReadContinuationPoint(continuationPointManager, historyReadDetails, result);
+                }
+            }
             callback(err, result);
         });
     }
@@ -1111,18 +1389,25 @@ ServerEngine.prototype._historyReadSingleNode = function (nodeToRead, historyRea
  *  @param readRequest.timestampsToReturn  {TimestampsToReturn}
  *  @param readRequest.releaseContinuationPoints  {Boolean}
  *  @param readRequest.nodesToRead {HistoryReadValueId[]}
+ *  @param [session] {ServerSession} the session whose ContinuationPointManager is used to return the values
+ *                   in several blocks of numValuesPerNode values.
  *  @param callback {Function}
  *  @param callback.err
  *  @param callback.results {HistoryReadResult[]}
  */
-ServerEngine.prototype.historyRead = function (historyReadRequest, callback) {
+ServerEngine.prototype.historyRead = function (historyReadRequest, session, callback) {
 
+    if (_.isFunction(session)) {
+        callback = session;
+        session = null;
+    }
     assert(historyReadRequest instanceof HistoryReadRequest);
     assert(_.isFunction(callback));
 
     var self = this;
     var timestampsToReturn = historyReadRequest.timestampsToReturn;
     var historyReadDetails = historyReadRequest.historyReadDetails;
+    var continuationPointManager = session ? session.continuationPointManager : null;
 
     var nodesToRead = historyReadRequest.nodesToRead;
 
@@ -1130,9 +1415,28 @@ ServerEngine.prototype.historyRead = function (historyReadRequest, callback) {
     assert(self.addressSpace instanceof AddressSpace); // initialize not called
     assert(_.isArray(nodesToRead));
 
+    if (historyReadRequest.releaseContinuationPoints) {
+        return callback(null, nodesToRead.map(function (nodeToRead) {
+            return _historyReadNext(continuationPointManager, nodeToRead, true);
+        }));
+    }
+
+    // each node of a ReadProcessedDetails request has its own aggregate
+    var isProcessed = historyReadDetails instanceof ReadProcessedDetails;
+    if (isProcessed && historyReadDetails.aggregateType.length !== nodesToRead.length) {
+        return callback(null, nodesToRead.map(function () {
+            return new HistoryReadResult({statusCode: StatusCodes.BadAggregateListMismatch});
+        }));
+    }
+
     var historyData=[];
-    async.eachSeries(nodesToRead, function(readValueId, cbNode){
-        self._historyReadSingleNode(readValueId, historyReadDetails, timestampsToReturn, function(err, result){
+    async.eachOfSeries(nodesToRead, function(readValueId, index, cbNode){
+        var details = historyReadDetails;
+        if (isProcessed) {
+            details = new ReadProcessedDetails(historyReadDetails);
+            details.aggregateType = [historyReadDetails.aggregateType[index]];
+        }
+        self._historyReadSingleNode(readValueId, details, timestampsToReturn, continuationPointManager, function(err, result){
             if (err)
                 result=new HistoryReadResult({statusCode: StatusCodes.BadInternalError});
 
@@ -1145,6 +1449,60 @@ ServerEngine.prototype.historyRead = function (historyReadRequest, callback) {
     });
 };
 
+ServerEngine.prototype._historyUpdateSingleNode = function (historyUpdateDetails, callback) {
+
+    var self = this;
+    assert(self.addressSpace instanceof AddressSpace); // initialize not called
+
+    if (!historyUpdateDetails || !historyUpdateDetails.nodeId) {
+        return callback(null, new HistoryUpdateResult({statusCode: StatusCodes.BadHistoryOperationInvalid}));
+    }
+    var obj = self.__findObject(historyUpdateDetails.nodeId);
+    if (!obj) {
+        return callback(null, new HistoryUpdateResult({statusCode: StatusCodes.BadNodeIdUnknown}));
+    }
+    if (!_.isFunction(obj.historyUpdate)) {
+        return callback(null, new HistoryUpdateResult({statusCode: StatusCodes.BadHistoryOperationUnsupported}));
+    }
+    obj.historyUpdate(historyUpdateDetails, function (err, result) {
+        if (err) {
+            result = new HistoryUpdateResult({statusCode: StatusCodes.BadInternalError});
+        }
+        assert(result.statusCode instanceof StatusCode);
+        callback(null, result);
+    });
+};
+
+/**
+ *
+ *  @method historyUpdate
+ *  @param historyUpdateRequest {HistoryUpdateRequest}
+ *  @param historyUpdateRequest.historyUpdateDetails {HistoryUpdateDetails[]} the list of
+ *         UpdateDataDetails, UpdateStructureDataDetails, DeleteRawModifiedDetails, DeleteAtTimeDetails or
+ *         DeleteEventDetails to process
+ *  @param callback {Function}
+ *  @param callback.err
+ *  @param callback.results {HistoryUpdateResult[]}
+ */
+ServerEngine.prototype.historyUpdate = function (historyUpdateRequest, callback) {
+
+    assert(historyUpdateRequest instanceof HistoryUpdateRequest);
+    assert(_.isFunction(callback));
+
+    var self = this;
+    var historyUpdateDetails = historyUpdateRequest.historyUpdateDetails;
+    assert(_.isArray(historyUpdateDetails));
+
+    // updates are applied in sequence, as several details may target the same node
+    async.mapSeries(historyUpdateDetails, function (details, cbNode) {
+        self._historyUpdateSingleNode(details, function (err, result) {
+            async.setImmediate(function () {
+                cbNode(err, result);
+            });
+        });
+    }, callback);
+};
+
 function __bindVariable(self,nodeId,options) {
     options = options || {};
     // must have a get and a set property
@@ -1331,6 +1689,160 @@ ServerEngine.prototype.browsePath = function (browsePath) {
     return this.addressSpace.browsePath(browsePath);
 };
 
+/**
+ * submit each item of a node management request to the nodeManagementPolicy, and
+ * only perform the operation on the items that have been accepted.
+ *
+ * @method _applyNodeManagementPolicy
+ * @param session {ServerSession|null}
+ * @param items {Array} the items of the node management request
+ * @param findNode {Function} returns the node that the item applies to
+ * @param perform {Function} performs the operation on the accepted items and returns their results
+ * @param makeResult {Function} converts a status code into the result of a rejected item
+ * @return {Array} the results of all items
+ * @private
+ */
+ServerEngine.prototype._applyNodeManagementPolicy = function (session, items, findNode, perform, makeResult) {
+
+    var self = this;
+    var policy = self.nodeManagementPolicy;
+    if (!policy) {
+        return perform(items);
+    }
+    var userIdentityToken = session ? session.userIdentityToken : null;
+
+    var statusCodes = items.map(function (item) {
+        var node = findNode(item) || null;
+        var statusCode;
+        try {
+            statusCode = policy.call(session, userIdentityToken, node, item);
+        }
+        catch (err) {
+            debugLog("nodeManagementPolicy has thrown an exception ", err.message);
+            return StatusCodes.BadInternalError;
+        }
+        // the item is only accepted when the policy explicitly returns StatusCodes.Good
+        if (!(statusCode instanceof StatusCode)) {
+            debugLog("nodeManagementPolicy must return a StatusCode, got ", statusCode);
+            return StatusCodes.BadUserAccessDenied;
+        }
+        return statusCode;
+    });
+
+    var acceptedItems = items.filter(function (item, index) {
+        return statusCodes[index] === StatusCodes.Good;
+    });
+    var acceptedResults = perform(acceptedItems);
+    assert(acceptedResults.length === acceptedItems.length);
+
+    return statusCodes.map(function (statusCode) {
+        return (statusCode === StatusCodes.Good) ? acceptedResults.shift() : makeResult(statusCode);
+    });
+};
+
+function _identity(statusCode) {
+    return statusCode;
+}
+
+/**
+ * @method addNodes
+ * @param nodesToAdd {AddNodesItem[]}
+ * @param [session] {ServerSession}
+ * @return {AddNodesResult[]}
+ */
+ServerEngine.prototype.addNodes = function (nodesToAdd, session) {
+    var self = this;
+    var addressSpace = self.addressSpace;
+    assert(addressSpace instanceof AddressSpace); // initialize not called
+    assert(_.isArray(nodesToAdd));
+
+    return self._applyNodeManagementPolicy(session, nodesToAdd, function (item) {
+        return addressSpace.findNodeFromExpandedNodeId(item.parentNodeId);
+    }, function (items) {
+        return addressSpace.addNodes(items);
+    }, function (statusCode) {
+        return new AddNodesResult({statusCode: statusCode});
+    });
+};
+
+/**
+ * delete nodes from the address space.
+ *
+ * monitored items that monitor a deleted node are notified with a BadNodeIdUnknown status code
+ * and stop sampling.
+ *
+ * @method deleteNodes
+ * @param nodesToDelete {DeleteNodesItem[]}
+ * @param [session] {ServerSession}
+ * @return {StatusCode[]}
+ */
+ServerEngine.prototype.deleteNodes = function (nodesToDelete, session) {
+    var self = this;
+    var addressSpace = self.addressSpace;
+    assert(addressSpace instanceof AddressSpace); // initialize not called
+    assert(_.isArray(nodesToDelete));
+
+    return self._applyNodeManagementPolicy(session, nodesToDelete, function (item) {
+        return addressSpace.findNode(item.nodeId);
+    }, function (items) {
+        return addressSpace.deleteNodes(items);
+    }, _identity);
+};
+
+/**
+ * @method addReferences
+ * @param referencesToAdd {AddReferencesItem[]}
+ * @param [session] {ServerSession}
+ * @return {StatusCode[]}
+ */
+ServerEngine.prototype.addReferences = function (referencesToAdd, session) {
+    var self = this;
+    var addressSpace = self.addressSpace;
+    assert(addressSpace instanceof AddressSpace); // initialize not called
+    assert(_.isArray(referencesToAdd));
+
+    return self._applyNodeManagementPolicy(session, referencesToAdd, function (item) {
+        return addressSpace.findNode(item.sourceNodeId);
+    }, function (items) {
+        return addressSpace.addReferences(items);
+    }, _identity);
+};
+
+/**
+ * @method deleteReferences
+ * @param referencesToDelete {DeleteReferencesItem[]}
+ * @param [session] {ServerSession}
+ * @return {StatusCode[]}
+ */
+ServerEngine.prototype.deleteReferences = function (referencesToDelete, session) {
+    var self = this;
+    var addressSpace = self.addressSpace;
+    assert(addressSpace instanceof AddressSpace); // initialize not called
+    assert(_.isArray(referencesToDelete));
+
+    return self._applyNodeManagementPolicy(session, referencesToDelete, function (item) {
+        return addressSpace.findNode(item.sourceNodeId);
+    }, function (items) {
+        return addressSpace.deleteReferences(items);
+    }, _identity);
+};
+
+/**
+ * find the instances of the requested node types that match the query filter.
+ * @method query
+ * @param queryFirstRequest {QueryFirstRequest}
+ * @return {Object} the query result ( see AddressSpace#query )
+ */
+ServerEngine.prototype.query = function (queryFirstRequest) {
+    var self = this;
+    assert(self.addressSpace instanceof AddressSpace); // initialize not called
+    return self.addressSpace.query({
+        nodeTypes: queryFirstRequest.nodeTypes || [],
+        filter: queryFirstRequest.filter,
+        view: queryFirstRequest.view
+    });
+};
+
 
 /**
  *
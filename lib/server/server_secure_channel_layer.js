@@ -772,31 +772,82 @@ function _handle_OpenSecureChannelRequest(message, callback) {
         }
     }
 
-    if (self.clientCertificate) {
-        var certificate_status = _check_certificate_validity(self.clientCertificate);
+    _check_client_certificate.call(self, self.clientCertificate, function (certificate_status) {
+
         if (StatusCodes.Good !== certificate_status) {
 
-            description = "Sender Certificate Error";
+            var description = "Sender Certificate Error";
             console.log(description.cyan, certificate_status.toString().bgRed.yellow);
             // OPCUA specification v1.02 part 6 page 42 $6.7.4
             // If an error occurs after the  Server  has verified  Message  security  it  shall  return a  ServiceFault  instead
             // of a OpenSecureChannel  response. The  ServiceFault  Message  is described in  Part  4,   7.28.
             response = new ServiceFault({responseHeader: {serviceResult: certificate_status}});
+
+            /**
+             * notify that the certificate of the client has been rejected
+             * @event certificate_rejected
+             * @param certificate {Buffer} the DER form of the certificate of the client
+             * @param statusCode {StatusCode} the reason of the rejection
+             */
+            self.emit("certificate_rejected", self.clientCertificate, certificate_status);
         }
-    }
 
-    self.send_response("OPN", response, message, function (/*err*/) {
+        /**
+         * notify the outcome of a OpenSecureChannel request ( a new channel or the renewal of the security token )
+         * @event open_secure_channel
+         * @param request {OpenSecureChannelRequest}
+         * @param statusCode {StatusCode}
+         */
+        self.emit("open_secure_channel", request, response.responseHeader.serviceResult);
 
-        // console.log(err);
-        if (response.responseHeader.serviceResult !== StatusCodes.Good) {
-            self.close();
-        }
-        callback(null);
+        self.send_response("OPN", response, message, function (/*err*/) {
 
+            // console.log(err);
+            if (response.responseHeader.serviceResult !== StatusCodes.Good) {
+                self.close();
+            }
+            callback(null);
+
+        });
     });
 
 }
 
+/**
+ * check the certificate sent by the client: its validity period and, when the end point
+ * has a certificate manager, its chain, its presence in the trust list and its key usage.
+ *
+ * @method _check_client_certificate
+ * @param certificate {Buffer|null} the DER certificate of the client
+ * @param callback {Function}
+ * @param callback.statusCode {StatusCode}
+ * @private
+ */
+function _check_client_certificate(certificate, callback) {
+
+    /* jshint validthis: true */
+    var self = this;
+
+    if (!certificate) {
+        return callback(StatusCodes.Good);
+    }
+    var certificate_status = _check_certificate_validity(certificate);
+
+    var certificateManager = self.parent ? self.parent.certificateManager : null;
+    if (StatusCodes.Good !== certificate_status || !certificateManager) {
+        return callback(certificate_status);
+    }
+    certificateManager.checkCertificate(certificate, function (err, statusCode) {
+        if (err) {
+            // the certificate manager has failed to verify the certificate ( i.e the PKI folder cannot be read ):
+            // this tells nothing about the certificate itself
+            debugLog("cannot verify the certificate of the client ".red, err.message);
+            return callback(StatusCodes.BadInternalError);
+        }
+        callback(statusCode);
+    });
+}
+
 
 
 ServerSecureChannelLayer.prototype._abort = function () {
@@ -1027,6 +1078,9 @@ function isValidSecurityPolicy(securityPolicy) {
         case SecurityPolicy.None.value:
         case SecurityPolicy.Basic128Rsa15.value:
         case SecurityPolicy.Basic256.value:
+        case SecurityPolicy.Basic256Sha256.value:
+        case SecurityPolicy.Aes128_Sha256_RsaOaep.value:
+        case SecurityPolicy.Aes256_Sha256_RsaPss.value:
             return StatusCodes.Good;
         default:
             return StatusCodes.BadSecurityPolicyRejected;
@@ -89,6 +89,13 @@ function ServerSession(parent, sessionId, sessionTimeout) {
      */
     self.continuationPointManager = new ContinuationPointManager();
 
+    /**
+     * the locales requested by the client in ActivateSession, ordered by preference.
+     * @property localeIds
+     * @type {String[]}
+     */
+    self.localeIds = [];
+
 }
 util.inherits(ServerSession, EventEmitter);
 
@@ -296,6 +303,7 @@ ServerSession.prototype.createSubscription = function (request) {
 
     self._subscription_counter += 1;
     subscription.id = self._subscription_counter;
+    subscription.session = self;
 
     self.publishEngine.add_subscription(subscription);
 
@@ -1013,13 +1013,15 @@ Subscription.prototype.adjustSamplingInterval = function (samplingInterval, node
 
 
 var checkSelectClauses = require("lib/tools/tools_event_filter").checkSelectClauses;
+var checkContentFilter = require("lib/tools/tools_content_filter").checkContentFilter;
 
 function analyseEventFilterResult(node, eventFilter) {
     assert(eventFilter instanceof subscription_service.EventFilter);
 
     var selectClauseResults = checkSelectClauses(node, eventFilter.selectClauses);
 
-    var whereClauseResult = new subscription_service.ContentFilterResult();
+    // the elementResults of the whereClauseResult are only provided when the where clause contains errors
+    var whereClauseResult = checkContentFilter(node.__address_space, eventFilter.whereClause, {isEventFilter: true});
 
     return new subscription_service.EventFilterResult({
         selectClauseResults: selectClauseResults,
@@ -1163,6 +1165,16 @@ Subscription.prototype.createMonitoredItem = function (addressSpace, timestampsT
     if (statusCodeFilter !== StatusCodes.Good) {
         return handle_error(statusCodeFilter);
     }
+    if (filter instanceof subscription_service.EventFilter) {
+        var eventFilterResult = analyseEventFilterResult(node, filter);
+        if (eventFilterResult.whereClauseResult.elementResults.length > 0) {
+            // the where clause is invalid: the client can find out why in the filterResult
+            return new subscription_service.MonitoredItemCreateResult({
+                statusCode: StatusCodes.BadMonitoredItemFilterInvalid,
+                filterResult: eventFilterResult
+            });
+        }
+    }
     //xx var monitoringMode      = monitoredItemCreateRequest.monitoringMode; // Disabled, Sampling, Reporting
     //xx var requestedParameters = monitoredItemCreateRequest.requestedParameters;
 
@@ -1173,8 +1185,7 @@ Subscription.prototype.createMonitoredItem = function (addressSpace, timestampsT
     var monitoredItem = self.getMonitoredItem(monitoredItemCreateResult.monitoredItemId);
     assert(monitoredItem);
 
-    // TODO: fix old way to set node. !!!!
-    monitoredItem.node = node;
+    monitoredItem.setNode(node);
 
     self.emit("monitoredItem", monitoredItem, itemToMonitor);
 
@@ -1221,6 +1232,7 @@ Subscription.prototype._createMonitoredItemStep2 = function (timestampsToReturn,
 
     var monitoredItem = new MonitoredItem(requestedParameters);
     monitoredItem.timestampsToReturn = timestampsToReturn;
+    monitoredItem.$subscription = self;
 
     assert(monitoredItem.monitoredItemId === monitoredItemId);
     self.monitoredItems[monitoredItemId] = monitoredItem;
@@ -59,6 +59,14 @@ exports.HistoryModifiedData = require("_generated_/_auto_generated_HistoryModifi
  * @class ModificationInfo
  */
 exports.ModificationInfo = require("_generated_/_auto_generated_ModificationInfo").ModificationInfo;
+/**
+ * @class HistoryEventFieldList
+ */
+exports.HistoryEventFieldList = require("_generated_/_auto_generated_HistoryEventFieldList").HistoryEventFieldList;
+/**
+ * @class HistoryEvent
+ */
+exports.HistoryEvent = require("_generated_/_auto_generated_HistoryEvent").HistoryEvent;
 
 /**
  * @class HistoryUpdateRequest
@@ -68,3 +76,32 @@ exports.HistoryUpdateRequest = require("_generated_/_auto_generated_HistoryUpdat
  * @class HistoryUpdateResponse
  */
 exports.HistoryUpdateResponse = require("_generated_/_auto_generated_HistoryUpdateResponse").HistoryUpdateResponse;
+/**
+ * @class HistoryUpdateResult
+ */
+exports.HistoryUpdateResult = require("_generated_/_auto_generated_HistoryUpdateResult").HistoryUpdateResult;
+/**
+ * @class HistoryUpdateDetails
+ */
+exports.HistoryUpdateDetails = require("_generated_/_auto_generated_HistoryUpdateDetails").HistoryUpdateDetails;
+/**
+ * @class UpdateDataDetails
+ */
+exports.UpdateDataDetails = require("_generated_/_auto_generated_UpdateDataDetails").UpdateDataDetails;
+/**
+ * @class UpdateStructureDataDetails
+ */
+exports.UpdateStructureDataDetails = require("_generated_/_auto_generated_UpdateStructureDataDetails").UpdateStructureDataDetails;
+/**
+ * @class DeleteRawModifiedDetails
+ */
+exports.DeleteRawModifiedDetails = require("_generated_/_auto_generated_DeleteRawModifiedDetails").DeleteRawModifiedDetails;
+/**
+ * @class DeleteAtTimeDetails
+ */
+exports.DeleteAtTimeDetails = require("_generated_/_auto_generated_DeleteAtTimeDetails").DeleteAtTimeDetails;
+/**
+ * @class DeleteEventDetails
+ */
+exports.DeleteEventDetails = require("_generated_/_auto_generated_DeleteEventDetails").DeleteEventDetails;
+exports.PerformUpdateType = require("schemas/PerformUpdateType_enum").PerformUpdateType;
@@ -1,8 +1,49 @@
 "use strict";
 /**
- * @module services.historizing
+ * @module services.node_management
  */
 require("requirish")._(module);
+/**
+ * @class ObjectAttributes
+ */
+exports.ObjectAttributes = require("_generated_/_auto_generated_ObjectAttributes").ObjectAttributes;
+/**
+ * @class VariableAttributes
+ */
+exports.VariableAttributes = require("_generated_/_auto_generated_VariableAttributes").VariableAttributes;
+/**
+ * @class MethodAttributes
+ */
+exports.MethodAttributes = require("_generated_/_auto_generated_MethodAttributes").MethodAttributes;
+/**
+ * @class ObjectTypeAttributes
+ */
+exports.ObjectTypeAttributes = require("_generated_/_auto_generated_ObjectTypeAttributes").ObjectTypeAttributes;
+/**
+ * @class VariableTypeAttributes
+ */
+exports.VariableTypeAttributes = require("_generated_/_auto_generated_VariableTypeAttributes").VariableTypeAttributes;
+/**
+ * @class ReferenceTypeAttributes
+ */
+exports.ReferenceTypeAttributes = require("_generated_/_auto_generated_ReferenceTypeAttributes").ReferenceTypeAttributes;
+/**
+ * @class DataTypeAttributes
+ */
+exports.DataTypeAttributes = require("_generated_/_auto_generated_DataTypeAttributes").DataTypeAttributes;
+/**
+ * @class ViewAttributes
+ */
+exports.ViewAttributes = require("_generated_/_auto_generated_ViewAttributes").ViewAttributes;
+
+/**
+ * @class AddNodesItem
+ */
+exports.AddNodesItem = require("_generated_/_auto_generated_AddNodesItem").AddNodesItem;
+/**
+ * @class AddNodesResult
+ */
+exports.AddNodesResult = require("_generated_/_auto_generated_AddNodesResult").AddNodesResult;
 /**
  * @class AddNodesRequest
  */
@@ -12,6 +53,10 @@ exports.AddNodesRequest = require("_generated_/_auto_generated_AddNodesRequest")
  */
 exports.AddNodesResponse = require("_generated_/_auto_generated_AddNodesResponse").AddNodesResponse;
 
+/**
+ * @class AddReferencesItem
+ */
+exports.AddReferencesItem = require("_generated_/_auto_generated_AddReferencesItem").AddReferencesItem;
 /**
  * @class AddReferencesRequest
  */
@@ -22,6 +67,10 @@ exports.AddReferencesRequest = require("_generated_/_auto_generated_AddReference
 exports.AddReferencesResponse = require("_generated_/_auto_generated_AddReferencesResponse").AddReferencesResponse;
 
 
+/**
+ * @class DeleteNodesItem
+ */
+exports.DeleteNodesItem = require("_generated_/_auto_generated_DeleteNodesItem").DeleteNodesItem;
 /**
  * @class DeleteNodesRequest
  */
@@ -31,6 +80,10 @@ exports.DeleteNodesRequest = require("_generated_/_auto_generated_DeleteNodesReq
  */
 exports.DeleteNodesResponse = require("_generated_/_auto_generated_DeleteNodesResponse").DeleteNodesResponse;
 
+/**
+ * @class DeleteReferencesItem
+ */
+exports.DeleteReferencesItem = require("_generated_/_auto_generated_DeleteReferencesItem").DeleteReferencesItem;
 /**
  * @class DeleteReferencesRequest
  */
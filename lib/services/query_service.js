@@ -1,8 +1,24 @@
 "use strict";
 /**
- * @module services.historizing
+ * @module services.query
  */
 require("requirish")._(module);
+/**
+ * @class QueryDataDescription
+ */
+exports.QueryDataDescription = require("_generated_/_auto_generated_QueryDataDescription").QueryDataDescription;
+/**
+ * @class NodeTypeDescription
+ */
+exports.NodeTypeDescription = require("_generated_/_auto_generated_NodeTypeDescription").NodeTypeDescription;
+/**
+ * @class QueryDataSet
+ */
+exports.QueryDataSet = require("_generated_/_auto_generated_QueryDataSet").QueryDataSet;
+/**
+ * @class ParsingResult
+ */
+exports.ParsingResult = require("_generated_/_auto_generated_ParsingResult").ParsingResult;
 /**
  * @class QueryFirstRequest
  */
@@ -0,0 +1,800 @@
+"use strict";
+/**
+ * @module opcua.helpers
+ */
+require("requirish")._(module);
+
+var assert = require("better-assert");
+var _ = require("underscore");
+
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+var NodeClass = require("lib/datamodel/nodeclass").NodeClass;
+var NodeId = require("lib/datamodel/nodeid").NodeId;
+var ExpandedNodeId = require("lib/datamodel/expanded_nodeid").ExpandedNodeId;
+var Variant = require("lib/datamodel/variant").Variant;
+var DataType = require("lib/datamodel/variant").DataType;
+var LocalizedText = require("lib/datamodel/localized_text").LocalizedText;
+var QualifiedName = require("lib/datamodel/qualified_name").QualifiedName;
+var is_valid_attributeId = require("lib/datamodel/attributeIds").is_valid_attributeId;
+var makeNodeId = require("lib/datamodel/nodeid").makeNodeId;
+var ReferenceTypeIds = require("lib/opcua_node_ids").ReferenceTypeIds;
+
+var subscription_service = require("lib/services/subscription_service");
+var ContentFilterResult = subscription_service.ContentFilterResult;
+var ContentFilterElementResult = subscription_service.ContentFilterElementResult;
+var ElementOperand = subscription_service.ElementOperand;
+var LiteralOperand = subscription_service.LiteralOperand;
+var AttributeOperand = subscription_service.AttributeOperand;
+var SimpleAttributeOperand = subscription_service.SimpleAttributeOperand;
+var extractEventFields = require("lib/tools/tools_event_filter").extractEventFields;
+
+var hierarchicalReferencesId = makeNodeId(ReferenceTypeIds.HierarchicalReferences);
+
+// number of operands expected by each operator [ min, max ]
+// see OPCUA 1.03 Part 4 : 7.4.3 FilterOperator
+var _operandCount = {
+    Equals: [2, 2],
+    IsNull: [1, 1],
+    GreaterThan: [2, 2],
+    LessThan: [2, 2],
+    GreaterThanOrEqual: [2, 2],
+    LessThanOrEqual: [2, 2],
+    Like: [2, 2],
+    Not: [1, 1],
+    Between: [3, 3],
+    InList: [2, Infinity],
+    And: [2, 2],
+    Or: [2, 2],
+    Cast: [2, 2],
+    InView: [1, 1],
+    OfType: [1, 1],
+    RelatedTo: [6, 6],
+    BitwiseAnd: [2, 2],
+    BitwiseOr: [2, 2]
+};
+
+function _isNullNodeId(nodeId) {
+    return !nodeId || (nodeId.namespace === 0 && nodeId.isEmpty());
+}
+
+function _findNode(addressSpace, nodeId) {
+    if (nodeId instanceof ExpandedNodeId) {
+        return addressSpace.findNodeFromExpandedNodeId(nodeId);
+    }
+    return addressSpace.findNode(nodeId);
+}
+
+/**
+ * returns true if typeNode is baseTypeNode or (when includeSubtypes is true) one of its subtypes.
+ * @method isTypeOf
+ * @param typeNode     {BaseNode} a ObjectType or a VariableType node
+ * @param baseTypeNode {BaseNode} a ObjectType or a VariableType node
+ * @param [includeSubtypes=true] {Boolean}
+ * @return {Boolean}
+ */
+function isTypeOf(typeNode, baseTypeNode, includeSubtypes) {
+
+    if (!typeNode || !baseTypeNode) {
+        return false;
+    }
+    if (typeNode === baseTypeNode) {
+        return true;
+    }
+    if (includeSubtypes === false || typeNode.constructor !== baseTypeNode.constructor) {
+        return false;
+    }
+    return typeNode.isSupertypeOf(baseTypeNode);
+}
+exports.isTypeOf = isTypeOf;
+
+// the content filters of the event filters are evaluated against the data of a event ( see constructEventData )
+function _isEventData(node) {
+    return !!node && !!node.$eventType && !!node.__nodes;
+}
+
+function _isInstanceOf(node, typeNode, includeSubtypes) {
+    if (_isEventData(node)) {
+        return isTypeOf(node.$eventType, typeNode, includeSubtypes);
+    }
+    return isTypeOf(node.typeDefinitionObj, typeNode, includeSubtypes);
+}
+
+/**
+ * returns the nodes that belong to a view, i.e. the nodes that can be reached from the view node
+ * by following forward hierarchical references.
+ * @method getNodesInView
+ * @param view {View}
+ * @return {Object} a map of the nodes in the view, indexed by nodeId string
+ */
+function getNodesInView(view) {
+
+    assert(view.nodeClass === NodeClass.View);
+
+    var nodes = {};
+    var stack = _hierarchicalChildren(view);
+    while (stack.length) {
+        var current = stack.pop();
+        var key = current.nodeId.toString();
+        if (nodes[key]) {
+            continue;
+        }
+        nodes[key] = current;
+        stack = stack.concat(_hierarchicalChildren(current));
+    }
+    return nodes;
+}
+exports.getNodesInView = getNodesInView;
+
+function _hierarchicalChildren(node) {
+    var addressSpace = node.__address_space;
+    return node.findReferencesEx("HierarchicalReferences").map(function (reference) {
+        return addressSpace.findNode(reference.nodeId);
+    }).filter(function (n) {
+        return !!n;
+    });
+}
+
+/**
+ * follow a path of QualifiedName from the starting node, along forward hierarchical references.
+ * @method _followBrowsePath
+ * @param node {BaseNode}
+ * @param browsePath {QualifiedName[]}
+ * @return {BaseNode|null}
+ * @private
+ */
+function _followBrowsePath(node, browsePath) {
+
+    var addressSpace = node.__address_space;
+    for (var i = 0; node && i < browsePath.length; i++) {
+        var nodeIds = node.browseNodeByTargetName({
+            referenceTypeId: hierarchicalReferencesId,
+            isInverse: false,
+            includeSubtypes: true,
+            targetName: browsePath[i]
+        });
+        node = nodeIds.length ? addressSpace.findNode(nodeIds[0]) : null;
+    }
+    return node;
+}
+
+/**
+ * follow a RelativePath from the starting node.
+ * @method followRelativePath
+ * @param node {BaseNode}
+ * @param relativePath {RelativePath}
+ * @return {BaseNode[]} the nodes reached at the end of the path.
+ */
+function followRelativePath(node, relativePath) {
+
+    var addressSpace = node.__address_space;
+    var elements = (relativePath && relativePath.elements) ? relativePath.elements : [];
+
+    var nodes = [node];
+    elements.forEach(function (element) {
+        var next = [];
+        nodes.forEach(function (n) {
+            n.browseNodeByTargetName(element).forEach(function (nodeId) {
+                var target = addressSpace.findNode(nodeId);
+                if (target && next.indexOf(target) < 0) {
+                    next.push(target);
+                }
+            });
+        });
+        nodes = next;
+    });
+    return nodes;
+}
+exports.followRelativePath = followRelativePath;
+
+function _readEventField(eventData, simpleAttributeOperand) {
+    var variant = extractEventFields(eventData.$eventType, [simpleAttributeOperand], eventData)[0];
+    if (!variant || variant.dataType === DataType.Null || variant.dataType === DataType.StatusCode) {
+        return null;
+    }
+    return variant.value;
+}
+
+function _readAttribute(node, attributeId, indexRange) {
+
+    if (!node) {
+        return null;
+    }
+    var dataValue = node.readAttribute(attributeId, indexRange);
+    if (dataValue.statusCode !== StatusCodes.Good || !dataValue.value) {
+        return null;
+    }
+    return dataValue.value.value;
+}
+
+// ---------------------------------------------------------------------------------------------------------------------
+// value conversion and comparison
+// ---------------------------------------------------------------------------------------------------------------------
+
+function _isLong(value) {
+    return _.isArray(value) && value.length === 2 && _.isNumber(value[0]) && _.isNumber(value[1]);
+}
+
+/**
+ * convert a value into a javascript primitive that can be compared.
+ * @method _toComparable
+ * @param value
+ * @return {Number|String|Boolean|null}
+ * @private
+ */
+function _toComparable(value) {
+
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (value instanceof Variant) {
+        return _toComparable(value.value);
+    }
+    if (_.isNumber(value) || _.isString(value) || _.isBoolean(value)) {
+        return value;
+    }
+    if (value instanceof Date) {
+        return value.getTime();
+    }
+    if (value instanceof LocalizedText) {
+        return value.text;
+    }
+    if (value instanceof QualifiedName) {
+        return value.toString();
+    }
+    if (value instanceof NodeId) {
+        return value.toString();
+    }
+    if (_isLong(value)) {
+        return value[0] * 0x100000000 + value[1];
+    }
+    if (_.isNumber(value.value)) {
+        // StatusCode or Enum item
+        return value.value;
+    }
+    return value;
+}
+
+/**
+ * compare two operand values, performing implicit conversion when needed.
+ * @method _compare
+ * @return {Number|null} -1, 0, 1  or null if the values cannot be compared
+ * @private
+ */
+function _compare(a, b) {
+
+    a = _toComparable(a);
+    b = _toComparable(b);
+    if (a === null || b === null) {
+        return null;
+    }
+    if (_.isBoolean(a)) {
+        a = a ? 1 : 0;
+    }
+    if (_.isBoolean(b)) {
+        b = b ? 1 : 0;
+    }
+    if (_.isNumber(a) && _.isString(b)) {
+        b = parseFloat(b);
+    } else if (_.isString(a) && _.isNumber(b)) {
+        a = parseFloat(a);
+    }
+    if (_.isNumber(a) && _.isNumber(b)) {
+        if (isNaN(a) || isNaN(b)) {
+            return null;
+        }
+        return a < b ? -1 : (a > b ? 1 : 0);
+    }
+    if (_.isString(a) && _.isString(b)) {
+        return a < b ? -1 : (a > b ? 1 : 0);
+    }
+    return _.isEqual(a, b) ? 0 : null;
+}
+
+function _toBoolean(value) {
+    value = _toComparable(value);
+    return _.isBoolean(value) ? value : null;
+}
+
+function _toInteger(value) {
+    value = _toComparable(value);
+    if (_.isBoolean(value)) {
+        return value ? 1 : 0;
+    }
+    return (_.isNumber(value) && Math.floor(value) === value) ? value : null;
+}
+
+/**
+ * convert a Like pattern ( see OPCUA 1.03 Part 4 : Table 117 ) into a RegExp.
+ * @method likePatternToRegExp
+ * @param pattern {String}
+ * @return {RegExp}
+ */
+function likePatternToRegExp(pattern) {
+
+    function escape(c) {
+        return c.replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, "\\$&");
+    }
+
+    var str = "";
+    for (var i = 0; i < pattern.length; i++) {
+        var c = pattern[i];
+        if (c === "\\" && i + 1 < pattern.length) {
+            i += 1;
+            str += escape(pattern[i]);
+        } else if (c === "%") {
+            str += "[\\s\\S]*";
+        } else if (c === "_") {
+            str += "[\\s\\S]";
+        } else if (c === "[") {
+            var end = pattern.indexOf("]", i + 1);
+            if (end < 0) {
+                str += escape(c);
+                continue;
+            }
+            var list = pattern.substring(i + 1, end);
+            var negate = list[0] === "^";
+            if (negate) {
+                list = list.substr(1);
+            }
+            str += "[" + (negate ? "^" : "") + list.replace(/[\]\\\^]/g, "\\$&") + "]";
+            i = end;
+        } else {
+            str += escape(c);
+        }
+    }
+    return new RegExp("^" + str + "$");
+}
+exports.likePatternToRegExp = likePatternToRegExp;
+
+// a Like pattern may contain a list of characters that is not a valid RegExp, such as a reversed range "[z-a]"
+function _isValidLikePattern(pattern) {
+    try {
+        likePatternToRegExp(pattern);
+        return true;
+    }
+    catch (err) {
+        return false;
+    }
+}
+
+function _cast(addressSpace, value, dataTypeId) {
+
+    value = _toComparable(value);
+    var dataTypeNode = dataTypeId ? _findNode(addressSpace, dataTypeId) : null;
+    if (value === null || !dataTypeNode || dataTypeNode.nodeClass !== NodeClass.DataType) {
+        return null;
+    }
+    var dataType = addressSpace.findCorrespondingBasicDataType(dataTypeNode);
+    switch (dataType) {
+        case DataType.Boolean:
+            if (_.isString(value)) {
+                return value === "true" ? true : (value === "false" ? false : null);
+            }
+            return _.isNumber(value) ? value !== 0 : value;
+        case DataType.String:
+            return value.toString();
+        case DataType.Float:
+        case DataType.Double:
+            value = _.isBoolean(value) ? (value ? 1 : 0) : parseFloat(value);
+            return isNaN(value) ? null : value;
+        case DataType.SByte:
+        case DataType.Byte:
+        case DataType.Int16:
+        case DataType.UInt16:
+        case DataType.Int32:
+        case DataType.UInt32:
+        case DataType.Int64:
+        case DataType.UInt64:
+            value = _.isBoolean(value) ? (value ? 1 : 0) : parseFloat(value);
+            return isNaN(value) ? null : Math.round(value);
+        default:
+            return null;
+    }
+}
+
+// ---------------------------------------------------------------------------------------------------------------------
+// content filter validation
+// ---------------------------------------------------------------------------------------------------------------------
+
+// operators that cannot be used in the where clause of a EventFilter ( see OPCUA 1.03 Part 4 : 7.17.3 )
+var _eventFilterUnsupportedOperators = ["InView", "RelatedTo"];
+
+function _checkOperand(addressSpace, elements, index, isEventFilter, operand) {
+
+    if (operand instanceof LiteralOperand) {
+        return StatusCodes.Good;
+    }
+    if (operand instanceof ElementOperand) {
+        // an element can only refer to an element located after itself, this prevents loops.
+        return (operand.index > index && operand.index < elements.length) ? StatusCodes.Good : StatusCodes.BadFilterOperandInvalid;
+    }
+    if (operand instanceof SimpleAttributeOperand) {
+        if (!_isNullNodeId(operand.typeId) && !addressSpace.findNode(operand.typeId)) {
+            return StatusCodes.BadNodeIdUnknown;
+        }
+        return is_valid_attributeId(operand.attributeId) ? StatusCodes.Good : StatusCodes.BadAttributeIdInvalid;
+    }
+    if (operand instanceof AttributeOperand) {
+        if (isEventFilter) {
+            // AttributeOperands can only be used in the content filters of queries
+            return StatusCodes.BadFilterOperandInvalid;
+        }
+        if (!addressSpace.findNode(operand.nodeId)) {
+            return StatusCodes.BadNodeIdUnknown;
+        }
+        return is_valid_attributeId(operand.attributeId) ? StatusCodes.Good : StatusCodes.BadAttributeIdInvalid;
+    }
+    return StatusCodes.BadFilterOperandInvalid;
+}
+
+/**
+ * verify that a ContentFilter is well formed.
+ *
+ * the elementResults array of the returned ContentFilterResult is empty if no error has been found, otherwise
+ * it contains the status code of each element of the filter and of each of their operands.
+ *
+ * @method checkContentFilter
+ * @param addressSpace  {AddressSpace}
+ * @param contentFilter {ContentFilter}
+ * @param [options]
+ * @param [options.isEventFilter=false] {Boolean} true if the content filter is the where clause of a EventFilter:
+ *        the InView and RelatedTo operators and the AttributeOperands are not allowed in this case.
+ * @return {ContentFilterResult}
+ */
+function checkContentFilter(addressSpace, contentFilter, options) {
+
+    var isEventFilter = !!(options && options.isEventFilter);
+    var elements = (contentFilter && contentFilter.elements) ? contentFilter.elements : [];
+
+    var hasError = false;
+    var elementResults = elements.map(function (element, index) {
+
+        var operator = element.filterOperator;
+        var operands = element.filterOperands || [];
+
+        if (!operator || !_operandCount[operator.key]) {
+            hasError = true;
+            return new ContentFilterElementResult({statusCode: StatusCodes.BadFilterOperatorInvalid});
+        }
+        if (isEventFilter && _eventFilterUnsupportedOperators.indexOf(operator.key) >= 0) {
+            hasError = true;
+            return new ContentFilterElementResult({statusCode: StatusCodes.BadFilterOperatorUnsupported});
+        }
+        var count = _operandCount[operator.key];
+        if (operands.length < count[0] || operands.length > count[1]) {
+            hasError = true;
+            return new ContentFilterElementResult({statusCode: StatusCodes.BadFilterOperandCountMismatch});
+        }
+        var operandStatusCodes = operands.map(_checkOperand.bind(null, addressSpace, elements, index, isEventFilter));
+        // the pattern of a Like operator is checked when it is a literal
+        if (operator.key === "Like" && operands[1] instanceof LiteralOperand && operands[1].value &&
+            _.isString(operands[1].value.value) && !_isValidLikePattern(operands[1].value.value)) {
+            operandStatusCodes[1] = StatusCodes.BadFilterOperandInvalid;
+        }
+        var ok = _.every(operandStatusCodes, function (statusCode) {
+            return statusCode === StatusCodes.Good;
+        });
+        hasError = hasError || !ok;
+        return new ContentFilterElementResult({
+            statusCode: ok ? StatusCodes.Good : StatusCodes.BadFilterOperandInvalid,
+            operandStatusCodes: operandStatusCodes
+        });
+    });
+
+    return new ContentFilterResult({
+        elementResults: hasError ? elementResults : []
+    });
+}
+exports.checkContentFilter = checkContentFilter;
+
+// ---------------------------------------------------------------------------------------------------------------------
+// content filter evaluation
+// ---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * @class FilterContext
+ * @param addressSpace {AddressSpace}
+ * @param contentFilter {ContentFilter}
+ * @constructor
+ * @private
+ */
+function FilterContext(addressSpace, contentFilter) {
+    this.addressSpace = addressSpace;
+    this.elements = contentFilter.elements;
+}
+
+FilterContext.prototype.evaluateElement = function (index, node) {
+
+    var self = this;
+    var element = self.elements[index];
+    return _operators[element.filterOperator.key].call(self, element.filterOperands, node);
+};
+
+/**
+ * returns the value of an operand evaluated against the given node.
+ * @method readOperand
+ * @param operand {FilterOperand}
+ * @param node {BaseNode}
+ * @return {*} the value of the operand or null
+ */
+FilterContext.prototype.readOperand = function (operand, node) {
+
+    var self = this;
+    if (operand instanceof LiteralOperand) {
+        return operand.value ? operand.value.value : null;
+    }
+    if (operand instanceof ElementOperand) {
+        return self.evaluateElement(operand.index, node);
+    }
+    if (operand instanceof SimpleAttributeOperand) {
+        if (!_isNullNodeId(operand.typeId)) {
+            var typeNode = self.addressSpace.findNode(operand.typeId);
+            if (!_isInstanceOf(node, typeNode, true)) {
+                return null;
+            }
+        }
+        if (_isEventData(node)) {
+            return _readEventField(node, operand);
+        }
+        var target = _followBrowsePath(node, operand.browsePath || []);
+        return _readAttribute(target, operand.attributeId, operand.indexRange);
+    }
+    if (_isEventData(node)) {
+        // AttributeOperands can only be used in the content filters of queries
+        return null;
+    }
+    if (operand instanceof AttributeOperand) {
+        if (!_isInstanceOf(node, self.addressSpace.findNode(operand.nodeId), true)) {
+            return null;
+        }
+        var targets = followRelativePath(node, operand.browsePath);
+        return targets.length ? _readAttribute(targets[0], operand.attributeId, operand.indexRange) : null;
+    }
+    return null;
+};
+
+FilterContext.prototype.readNodeOperand = function (operand, node) {
+    var value = this.readOperand(operand, node);
+    if (!(value instanceof NodeId)) {
+        return null;
+    }
+    return _findNode(this.addressSpace, value);
+};
+
+function _comparison(predicate) {
+    return function (operands, node) {
+        var c = _compare(this.readOperand(operands[0], node), this.readOperand(operands[1], node));
+        return c === null ? null : predicate(c);
+    };
+}
+
+/**
+ * evaluate one side of a RelatedTo operator: the node must be an instance of the type
+ * referred to by the operand or must satisfy the nested RelatedTo element.
+ */
+function _relatedToSideMatches(context, operand, node, includeSubtypes) {
+
+    if (operand instanceof ElementOperand) {
+        var element = context.elements[operand.index];
+        if (element.filterOperator.key !== "RelatedTo") {
+            return false;
+        }
+        return context.evaluateElement(operand.index, node) === true;
+    }
+    var typeNode = context.readNodeOperand(operand, node);
+    if (!typeNode) {
+        return false;
+    }
+    return _isInstanceOf(node, typeNode, includeSubtypes);
+}
+
+var _operators = {
+
+    Equals: _comparison(function (c) {
+        return c === 0;
+    }),
+
+    IsNull: function (operands, node) {
+        var value = this.readOperand(operands[0], node);
+        return value === null || value === undefined;
+    },
+
+    GreaterThan: _comparison(function (c) {
+        return c > 0;
+    }),
+
+    LessThan: _comparison(function (c) {
+        return c < 0;
+    }),
+
+    GreaterThanOrEqual: _comparison(function (c) {
+        return c >= 0;
+    }),
+
+    LessThanOrEqual: _comparison(function (c) {
+        return c <= 0;
+    }),
+
+    Like: function (operands, node) {
+        var value = _toComparable(this.readOperand(operands[0], node));
+        var pattern = _toComparable(this.readOperand(operands[1], node));
+        if (!_.isString(value) || !_.isString(pattern) || !_isValidLikePattern(pattern)) {
+            return false;
+        }
+        return likePatternToRegExp(pattern).test(value);
+    },
+
+    Not: function (operands, node) {
+        var value = _toBoolean(this.readOperand(operands[0], node));
+        return value === null ? null : !value;
+    },
+
+    Between: function (operands, node) {
+        var value = this.readOperand(operands[0], node);
+        var c1 = _compare(value, this.readOperand(operands[1], node));
+        var c2 = _compare(value, this.readOperand(operands[2], node));
+        if (c1 === null || c2 === null) {
+            return false;
+        }
+        return c1 >= 0 && c2 <= 0;
+    },
+
+    InList: function (operands, node) {
+        var self = this;
+        var value = self.readOperand(operands[0], node);
+        return _.some(operands.slice(1), function (operand) {
+            return _compare(value, self.readOperand(operand, node)) === 0;
+        });
+    },
+
+    And: function (operands, node) {
+        var a = _toBoolean(this.readOperand(operands[0], node));
+        if (a === false) {
+            return false;
+        }
+        var b = _toBoolean(this.readOperand(operands[1], node));
+        if (b === false) {
+            return false;
+        }
+        return (a === null || b === null) ? null : true;
+    },
+
+    Or: function (operands, node) {
+        var a = _toBoolean(this.readOperand(operands[0], node));
+        if (a === true) {
+            return true;
+        }
+        var b = _toBoolean(this.readOperand(operands[1], node));
+        if (b === true) {
+            return true;
+        }
+        return (a === null || b === null) ? null : false;
+    },
+
+    Cast: function (operands, node) {
+        return _cast(this.addressSpace, this.readOperand(operands[0], node), this.readOperand(operands[1], node));
+    },
+
+    InView: function (operands, node) {
+        if (_isEventData(node)) {
+            return false; // not applicable to events
+        }
+        var view = this.readNodeOperand(operands[0], node);
+        if (!view || view.nodeClass !== NodeClass.View) {
+            return false;
+        }
+        return !!getNodesInView(view)[node.nodeId.toString()];
+    },
+
+    OfType: function (operands, node) {
+        var typeNode = this.readNodeOperand(operands[0], node);
+        if (!typeNode || (typeNode.nodeClass !== NodeClass.ObjectType && typeNode.nodeClass !== NodeClass.VariableType)) {
+            return false;
+        }
+        return _isInstanceOf(node, typeNode, true);
+    },
+
+    RelatedTo: function (operands, node) {
+
+        if (_isEventData(node)) {
+            return false; // not applicable to events
+        }
+        var self = this;
+        var addressSpace = self.addressSpace;
+
+        var referenceType = self.readNodeOperand(operands[2], node);
+        var hops = _toInteger(self.readOperand(operands[3], node));
+        var includeTypeSubtypes = _toBoolean(self.readOperand(operands[4], node)) === true;
+        var includeReferenceSubtypes = _toBoolean(self.readOperand(operands[5], node)) === true;
+
+        if (!referenceType || referenceType.nodeClass !== NodeClass.ReferenceType || hops === null || hops < 0) {
+            return false;
+        }
+        if (!_relatedToSideMatches(self, operands[0], node, includeTypeSubtypes)) {
+            return false;
+        }
+
+        function isMatchingReference(reference) {
+            if (!reference.isForward) {
+                return false;
+            }
+            var refType = addressSpace.findReferenceType(reference.referenceType);
+            return isTypeOf(refType, referenceType, includeReferenceSubtypes);
+        }
+
+        function relatedNodes(n) {
+            var references = _.values(n._referenceIdx).concat(_.values(n._back_referenceIdx));
+            return references.filter(isMatchingReference).map(function (reference) {
+                return addressSpace.findNode(reference.nodeId);
+            }).filter(function (n) {
+                return !!n;
+            });
+        }
+
+        function matches(n) {
+            return _relatedToSideMatches(self, operands[1], n, includeTypeSubtypes);
+        }
+
+        var visited = {};
+        visited[node.nodeId.toString()] = true;
+
+        var level = [node];
+        var depth = 0;
+        while (level.length) {
+            depth += 1;
+            var next = [];
+            level.forEach(function (n) {
+                relatedNodes(n).forEach(function (r) {
+                    var key = r.nodeId.toString();
+                    if (!visited[key]) {
+                        visited[key] = true;
+                        next.push(r);
+                    }
+                });
+            });
+            if ((hops === 0 || depth === hops) && _.some(next, matches)) {
+                return true;
+            }
+            if (hops !== 0 && depth >= hops) {
+                return false;
+            }
+            level = next;
+        }
+        return false;
+    },
+
+    BitwiseAnd: function (operands, node) {
+        var a = _toInteger(this.readOperand(operands[0], node));
+        var b = _toInteger(this.readOperand(operands[1], node));
+        return (a === null || b === null) ? null : (a & b);
+    },
+
+    BitwiseOr: function (operands, node) {
+        var a = _toInteger(this.readOperand(operands[0], node));
+        var b = _toInteger(this.readOperand(operands[1], node));
+        return (a === null || b === null) ? null : (a | b);
+    }
+};
+
+/**
+ * evaluate a ContentFilter against a node of the address space, or against the data of a event
+ * ( the where clause of a EventFilter ).
+ *
+ * the content filter is expected to have been validated with checkContentFilter first.
+ * An empty content filter always evaluates to true.
+ *
+ * @method evaluateContentFilter
+ * @param addressSpace  {AddressSpace}
+ * @param contentFilter {ContentFilter}
+ * @param node          {BaseNode|EventData} the node or the event data returned by AddressSpace#constructEventData
+ * @return {Boolean}
+ */
+function evaluateContentFilter(addressSpace, contentFilter, node) {
+
+    if (!contentFilter || !contentFilter.elements || contentFilter.elements.length === 0) {
+        return true;
+    }
+    var context = new FilterContext(addressSpace, contentFilter);
+    return context.evaluateElement(0, node) === true;
+}
+exports.evaluateContentFilter = evaluateContentFilter;
@@ -22,6 +22,7 @@ var constructBrowsePathFromQualifiedName = browse_path_tools.constructBrowsePath
 
 var DataType = require("lib/datamodel/variant").DataType;
 var Variant = require("lib/datamodel/variant").Variant;
+var selectLocalizedText = require("lib/datamodel/localized_text").selectLocalizedText;
 
 /**
  * helper to construct event filters:
@@ -196,12 +197,20 @@ function browsePath(eventNode, selectClause) {
 }
 
 
+function _browsePathKey(browsePath) {
+    return (browsePath || []).map(function (qualifiedName) {
+        return qualifiedName.toString();
+    }).join(".");
+}
+
 /**
  * extract a eventField from a event node, matching the given selectClause
  * @param eventNode
+ * @param eventData
+ * @param localeIds {String[]} the locales of the session of the subscriber
  * @param selectClause
  */
-function extractEventField(eventNode,map, selectClause) {
+function extractEventField(eventNode, eventData, localeIds, selectClause) {
 
     var DataValue=require("lib/datamodel/datavalue").DataValue;
     var UAVariable = require("lib/address_space/ua_variable").UAVariable;
@@ -215,13 +224,35 @@ function extractEventField(eventNode,map, selectClause) {
     }
     assert(selectClause instanceof SimpleAttributeOperand);
 
+    // the ConditionId is requested with a empty browse path and the NodeId attribute ( see OPCUA 1.03 Part 9 : 5.5.2 )
+    // it is null for the events that are not raised by a condition.
+    if (_browsePathKey(selectClause.browsePath) === "" && selectClause.attributeId === AttributeIds.NodeId) {
+        if (!eventData.$condition) {
+            return new Variant({dataType: DataType.Null});
+        }
+        return new Variant({dataType: DataType.NodeId, value: eventData.$condition.nodeId});
+    }
+    // the event data of a condition provides its fields by browse path ( see ConditionSnapshot#toEventData )
+    if (eventData.__paths && selectClause.attributeId === AttributeIds.Value) {
+        var path = _browsePathKey(selectClause.browsePath);
+        // a field that is available in several locales is provided in the locale of the subscriber
+        var localizedTexts = eventData.$localizedTexts ? eventData.$localizedTexts[path] : null;
+        if (localizedTexts) {
+            return new Variant({dataType: DataType.LocalizedText, value: selectLocalizedText(localizedTexts, localeIds)});
+        }
+        var field = eventData.__paths[path];
+        return field || new Variant({dataType: DataType.Null});
+    }
+
+    var map = eventData.__nodes;
     var addressSpace = eventNode.__address_space;
     //console.log(selectClause.toString());
     var browsePathResult = browsePath(eventNode, selectClause);
     //console.log(browsePathResult.toString());
 
     if (browsePathResult.statusCode === StatusCodes.Good) {
-        assert(browsePathResult.targets.length === 1);
+        // note : the first target is used when the browse path is defined by several types of the hierarchy
+        assert(browsePathResult.targets.length >= 1);
         var node = addressSpace.findNode(browsePathResult.targets[0].targetId);
 
         var key = node.nodeId.toString();
@@ -244,14 +275,15 @@ function extractEventField(eventNode,map, selectClause) {
  * extract a array of eventFields from a event node, matching the selectClauses
  * @param eventNode
  * @param selectClauses
+ * @param eventData
+ * @param [localeIds] {String[]} the locales in which the localized fields shall be provided
  */
-function extractEventFields(eventTypeNode, selectClauses,eventData) {
+function extractEventFields(eventTypeNode, selectClauses,eventData, localeIds) {
 
     assert(_.isArray(selectClauses));
     assert(selectClauses.length===0 || selectClauses[0] instanceof SimpleAttributeOperand);
     assert(eventData.hasOwnProperty("__nodes"));
-    var nodeValueMap = eventData.__nodes;
-    return selectClauses.map(extractEventField.bind(null, eventTypeNode,nodeValueMap));
+    return selectClauses.map(extractEventField.bind(null, eventTypeNode, eventData, localeIds || []));
 }
 
 exports.extractEventFields = extractEventFields;
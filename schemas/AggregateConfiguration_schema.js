@@ -3,10 +3,10 @@ var AggregateConfiguration_Schema = {
     //xx baseType:"ExtensionObject",
     isAbstract: true,
     fields: [
-        { name: "useServerCapabilitiesDefaults", fieldType: "Boolean" },
-        { name: "treatUncertainAsBad", fieldType: "Boolean" },
-        { name: "percentDataBad", fieldType: "Byte"    },
-        { name: "percentDataGood", fieldType: "Byte"    },
+        { name: "useServerCapabilitiesDefaults", fieldType: "Boolean", defaultValue: true },
+        { name: "treatUncertainAsBad", fieldType: "Boolean", defaultValue: true },
+        { name: "percentDataBad", fieldType: "Byte", defaultValue: 100 },
+        { name: "percentDataGood", fieldType: "Byte", defaultValue: 100 },
         { name: "useSlopedExtrapolation", fieldType: "Boolean" }
     ]
 };
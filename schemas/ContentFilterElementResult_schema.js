@@ -4,8 +4,8 @@ var ContentFilterElementResult_Schema = {
     //baseType: "MonitoringFilter",
     fields: [
         { name: "statusCode", fieldType: "StatusCode" },
-        { name: "operandStatusCodes", isArrays: true, fieldType: "StatusCode"},
-        { name: "operandDiagnosticInfos", isArrays: true, fieldType: "DiagnosticInfo" }
+        { name: "operandStatusCodes", isArray: true, fieldType: "StatusCode"},
+        { name: "operandDiagnosticInfos", isArray: true, fieldType: "DiagnosticInfo" }
     ]
 };
 
@@ -1,5 +1,5 @@
-var AddNodes_ObjectAttributes_Schema = {
-    name: "AddNodes_ObjectAttributes",
+var DataTypeAttributes_Schema = {
+    name: "DataTypeAttributes",
     fields: [
         {
             name: "specifiedAttributes",
@@ -8,9 +8,9 @@ var AddNodes_ObjectAttributes_Schema = {
         },
         {name: "displayName",   fieldType: "LocalizedText"},
         {name: "description",   fieldType: "LocalizedText"},
-        {name: "eventNotifier", fieldType: "Byte"},
         {name: "writeMask",     fieldType: "UInt32"},
         {name: "userWriteMask", fieldType: "UInt32"},
+        {name: "isAbstract",    fieldType: "Boolean"}
     ]
 };
-exports.AddNodes_ObjectAttributes_Schema = AddNodes_ObjectAttributes_Schema;
+exports.DataTypeAttributes_Schema = DataTypeAttributes_Schema;
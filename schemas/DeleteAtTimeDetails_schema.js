@@ -0,0 +1,11 @@
+
+// see part 11 $6.8.6 DeleteAtTimeDetails structure
+var DeleteAtTimeDetails_Schema = {
+    name: "DeleteAtTimeDetails",
+    baseType: "HistoryUpdateDetails",
+    fields: [
+        { name: "nodeId", fieldType: "NodeId", documentation: "Node id of the object for which history values are to be deleted."},
+        { name: "reqTimes", isArray: true, fieldType: "DateTime", documentation: "The entries to be deleted."}
+    ]
+};
+exports.DeleteAtTimeDetails_Schema = DeleteAtTimeDetails_Schema;
@@ -0,0 +1,11 @@
+
+// see part 11 $6.8.7 DeleteEventDetails structure
+var DeleteEventDetails_Schema = {
+    name: "DeleteEventDetails",
+    baseType: "HistoryUpdateDetails",
+    fields: [
+        { name: "nodeId", fieldType: "NodeId", documentation: "Node id of the object for which history events are to be deleted."},
+        { name: "eventIds", isArray: true, fieldType: "ByteString", documentation: "An array of EventIds to identify which Events are to be deleted."}
+    ]
+};
+exports.DeleteEventDetails_Schema = DeleteEventDetails_Schema;
@@ -0,0 +1,13 @@
+
+// see part 11 $6.8.5 DeleteRawModifiedDetails structure
+var DeleteRawModifiedDetails_Schema = {
+    name: "DeleteRawModifiedDetails",
+    baseType: "HistoryUpdateDetails",
+    fields: [
+        { name: "nodeId", fieldType: "NodeId", documentation: "Node id of the object for which history values are to be deleted."},
+        { name: "isDeleteModified", fieldType: "Boolean", documentation: "TRUE for MODIFIED values, FALSE for RAW values."},
+        { name: "startTime", fieldType: "DateTime", documentation: "Beginning of period to be deleted."},
+        { name: "endTime", fieldType: "DateTime", documentation: "End of period to be deleted."}
+    ]
+};
+exports.DeleteRawModifiedDetails_Schema = DeleteRawModifiedDetails_Schema;
@@ -0,0 +1,7 @@
+var HistoryEventFieldList_Schema = {
+    name: "HistoryEventFieldList",
+    fields: [
+        { name: "eventFields", isArray: true, fieldType: "Variant" }
+    ]
+};
+exports.HistoryEventFieldList_Schema = HistoryEventFieldList_Schema;
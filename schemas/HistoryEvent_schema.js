@@ -0,0 +1,7 @@
+var HistoryEvent_Schema = {
+    name: "HistoryEvent",
+    fields: [
+        { name: "events", isArray: true, fieldType: "HistoryEventFieldList" }
+    ]
+};
+exports.HistoryEvent_Schema = HistoryEvent_Schema;
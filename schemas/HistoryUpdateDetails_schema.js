@@ -0,0 +1,8 @@
+
+var HistoryUpdateDetails_Schema = {
+    name: "HistoryUpdateDetails",
+    //xx baseType:"ExtensionObject",
+    isAbstract: true,
+    fields: []
+};
+exports.HistoryUpdateDetails_Schema = HistoryUpdateDetails_Schema;
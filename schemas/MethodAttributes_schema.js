@@ -1,5 +1,5 @@
-var AddNodes_MethodAttributes_Schema = {
-    name: "AddNodes_MethodAttributes",
+var MethodAttributes_Schema = {
+    name: "MethodAttributes",
     fields: [
         {
             name: "specifiedAttributes",
@@ -8,10 +8,10 @@ var AddNodes_MethodAttributes_Schema = {
         },
         {name: "displayName",   fieldType: "LocalizedText"},
         {name: "description",   fieldType: "LocalizedText"},
-        {name: "executable",    fieldType: "Boolean"},
-        {name: "userExecutable",fieldType: "Boolean"},
         {name: "writeMask",     fieldType: "UInt32"},
         {name: "userWriteMask", fieldType: "UInt32"},
+        {name: "executable",    fieldType: "Boolean"},
+        {name: "userExecutable",fieldType: "Boolean"}
     ]
 };
-exports.AddNodes_MethodAttributes_Schema = AddNodes_MethodAttributes_Schema;
+exports.MethodAttributes_Schema = MethodAttributes_Schema;
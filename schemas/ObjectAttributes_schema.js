@@ -1,5 +1,5 @@
-var AddNodes_DataTypeAttributes_Schema = {
-    name: "DataTypeAttributes",
+var ObjectAttributes_Schema = {
+    name: "ObjectAttributes",
     fields: [
         {
             name: "specifiedAttributes",
@@ -8,9 +8,9 @@ var AddNodes_DataTypeAttributes_Schema = {
         },
         {name: "displayName",   fieldType: "LocalizedText"},
         {name: "description",   fieldType: "LocalizedText"},
-        {name: "isAbstract",    fieldType: "Boolean"},
         {name: "writeMask",     fieldType: "UInt32"},
-        {name: "userWriteMask", fieldType: "UInt32"}
+        {name: "userWriteMask", fieldType: "UInt32"},
+        {name: "eventNotifier", fieldType: "Byte"}
     ]
 };
-exports.AddNodes_DataTypeAttributes_Schema = AddNodes_DataTypeAttributes_Schema;
+exports.ObjectAttributes_Schema = ObjectAttributes_Schema;
@@ -1,4 +1,4 @@
-var AddNodes_ObjectTypeAttributes_Schema = {
+var ObjectTypeAttributes_Schema = {
     name: "ObjectTypeAttributes",
     fields: [
         {
@@ -8,9 +8,9 @@ var AddNodes_ObjectTypeAttributes_Schema = {
         },
         {name: "displayName",   fieldType: "LocalizedText"},
         {name: "description",   fieldType: "LocalizedText"},
-        {name: "isAbstract",    fieldType: "Boolean"},
         {name: "writeMask",     fieldType: "UInt32"},
-        {name: "userWriteMask", fieldType: "UInt32"}
+        {name: "userWriteMask", fieldType: "UInt32"},
+        {name: "isAbstract",    fieldType: "Boolean"}
     ]
 };
-exports.AddNodes_ObjectTypeAttributes_Schema = AddNodes_ObjectTypeAttributes_Schema;
+exports.ObjectTypeAttributes_Schema = ObjectTypeAttributes_Schema;
@@ -0,0 +1,16 @@
+"use strict";
+require("requirish")._(module);
+var factories = require("lib/misc/factories");
+
+// see part 11 $6.8.3
+var PerformUpdateType_Schema = {
+    name: "PerformUpdateType",
+    enumValues: {
+        Insert:  1, // Data was inserted
+        Replace: 2, // Data was replaced
+        Update:  3, // Data was inserted or replaced
+        Remove:  4  // Data was deleted
+    }
+};
+exports.PerformUpdateType_Schema = PerformUpdateType_Schema;
+exports.PerformUpdateType = factories.registerEnumeration(PerformUpdateType_Schema);
@@ -4,7 +4,7 @@ var ReadProcessedDetails_Schema = {
     fields: [
         { name: "startTime", fieldType: "DateTime" },
         { name: "endTime", fieldType: "DateTime" },
-        { name: "processingInterval", fieldType: "DateTime" },
+        { name: "processingInterval", fieldType: "Duration" },
         { name: "aggregateType", isArray: true, fieldType: "NodeId" },
         { name: "aggregateConfiguration", fieldType: "AggregateConfiguration" }
     ]
@@ -1,13 +1,11 @@
 "use strict";
 require("requirish")._(module);
-var factories = require("lib/misc/factories");
 
 var NodeClass = require("schemas/NodeClass_enum").NodeClass;
 var resolveNodeId = require("lib/datamodel/nodeid").resolveNodeId;
 var ReferenceDescription_Schema = {
     name: "ReferenceDescription",
     documentation: "The description of a reference.",
-    id: factories.next_available_id(),
     fields: [
         {name: "referenceTypeId", fieldType: "NodeId",         documentation: "The type of references."},
         {name: "isForward",       fieldType: "Boolean",        documentation: "TRUE if the reference is a forward reference."},
@@ -1,4 +1,4 @@
-var AddNodes_ReferenceTypeAttributes_Schema = {
+var ReferenceTypeAttributes_Schema = {
     name: "ReferenceTypeAttributes",
     fields: [
         {
@@ -8,11 +8,11 @@ var AddNodes_ReferenceTypeAttributes_Schema = {
         },
         {name: "displayName",   fieldType: "LocalizedText"},
         {name: "description",   fieldType: "LocalizedText"},
+        {name: "writeMask",     fieldType: "UInt32"},
+        {name: "userWriteMask", fieldType: "UInt32"},
         {name: "isAbstract",    fieldType: "Boolean"},
         {name: "symmetric" ,    fieldType: "Boolean"},
-        {name: "inverseName",   fieldType: "LocalizedText"},
-        {name: "writeMask",     fieldType: "UInt32"},
-        {name: "userWriteMask", fieldType: "UInt32"}
+        {name: "inverseName",   fieldType: "LocalizedText"}
     ]
 };
-exports.AddNodes_ReferenceTypeAttributes_Schema = AddNodes_ReferenceTypeAttributes_Schema;
+exports.ReferenceTypeAttributes_Schema = ReferenceTypeAttributes_Schema;
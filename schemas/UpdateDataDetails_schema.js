@@ -0,0 +1,15 @@
+require("requirish")._(module);
+var PerformUpdateType = require("./PerformUpdateType_enum").PerformUpdateType;
+
+// see part 11 $6.8.2 UpdateDataDetails structure
+var UpdateDataDetails_Schema = {
+    name: "UpdateDataDetails",
+    baseType: "HistoryUpdateDetails",
+    fields: [
+        { name: "nodeId", fieldType: "NodeId", documentation: "Node id of the object to be updated."},
+        { name: "performInsertReplace", fieldType: "PerformUpdateType", defaultValue: PerformUpdateType.Insert,
+            documentation: "Determines which action of insert, replace, or update is performed."},
+        { name: "updateValues", isArray: true, fieldType: "DataValue", documentation: "New values to be inserted or to replace."}
+    ]
+};
+exports.UpdateDataDetails_Schema = UpdateDataDetails_Schema;
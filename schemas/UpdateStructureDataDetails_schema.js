@@ -0,0 +1,15 @@
+require("requirish")._(module);
+var PerformUpdateType = require("./PerformUpdateType_enum").PerformUpdateType;
+
+// see part 11 $6.8.3 UpdateStructureDataDetails structure
+var UpdateStructureDataDetails_Schema = {
+    name: "UpdateStructureDataDetails",
+    baseType: "HistoryUpdateDetails",
+    fields: [
+        { name: "nodeId", fieldType: "NodeId", documentation: "Node id of the object to be updated."},
+        { name: "performInsertReplace", fieldType: "PerformUpdateType", defaultValue: PerformUpdateType.Insert,
+            documentation: "Determines which action of insert, replace, update or remove is performed."},
+        { name: "updateValues", isArray: true, fieldType: "DataValue", documentation: "New values to be inserted, to replace or to remove."}
+    ]
+};
+exports.UpdateStructureDataDetails_Schema = UpdateStructureDataDetails_Schema;
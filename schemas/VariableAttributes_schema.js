@@ -1,4 +1,4 @@
-var AddNodes_VariableAttributes_Schema = {
+var VariableAttributes_Schema = {
     name: "VariableAttributes",
     fields: [
         {
@@ -8,16 +8,16 @@ var AddNodes_VariableAttributes_Schema = {
         },
         {name: "displayName",               fieldType: "LocalizedText"},
         {name: "description",               fieldType: "LocalizedText"},
-        {name: "value",                     fieldType: "Any", description: "defined by the dataType Attribute"},
+        {name: "writeMask",                 fieldType: "UInt32"},
+        {name: "userWriteMask",             fieldType: "UInt32"},
+        {name: "value",                     fieldType: "Variant", documentation: "defined by the dataType Attribute"},
         {name: "dataType",                  fieldType: "NodeId"},
         {name: "valueRank",                 fieldType: "Int32"},
         {name: "arrayDimensions",           fieldType: "UInt32", isArray:true },
         {name: "accessLevel",               fieldType: "Byte"},
         {name: "userAccessLevel",           fieldType: "Byte"},
         {name: "minimumSamplingInterval",   fieldType: "Duration"},
-        {name: "historizing",               fieldType: "Boolean"},
-        {name: "writeMask",                 fieldType: "UInt32"},
-        {name: "userWriteMask",             fieldType: "UInt32"},
+        {name: "historizing",               fieldType: "Boolean"}
     ]
 };
-exports.AddNodes_VariableAttributes_Schema = AddNodes_VariableAttributes_Schema;
+exports.VariableAttributes_Schema = VariableAttributes_Schema;
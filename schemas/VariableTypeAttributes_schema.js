@@ -1,4 +1,4 @@
-var AddNodes_VariableTypeAttributes_Schema = {
+var VariableTypeAttributes_Schema = {
     name: "VariableTypeAttributes",
     fields: [
         {
@@ -8,13 +8,13 @@ var AddNodes_VariableTypeAttributes_Schema = {
         },
         {name: "displayName",               fieldType: "LocalizedText"},
         {name: "description",               fieldType: "LocalizedText"},
-        {name: "value",                     fieldType: "Any", description: "defined by the dataType Attribute"},
+        {name: "writeMask",                 fieldType: "UInt32"},
+        {name: "userWriteMask",             fieldType: "UInt32"},
+        {name: "value",                     fieldType: "Variant", documentation: "defined by the dataType Attribute"},
         {name: "dataType",                  fieldType: "NodeId"},
         {name: "valueRank",                 fieldType: "Int32"},
         {name: "arrayDimensions",           fieldType: "UInt32", isArray:true },
-        {name: "isAbstract",                fieldType: "Boolean"},
-        {name: "writeMask",                 fieldType: "UInt32"},
-        {name: "userWriteMask",             fieldType: "UInt32"},
+        {name: "isAbstract",                fieldType: "Boolean"}
     ]
 };
-exports.AddNodes_VariableTypeAttributes_Schema = AddNodes_VariableTypeAttributes_Schema;
+exports.VariableTypeAttributes_Schema = VariableTypeAttributes_Schema;
@@ -0,0 +1,17 @@
+var ViewAttributes_Schema = {
+    name: "ViewAttributes",
+    fields: [
+        {
+            name: "specifiedAttributes",
+            fieldType: "UInt32",
+            documentation: "A bit mask that indicates which fields contain valid values.A field shall be ignored if the corresponding bit is set to 0."
+        },
+        {name: "displayName",   fieldType: "LocalizedText"},
+        {name: "description",   fieldType: "LocalizedText"},
+        {name: "writeMask",     fieldType: "UInt32"},
+        {name: "userWriteMask", fieldType: "UInt32"},
+        {name: "containsNoLoops",fieldType: "Boolean"},
+        {name: "eventNotifier", fieldType: "Byte"}
+    ]
+};
+exports.ViewAttributes_Schema = ViewAttributes_Schema;
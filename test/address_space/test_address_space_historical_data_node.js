@@ -0,0 +1,218 @@
+"use strict";
+/* global describe,it,before,after,beforeEach,afterEach*/
+require("requirish")._(module);
+var should = require("should");
+var sinon = require("sinon");
+
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+var DataType = require("lib/datamodel/variant").DataType;
+var AttributeIds = require("lib/services/read_service").AttributeIds;
+var AccessLevelFlag = require("lib/datamodel/access_level").AccessLevelFlag;
+var AddressSpace = require("lib/address_space/address_space").AddressSpace;
+var generate_address_space = require("lib/address_space/load_nodeset2").generate_address_space;
+var mini_nodeset_filename = require("lib/server/server_engine").mini_nodeset_filename;
+
+var historizing_service = require("lib/services/historizing_service");
+var ReadRawModifiedDetails = historizing_service.ReadRawModifiedDetails;
+
+function date(minute) {
+    return new Date(Date.UTC(2016, 0, 1, 10, minute));
+}
+
+describe("AddressSpace#installHistoricalDataNode", function () {
+
+    var addressSpace, node, clock;
+
+    before(function (done) {
+        addressSpace = new AddressSpace();
+        generate_address_space(addressSpace, mini_nodeset_filename, done);
+    });
+    after(function () {
+        addressSpace.dispose();
+        addressSpace = null;
+    });
+
+    beforeEach(function () {
+        clock = sinon.useFakeTimers(date(0).getTime());
+        node = addressSpace.addVariable({
+            organizedBy: "ObjectsFolder",
+            browseName: "Temperature",
+            dataType: "Double"
+        });
+        addressSpace.installHistoricalDataNode(node, {maxOnlineValues: 5});
+
+        // one value per minute : 10:00 => 0 , 10:01 => 1 , ... , 10:05 => 5
+        for (var minute = 0; minute <= 5; minute++) {
+            clock.tick(minute ? 60 * 1000 : 0);
+            node.setValueFromSource({dataType: DataType.Double, value: minute});
+        }
+    });
+    afterEach(function () {
+        clock.restore();
+        addressSpace.deleteNode(node);
+    });
+
+    function readRaw(options, callback) {
+        node.historyRead(new ReadRawModifiedDetails(options), null, null, null, function (err, result) {
+            should(err).eql(null);
+            callback(result);
+        });
+    }
+
+    function valuesOf(result) {
+        return result.historyData.dataValues.map(function (dataValue) {
+            return dataValue.statusCode === StatusCodes.Good ? dataValue.value.value : dataValue.statusCode.name;
+        });
+    }
+
+    it("should set the Historizing attribute and the HistoryRead bit of the access levels", function () {
+
+        node.readAttribute(AttributeIds.Historizing).value.value.should.eql(true);
+        (node.accessLevel.value & AccessLevelFlag.HistoryRead.value).should.eql(AccessLevelFlag.HistoryRead.value);
+        (node.userAccessLevel.value & AccessLevelFlag.HistoryRead.value).should.eql(AccessLevelFlag.HistoryRead.value);
+    });
+
+    it("should only keep the last maxOnlineValues values", function (done) {
+
+        readRaw({startTime: date(0), endTime: date(10)}, function (result) {
+            result.statusCode.should.eql(StatusCodes.Good);
+            valuesOf(result).should.eql([1, 2, 3, 4, 5]);
+            done();
+        });
+    });
+
+    it("should read the values between startTime (included) and endTime (excluded)", function (done) {
+
+        readRaw({startTime: date(2), endTime: date(4)}, function (result) {
+            valuesOf(result).should.eql([2, 3]);
+            done();
+        });
+    });
+
+    it("should read the values in reverse order when startTime is after endTime", function (done) {
+
+        readRaw({startTime: date(4), endTime: date(2)}, function (result) {
+            valuesOf(result).should.eql([4, 3]);
+            done();
+        });
+    });
+
+    function readRawNext(options, continuationPoint, callback) {
+        node.historyRead(new ReadRawModifiedDetails(options), null, null, continuationPoint, function (err, result) {
+            should(err).eql(null);
+            callback(result);
+        });
+    }
+
+    it("should read numValuesPerNode values starting at startTime or backward from endTime", function (done) {
+
+        readRaw({startTime: date(3), numValuesPerNode: 2}, function (result) {
+            valuesOf(result).should.eql([3, 4]);
+            should(result.continuationPoint).not.eql(null);
+            readRawNext({startTime: date(3), numValuesPerNode: 2}, result.continuationPoint, function (result) {
+                valuesOf(result).should.eql([5]);
+                should(result.continuationPoint).eql(null);
+
+                readRaw({endTime: date(3), numValuesPerNode: 2}, function (result) {
+                    valuesOf(result).should.eql([3, 2]);
+                    readRawNext({endTime: date(3), numValuesPerNode: 2}, result.continuationPoint, function (result) {
+                        valuesOf(result).should.eql([1]);
+                        should(result.continuationPoint).eql(null);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it("should only read numValuesPerNode + 1 values from the storage", function (done) {
+
+        var readRange = node.historian.storage.readRange;
+        var limits = [];
+        node.historian.storage.readRange = function (startTime, endTime, limit) {
+            limits.push(limit);
+            return readRange.apply(this, arguments);
+        };
+        readRaw({startTime: date(0), endTime: date(10), numValuesPerNode: 2}, function (result) {
+            node.historian.storage.readRange = readRange;
+            valuesOf(result).should.eql([1, 2]);
+            limits.should.eql([3]);
+            done();
+        });
+    });
+
+    it("should resume after values that share the same timestamp", function (done) {
+
+        // three more values at 10:05
+        [6, 7, 8].forEach(function (value) {
+            node.historian.push({value: {dataType: DataType.Double, value: value}, sourceTimestamp: date(5)});
+        });
+        var options = {startTime: date(4), endTime: date(10), numValuesPerNode: 2};
+        var values = [];
+
+        function readNext(continuationPoint) {
+            readRawNext(options, continuationPoint, function (result) {
+                values = values.concat(valuesOf(result));
+                if (result.continuationPoint) {
+                    return readNext(result.continuationPoint);
+                }
+                values.should.eql([4, 5, 6, 7, 8]);
+                done();
+            });
+        }
+        readNext(null);
+    });
+
+    it("should return the bounds in the first and in the last block", function (done) {
+
+        var options = {startTime: date(0), endTime: date(7), returnBounds: true, numValuesPerNode: 3};
+        readRaw(options, function (result) {
+            valuesOf(result).should.eql(["BadBoundNotFound", 1, 2]);
+            readRawNext(options, result.continuationPoint, function (result) {
+                valuesOf(result).should.eql([3, 4, 5]);
+                readRawNext(options, result.continuationPoint, function (result) {
+                    valuesOf(result).should.eql(["BadBoundNotFound"]);
+                    should(result.continuationPoint).eql(null);
+                    done();
+                });
+            });
+        });
+    });
+
+    it("should return BadContinuationPointInvalid for a corrupted continuation point", function (done) {
+
+        readRawNext({startTime: date(3), numValuesPerNode: 2}, new Buffer("garbage"), function (result) {
+            result.statusCode.should.eql(StatusCodes.BadContinuationPointInvalid);
+            done();
+        });
+    });
+
+    it("should return the bounding values when returnBounds is true", function (done) {
+
+        readRaw({startTime: new Date(date(2).getTime() + 30000), endTime: date(4), returnBounds: true}, function (result) {
+            valuesOf(result).should.eql([2, 3, 4]);
+            readRaw({startTime: date(0), endTime: date(7), returnBounds: true}, function (result) {
+                valuesOf(result).should.eql(["BadBoundNotFound", 1, 2, 3, 4, 5, "BadBoundNotFound"]);
+                result.historyData.dataValues[0].sourceTimestamp.should.eql(date(0));
+                done();
+            });
+        });
+    });
+
+    it("should return GoodNoData when no value exists in the interval", function (done) {
+
+        readRaw({startTime: date(20), endTime: date(30)}, function (result) {
+            result.statusCode.should.eql(StatusCodes.GoodNoData);
+            result.historyData.dataValues.length.should.eql(0);
+            done();
+        });
+    });
+
+    it("should return BadInvalidTimestampArgument when the interval is not specified", function (done) {
+
+        readRaw({startTime: date(2)}, function (result) {
+            result.statusCode.should.eql(StatusCodes.BadInvalidTimestampArgument);
+            done();
+        });
+    });
+});
@@ -0,0 +1,497 @@
+"use strict";
+require("requirish")._(module);
+var should = require("should");
+var sinon = require("sinon");
+
+var opcua = require("../..");
+
+var StatusCodes = opcua.StatusCodes;
+var NodeClass = opcua.NodeClass;
+var DataType = opcua.DataType;
+var NodeAttributesMask = opcua.NodeAttributesMask;
+var resolveNodeId = opcua.resolveNodeId;
+var makeExpandedNodeId = opcua.makeExpandedNodeId;
+
+var node_managment_service = opcua.node_managment_service;
+var AddNodesItem = node_managment_service.AddNodesItem;
+
+describe("AddressSpace#addNodes", function () {
+
+    this.timeout(100000);
+
+    var addressSpace;
+    before(function (done) {
+        addressSpace = new opcua.AddressSpace();
+        opcua.generate_address_space(addressSpace, opcua.standard_nodeset_file, function (err) {
+            done(err);
+        });
+    });
+    after(function () {
+        if (addressSpace) {
+            addressSpace.dispose();
+            addressSpace = null;
+        }
+    });
+
+    function makeObjectItem(options) {
+        return new AddNodesItem({
+            parentNodeId: options.parentNodeId || makeExpandedNodeId(addressSpace.rootFolder.objects.nodeId),
+            referenceTypeId: options.referenceTypeId || resolveNodeId("Organizes"),
+            requestedNewNodeId: options.requestedNewNodeId,
+            browseName: {name: options.browseName, namespaceIndex: 1},
+            nodeClass: NodeClass.Object,
+            nodeAttributes: new node_managment_service.ObjectAttributes({
+                specifiedAttributes: NodeAttributesMask.get("DisplayName | Description").value,
+                displayName: {text: options.browseName + " display name"},
+                description: {text: "some description"}
+            }),
+            typeDefinition: options.typeDefinition || makeExpandedNodeId(resolveNodeId("FolderType"))
+        });
+    }
+
+    it("should add a Object node below the Objects folder", function () {
+
+        var results = addressSpace.addNodes([makeObjectItem({browseName: "MyFolder"})]);
+
+        results.length.should.eql(1);
+        results[0].statusCode.should.eql(StatusCodes.Good);
+
+        var node = addressSpace.findNode(results[0].addedNodeId);
+        node.browseName.toString().should.eql("1:MyFolder");
+        node.nodeClass.should.eql(NodeClass.Object);
+        node.getDisplayName().should.eql("MyFolder display name");
+        node.description.text.should.eql("some description");
+        node.typeDefinitionObj.browseName.toString().should.eql("FolderType");
+
+        addressSpace.rootFolder.objects.getFolderElementByName("1:MyFolder").should.eql(node);
+    });
+
+    it("should use the requestedNewNodeId when provided", function () {
+
+        var results = addressSpace.addNodes([
+            makeObjectItem({browseName: "MyFolder2", requestedNewNodeId: makeExpandedNodeId(resolveNodeId("ns=1;s=MyFolder2"))})
+        ]);
+        results[0].statusCode.should.eql(StatusCodes.Good);
+        results[0].addedNodeId.toString().should.eql("ns=1;s=MyFolder2");
+    });
+
+    it("should return BadNodeIdExists when the requestedNewNodeId is already in use", function () {
+        var results = addressSpace.addNodes([
+            makeObjectItem({browseName: "MyFolder3", requestedNewNodeId: makeExpandedNodeId(resolveNodeId("ns=1;s=MyFolder2"))})
+        ]);
+        results[0].statusCode.should.eql(StatusCodes.BadNodeIdExists);
+        should(addressSpace.rootFolder.objects.getFolderElementByName("1:MyFolder3")).eql(null);
+    });
+
+    it("should return BadNodeIdRejected when the requestedNewNodeId belongs to namespace 0", function () {
+        var results = addressSpace.addNodes([
+            makeObjectItem({browseName: "MyFolder4", requestedNewNodeId: makeExpandedNodeId(resolveNodeId("ns=0;i=123456"))})
+        ]);
+        results[0].statusCode.should.eql(StatusCodes.BadNodeIdRejected);
+    });
+
+    it("should return BadParentNodeIdInvalid when the parent node doesn't exist", function () {
+        var results = addressSpace.addNodes([
+            makeObjectItem({browseName: "MyFolder5", parentNodeId: makeExpandedNodeId(resolveNodeId("ns=1;s=Unknown"))})
+        ]);
+        results[0].statusCode.should.eql(StatusCodes.BadParentNodeIdInvalid);
+    });
+
+    it("should return BadBrowseNameDuplicated when the parent already has a child with the same browse name", function () {
+        var results = addressSpace.addNodes([makeObjectItem({browseName: "MyFolder"})]);
+        results[0].statusCode.should.eql(StatusCodes.BadBrowseNameDuplicated);
+    });
+
+    it("should return BadTypeDefinitionInvalid when the typeDefinition is not an ObjectType", function () {
+        var results = addressSpace.addNodes([
+            makeObjectItem({browseName: "MyFolder6", typeDefinition: makeExpandedNodeId(resolveNodeId("BaseDataVariableType"))})
+        ]);
+        results[0].statusCode.should.eql(StatusCodes.BadTypeDefinitionInvalid);
+    });
+
+    it("should return BadReferenceTypeIdInvalid when the referenceTypeId is not a ReferenceType", function () {
+        var results = addressSpace.addNodes([
+            makeObjectItem({browseName: "MyFolder7", referenceTypeId: resolveNodeId("FolderType")})
+        ]);
+        results[0].statusCode.should.eql(StatusCodes.BadReferenceTypeIdInvalid);
+    });
+
+    it("should return BadReferenceNotAllowed when the referenceTypeId is not hierarchical", function () {
+        var results = addressSpace.addNodes([
+            makeObjectItem({browseName: "MyFolder8", referenceTypeId: resolveNodeId("HasTypeDefinition")})
+        ]);
+        results[0].statusCode.should.eql(StatusCodes.BadReferenceNotAllowed);
+    });
+
+    it("should return BadNodeAttributesInvalid when the nodeAttributes don't match the nodeClass", function () {
+        var item = makeObjectItem({browseName: "MyFolder9"});
+        item.nodeAttributes = new node_managment_service.MethodAttributes({});
+        var results = addressSpace.addNodes([item]);
+        results[0].statusCode.should.eql(StatusCodes.BadNodeAttributesInvalid);
+    });
+
+    it("should add a Variable with a initial value", function () {
+
+        var parent = addressSpace.addObject({browseName: "VariableContainer", organizedBy: addressSpace.rootFolder.objects});
+        var results = addressSpace.addNodes([new AddNodesItem({
+            parentNodeId: makeExpandedNodeId(parent.nodeId),
+            referenceTypeId: resolveNodeId("HasComponent"),
+            browseName: {name: "MyVariable", namespaceIndex: 1},
+            nodeClass: NodeClass.Variable,
+            nodeAttributes: new node_managment_service.VariableAttributes({
+                specifiedAttributes: NodeAttributesMask.get("Value | DataType | ValueRank").value,
+                value: {dataType: DataType.Double, value: 3.14},
+                dataType: resolveNodeId("Double"),
+                valueRank: -1
+            }),
+            typeDefinition: makeExpandedNodeId(resolveNodeId("BaseDataVariableType"))
+        })]);
+        results[0].statusCode.should.eql(StatusCodes.Good);
+
+        var variable = addressSpace.findNode(results[0].addedNodeId);
+        variable.nodeClass.should.eql(NodeClass.Variable);
+        variable.dataType.should.eql(resolveNodeId("Double"));
+        variable.readValue().value.value.should.eql(3.14);
+        parent.getComponentByName("1:MyVariable").should.eql(variable);
+    });
+
+    it("should add a ObjectType as a subtype of BaseObjectType", function () {
+
+        var results = addressSpace.addNodes([new AddNodesItem({
+            parentNodeId: makeExpandedNodeId(resolveNodeId("BaseObjectType")),
+            referenceTypeId: resolveNodeId("HasSubtype"),
+            browseName: {name: "MyObjectType", namespaceIndex: 1},
+            nodeClass: NodeClass.ObjectType,
+            nodeAttributes: new node_managment_service.ObjectTypeAttributes({
+                specifiedAttributes: NodeAttributesMask.get("IsAbstract").value,
+                isAbstract: true
+            })
+        })]);
+        results[0].statusCode.should.eql(StatusCodes.Good);
+
+        var objectType = addressSpace.findObjectType("MyObjectType", 1);
+        objectType.nodeId.should.eql(results[0].addedNodeId);
+        objectType.isAbstract.should.eql(true);
+        objectType.isSupertypeOf(addressSpace.findObjectType("BaseObjectType")).should.eql(true);
+    });
+
+    it("should return BadReferenceNotAllowed when a ObjectType is not added with a HasSubtype reference", function () {
+        var results = addressSpace.addNodes([new AddNodesItem({
+            parentNodeId: makeExpandedNodeId(resolveNodeId("BaseObjectType")),
+            referenceTypeId: resolveNodeId("Organizes"),
+            browseName: {name: "MyObjectType2", namespaceIndex: 1},
+            nodeClass: NodeClass.ObjectType
+        })]);
+        results[0].statusCode.should.eql(StatusCodes.BadReferenceNotAllowed);
+    });
+
+    it("should raise the model change events of all added nodes within a single transaction", function () {
+
+        var versionableNode = addressSpace.addObject({
+            browseName: "VersionableFolder",
+            organizedBy: addressSpace.rootFolder.objects,
+            nodeVersion: "0"
+        });
+        versionableNode.nodeVersion.readValue().value.value.should.eql("1");
+
+        sinon.spy(addressSpace, "_collectModelChange");
+
+        var parentNodeId = makeExpandedNodeId(versionableNode.nodeId);
+        var results = addressSpace.addNodes([
+            makeObjectItem({browseName: "MyFolder10", parentNodeId: parentNodeId, referenceTypeId: resolveNodeId("HasComponent")}),
+            makeObjectItem({browseName: "MyFolder11", parentNodeId: parentNodeId, referenceTypeId: resolveNodeId("HasComponent")})
+        ]);
+
+        results[0].statusCode.should.eql(StatusCodes.Good);
+        results[1].statusCode.should.eql(StatusCodes.Good);
+
+        // NodeAdded + ReferenceAdded for each node
+        addressSpace._collectModelChange.callCount.should.eql(4);
+        addressSpace._collectModelChange.restore();
+
+        // the node version of the parent is only increased once
+        versionableNode.nodeVersion.readValue().value.value.should.eql("2");
+    });
+});
+
+describe("AddressSpace#deleteNodes", function () {
+
+    this.timeout(100000);
+
+    var DeleteNodesItem = node_managment_service.DeleteNodesItem;
+
+    var addressSpace;
+    before(function (done) {
+        addressSpace = new opcua.AddressSpace();
+        opcua.generate_address_space(addressSpace, opcua.standard_nodeset_file, function (err) {
+            done(err);
+        });
+    });
+    after(function () {
+        if (addressSpace) {
+            addressSpace.dispose();
+            addressSpace = null;
+        }
+    });
+
+    it("should delete a node and its components and properties", function () {
+
+        var object = addressSpace.addObject({browseName: "ObjectToDelete", organizedBy: addressSpace.rootFolder.objects});
+        var component = addressSpace.addVariable({componentOf: object, browseName: "Component", dataType: "Double"});
+        var property = addressSpace.addVariable({propertyOf: object, browseName: "Property", dataType: "Double"});
+
+        var results = addressSpace.deleteNodes([new DeleteNodesItem({nodeId: object.nodeId, deleteTargetReferences: true})]);
+        results.should.eql([StatusCodes.Good]);
+
+        should(addressSpace.findNode(object.nodeId)).eql(undefined);
+        should(addressSpace.findNode(component.nodeId)).eql(undefined);
+        should(addressSpace.findNode(property.nodeId)).eql(undefined);
+        should(addressSpace.rootFolder.objects.getFolderElementByName("ObjectToDelete")).eql(null);
+    });
+
+    it("should delete the nodes organized by the deleted folder", function () {
+
+        var folder = addressSpace.addFolder(addressSpace.rootFolder.objects, {browseName: "FolderToDelete"});
+        var subFolder = addressSpace.addFolder(folder, {browseName: "SubFolder"});
+        var object = addressSpace.addObject({browseName: "OrganizedObject", organizedBy: subFolder});
+
+        var results = addressSpace.deleteNodes([new DeleteNodesItem({nodeId: folder.nodeId, deleteTargetReferences: true})]);
+        results.should.eql([StatusCodes.Good]);
+
+        should(addressSpace.findNode(folder.nodeId)).eql(undefined);
+        should(addressSpace.findNode(subFolder.nodeId)).eql(undefined);
+        should(addressSpace.findNode(object.nodeId)).eql(undefined);
+    });
+
+    it("should keep a child of the deleted node that is still referenced by another parent", function () {
+
+        var folder1 = addressSpace.addFolder(addressSpace.rootFolder.objects, {browseName: "Folder1"});
+        var folder2 = addressSpace.addFolder(addressSpace.rootFolder.objects, {browseName: "Folder2"});
+        var sharedObject = addressSpace.addObject({browseName: "SharedObject", organizedBy: folder1});
+        folder2.addReference({referenceType: "Organizes", nodeId: sharedObject.nodeId});
+        var sharedVariable = addressSpace.addVariable({componentOf: sharedObject, browseName: "Value", dataType: "Double"});
+
+        var results = addressSpace.deleteNodes([new DeleteNodesItem({nodeId: folder1.nodeId, deleteTargetReferences: true})]);
+        results.should.eql([StatusCodes.Good]);
+
+        should(addressSpace.findNode(folder1.nodeId)).eql(undefined);
+        addressSpace.findNode(sharedObject.nodeId).should.eql(sharedObject);
+        addressSpace.findNode(sharedVariable.nodeId).should.eql(sharedVariable);
+        folder2.getFolderElementByName("SharedObject").should.eql(sharedObject);
+
+        // the object is deleted with its last parent
+        results = addressSpace.deleteNodes([new DeleteNodesItem({nodeId: folder2.nodeId, deleteTargetReferences: true})]);
+        results.should.eql([StatusCodes.Good]);
+        should(addressSpace.findNode(sharedObject.nodeId)).eql(undefined);
+        should(addressSpace.findNode(sharedVariable.nodeId)).eql(undefined);
+    });
+
+    it("should return BadNodeIdUnknown when the node doesn't exist", function () {
+        var results = addressSpace.deleteNodes([new DeleteNodesItem({nodeId: resolveNodeId("ns=1;s=Unknown")})]);
+        results.should.eql([StatusCodes.BadNodeIdUnknown]);
+    });
+
+    it("should return BadNoDeleteRights when the node belongs to namespace 0", function () {
+        var results = addressSpace.deleteNodes([new DeleteNodesItem({nodeId: resolveNodeId("ObjectsFolder")})]);
+        results.should.eql([StatusCodes.BadNoDeleteRights]);
+        should.exist(addressSpace.findNode("ObjectsFolder"));
+    });
+
+    function createReferencedObject(name) {
+        var referencing = addressSpace.addObject({browseName: name + "Referencing", organizedBy: addressSpace.rootFolder.objects});
+        var referenced = addressSpace.addObject({browseName: name, organizedBy: addressSpace.rootFolder.objects});
+        // the reference is held by the referencing node, the node to delete is its target
+        referencing.addReference({referenceType: "HasEventSource", nodeId: referenced.nodeId});
+        referencing.findReferences("HasEventSource", true).length.should.eql(1);
+        return {referencing: referencing, referenced: referenced};
+    }
+
+    it("should delete the references pointing to the deleted node when deleteTargetReferences is true", function () {
+
+        var nodes = createReferencedObject("ObjectToDelete2");
+        var results = addressSpace.deleteNodes([
+            new DeleteNodesItem({nodeId: nodes.referenced.nodeId, deleteTargetReferences: true})
+        ]);
+        results.should.eql([StatusCodes.Good]);
+        nodes.referencing.findReferences("HasEventSource", true).length.should.eql(0);
+    });
+
+    it("should keep the references pointing to the deleted node when deleteTargetReferences is false", function () {
+
+        var nodes = createReferencedObject("ObjectToDelete3");
+        var nodeId = nodes.referenced.nodeId;
+        var results = addressSpace.deleteNodes([new DeleteNodesItem({nodeId: nodeId, deleteTargetReferences: false})]);
+        results.should.eql([StatusCodes.Good]);
+
+        should(addressSpace.findNode(nodeId)).eql(undefined);
+        var references = nodes.referencing.findReferences("HasEventSource", true);
+        references.length.should.eql(1);
+        references[0].nodeId.should.eql(nodeId);
+
+        // the reference from the Objects folder to the deleted node was held by the deleted node itself
+        should(addressSpace.rootFolder.objects.getFolderElementByName("ObjectToDelete3")).eql(null);
+    });
+
+    it("should raise the model change events of all deleted nodes within a single transaction", function () {
+
+        var versionableNode = addressSpace.addObject({
+            browseName: "VersionableFolder",
+            organizedBy: addressSpace.rootFolder.objects,
+            nodeVersion: "0"
+        });
+        var child1 = addressSpace.addObject({browseName: "Child1", componentOf: versionableNode});
+        var child2 = addressSpace.addObject({browseName: "Child2", componentOf: versionableNode});
+        versionableNode.nodeVersion.readValue().value.value.should.eql("3");
+
+        sinon.spy(addressSpace, "_collectModelChange");
+
+        var results = addressSpace.deleteNodes([
+            new DeleteNodesItem({nodeId: child1.nodeId, deleteTargetReferences: true}),
+            new DeleteNodesItem({nodeId: child2.nodeId, deleteTargetReferences: true})
+        ]);
+        results.should.eql([StatusCodes.Good, StatusCodes.Good]);
+
+        // ReferenceDeleted + NodeDeleted for each node
+        addressSpace._collectModelChange.callCount.should.eql(4);
+        addressSpace._collectModelChange.restore();
+
+        versionableNode.nodeVersion.readValue().value.value.should.eql("4");
+    });
+});
+
+describe("AddressSpace#addReferences and AddressSpace#deleteReferences", function () {
+
+    this.timeout(100000);
+
+    var AddReferencesItem = node_managment_service.AddReferencesItem;
+    var DeleteReferencesItem = node_managment_service.DeleteReferencesItem;
+
+    var addressSpace, pump, valve;
+    before(function (done) {
+        addressSpace = new opcua.AddressSpace();
+        opcua.generate_address_space(addressSpace, opcua.standard_nodeset_file, function (err) {
+            pump = addressSpace.addObject({browseName: "Pump", organizedBy: addressSpace.rootFolder.objects});
+            valve = addressSpace.addObject({browseName: "Valve", organizedBy: addressSpace.rootFolder.objects});
+            done(err);
+        });
+    });
+    after(function () {
+        if (addressSpace) {
+            addressSpace.dispose();
+            addressSpace = null;
+        }
+    });
+
+    function makeAddReferencesItem(options) {
+        return new AddReferencesItem({
+            sourceNodeId: options.sourceNodeId || pump.nodeId,
+            referenceTypeId: options.referenceTypeId || resolveNodeId("Organizes"),
+            isForward: options.hasOwnProperty("isForward") ? options.isForward : true,
+            targetNodeId: options.targetNodeId || makeExpandedNodeId(valve.nodeId),
+            targetNodeClass: options.targetNodeClass || NodeClass.Unspecified
+        });
+    }
+
+    function makeDeleteReferencesItem(options) {
+        return new DeleteReferencesItem({
+            sourceNodeId: options.sourceNodeId || pump.nodeId,
+            referenceNodeId: options.referenceNodeId || resolveNodeId("Organizes"),
+            isForward: options.hasOwnProperty("isForward") ? options.isForward : true,
+            targetNodeId: options.targetNodeId || makeExpandedNodeId(valve.nodeId),
+            deleteBidirectional: !!options.deleteBidirectional
+        });
+    }
+
+    it("should add a forward reference between two nodes", function () {
+
+        var results = addressSpace.addReferences([makeAddReferencesItem({})]);
+        results.should.eql([StatusCodes.Good]);
+
+        pump.findReferences("Organizes", true).length.should.eql(1);
+        pump.getFolderElementByName("Valve").should.eql(valve);
+        valve.findReferences("Organizes", false).filter(function (r) {
+            return r.nodeId.toString() === pump.nodeId.toString();
+        }).length.should.eql(1);
+    });
+
+    it("should return BadDuplicateReferenceNotAllowed when the reference already exists", function () {
+        var results = addressSpace.addReferences([
+            makeAddReferencesItem({}),
+            // the same reference, expressed from the target node
+            makeAddReferencesItem({sourceNodeId: valve.nodeId, targetNodeId: makeExpandedNodeId(pump.nodeId), isForward: false})
+        ]);
+        results.should.eql([StatusCodes.BadDuplicateReferenceNotAllowed, StatusCodes.BadDuplicateReferenceNotAllowed]);
+    });
+
+    it("should add a inverse reference between two nodes", function () {
+
+        var results = addressSpace.addReferences([
+            makeAddReferencesItem({referenceTypeId: resolveNodeId("HasEventSource"), isForward: false})
+        ]);
+        results.should.eql([StatusCodes.Good]);
+        pump.findReferences("HasEventSource", false).length.should.eql(1);
+        valve.findReferences("HasEventSource", true).length.should.eql(1);
+    });
+
+    it("should return the expected status codes when the reference is invalid", function () {
+
+        var results = addressSpace.addReferences([
+            makeAddReferencesItem({sourceNodeId: resolveNodeId("ns=1;s=Unknown")}),
+            makeAddReferencesItem({referenceTypeId: resolveNodeId("FolderType")}),
+            makeAddReferencesItem({targetNodeId: makeExpandedNodeId(resolveNodeId("ns=1;s=Unknown"))}),
+            makeAddReferencesItem({targetNodeClass: NodeClass.Variable}),
+            makeAddReferencesItem({targetNodeId: makeExpandedNodeId(pump.nodeId)}),
+            makeAddReferencesItem({referenceTypeId: resolveNodeId("HierarchicalReferences")}),
+            makeAddReferencesItem({referenceTypeId: resolveNodeId("HasProperty")}),
+            makeAddReferencesItem({referenceTypeId: resolveNodeId("HasSubtype")})
+        ]);
+        results.should.eql([
+            StatusCodes.BadSourceNodeIdInvalid,
+            StatusCodes.BadReferenceTypeIdInvalid,
+            StatusCodes.BadTargetNodeIdInvalid,
+            StatusCodes.BadNodeClassInvalid,
+            StatusCodes.BadInvalidSelfReference,
+            StatusCodes.BadReferenceNotAllowed,
+            StatusCodes.BadReferenceNotAllowed,
+            StatusCodes.BadReferenceNotAllowed
+        ]);
+    });
+
+    it("should return the expected status codes when the reference to delete is invalid", function () {
+
+        var results = addressSpace.deleteReferences([
+            makeDeleteReferencesItem({sourceNodeId: resolveNodeId("ns=1;s=Unknown")}),
+            makeDeleteReferencesItem({referenceNodeId: resolveNodeId("FolderType")}),
+            makeDeleteReferencesItem({targetNodeId: makeExpandedNodeId(resolveNodeId("ns=1;s=Unknown"))}),
+            makeDeleteReferencesItem({referenceNodeId: resolveNodeId("HasComponent")})
+        ]);
+        results.should.eql([
+            StatusCodes.BadSourceNodeIdInvalid,
+            StatusCodes.BadReferenceTypeIdInvalid,
+            StatusCodes.BadTargetNodeIdInvalid,
+            StatusCodes.BadNotFound
+        ]);
+    });
+
+    it("should only delete the reference held by the source node when deleteBidirectional is false", function () {
+
+        var results = addressSpace.deleteReferences([
+            makeDeleteReferencesItem({referenceNodeId: resolveNodeId("HasEventSource"), isForward: false})
+        ]);
+        results.should.eql([StatusCodes.Good]);
+        pump.findReferences("HasEventSource", false).length.should.eql(0);
+        valve.findReferences("HasEventSource", true).length.should.eql(1);
+    });
+
+    it("should delete the reference in both directions when deleteBidirectional is true", function () {
+
+        var results = addressSpace.deleteReferences([makeDeleteReferencesItem({deleteBidirectional: true})]);
+        results.should.eql([StatusCodes.Good]);
+
+        pump.findReferences("Organizes", true).length.should.eql(0);
+        should(pump.getFolderElementByName("Valve")).eql(null);
+        valve.findReferences("Organizes", false).filter(function (r) {
+            return r.nodeId.toString() === pump.nodeId.toString();
+        }).length.should.eql(0);
+    });
+});
@@ -0,0 +1,236 @@
+"use strict";
+require("requirish")._(module);
+var should = require("should");
+var _ = require("underscore");
+
+var opcua = require("../..");
+
+var StatusCodes = opcua.StatusCodes;
+var DataType = opcua.DataType;
+var AttributeIds = opcua.AttributeIds;
+var makeExpandedNodeId = opcua.makeExpandedNodeId;
+var resolveNodeId = opcua.resolveNodeId;
+
+var subscription_service = opcua.subscription_service;
+var FilterOperator = subscription_service.FilterOperator;
+var ContentFilter = subscription_service.ContentFilter;
+var ElementOperand = subscription_service.ElementOperand;
+var LiteralOperand = subscription_service.LiteralOperand;
+var SimpleAttributeOperand = subscription_service.SimpleAttributeOperand;
+
+var NodeTypeDescription = opcua.query_service.NodeTypeDescription;
+
+describe("AddressSpace#query", function () {
+
+    this.timeout(100000);
+
+    var addressSpace, pumpType, specialPumpType, valveType;
+    var pump1, pump2, pump3, valve1;
+
+    function addPump(type, browseName, status, folder) {
+        var pump = type.instantiate({organizedBy: folder, browseName: browseName});
+        pump.status.setValueFromSource({dataType: DataType.String, value: status});
+        return pump;
+    }
+
+    before(function (done) {
+        addressSpace = new opcua.AddressSpace();
+        opcua.generate_address_space(addressSpace, opcua.standard_nodeset_file, function (err) {
+
+            pumpType = addressSpace.addObjectType({browseName: "PumpType"});
+            addressSpace.addVariable({
+                componentOf: pumpType,
+                browseName: "Status",
+                dataType: "String",
+                modellingRule: "Mandatory",
+                value: {dataType: DataType.String, value: "Stopped"}
+            });
+            specialPumpType = addressSpace.addObjectType({browseName: "SpecialPumpType", subtypeOf: pumpType});
+            valveType = addressSpace.addObjectType({browseName: "ValveType"});
+
+            var plant = addressSpace.addFolder("ObjectsFolder", {browseName: "Plant"});
+            pump1 = addPump(pumpType, "Pump1", "Fault", plant);
+            pump2 = addPump(pumpType, "Pump2", "Running", plant);
+            pump3 = addPump(specialPumpType, "Pump3", "Fault", plant);
+            valve1 = valveType.instantiate({organizedBy: plant, browseName: "Valve1"});
+
+            // Pump1 feeds Valve1
+            pump1.addReference({referenceType: "Organizes", isForward: true, nodeId: valve1.nodeId});
+            done(err);
+        });
+    });
+    after(function () {
+        if (addressSpace) {
+            addressSpace.dispose();
+            addressSpace = null;
+        }
+    });
+
+    function makeNodeTypes(typeNode, includeSubtypes, dataToReturn) {
+        return [new NodeTypeDescription({
+            typeDefinitionNode: makeExpandedNodeId(typeNode.nodeId),
+            includeSubtypes: includeSubtypes,
+            dataToReturn: dataToReturn || []
+        })];
+    }
+
+    function statusOperand() {
+        return new SimpleAttributeOperand({
+            typeId: pumpType.nodeId,
+            browsePath: [{name: "Status"}],
+            attributeId: AttributeIds.Value
+        });
+    }
+
+    function literal(dataType, value) {
+        return new LiteralOperand({value: {dataType: dataType, value: value}});
+    }
+
+    function browseNamesOf(result) {
+        return result.queryDataSets.map(function (queryDataSet) {
+            return addressSpace.findNode(queryDataSet.nodeId).browseName.toString();
+        }).sort();
+    }
+
+    it("should return the instances of a type, excluding instances of its subtypes", function () {
+
+        var result = addressSpace.query({nodeTypes: makeNodeTypes(pumpType, false)});
+
+        result.statusCode.should.eql(StatusCodes.Good);
+        result.parsingResults.should.eql([]);
+        browseNamesOf(result).should.eql(["Pump1", "Pump2"]);
+        result.queryDataSets[0].typeDefinitionNode.toString().should.eql(pumpType.nodeId.toString());
+    });
+
+    it("should return the instances of a type and of its subtypes when includeSubtypes is true", function () {
+
+        var result = addressSpace.query({nodeTypes: makeNodeTypes(pumpType, true)});
+        browseNamesOf(result).should.eql(["Pump1", "Pump2", "Pump3"]);
+    });
+
+    it("should return the requested dataToReturn attributes", function () {
+
+        var result = addressSpace.query({
+            nodeTypes: makeNodeTypes(pumpType, false, [
+                {relativePath: {elements: []}, attributeId: AttributeIds.BrowseName},
+                {
+                    relativePath: opcua.makeRelativePath("/Status"),
+                    attributeId: AttributeIds.Value
+                }
+            ])
+        });
+
+        var pump1DataSet = _.find(result.queryDataSets, function (queryDataSet) {
+            return queryDataSet.nodeId.toString() === pump1.nodeId.toString();
+        });
+        pump1DataSet.values.length.should.eql(2);
+        pump1DataSet.values[0].value.toString().should.eql("Pump1");
+        pump1DataSet.values[1].value.should.eql("Fault");
+    });
+
+    it("should only return the instances that match a Equals filter", function () {
+
+        var filter = new ContentFilter({
+            elements: [{
+                filterOperator: FilterOperator.Equals,
+                filterOperands: [statusOperand(), literal(DataType.String, "Fault")]
+            }]
+        });
+        var result = addressSpace.query({nodeTypes: makeNodeTypes(pumpType, true), filter: filter});
+        result.statusCode.should.eql(StatusCodes.Good);
+        browseNamesOf(result).should.eql(["Pump1", "Pump3"]);
+    });
+
+    it("should evaluate Like, InList, Not, And and Or operators", function () {
+
+        // ( DisplayName Like "Pump_" ) And Not ( Status InList ["Running","Stopped"] )
+        var filter = new ContentFilter({
+            elements: [
+                {filterOperator: FilterOperator.And, filterOperands: [new ElementOperand({index: 1}), new ElementOperand({index: 2})]},
+                {
+                    filterOperator: FilterOperator.Like,
+                    filterOperands: [
+                        new SimpleAttributeOperand({typeId: pumpType.nodeId, browsePath: [], attributeId: AttributeIds.DisplayName}),
+                        literal(DataType.String, "Pump[13]")
+                    ]
+                },
+                {filterOperator: FilterOperator.Not, filterOperands: [new ElementOperand({index: 3})]},
+                {
+                    filterOperator: FilterOperator.InList,
+                    filterOperands: [statusOperand(), literal(DataType.String, "Running"), literal(DataType.String, "Stopped")]
+                }
+            ]
+        });
+        var result = addressSpace.query({nodeTypes: makeNodeTypes(pumpType, true), filter: filter});
+        browseNamesOf(result).should.eql(["Pump1", "Pump3"]);
+
+        filter.elements[0].filterOperator = FilterOperator.Or;
+        result = addressSpace.query({nodeTypes: makeNodeTypes(pumpType, true), filter: filter});
+        browseNamesOf(result).should.eql(["Pump1", "Pump3"]);
+
+        filter.elements[1].filterOperands[1] = literal(DataType.String, "Pump%");
+        result = addressSpace.query({nodeTypes: makeNodeTypes(pumpType, true), filter: filter});
+        browseNamesOf(result).should.eql(["Pump1", "Pump2", "Pump3"]);
+    });
+
+    it("should evaluate the OfType operator", function () {
+
+        var filter = new ContentFilter({
+            elements: [{
+                filterOperator: FilterOperator.OfType,
+                filterOperands: [literal(DataType.NodeId, specialPumpType.nodeId)]
+            }]
+        });
+        var result = addressSpace.query({nodeTypes: makeNodeTypes(pumpType, true), filter: filter});
+        browseNamesOf(result).should.eql(["Pump3"]);
+    });
+
+    it("should evaluate the RelatedTo operator", function () {
+
+        // pumps that organize a valve
+        var filter = new ContentFilter({
+            elements: [{
+                filterOperator: FilterOperator.RelatedTo,
+                filterOperands: [
+                    literal(DataType.NodeId, pumpType.nodeId),
+                    literal(DataType.NodeId, valveType.nodeId),
+                    literal(DataType.NodeId, resolveNodeId("Organizes")),
+                    literal(DataType.UInt32, 1),
+                    literal(DataType.Boolean, true),
+                    literal(DataType.Boolean, false)
+                ]
+            }]
+        });
+        var result = addressSpace.query({nodeTypes: makeNodeTypes(pumpType, true), filter: filter});
+        browseNamesOf(result).should.eql(["Pump1"]);
+    });
+
+    it("should return BadContentFilterInvalid with the element results when the filter is not valid", function () {
+
+        var filter = new ContentFilter({
+            elements: [
+                {filterOperator: FilterOperator.Not, filterOperands: [new ElementOperand({index: 0})]},
+                {filterOperator: FilterOperator.Equals, filterOperands: [statusOperand()]}
+            ]
+        });
+        var result = addressSpace.query({nodeTypes: makeNodeTypes(pumpType, true), filter: filter});
+
+        result.statusCode.should.eql(StatusCodes.BadContentFilterInvalid);
+        result.queryDataSets.length.should.eql(0);
+        result.filterResult.elementResults.length.should.eql(2);
+        result.filterResult.elementResults[0].statusCode.should.eql(StatusCodes.BadFilterOperandInvalid);
+        result.filterResult.elementResults[0].operandStatusCodes.should.eql([StatusCodes.BadFilterOperandInvalid]);
+        result.filterResult.elementResults[1].statusCode.should.eql(StatusCodes.BadFilterOperandCountMismatch);
+    });
+
+    it("should return a parsing result for each node type when a node type is invalid", function () {
+
+        var nodeTypes = makeNodeTypes(pumpType, false).concat(makeNodeTypes(addressSpace.rootFolder.objects, false));
+        var result = addressSpace.query({nodeTypes: nodeTypes});
+
+        result.parsingResults.length.should.eql(2);
+        result.parsingResults[0].statusCode.should.eql(StatusCodes.Good);
+        result.parsingResults[1].statusCode.should.eql(StatusCodes.BadNotTypeDefinition);
+        browseNamesOf(result).should.eql(["Pump1", "Pump2"]);
+    });
+});
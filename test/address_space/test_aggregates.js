@@ -0,0 +1,394 @@
+"use strict";
+/* global describe,it,before,after,beforeEach,afterEach*/
+require("requirish")._(module);
+var should = require("should");
+var async = require("async");
+
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+var makeStatusCode = require("lib/datamodel/opcua_status_code").makeStatusCode;
+var DataType = require("lib/datamodel/variant").DataType;
+var makeNodeId = require("lib/datamodel/nodeid").makeNodeId;
+var ObjectIds = require("lib/opcua_node_ids").ObjectIds;
+var AddressSpace = require("lib/address_space/address_space").AddressSpace;
+var generate_address_space = require("lib/address_space/load_nodeset2").generate_address_space;
+var mini_nodeset_filename = require("lib/server/server_engine").mini_nodeset_filename;
+
+var historizing_service = require("lib/services/historizing_service");
+var ReadProcessedDetails = historizing_service.ReadProcessedDetails;
+var ReadAtTimeDetails = historizing_service.ReadAtTimeDetails;
+var AggregateConfiguration = historizing_service.AggregateConfiguration;
+
+function date(minute) {
+    return new Date(Date.UTC(2016, 0, 1, 10, 0, minute * 60));
+}
+
+var GoodCalculated = makeStatusCode(StatusCodes.Good, "HistorianCalculated");
+var UncertainCalculated = makeStatusCode(StatusCodes.UncertainDataSubNormal, "HistorianCalculated");
+
+describe("testing the aggregates of a HistoryRead with ReadProcessedDetails", function () {
+
+    var addressSpace, node;
+
+    before(function (done) {
+        addressSpace = new AddressSpace();
+        generate_address_space(addressSpace, mini_nodeset_filename, done);
+    });
+    after(function () {
+        addressSpace.dispose();
+        addressSpace = null;
+    });
+
+    beforeEach(function (done) {
+        node = addressSpace.addVariable({
+            organizedBy: "ObjectsFolder",
+            browseName: "Temperature",
+            dataType: "Double"
+        });
+        var historian = addressSpace.installHistoricalDataNode(node);
+
+        // 10:00 => 10 , 10:01 => 20 , 10:02 => 30 , 10:03 => bad , 10:04 => 40 , 10:05 => 50
+        var values = [10, 20, 30, null, 40, 50];
+        async.eachOfSeries(values, function (value, minute, callback) {
+            historian.push({
+                value: {dataType: DataType.Double, value: value === null ? 0 : value},
+                statusCode: value === null ? StatusCodes.BadNoCommunication : StatusCodes.Good,
+                sourceTimestamp: date(minute)
+            }, callback);
+        }, done);
+    });
+    afterEach(function () {
+        addressSpace.deleteNode(node);
+    });
+
+    function readProcessed(aggregateName, options, callback) {
+        options.aggregateType = [makeNodeId(ObjectIds["AggregateFunction_" + aggregateName])];
+        node.historyRead(new ReadProcessedDetails(options), null, null, null, function (err, result) {
+            should(err).eql(null);
+            callback(result);
+        });
+    }
+
+    function readIntervals(aggregateName, options, callback) {
+        readProcessed(aggregateName, options, function (result) {
+            result.statusCode.should.eql(StatusCodes.Good);
+            callback(result.historyData.dataValues);
+        });
+    }
+
+    function valuesOf(dataValues) {
+        return dataValues.map(function (dataValue) {
+            return dataValue.statusCode.name.substr(0, 3) === "Bad" ? dataValue.statusCode.name : dataValue.value.value;
+        });
+    }
+
+    function statusCodesOf(dataValues) {
+        return dataValues.map(function (dataValue) {
+            return dataValue.statusCode;
+        });
+    }
+
+    var twoMinutes = {startTime: date(0), endTime: date(6), processingInterval: 2 * 60 * 1000};
+
+    it("should compute the Average, Minimum, Maximum and Count of each interval", function (done) {
+
+        async.series([
+            function (callback) {
+                readIntervals("Average", twoMinutes, function (dataValues) {
+                    valuesOf(dataValues).should.eql([15, 30, 45]);
+                    // the interval [10:02,10:04[ contains a bad value
+                    statusCodesOf(dataValues).should.eql([GoodCalculated, UncertainCalculated, GoodCalculated]);
+                    dataValues[1].sourceTimestamp.should.eql(date(2));
+                    callback();
+                });
+            },
+            function (callback) {
+                readIntervals("Minimum", twoMinutes, function (dataValues) {
+                    valuesOf(dataValues).should.eql([10, 30, 40]);
+                    callback();
+                });
+            },
+            function (callback) {
+                readIntervals("Maximum", twoMinutes, function (dataValues) {
+                    valuesOf(dataValues).should.eql([20, 30, 50]);
+                    callback();
+                });
+            },
+            function (callback) {
+                readIntervals("Count", twoMinutes, function (dataValues) {
+                    valuesOf(dataValues).should.eql([2, 1, 2]);
+                    dataValues[0].value.dataType.should.eql(DataType.UInt32);
+                    callback();
+                });
+            }
+        ], done);
+    });
+
+    it("should compute the TimeAverage, Total and Delta of each interval", function (done) {
+
+        async.series([
+            function (callback) {
+                readIntervals("TimeAverage", twoMinutes, function (dataValues) {
+                    // the last value is held until the end of the last interval
+                    valuesOf(dataValues).should.eql([20, 30, 47.5]);
+                    callback();
+                });
+            },
+            function (callback) {
+                readIntervals("Total", twoMinutes, function (dataValues) {
+                    valuesOf(dataValues).should.eql([2400, 1800, 5700]);
+                    callback();
+                });
+            },
+            function (callback) {
+                readIntervals("Delta", twoMinutes, function (dataValues) {
+                    valuesOf(dataValues).should.eql([10, 0, 10]);
+                    callback();
+                });
+            }
+        ], done);
+    });
+
+    it("should compute the Start and End raw values of each interval", function (done) {
+
+        readIntervals("Start", twoMinutes, function (dataValues) {
+            valuesOf(dataValues).should.eql([10, 30, 40]);
+            readIntervals("End", twoMinutes, function (dataValues) {
+                valuesOf(dataValues).should.eql([20, "BadNoCommunication", 50]);
+                dataValues[1].sourceTimestamp.should.eql(date(3));
+                done();
+            });
+        });
+    });
+
+    it("should compute the durations and percentages of good and bad data", function (done) {
+
+        readIntervals("DurationBad", twoMinutes, function (dataValues) {
+            valuesOf(dataValues).should.eql([0, 60000, 0]);
+            statusCodesOf(dataValues).should.eql([GoodCalculated, GoodCalculated, GoodCalculated]);
+            readIntervals("PercentGood", twoMinutes, function (dataValues) {
+                valuesOf(dataValues).should.eql([100, 50, 100]);
+                done();
+            });
+        });
+    });
+
+    it("should interpolate the values at the start of each interval", function (done) {
+
+        var interpolated = makeStatusCode(StatusCodes.Good, "HistorianInterpolated");
+        readIntervals("Interpolative", {startTime: date(0), endTime: date(6), processingInterval: 90 * 1000}, function (dataValues) {
+            valuesOf(dataValues).should.eql([10, 25, "BadNoCommunication", 45]);
+            statusCodesOf(dataValues).should.eql([StatusCodes.Good, interpolated, StatusCodes.BadNoCommunication, interpolated]);
+            done();
+        });
+    });
+
+    it("should extrapolate the values after the last value, with a stepped or a sloped extrapolation", function (done) {
+
+        var extrapolated = makeStatusCode(StatusCodes.UncertainDataSubNormal, "HistorianInterpolated");
+        var options = {startTime: date(7), endTime: date(8)};
+        readIntervals("Interpolative", options, function (dataValues) {
+            valuesOf(dataValues).should.eql([50]);
+            statusCodesOf(dataValues).should.eql([extrapolated]);
+
+            options.aggregateConfiguration = new AggregateConfiguration({
+                useServerCapabilitiesDefaults: false,
+                useSlopedExtrapolation: true
+            });
+            readIntervals("Interpolative", options, function (dataValues) {
+                valuesOf(dataValues).should.eql([70]);
+                done();
+            });
+        });
+    });
+
+    it("should set the HistorianPartial bit when the last interval is incomplete", function (done) {
+
+        readIntervals("Average", {startTime: date(0), endTime: date(5), processingInterval: 2 * 60 * 1000}, function (dataValues) {
+            valuesOf(dataValues).should.eql([15, 30, 40]);
+            dataValues[2].statusCode.should.eql(makeStatusCode(StatusCodes.Good, "HistorianCalculated|HistorianPartial"));
+            done();
+        });
+    });
+
+    it("should process the intervals backward when endTime is before startTime", function (done) {
+
+        readIntervals("Average", {startTime: date(6), endTime: date(0), processingInterval: 2 * 60 * 1000}, function (dataValues) {
+            valuesOf(dataValues).should.eql([45, 30, 15]);
+            dataValues[0].sourceTimestamp.should.eql(date(6));
+            done();
+        });
+    });
+
+    it("should use a single interval when processingInterval is 0", function (done) {
+
+        readIntervals("Count", {startTime: date(0), endTime: date(6)}, function (dataValues) {
+            valuesOf(dataValues).should.eql([5]);
+            statusCodesOf(dataValues).should.eql([UncertainCalculated]);
+            done();
+        });
+    });
+
+    it("should honour the PercentDataGood and PercentDataBad of the aggregate configuration", function (done) {
+
+        twoMinutes.aggregateConfiguration = new AggregateConfiguration({
+            useServerCapabilitiesDefaults: false,
+            percentDataGood: 50,
+            percentDataBad: 50
+        });
+        readIntervals("Average", twoMinutes, function (dataValues) {
+            delete twoMinutes.aggregateConfiguration;
+            statusCodesOf(dataValues).should.eql([GoodCalculated, GoodCalculated, GoodCalculated]);
+            done();
+        });
+    });
+
+    it("should return BadNoData for the intervals without data", function (done) {
+
+        readIntervals("Average", {startTime: date(-2), endTime: date(0)}, function (dataValues) {
+            valuesOf(dataValues).should.eql(["BadNoData"]);
+            done();
+        });
+    });
+
+    it("should reject a unsupported aggregate or a invalid aggregate configuration", function (done) {
+
+        readProcessed("Range", {startTime: date(0), endTime: date(6)}, function (result) {
+            result.statusCode.should.eql(StatusCodes.BadAggregateNotSupported);
+
+            readProcessed("Average", {
+                startTime: date(0), endTime: date(6),
+                aggregateConfiguration: new AggregateConfiguration({
+                    useServerCapabilitiesDefaults: false,
+                    percentDataGood: 10,
+                    percentDataBad: 10
+                })
+            }, function (result) {
+                result.statusCode.should.eql(StatusCodes.BadAggregateConfigurationRejected);
+                done();
+            });
+        });
+    });
+
+    it("should return BadAggregateInvalidInputs when the values are not numeric", function (done) {
+
+        var stringNode = addressSpace.addVariable({
+            organizedBy: "ObjectsFolder",
+            browseName: "Label",
+            dataType: "String"
+        });
+        addressSpace.installHistoricalDataNode(stringNode).push({
+            value: {dataType: DataType.String, value: "Hello"},
+            sourceTimestamp: date(0)
+        }, function () {
+            var details = new ReadProcessedDetails({
+                startTime: date(0), endTime: date(6),
+                aggregateType: [makeNodeId(ObjectIds.AggregateFunction_Average)]
+            });
+            stringNode.historyRead(details, null, null, null, function (err, result) {
+                addressSpace.deleteNode(stringNode);
+                valuesOf(result.historyData.dataValues).should.eql(["BadAggregateInvalidInputs"]);
+                done(err);
+            });
+        });
+    });
+});
+
+describe("testing a HistoryRead with ReadAtTimeDetails", function () {
+
+    var addressSpace, node;
+
+    before(function (done) {
+        addressSpace = new AddressSpace();
+        generate_address_space(addressSpace, mini_nodeset_filename, done);
+    });
+    after(function () {
+        addressSpace.dispose();
+        addressSpace = null;
+    });
+
+    function installNode(options, callback) {
+        node = addressSpace.addVariable({
+            organizedBy: "ObjectsFolder",
+            browseName: "Level",
+            dataType: "Double"
+        });
+        var historian = addressSpace.installHistoricalDataNode(node, options);
+
+        // 10:00 => 10 , 10:02 => 30 , 10:03 => bad , 10:04 => 40
+        async.eachSeries([[0, 10], [2, 30], [3, null], [4, 40]], function (entry, innerCallback) {
+            historian.push({
+                value: {dataType: DataType.Double, value: entry[1] === null ? 0 : entry[1]},
+                statusCode: entry[1] === null ? StatusCodes.BadNoCommunication : StatusCodes.Good,
+                sourceTimestamp: date(entry[0])
+            }, innerCallback);
+        }, callback);
+    }
+    afterEach(function () {
+        addressSpace.deleteNode(node);
+    });
+
+    function readAtTime(minutes, useSimpleBounds, callback) {
+        var details = new ReadAtTimeDetails({reqTimes: minutes.map(date), useSimpleBounds: useSimpleBounds});
+        node.historyRead(details, null, null, null, function (err, result) {
+            should(err).eql(null);
+            result.statusCode.should.eql(StatusCodes.Good);
+            callback(result.historyData.dataValues.map(function (dataValue) {
+                return dataValue.statusCode.name.substr(0, 3) === "Bad" ? dataValue.statusCode.name : dataValue.value.value;
+            }), result.historyData.dataValues);
+        });
+    }
+
+    var interpolated = makeStatusCode(StatusCodes.Good, "HistorianInterpolated");
+    var uncertainInterpolated = makeStatusCode(StatusCodes.UncertainDataSubNormal, "HistorianInterpolated");
+
+    it("should return the raw values or interpolate them linearly", function (done) {
+
+        installNode({}, function () {
+            readAtTime([-1, 0, 1, 3.5, 6], false, function (values, dataValues) {
+                values.should.eql(["BadNoData", 10, 20, 37.5, 40]);
+                dataValues[0].sourceTimestamp.should.eql(date(-1));
+                dataValues[1].statusCode.should.eql(StatusCodes.Good);
+                dataValues[2].statusCode.should.eql(interpolated);
+                // the bad value of 10:03 is skipped
+                dataValues[3].statusCode.should.eql(uncertainInterpolated);
+                // after the last value
+                dataValues[4].statusCode.should.eql(uncertainInterpolated);
+                dataValues[4].sourceTimestamp.should.eql(date(6));
+                done();
+            });
+        });
+    });
+
+    it("should use the previous value of a stepped variable", function (done) {
+
+        installNode({stepped: true}, function () {
+            readAtTime([1, 3.5], false, function (values, dataValues) {
+                values.should.eql([10, 30]);
+                dataValues[0].statusCode.should.eql(interpolated);
+                done();
+            });
+        });
+    });
+
+    it("should use the raw values surrounding the requested time when useSimpleBounds is true", function (done) {
+
+        installNode({}, function () {
+            readAtTime([2.5, 3.5], true, function (values, dataValues) {
+                // 10:02.30 is extrapolated from 10:02 as the next value is bad , 10:03.30 follows a bad value
+                values.should.eql([30, "BadNoData"]);
+                dataValues[0].statusCode.should.eql(uncertainInterpolated);
+                done();
+            });
+        });
+    });
+
+    it("should return BadNothingToDo when no time is requested", function (done) {
+
+        installNode({}, function () {
+            node.historyRead(new ReadAtTimeDetails({reqTimes: []}), null, null, null, function (err, result) {
+                result.statusCode.should.eql(StatusCodes.BadNothingToDo);
+                done(err);
+            });
+        });
+    });
+});
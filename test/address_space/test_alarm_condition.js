@@ -0,0 +1,277 @@
+"use strict";
+/* global describe,it,before,after,beforeEach,afterEach*/
+require("requirish")._(module);
+var should = require("should");
+var path = require("path");
+
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+var DataType = require("lib/datamodel/variant").DataType;
+var LocalizedText = require("lib/datamodel/localized_text").LocalizedText;
+var AttributeIds = require("lib/datamodel/attributeIds").AttributeIds;
+var NodeClass = require("lib/datamodel/nodeclass").NodeClass;
+var EventNotifierFlags = require("lib/datamodel/event_notifier").EventNotifierFlags;
+
+var AddressSpace = require("lib/address_space/address_space").AddressSpace;
+var generate_address_space = require("lib/address_space/load_nodeset2").generate_address_space;
+var UAAlarmConditionBase = require("lib/address_space/alarms_and_conditions/alarm_condition").UAAlarmConditionBase;
+
+var subscription_service = require("lib/services/subscription_service");
+var constructEventFilter = require("lib/tools/tools_event_filter").constructEventFilter;
+var extractEventFields = require("lib/tools/tools_event_filter").extractEventFields;
+
+describe("AddressSpace : AlarmConditionType state machine", function () {
+
+    var addressSpace, source;
+
+    this.timeout(Math.max(this._timeout, 10000));
+
+    require("test/helpers/resource_leak_detector").installResourceLeakDetector(true, function () {
+        before(function (done) {
+            addressSpace = new AddressSpace();
+            var xml_file = path.join(__dirname, "../../nodesets/Opc.Ua.NodeSet2.xml");
+            generate_address_space(addressSpace, xml_file, function (err) {
+                source = addressSpace.createNode({
+                    nodeClass: NodeClass.Object,
+                    browseName: "Tank",
+                    organisedBy: addressSpace.rootFolder.objects,
+                    eventNotifier: EventNotifierFlags.SubscribeToEvents.value
+                });
+                done(err);
+            });
+        });
+        after(function () {
+            addressSpace.dispose();
+            addressSpace = null;
+        });
+    });
+
+    var alarm, events, counter = 0;
+
+    function onEvent(eventData) {
+        events.push(eventData);
+    }
+
+    beforeEach(function () {
+        counter += 1;
+        alarm = addressSpace.instantiateCondition("AlarmConditionType", {
+            componentOf: source,
+            conditionSource: source,
+            browseName: "HighLevel" + counter,
+            optionals: ["ConfirmedState", "Confirm", "ShelvingState", "SuppressedState", "MaxTimeShelved"]
+        }, {
+            maxTimeShelved: {dataType: DataType.Double, value: 10000}
+        });
+        events = [];
+        source.on("event", onEvent);
+    });
+    afterEach(function () {
+        source.removeListener("event", onEvent);
+        if (alarm.getShelvingState() !== "Unshelved") {
+            alarm._unshelve();
+        }
+    });
+
+    var fields = ["EventId", "BranchId", "Retain", "ActiveState.Id", "AckedState.Id", "ConfirmedState.Id", "Comment", "ClientUserId"];
+
+    function lastEventFields() {
+        var eventData = events[events.length - 1];
+        var values = extractEventFields(eventData.$eventType, constructEventFilter(fields).selectClauses, eventData);
+        var result = {};
+        fields.forEach(function (field, index) {
+            result[field] = values[index].value;
+        });
+        return result;
+    }
+
+    it("should attach the alarm state machine to the condition and set its source", function () {
+
+        alarm.should.be.instanceOf(UAAlarmConditionBase);
+        alarm.sourceNode.readValue().value.value.toString().should.eql(source.nodeId.toString());
+        alarm.sourceName.readValue().value.value.should.eql("Tank");
+        alarm.getEnabledState().should.eql(true);
+        alarm.getActiveState().should.eql(false);
+        alarm.ackedState.id.readValue().value.value.should.eql(true);
+        alarm.shelvingState.currentState.readValue().value.value.text.should.eql("Unshelved");
+        alarm.suppressedOrShelved.readValue().value.value.should.eql(false);
+    });
+
+    it("should raise a event with a new EventId when the alarm becomes active", function () {
+
+        alarm.activateAlarm({message: "level is high", severity: 800});
+
+        events.length.should.eql(1);
+        var eventFields = lastEventFields();
+        eventFields["ActiveState.Id"].should.eql(true);
+        eventFields["AckedState.Id"].should.eql(false);
+        eventFields.Retain.should.eql(true);
+        eventFields.BranchId.isEmpty().should.eql(true);
+        eventFields.EventId.toString("hex").should.eql(alarm.eventId.readValue().value.value.toString("hex"));
+        alarm.severity.readValue().value.value.should.eql(800);
+        alarm.message.readValue().value.value.text.should.eql("level is high");
+
+        // the ConditionId is requested with the NodeId attribute of the condition type
+        var conditionIdClause = new subscription_service.SimpleAttributeOperand({
+            browsePath: [],
+            attributeId: AttributeIds.NodeId
+        });
+        var eventData = events[0];
+        extractEventFields(eventData.$eventType, [conditionIdClause], eventData)[0].value.should.eql(alarm.nodeId);
+    });
+
+    it("should check the EventId when acknowledging and confirming the alarm", function () {
+
+        alarm.activateAlarm({severity: 800});
+        var eventId = alarm.currentBranch().getValue("EventId");
+
+        alarm._acknowledge(new Buffer("unknown"), "comment").should.eql(StatusCodes.BadEventIdUnknown);
+        alarm._confirm(eventId, "comment").should.eql(StatusCodes.BadConditionBranchAlreadyConfirmed);
+
+        alarm._acknowledge(eventId, "acknowledged by Joe", "Joe").should.eql(StatusCodes.Good);
+        var eventFields = lastEventFields();
+        eventFields["AckedState.Id"].should.eql(true);
+        eventFields["ConfirmedState.Id"].should.eql(false);
+        eventFields.Comment.text.should.eql("acknowledged by Joe");
+        eventFields.ClientUserId.should.eql("Joe");
+        eventFields.EventId.toString("hex").should.not.eql(eventId.toString("hex"));
+
+        // the EventId of the acknowledged state is no longer valid
+        alarm._acknowledge(eventId, "again").should.eql(StatusCodes.BadEventIdUnknown);
+        alarm._acknowledge(eventFields.EventId, "again").should.eql(StatusCodes.BadConditionBranchAlreadyAcked);
+
+        alarm.deactivateAlarm();
+        lastEventFields().Retain.should.eql(true); // still waiting for the confirmation
+
+        alarm._confirm(alarm.currentBranch().getValue("EventId"), "confirmed").should.eql(StatusCodes.Good);
+        eventFields = lastEventFields();
+        eventFields["ConfirmedState.Id"].should.eql(true);
+        eventFields.Retain.should.eql(false);
+    });
+
+    it("should add a comment to the condition", function () {
+
+        alarm._addComment(alarm.currentBranch().getValue("EventId"), "a comment", "Joe").should.eql(StatusCodes.Good);
+        alarm.comment.readValue().value.value.text.should.eql("a comment");
+        alarm.comment.sourceTimestamp.readValue().value.value.should.be.instanceOf(Date);
+        events.length.should.eql(1);
+    });
+
+    it("should keep the unacknowledged previous occurrence of the alarm in a branch", function () {
+
+        alarm.activateAlarm({severity: 800});
+        alarm.deactivateAlarm();
+        // the alarm becomes active again before the previous occurrence has been acknowledged
+        alarm.activateAlarm({severity: 900});
+
+        alarm.getBranches().length.should.eql(1);
+        var branch = alarm.getBranches()[0];
+        branch.isCurrentBranch().should.eql(false);
+        branch.getTwoStateValue("ActiveState").should.eql(false);
+        branch.getTwoStateValue("AckedState").should.eql(false);
+        branch.getValue("Severity").should.eql(800);
+
+        // the branch has been notified with its own BranchId
+        var branchEvent = events[events.length - 2];
+        branchEvent.__paths.BranchId.value.should.eql(branch.getBranchId());
+
+        // acknowledging and confirming the branch doesn't change the current state of the alarm
+        alarm._acknowledge(branch.getValue("EventId"), "old one").should.eql(StatusCodes.Good);
+        alarm.getBranches().length.should.eql(1);
+        alarm._confirm(branch.getValue("EventId"), "old one").should.eql(StatusCodes.Good);
+        alarm.getBranches().length.should.eql(0);
+
+        lastEventFields().Retain.should.eql(false);
+        alarm.getActiveState().should.eql(true);
+        alarm.ackedState.id.readValue().value.value.should.eql(false);
+    });
+
+    it("should not retain a disabled alarm and reject the operator actions", function () {
+
+        alarm.activateAlarm({severity: 800});
+        var eventId = alarm.currentBranch().getValue("EventId");
+
+        alarm._setEnableState(false).should.eql(StatusCodes.Good);
+        lastEventFields().Retain.should.eql(false);
+        alarm._acknowledge(eventId, "").should.eql(StatusCodes.BadConditionDisabled);
+        alarm._addComment(eventId, "").should.eql(StatusCodes.BadConditionDisabled);
+
+        alarm._setEnableState(true).should.eql(StatusCodes.Good);
+        lastEventFields().Retain.should.eql(true);
+    });
+
+    it("should update SuppressedOrShelved with the suppressed state", function () {
+
+        alarm.setSuppressedState(true);
+        alarm.suppressedOrShelved.readValue().value.value.should.eql(true);
+        alarm.setSuppressedState(false);
+        alarm.suppressedOrShelved.readValue().value.value.should.eql(false);
+        events.length.should.eql(2);
+    });
+
+    it("should shelve the alarm for a limited time", function (done) {
+
+        alarm._unshelve().should.eql(StatusCodes.BadConditionNotShelved);
+        alarm._timedShelve(0).should.eql(StatusCodes.BadShelvingTimeOutOfRange);
+        alarm._timedShelve(20000).should.eql(StatusCodes.BadShelvingTimeOutOfRange);
+
+        alarm._timedShelve(200).should.eql(StatusCodes.Good);
+        alarm._timedShelve(200).should.eql(StatusCodes.BadConditionAlreadyShelved);
+        alarm.getShelvingState().should.eql("TimedShelved");
+        alarm.suppressedOrShelved.readValue().value.value.should.eql(true);
+        alarm.shelvingState.unshelveTime.readValue().value.value.should.be.greaterThan(0);
+
+        var shelvedStateMachineType = addressSpace.findObjectType("ShelvedStateMachineType");
+        alarm.shelvingState.currentState.id.readValue().value.value.should.eql(
+            shelvedStateMachineType.getComponentByName("TimedShelved").nodeId);
+        alarm.shelvingState.lastTransition.readValue().value.value.text.should.eql("UnshelvedToTimedShelved");
+
+        setTimeout(function () {
+            // the alarm is automatically unshelved when the shelving time has expired
+            alarm.getShelvingState().should.eql("Unshelved");
+            alarm.shelvingState.unshelveTime.readValue().value.value.should.eql(0);
+            alarm.suppressedOrShelved.readValue().value.value.should.eql(false);
+            events.length.should.eql(2);
+            done();
+        }, 500);
+    });
+
+    it("should unshelve a OneShotShelved alarm when it returns to normal", function () {
+
+        alarm.activateAlarm({severity: 800});
+        alarm._oneShotShelve().should.eql(StatusCodes.Good);
+        alarm._oneShotShelve().should.eql(StatusCodes.BadConditionAlreadyShelved);
+        alarm.getShelvingState().should.eql("OneShotShelved");
+
+        alarm.deactivateAlarm();
+        alarm.getShelvingState().should.eql("Unshelved");
+        alarm.shelvingState.lastTransition.readValue().value.value.text.should.eql("OneShotShelvedToUnshelved");
+    });
+
+    it("should find the methods of the alarm by the nodeId of their declaration", function () {
+
+        var acknowledgeableConditionType = addressSpace.findEventType("AcknowledgeableConditionType");
+        var acknowledgeDeclaration = acknowledgeableConditionType.getComponentByName("Acknowledge");
+        alarm.getMethodById(acknowledgeDeclaration.nodeId).should.eql(alarm.acknowledge);
+        alarm.getMethodById(alarm.acknowledge.nodeId).should.eql(alarm.acknowledge);
+    });
+
+    it("should expose the Acknowledge and TimedShelve methods of the alarm", function (done) {
+
+        alarm.activateAlarm({severity: 800});
+        var eventId = alarm.currentBranch().getValue("EventId");
+        var context = {session: {userIdentityToken: {userName: "Joe"}}, object: alarm};
+
+        alarm.acknowledge.execute([
+            {dataType: DataType.ByteString, value: eventId},
+            {dataType: DataType.LocalizedText, value: new LocalizedText({text: "done"})}
+        ], context, function (err, callMethodResponse) {
+            callMethodResponse.statusCode.should.eql(StatusCodes.Good);
+            alarm.clientUserId.readValue().value.value.should.eql("Joe");
+
+            alarm.shelvingState.timedShelve.execute([{dataType: DataType.Double, value: 1000}], context, function (err, callMethodResponse) {
+                callMethodResponse.statusCode.should.eql(StatusCodes.Good);
+                alarm.getShelvingState().should.eql("TimedShelved");
+                done(err);
+            });
+        });
+    });
+});
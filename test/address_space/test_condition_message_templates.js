@@ -0,0 +1,134 @@
+"use strict";
+/* global describe,it,before,after,beforeEach*/
+require("requirish")._(module);
+var should = require("should");
+var path = require("path");
+
+var DataType = require("lib/datamodel/variant").DataType;
+var Variant = require("lib/datamodel/variant").Variant;
+var NodeClass = require("lib/datamodel/nodeclass").NodeClass;
+var standardUnits = require("lib/data_access/EUInformation").standardUnits;
+
+var AddressSpace = require("lib/address_space/address_space").AddressSpace;
+var generate_address_space = require("lib/address_space/load_nodeset2").generate_address_space;
+var tools_event_filter = require("lib/tools/tools_event_filter");
+
+describe("AddressSpace : Condition message templates", function () {
+
+    var addressSpace, tank;
+
+    this.timeout(Math.max(this._timeout, 10000));
+
+    require("test/helpers/resource_leak_detector").installResourceLeakDetector(true, function () {
+        before(function (done) {
+            addressSpace = new AddressSpace();
+            var xml_file = path.join(__dirname, "../../nodesets/Opc.Ua.NodeSet2.xml");
+            generate_address_space(addressSpace, xml_file, function (err) {
+                tank = addressSpace.createNode({
+                    nodeClass: NodeClass.Object,
+                    browseName: "Tank",
+                    displayName: [
+                        {locale: "en", text: "Tank"},
+                        {locale: "fr", text: "Cuve"},
+                        {locale: "de", text: "Tank"}
+                    ],
+                    organisedBy: addressSpace.rootFolder.objects
+                });
+                done(err);
+            });
+        });
+        after(function () {
+            addressSpace.dispose();
+            addressSpace = null;
+        });
+    });
+
+    var counter = 0, level;
+    beforeEach(function () {
+        counter += 1;
+        level = addressSpace.addAnalogDataItem({
+            componentOf: tank,
+            browseName: "Level" + counter,
+            definition: "level of the tank",
+            engineeringUnitsRange: {low: 0, high: 100},
+            engineeringUnits: standardUnits.percent,
+            dataType: "Double",
+            value: new Variant({dataType: DataType.Double, value: 50})
+        });
+    });
+
+    function setLevel(value) {
+        level.setValueFromSource(new Variant({dataType: DataType.Double, value: value}));
+    }
+
+    function extractMessage(eventData, localeIds) {
+        var selectClauses = tools_event_filter.constructEventFilter(["Message"]).selectClauses;
+        return tools_event_filter.extractEventFields(eventData.$eventType, selectClauses, eventData, localeIds)[0].value;
+    }
+
+    it("BaseNode#getDisplayName should return the display name in the requested locale", function () {
+        tank.getDisplayName("fr-FR").should.eql("Cuve");
+        tank.getDisplayName(["es", "de"]).should.eql("Tank");
+        tank.getDisplayName().should.eql("Tank");
+    });
+
+    it("should resolve the message templates of the state of a alarm in each locale", function () {
+
+        var alarm = addressSpace.instantiateExclusiveLimitAlarm("ExclusiveLevelAlarmType", {
+            browseName: "LevelAlarm" + counter,
+            componentOf: tank,
+            conditionSource: tank,
+            inputNode: level,
+            highLimit: 90,
+            messageTemplates: {
+                Active: {
+                    "en": "{SourceName} : the level is too high ({Value} {EUInformation})",
+                    "fr": "{SourceName} : le niveau est trop haut ({Value} {EUInformation})",
+                    "de": "{SourceName} : der Füllstand ist zu hoch ({Value} {EUInformation})"
+                },
+                Inactive: {
+                    "en": "{SourceName} : the level is back to normal",
+                    "fr": "{SourceName} : le niveau est revenu à la normale"
+                }
+            }
+        });
+
+        var events = [];
+        tank.on("event", function (eventData) {
+            events.push(eventData);
+        });
+
+        setLevel(95);
+        // the first template is the value of the Message variable of the condition
+        alarm.message.readValue().value.value.text.should.eql("Tank : the level is too high (95 %)");
+        extractMessage(events[0], ["fr-FR"]).text.should.eql("Cuve : le niveau est trop haut (95 %)");
+        extractMessage(events[0], ["de-DE", "fr-FR"]).text.should.eql("Tank : der Füllstand ist zu hoch (95 %)");
+        extractMessage(events[0], ["es-ES"]).locale.should.eql("en");
+
+        setLevel(50);
+        extractMessage(events[1], ["fr"]).text.should.eql("Cuve : le niveau est revenu à la normale");
+        // there is no german template for the inactive state
+        extractMessage(events[1], ["de"]).text.should.eql("Tank : the level is back to normal");
+        tank.removeAllListeners("event");
+    });
+
+    it("should provide the message of the application and leave the unknown placeholders untouched", function () {
+
+        var condition = addressSpace.instantiateCondition("AlarmConditionType", {
+            browseName: "Alarm" + counter,
+            componentOf: tank,
+            conditionSource: tank,
+            messageTemplates: {
+                "en": "[{Severity}] {ConditionName} : {Message} {Unknown}"
+            }
+        });
+        condition.activateAlarm({message: "pump failure", severity: 800});
+        condition.message.readValue().value.value.text.should.eql("[800] Alarm" + counter + " : pump failure {Unknown}");
+
+        // the message of the application is used again once the templates are removed
+        condition.setMessageTemplates(null);
+        condition.deactivateAlarm({message: "pump restarted"});
+        condition.message.readValue().value.value.text.should.eql("pump restarted");
+        should(condition.currentBranch().toEventData().$localizedTexts.Message).eql(undefined);
+    });
+});
@@ -0,0 +1,199 @@
+"use strict";
+/* global describe,it,before,after,beforeEach,afterEach*/
+require("requirish")._(module);
+var should = require("should");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var async = require("async");
+
+var DataType = require("lib/datamodel/variant").DataType;
+var DataValue = require("lib/datamodel/datavalue").DataValue;
+
+var MemoryHistoryStorage = require("lib/address_space/history_storage").MemoryHistoryStorage;
+var FileHistoryStorage = require("lib/address_space/history_storage_file").FileHistoryStorage;
+
+function date(minute) {
+    return new Date(Date.UTC(2016, 0, 1, 10, minute));
+}
+
+function makeDataValue(value, minute) {
+    return new DataValue({
+        value: {dataType: DataType.Double, value: value},
+        sourceTimestamp: date(minute)
+    });
+}
+
+function valuesOf(dataValues) {
+    return dataValues.map(function (dataValue) {
+        return dataValue.value.value;
+    });
+}
+
+function appendValues(storage, minutes, callback) {
+    async.eachSeries(minutes, function (minute, innerCallback) {
+        storage.append(makeDataValue(minute, minute), innerCallback);
+    }, callback);
+}
+
+var filename = path.join(os.tmpdir(), "node-opcua-test-history-" + process.pid + ".history");
+
+function removeFile() {
+    if (fs.existsSync(filename)) {
+        fs.unlinkSync(filename);
+    }
+}
+
+function describeHistoryStorage(name, createStorage, closeStorage) {
+
+    describe("testing the history storage interface - " + name, function () {
+
+        var storage;
+        beforeEach(function (done) {
+            removeFile();
+            storage = createStorage();
+            // values are not appended in chronological order
+            appendValues(storage, [0, 1, 2, 4, 5, 3], done);
+        });
+        afterEach(function (done) {
+            closeStorage(storage, function (err) {
+                removeFile();
+                done(err);
+            });
+        });
+
+        it("should read the values of a range sorted by sourceTimestamp", function (done) {
+            storage.readRange(date(1), date(4), 0, false, function (err, dataValues) {
+                valuesOf(dataValues).should.eql([1, 2, 3]);
+                dataValues[0].sourceTimestamp.should.eql(date(1));
+                done(err);
+            });
+        });
+
+        it("should read the values of a open range in reverse order with a limit", function (done) {
+            storage.readRange(null, date(4), 2, true, function (err, dataValues) {
+                valuesOf(dataValues).should.eql([3, 2]);
+                storage.readRange(date(4), null, 0, false, function (err, dataValues) {
+                    valuesOf(dataValues).should.eql([4, 5]);
+                    done(err);
+                });
+            });
+        });
+
+        it("should delete the values of a range", function (done) {
+            storage.deleteRange(date(1), date(3), function (err, count) {
+                should(err).eql(null);
+                count.should.eql(2);
+                storage.readRange(null, null, 0, false, function (err, dataValues) {
+                    valuesOf(dataValues).should.eql([0, 3, 4, 5]);
+                    done(err);
+                });
+            });
+        });
+    });
+}
+
+describeHistoryStorage("MemoryHistoryStorage", function () {
+    return new MemoryHistoryStorage();
+}, function (storage, callback) {
+    callback();
+});
+
+describeHistoryStorage("FileHistoryStorage", function () {
+    return new FileHistoryStorage({filename: filename});
+}, function (storage, callback) {
+    storage.close(callback);
+});
+
+describe("testing the MemoryHistoryStorage", function () {
+
+    it("should discard the oldest values when maxOnlineValues is reached", function (done) {
+        var storage = new MemoryHistoryStorage({maxOnlineValues: 3});
+        appendValues(storage, [0, 1, 2, 3, 4], function () {
+            storage.readRange(null, null, 0, false, function (err, dataValues) {
+                valuesOf(dataValues).should.eql([2, 3, 4]);
+                done(err);
+            });
+        });
+    });
+});
+
+describe("testing the FileHistoryStorage", function () {
+
+    beforeEach(removeFile);
+    afterEach(removeFile);
+
+    it("should reload the values and the deletions recorded in a existing file", function (done) {
+
+        var storage = new FileHistoryStorage({filename: filename});
+        async.series([
+            appendValues.bind(null, storage, [0, 1, 2, 3]),
+            storage.deleteRange.bind(storage, date(1), date(2)),
+            appendValues.bind(null, storage, [1]),
+            storage.close.bind(storage)
+        ], function (err) {
+            should(err).eql(null);
+
+            storage = new FileHistoryStorage({filename: filename});
+            storage.readRange(null, null, 0, false, function (err, dataValues) {
+                valuesOf(dataValues).should.eql([0, 1, 2, 3]);
+                storage.close(done);
+            });
+        });
+    });
+
+    it("should ignore a incomplete record at the end of the file", function (done) {
+
+        var storage = new FileHistoryStorage({filename: filename});
+        async.series([
+            appendValues.bind(null, storage, [0, 1]),
+            storage.close.bind(storage)
+        ], function (err) {
+            should(err).eql(null);
+            // simulate a server that stopped while writing a value
+            fs.appendFileSync(filename, new Buffer([0x20, 0x00, 0x00, 0x00, 0x01]));
+
+            storage = new FileHistoryStorage({filename: filename});
+            async.series([
+                appendValues.bind(null, storage, [2]),
+                storage.readRange.bind(storage, null, null, 0, false)
+            ], function (err, results) {
+                valuesOf(results[1]).should.eql([0, 1, 2]);
+                storage.close(done);
+            });
+        });
+    });
+
+    it("should report a error when the file contains a invalid record", function (done) {
+
+        var storage = new FileHistoryStorage({filename: filename});
+        async.series([
+            appendValues.bind(null, storage, [0, 1]),
+            storage.close.bind(storage)
+        ], function (err) {
+            should(err).eql(null);
+            // a complete record of a unknown kind
+            var record = new Buffer(4 + 9);
+            record.fill(0);
+            record.writeUInt32LE(9, 0);
+            record.writeUInt8(0x7F, 4);
+            fs.appendFileSync(filename, record);
+
+            storage = new FileHistoryStorage({filename: filename});
+            storage.readRange(null, null, 0, false, function (err) {
+                should(err).be.instanceOf(Error);
+                err.message.should.match(/invalid record/);
+                done();
+            });
+        });
+    });
+
+    it("should report a error when the file cannot be opened", function (done) {
+
+        var storage = new FileHistoryStorage({filename: path.join(os.tmpdir(), "no-such-folder", "value.history")});
+        storage.readRange(null, null, 0, false, function (err) {
+            should(err).be.instanceOf(Error);
+            done();
+        });
+    });
+});
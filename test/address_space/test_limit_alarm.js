@@ -0,0 +1,218 @@
+"use strict";
+/* global describe,it,before,after,beforeEach*/
+require("requirish")._(module);
+var should = require("should");
+var _ = require("underscore");
+var path = require("path");
+
+var DataType = require("lib/datamodel/variant").DataType;
+var DataValue = require("lib/datamodel/datavalue").DataValue;
+var Variant = require("lib/datamodel/variant").Variant;
+var NodeClass = require("lib/datamodel/nodeclass").NodeClass;
+
+var AddressSpace = require("lib/address_space/address_space").AddressSpace;
+var generate_address_space = require("lib/address_space/load_nodeset2").generate_address_space;
+var limit_alarm = require("lib/address_space/alarms_and_conditions/limit_alarm");
+
+describe("AddressSpace : LimitAlarms", function () {
+
+    var addressSpace, tank, level, setpoint;
+
+    this.timeout(Math.max(this._timeout, 10000));
+
+    require("test/helpers/resource_leak_detector").installResourceLeakDetector(true, function () {
+        before(function (done) {
+            addressSpace = new AddressSpace();
+            var xml_file = path.join(__dirname, "../../nodesets/Opc.Ua.NodeSet2.xml");
+            generate_address_space(addressSpace, xml_file, function (err) {
+                tank = addressSpace.createNode({
+                    nodeClass: NodeClass.Object,
+                    browseName: "Tank",
+                    organisedBy: addressSpace.rootFolder.objects
+                });
+                done(err);
+            });
+        });
+        after(function () {
+            addressSpace.dispose();
+            addressSpace = null;
+        });
+    });
+
+    var counter = 0;
+    beforeEach(function () {
+        counter += 1;
+        level = addressSpace.addVariable({
+            componentOf: tank,
+            browseName: "Level" + counter,
+            dataType: "Double",
+            value: {dataType: DataType.Double, value: 50}
+        });
+        setpoint = addressSpace.addVariable({
+            componentOf: tank,
+            browseName: "Setpoint" + counter,
+            dataType: "Double",
+            value: {dataType: DataType.Double, value: 50}
+        });
+    });
+
+    function setValue(variable, value, sourceTimestamp) {
+        if (!sourceTimestamp) {
+            return variable.setValueFromSource(new Variant({dataType: DataType.Double, value: value}));
+        }
+        variable._internal_set_dataValue(new DataValue({
+            value: {dataType: DataType.Double, value: value},
+            sourceTimestamp: sourceTimestamp
+        }));
+    }
+
+    function limits() {
+        return {highHighLimit: 95, highLimit: 90, lowLimit: 10, lowLowLimit: 5};
+    }
+
+    it("should drive the LimitState of a ExclusiveLevelAlarm", function () {
+
+        var alarm = addressSpace.instantiateExclusiveLimitAlarm("ExclusiveLevelAlarmType", _.extend({
+            browseName: "LevelAlarm" + counter,
+            componentOf: tank,
+            conditionSource: tank,
+            inputNode: level
+        }, limits()));
+
+        alarm.should.be.instanceOf(limit_alarm.UAExclusiveLimitAlarm);
+        alarm.getLimit("HighHigh").should.eql(95);
+        alarm.getActiveState().should.eql(false);
+        should(alarm.getLimitState()).eql(null);
+
+        var events = [];
+        tank.on("event", function (eventData) {
+            events.push(eventData);
+        });
+
+        setValue(level, 92);
+        alarm.getActiveState().should.eql(true);
+        alarm.getLimitState().should.eql("High");
+        alarm.message.readValue().value.value.text.should.eql("the value 92 exceeds the High limit");
+
+        setValue(level, 97);
+        alarm.getLimitState().should.eql("HighHigh");
+        alarm.limitState.lastTransition.readValue().value.value.text.should.eql("HighToHighHigh");
+
+        setValue(level, 3);
+        alarm.getLimitState().should.eql("LowLow");
+
+        setValue(level, 4);  // no change of state, no event
+        events.length.should.eql(3);
+
+        setValue(level, 50);
+        alarm.getActiveState().should.eql(false);
+        should(alarm.getLimitState()).eql(null);
+        events.length.should.eql(4);
+        tank.removeAllListeners("event");
+    });
+
+    it("should keep the limit exceeded until the value crosses the deadband", function () {
+
+        var alarm = addressSpace.instantiateExclusiveLimitAlarm("ExclusiveLevelAlarmType", {
+            browseName: "LevelAlarm" + counter,
+            componentOf: tank,
+            inputNode: level,
+            highLimit: 90,
+            deadband: 2
+        });
+        setValue(level, 91);
+        alarm.getLimitState().should.eql("High");
+        setValue(level, 89);
+        alarm.getLimitState().should.eql("High");
+        setValue(level, 87.5);
+        should(alarm.getLimitState()).eql(null);
+        setValue(level, 89);
+        should(alarm.getLimitState()).eql(null);
+    });
+
+    it("should drive the HighState and HighHighState of a NonExclusiveLevelAlarm", function () {
+
+        var alarm = addressSpace.instantiateNonExclusiveLimitAlarm("NonExclusiveLevelAlarmType", _.extend({
+            browseName: "LevelAlarm" + counter,
+            componentOf: tank,
+            inputNode: level
+        }, limits()));
+
+        alarm.should.be.instanceOf(limit_alarm.UANonExclusiveLimitAlarm);
+        alarm.highHighState.id.readValue().value.value.should.eql(false);
+
+        setValue(level, 97);
+        alarm.getActiveState().should.eql(true);
+        alarm.highHighState.id.readValue().value.value.should.eql(true);
+        alarm.highState.id.readValue().value.value.should.eql(true);
+        alarm.lowState.id.readValue().value.value.should.eql(false);
+        alarm.message.readValue().value.value.text.should.eql("the value 97 exceeds the HighHigh,High limit");
+
+        setValue(level, 92);
+        alarm.highHighState.id.readValue().value.value.should.eql(false);
+        alarm.highState.id.readValue().value.value.should.eql(true);
+
+        setValue(level, 50);
+        alarm.getActiveState().should.eql(false);
+        alarm.highState.id.readValue().value.value.should.eql(false);
+    });
+
+    it("should compare the deviation from the setpoint of a DeviationAlarm", function () {
+
+        var alarm = addressSpace.instantiateExclusiveLimitAlarm("ExclusiveDeviationAlarmType", {
+            browseName: "DeviationAlarm" + counter,
+            componentOf: tank,
+            inputNode: level,
+            setpointNode: setpoint,
+            highLimit: 10,
+            lowLimit: -10
+        });
+        alarm.setpointNode.readValue().value.value.should.eql(setpoint.nodeId);
+
+        setValue(level, 65);
+        alarm.getLimitState().should.eql("High");
+        // the setpoint follows the level
+        setValue(setpoint, 60);
+        should(alarm.getLimitState()).eql(null);
+        setValue(setpoint, 80);
+        alarm.getLimitState().should.eql("Low");
+    });
+
+    it("should compare the rate of change of the input over the sliding window of a RateOfChangeAlarm", function () {
+
+        var alarm = addressSpace.instantiateExclusiveLimitAlarm("ExclusiveRateOfChangeAlarmType", {
+            browseName: "RateOfChangeAlarm" + counter,
+            componentOf: tank,
+            inputNode: level,
+            highLimit: 5,   // unit per second
+            rateOfChangeWindow: 10000
+        });
+        var t0 = new Date(Date.UTC(2016, 0, 1)).getTime();
+
+        setValue(level, 50, new Date(t0));
+        setValue(level, 52, new Date(t0 + 1000));
+        should(alarm.getLimitState()).eql(null);
+
+        setValue(level, 70, new Date(t0 + 3000)); // (70-50)/3s
+        alarm.getLimitState().should.eql("High");
+
+        // the first samples leave the sliding window
+        setValue(level, 71, new Date(t0 + 13500));
+        should(alarm.getLimitState()).eql(null);
+    });
+
+    it("should re-evaluate the state of the alarm when a limit is changed", function () {
+
+        var alarm = addressSpace.instantiateExclusiveLimitAlarm("ExclusiveLimitAlarmType", {
+            browseName: "LimitAlarm" + counter,
+            componentOf: tank,
+            inputNode: level,
+            highLimit: 90
+        });
+        setValue(level, 80);
+        should(alarm.getLimitState()).eql(null);
+        alarm.setLimit("High", 70);
+        alarm.getLimitState().should.eql("High");
+        alarm.getActiveState().should.eql(true);
+    });
+});
@@ -0,0 +1,176 @@
+"use strict";
+/* global describe,it,before,after,beforeEach*/
+require("requirish")._(module);
+var should = require("should");
+var path = require("path");
+
+var DataType = require("lib/datamodel/variant").DataType;
+var Variant = require("lib/datamodel/variant").Variant;
+var NodeClass = require("lib/datamodel/nodeclass").NodeClass;
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+
+var AddressSpace = require("lib/address_space/address_space").AddressSpace;
+var generate_address_space = require("lib/address_space/load_nodeset2").generate_address_space;
+var UAOffNormalAlarm = require("lib/address_space/alarms_and_conditions/off_normal_alarm").UAOffNormalAlarm;
+
+describe("AddressSpace : OffNormalAlarms", function () {
+
+    var addressSpace, pump;
+
+    this.timeout(Math.max(this._timeout, 10000));
+
+    require("test/helpers/resource_leak_detector").installResourceLeakDetector(true, function () {
+        before(function (done) {
+            addressSpace = new AddressSpace();
+            var xml_file = path.join(__dirname, "../../nodesets/Opc.Ua.NodeSet2.xml");
+            generate_address_space(addressSpace, xml_file, function (err) {
+                pump = addressSpace.createNode({
+                    nodeClass: NodeClass.Object,
+                    browseName: "Pump",
+                    organisedBy: addressSpace.rootFolder.objects
+                });
+                done(err);
+            });
+        });
+        after(function () {
+            addressSpace.dispose();
+            addressSpace = null;
+        });
+    });
+
+    var counter = 0;
+    beforeEach(function () {
+        counter += 1;
+    });
+
+    function addBooleanVariable(browseName, value) {
+        return addressSpace.addVariable({
+            propertyOf: pump,
+            browseName: browseName + counter,
+            dataType: "Boolean",
+            value: {dataType: DataType.Boolean, value: value}
+        });
+    }
+
+    it("should activate a OffNormalAlarm when a TwoStateDiscrete input leaves its normal state", function () {
+
+        var running = addressSpace.addTwoStateDiscreteType({
+            componentOf: pump,
+            browseName: "Running" + counter,
+            trueState: "Running",
+            falseState: "Stopped",
+            value: true
+        });
+        var normalState = addBooleanVariable("NormalRunning", true);
+
+        var alarm = addressSpace.instantiateOffNormalAlarm({
+            browseName: "RunningAlarm" + counter,
+            componentOf: pump,
+            conditionSource: pump,
+            inputNode: running,
+            normalState: normalState
+        });
+        alarm.should.be.instanceOf(UAOffNormalAlarm);
+        alarm.normalState.readValue().value.value.should.eql(normalState.nodeId);
+        alarm.getActiveState().should.eql(false);
+
+        var events = [];
+        pump.on("event", function (eventData) {
+            events.push(eventData);
+        });
+
+        running.setValueFromSource(new Variant({dataType: DataType.Boolean, value: false}));
+        alarm.getActiveState().should.eql(true);
+        alarm.message.readValue().value.value.text.should.eql("Running" + counter + " is Stopped instead of Running");
+
+        running.setValueFromSource(new Variant({dataType: DataType.Boolean, value: true}));
+        alarm.getActiveState().should.eql(false);
+        alarm.message.readValue().value.value.text.should.eql("Running" + counter + " is back to normal ( Running )");
+        events.length.should.eql(2);
+
+        // changing the normal state changes the state of the alarm
+        normalState.setValueFromSource(new Variant({dataType: DataType.Boolean, value: false}));
+        alarm.getActiveState().should.eql(true);
+        // the previous occurrence has not been acknowledged yet and is kept in a branch
+        alarm.getBranches().length.should.eql(1);
+        events.length.should.eql(4);
+        pump.removeAllListeners("event");
+    });
+
+    it("should activate a OffNormalAlarm when a MultiStateDiscrete input leaves its normal state", function () {
+
+        var mode = addressSpace.addMultiStateDiscreteType({
+            componentOf: pump,
+            browseName: "Mode" + counter,
+            enumStrings: ["Auto", "Manual", "Maintenance"],
+            value: 0
+        });
+        var normalMode = addressSpace.addVariable({
+            propertyOf: pump,
+            browseName: "NormalMode" + counter,
+            dataType: "UInt32",
+            value: {dataType: DataType.UInt32, value: 0}
+        });
+
+        var alarm = addressSpace.instantiateOffNormalAlarm({
+            browseName: "ModeAlarm" + counter,
+            componentOf: pump,
+            inputNode: mode.nodeId,
+            normalState: normalMode.nodeId
+        });
+
+        mode.setValueFromSource(new Variant({dataType: DataType.UInt32, value: 2}));
+        alarm.getActiveState().should.eql(true);
+        alarm.message.readValue().value.value.text.should.eql("Mode" + counter + " is Maintenance instead of Auto");
+
+        // a change from a off normal state to a other off normal state doesn't raise a new event
+        var eventId = alarm.currentBranch().getValue("EventId");
+        mode.setValueFromSource(new Variant({dataType: DataType.UInt32, value: 1}));
+        alarm.currentBranch().getValue("EventId").should.eql(eventId);
+
+        mode.setValueFromSource(new Variant({dataType: DataType.UInt32, value: 0}));
+        alarm.getActiveState().should.eql(false);
+    });
+
+    it("should instantiate a TripAlarm that can be acknowledged", function () {
+
+        var tripped = addBooleanVariable("Tripped", false);
+        var normalState = addBooleanVariable("NotTripped", false);
+
+        var alarm = addressSpace.instantiateOffNormalAlarm({
+            alarmType: "TripAlarmType",
+            browseName: "TripAlarm" + counter,
+            componentOf: pump,
+            conditionSource: pump,
+            inputNode: tripped,
+            normalState: normalState
+        });
+        alarm.should.be.instanceOf(UAOffNormalAlarm);
+        alarm.typeDefinitionObj.browseName.toString().should.eql("TripAlarmType");
+
+        tripped.setValueFromSource(new Variant({dataType: DataType.Boolean, value: true}));
+        alarm.getActiveState().should.eql(true);
+        alarm.currentBranch().getTwoStateValue("AckedState").should.eql(false);
+
+        var eventId = alarm.currentBranch().getValue("EventId");
+        alarm._acknowledge(eventId, "the pump has been inspected").should.eql(StatusCodes.Good);
+        alarm.currentBranch().getTwoStateValue("AckedState").should.eql(true);
+
+        tripped.setValueFromSource(new Variant({dataType: DataType.Boolean, value: false}));
+        alarm.getActiveState().should.eql(false);
+        alarm.currentBranch().getValue("Retain").should.eql(false);
+    });
+
+    it("should not accept a alarm type that is not a OffNormalAlarmType", function () {
+
+        should(function () {
+            addressSpace.instantiateOffNormalAlarm({
+                alarmType: "ExclusiveLevelAlarmType",
+                browseName: "WrongAlarm" + counter,
+                componentOf: pump,
+                inputNode: addBooleanVariable("Input", false),
+                normalState: addBooleanVariable("Normal", false)
+            });
+        }).throw();
+    });
+});
@@ -104,4 +104,21 @@ describe("LocalizedText", function () {
         should(coerceLocalizedText(new LocalizedText({text: "Hello World"}))).eql({locale: null, text: "Hello World"});
     });
 
+    var selectLocalizedText = require("lib/datamodel/localized_text").selectLocalizedText;
+    it("#selectLocalizedText - should select the text that best matches the locales", function () {
+
+        var texts = [
+            new LocalizedText({locale: "en", text: "Level"}),
+            new LocalizedText({locale: "fr-FR", text: "Niveau"}),
+            new LocalizedText({locale: "de", text: "Füllstand"})
+        ];
+        selectLocalizedText(texts, ["fr-FR"]).text.should.eql("Niveau");
+        selectLocalizedText(texts, ["de-DE", "fr-FR"]).text.should.eql("Füllstand");
+        selectLocalizedText(texts, ["fr-CA"]).text.should.eql("Niveau");
+        selectLocalizedText(texts, "fr").text.should.eql("Niveau");
+        selectLocalizedText(texts, ["es-ES"]).text.should.eql("Level");
+        selectLocalizedText(texts, []).text.should.eql("Level");
+        should(selectLocalizedText([], ["en"])).eql(null);
+    });
+
 });
@@ -4,6 +4,8 @@ var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
 var StatusCode = require("lib/datamodel/opcua_status_code").StatusCode;
 var encodeStatusCode = require("lib/datamodel/opcua_status_code").encodeStatusCode;
 var decodeStatusCode = require("lib/datamodel/opcua_status_code").decodeStatusCode;
+var makeStatusCode = require("lib/datamodel/opcua_status_code").makeStatusCode;
+var getBaseStatusCode = require("lib/datamodel/opcua_status_code").getBaseStatusCode;
 var should = require("should");
 var BinaryStream = require("lib/misc/binaryStream").BinaryStream;
 
@@ -52,4 +54,48 @@ describe("testing status code manipulation", function () {
 
     });
 
+    it("should combine a status code with historian bits", function () {
+
+        var statusCode = makeStatusCode(StatusCodes.UncertainDataSubNormal, "HistorianCalculated | HistorianPartial");
+        statusCode.value.toString(16).should.equal("40a40405");
+        statusCode.name.should.equal("UncertainDataSubNormal#HistorianCalculated#HistorianPartial");
+        getBaseStatusCode(statusCode).should.equal(StatusCodes.UncertainDataSubNormal);
+
+        // status codes with extra bits are shared
+        makeStatusCode(StatusCodes.UncertainDataSubNormal, 0x405).should.equal(statusCode);
+        makeStatusCode(StatusCodes.Good, "Overflow").should.equal(StatusCodes.GoodWithOverflowBit);
+    });
+
+    it("should decode a status code with extra bits", function () {
+
+        var stream = new BinaryStream(8);
+        stream.writeUInt32(0x00000402);
+        stream.rewind();
+        var statusCode = decodeStatusCode(stream);
+        statusCode.should.equal(makeStatusCode(StatusCodes.Good, "HistorianInterpolated"));
+        statusCode.name.should.equal("Good#HistorianInterpolated");
+    });
+
+    it("should encode and decode a Bad status code with extra bits", function () {
+
+        var statusCode = makeStatusCode(StatusCodes.BadNoData, "HistorianCalculated");
+        statusCode.value.toString(16).should.equal("809b0401");
+
+        var stream = new BinaryStream(8);
+        encodeStatusCode(statusCode, stream);
+        stream.rewind();
+        var statusCode2 = decodeStatusCode(stream);
+        statusCode2.should.equal(statusCode);
+        getBaseStatusCode(statusCode2).should.equal(StatusCodes.BadNoData);
+
+        // a Bad status code with extra bits that hasn't been created yet
+        stream.rewind();
+        stream.writeUInt32(0x80AB0402);
+        stream.rewind();
+        var statusCode3 = decodeStatusCode(stream);
+        statusCode3.should.be.instanceOf(StatusCode);
+        statusCode3.value.should.eql(0x80AB0402);
+        getBaseStatusCode(statusCode3).value.should.eql(0x80AB0000);
+    });
+
 });
@@ -0,0 +1,205 @@
+"use strict";
+/* global describe,it,before,after */
+require("requirish")._(module);
+
+var should = require("should");
+var async = require("async");
+
+var opcua = require("index");
+var OPCUAServer = opcua.OPCUAServer;
+var OPCUAClient = opcua.OPCUAClient;
+var StatusCodes = opcua.StatusCodes;
+var Variant = opcua.Variant;
+var DataType = opcua.DataType;
+var perform_operation_on_subscription = require("test/helpers/perform_operation_on_client_session").perform_operation_on_subscription;
+
+var server_engine = require("lib/server/server_engine");
+
+var port = 2000;
+
+describe("testing the condition manager on the client side", function () {
+
+    this.timeout(Math.max(60000, this._timeout));
+
+    var server, endpointUrl, alarm, level;
+
+    before(function (done) {
+        server = new OPCUAServer({port: port, nodeset_filename: [server_engine.standard_nodeset_file]});
+        server.start(function (err) {
+            if (err) {
+                return done(err);
+            }
+            endpointUrl = server.endpoints[0].endpointDescriptions()[0].endpointUrl;
+
+            var addressSpace = server.engine.addressSpace;
+            var tank = addressSpace.createNode({
+                nodeClass: opcua.NodeClass.Object,
+                browseName: "Tank",
+                organisedBy: addressSpace.rootFolder.objects,
+                eventNotifier: opcua.EventNotifierFlags.SubscribeToEvents.value
+            });
+            level = addressSpace.addVariable({
+                componentOf: tank,
+                browseName: "Level",
+                dataType: "Double",
+                value: {dataType: DataType.Double, value: 95}
+            });
+            alarm = addressSpace.instantiateExclusiveLimitAlarm("ExclusiveLevelAlarmType", {
+                browseName: "LevelAlarm",
+                componentOf: tank,
+                conditionSource: tank,
+                inputNode: level,
+                highLimit: 90,
+                optionals: ["ConfirmedState", "Confirm", "ShelvingState"]
+            });
+            done();
+        });
+    });
+
+    after(function (done) {
+        server.shutdown(done);
+    });
+
+    function setLevel(value) {
+        level.setValueFromSource(new Variant({dataType: DataType.Double, value: value}));
+    }
+
+    // wait for the next event notified to the condition manager
+    function waitForCondition(conditionManager, eventName, callback) {
+        conditionManager.once(eventName, function (condition) {
+            callback(null, condition);
+        });
+    }
+
+    it("should maintain the table of the retained conditions and call their methods", function (done) {
+
+        var client = new OPCUAClient();
+        perform_operation_on_subscription(client, endpointUrl, function (session, subscription, inner_done) {
+
+            var conditionManager = session.getConditionManager(subscription);
+            var condition;
+
+            function callAndWait(action, eventName, check, callback) {
+                async.parallel([
+                    function (callback) {
+                        waitForCondition(conditionManager, eventName, callback);
+                    },
+                    function (callback) {
+                        action(function (err, statusCode) {
+                            if (!err) {
+                                statusCode.should.eql(StatusCodes.Good);
+                            }
+                            callback(err);
+                        });
+                    }
+                ], function (err, results) {
+                    if (!err) {
+                        check(results[0]);
+                    }
+                    callback(err);
+                });
+            }
+
+            async.series([
+
+                // the alarm is already active : it is notified by the ConditionRefresh made at start up
+                function (callback) {
+                    async.parallel([
+                        function (callback) {
+                            conditionManager.once("refresh_end", callback);
+                        },
+                        function (callback) {
+                            conditionManager.start(callback);
+                        }
+                    ], function (err) {
+                        if (!err) {
+                            conditionManager.getConditions().length.should.eql(1);
+                            condition = conditionManager.getCondition(alarm.nodeId);
+                            condition.fields["ActiveState.Id"].should.eql(true);
+                            condition.fields["AckedState.Id"].should.eql(false);
+                            condition.fields.SourceName.should.eql("Tank");
+                            should(condition.branchId).eql(null);
+                        }
+                        callback(err);
+                    });
+                },
+                function (callback) {
+                    callAndWait(function (cb) {
+                        condition.acknowledge("on my way", cb);
+                    }, "condition_changed", function (c) {
+                        c.should.equal(condition);
+                        c.fields["AckedState.Id"].should.eql(true);
+                        c.fields.Comment.text.should.eql("on my way");
+                    }, callback);
+                },
+                function (callback) {
+                    callAndWait(function (cb) {
+                        condition.addComment("the valve is closed", cb);
+                    }, "condition_changed", function (c) {
+                        c.fields.Comment.text.should.eql("the valve is closed");
+                    }, callback);
+                },
+                function (callback) {
+                    callAndWait(function (cb) {
+                        condition.shelve(60000, cb);
+                    }, "condition_changed", function (c) {
+                        c.fields["ShelvingState.CurrentState"].text.should.eql("TimedShelved");
+                    }, callback);
+                },
+                function (callback) {
+                    callAndWait(function (cb) {
+                        condition.unshelve(cb);
+                    }, "condition_changed", function (c) {
+                        c.fields["ShelvingState.CurrentState"].text.should.eql("Unshelved");
+                    }, callback);
+                },
+                // a condition that is acknowledged a second time reports a error
+                function (callback) {
+                    condition.acknowledge("again", function (err, statusCode) {
+                        statusCode.should.eql(StatusCodes.BadConditionBranchAlreadyAcked);
+                        callback(err);
+                    });
+                },
+                // a disabled condition is not retained
+                function (callback) {
+                    callAndWait(function (cb) {
+                        condition.disable(cb);
+                    }, "condition_removed", function (c) {
+                        c.fields["EnabledState.Id"].should.eql(false);
+                        conditionManager.getConditions().length.should.eql(0);
+                    }, callback);
+                },
+                function (callback) {
+                    callAndWait(function (cb) {
+                        condition.enable(cb);
+                    }, "condition_changed", function (c) {
+                        c.fields["EnabledState.Id"].should.eql(true);
+                        condition = conditionManager.getCondition(alarm.nodeId);
+                        condition.should.equal(c);
+                    }, callback);
+                },
+                // once inactive and confirmed, the condition is no longer retained
+                function (callback) {
+                    callAndWait(function (cb) {
+                        setLevel(50);
+                        cb(null, StatusCodes.Good);
+                    }, "condition_changed", function (c) {
+                        c.fields["ActiveState.Id"].should.eql(false);
+                    }, callback);
+                },
+                function (callback) {
+                    callAndWait(function (cb) {
+                        condition.confirm("checked", cb);
+                    }, "condition_removed", function (c) {
+                        c.fields.Retain.should.eql(false);
+                        conditionManager.getConditions().length.should.eql(0);
+                    }, callback);
+                },
+                function (callback) {
+                    conditionManager.stop(callback);
+                }
+            ], inner_done);
+
+        }, done);
+    });
+});
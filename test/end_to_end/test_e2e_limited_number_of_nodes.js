@@ -42,7 +42,7 @@ describe("testing server with low maxNodesPerRead and maxNodesPerBrowse", functi
                 maxNodesPerMethodCall: 10,
                 maxNodesPerBrowse: 2,
                 maxNodesPerRegisterNodes: 0,
-                maxNodesPerNodeManagement: 0,
+                maxNodesPerNodeManagement: 2,
                 maxMonitoredItemsPerCall: 120,
                 maxNodesPerHistoryReadData: 0,
                 maxNodesPerHistoryReadEvents: 0,
@@ -181,6 +181,32 @@ describe("testing server with low maxNodesPerRead and maxNodesPerBrowse", functi
 
     });
 
+    it("server should reject node management requests exceeding MaxNodesPerNodeManagement", function (done) {
+
+        server.engine.serverCapabilities.operationLimits.maxNodesPerNodeManagement.should.equal(2);
+
+        perform_operation_on_client_session(client, endpointUrl, function (session, done) {
+
+            var nodeToDelete = {nodeId: opcua.resolveNodeId("ns=1;s=Unknown"), deleteTargetReferences: true};
+            var request = new opcua.node_managment_service.DeleteNodesRequest({
+                nodesToDelete: [nodeToDelete, nodeToDelete, nodeToDelete]
+            });
+            session.performMessageTransaction(request, function (err /*, response*/) {
+                should(err).not.eql(null);
+                err.message.should.match(/BadTooManyOperations/);
+
+                request = new opcua.node_managment_service.DeleteNodesRequest({
+                    nodesToDelete: [nodeToDelete, nodeToDelete]
+                });
+                session.performMessageTransaction(request, function (err, response) {
+                    should(err).eql(null);
+                    response.results.should.eql([StatusCodes.BadNodeIdUnknown, StatusCodes.BadNodeIdUnknown]);
+                    done();
+                });
+            });
+        }, done);
+    });
+
     it("crawler shall work even if server has a low limit the number of node in Read and Browse request", function (done) {
 
         var NodeCrawler = opcua.NodeCrawler;
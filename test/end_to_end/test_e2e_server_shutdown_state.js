@@ -0,0 +1,97 @@
+require("requirish")._(module);
+
+var should = require("should");
+var async = require("async");
+
+var opcua = require("index");
+
+var OPCUAServer = opcua.OPCUAServer;
+var OPCUAClient = opcua.OPCUAClient;
+var ServerState = require("schemas/39394884f696ff0bf66bacc9a8032cc074e0158e/ServerState_enum").ServerState;
+
+var port = 2000;
+
+var resourceLeakDetector = require("test/helpers/resource_leak_detector").resourceLeakDetector;
+
+describe("testing the client ability to detect that the server is shutting down", function () {
+
+    this.timeout(Math.max(this._timeout, 20000));
+
+    var server, endpointUrl;
+
+    before(function (done) {
+        resourceLeakDetector.start();
+        server = new OPCUAServer({port: port});
+        server.start(function () {
+            endpointUrl = server.endpoints[0].endpointDescriptions()[0].endpointUrl;
+            done();
+        });
+    });
+
+    after(function () {
+        OPCUAServer.registry.count().should.eql(0);
+        resourceLeakDetector.stop();
+    });
+
+    it("should raise a server_state_changed event on the client when the server enters the Shutdown state", function (done) {
+
+        var client = new OPCUAClient({keepSessionAlive: true, requestedSessionTimeout: 1000});
+        var session, serverShutdown = false;
+
+        async.series([
+            function (callback) {
+                client.connect(endpointUrl, callback);
+            },
+            function (callback) {
+                client.createSession(function (err, _session) {
+                    session = _session;
+                    callback(err);
+                });
+            },
+            // wait for the first keep alive, so that the client knows the state of the server
+            function (callback) {
+                session.once("keepalive", function (state) {
+                    state.should.eql(ServerState.Running);
+                    callback();
+                });
+            },
+            function (callback) {
+                client.once("server_state_changed", function (state, previousState, _session) {
+                    state.should.eql(ServerState.Shutdown);
+                    previousState.should.eql(ServerState.Running);
+                    _session.should.eql(session);
+                    callback();
+                });
+                server.shutdown(5000, "maintenance", function () {
+                    serverShutdown = true;
+                });
+            },
+            // the client can read the reason and the remaining time before the shutdown
+            function (callback) {
+                session.readVariableValue([
+                    "ns=0;i=2992", // Server_ServerStatus_SecondsTillShutdown
+                    "ns=0;i=2993"  // Server_ServerStatus_ShutdownReason
+                ], function (err, dataValues) {
+                    if (!err) {
+                        dataValues[0].value.value.should.be.greaterThan(0);
+                        dataValues[1].value.value.text.should.eql("maintenance");
+                    }
+                    callback(err);
+                });
+            },
+            function (callback) {
+                serverShutdown.should.eql(false);
+                client.disconnect(callback);
+            },
+            function (callback) {
+                // wait for the end of the grace period
+                var timerId = setInterval(function () {
+                    if (serverShutdown) {
+                        clearInterval(timerId);
+                        callback();
+                    }
+                }, 100);
+            }
+        ], done);
+    });
+});
@@ -188,6 +188,11 @@ describe("testing Client - Umbrella ", function () {
     require("./u_test_e2e_writeUseCase")(test);
     require("./u_test_e2e_transfer_session")(test);
     require("./u_test_e2e_registerNode")(test);
+    require("./u_test_e2e_node_management")(test);
+    require("./u_test_e2e_query")(test);
+    require("./u_test_e2e_history_update")(test);
+    require("./u_test_e2e_historical_data_node")(test);
+    require("./u_test_e2e_history_events")(test);
     require("./u_test_e2e_issue_73")(test);
     require("./u_test_e2e_issue_119")(test);
     require("./u_test_e2e_issue_141")(test);
@@ -0,0 +1,109 @@
+"use strict";
+/* global describe,it,before,after,beforeEach,afterEach*/
+require("requirish")._(module);
+
+var should = require("should");
+var perform_operation_on_client_session = require("test/helpers/perform_operation_on_client_session").perform_operation_on_client_session;
+
+var opcua = require("index");
+var StatusCodes = opcua.StatusCodes;
+var DataType = opcua.DataType;
+var OPCUAClient = opcua.OPCUAClient;
+
+module.exports = function (test) {
+
+    describe("end-to-end testing HistoryRead on a variable with a built-in historian", function () {
+
+        var client, endpointUrl, variable;
+        var startTime;
+
+        before(function () {
+            var addressSpace = test.server.engine.addressSpace;
+            variable = addressSpace.addVariable({
+                organizedBy: "ObjectsFolder",
+                browseName: "HistoricalDataNodeTestVariable",
+                dataType: "Double"
+            });
+            addressSpace.installHistoricalDataNode(variable);
+
+            startTime = new Date(Date.UTC(2016, 0, 1));
+            variable.historian.push({
+                value: {dataType: DataType.Double, value: 1},
+                sourceTimestamp: startTime
+            });
+            variable.historian.push({
+                value: {dataType: DataType.Double, value: 2},
+                sourceTimestamp: new Date(startTime.getTime() + 1000)
+            });
+        });
+        after(function () {
+            test.server.engine.addressSpace.deleteNode(variable);
+        });
+
+        beforeEach(function (done) {
+            client = new OPCUAClient();
+            endpointUrl = test.endpointUrl;
+            done();
+        });
+
+        afterEach(function (done) {
+            client = null;
+            done();
+        });
+
+        it("should read the recorded values with their bounds", function (done) {
+            perform_operation_on_client_session(client, endpointUrl, function (session, inner_done) {
+
+                var endTime = new Date(startTime.getTime() + 2000);
+                session.readHistoryValue(variable.nodeId, startTime, endTime, function (err, results) {
+                    should(err).eql(null);
+                    results[0].statusCode.should.eql(StatusCodes.Good);
+
+                    var dataValues = results[0].historyData.dataValues;
+                    dataValues.map(function (dataValue) {
+                        return dataValue.statusCode === StatusCodes.Good ? dataValue.value.value : dataValue.statusCode;
+                    }).should.eql([1, 2, StatusCodes.BadBoundNotFound]);
+                    inner_done();
+                });
+            }, done);
+        });
+
+        it("should read the values at some given times", function (done) {
+            perform_operation_on_client_session(client, endpointUrl, function (session, inner_done) {
+
+                var timestamps = [startTime, new Date(startTime.getTime() + 500)];
+                session.readHistoryValueAtTimes(variable.nodeId, timestamps, function (err, results) {
+                    should(err).eql(null);
+                    var dataValues = results[0].historyData.dataValues;
+                    dataValues.map(function (dataValue) {
+                        return dataValue.value.value;
+                    }).should.eql([1, 1.5]);
+                    dataValues[1].statusCode.should.eql(opcua.makeStatusCode(StatusCodes.Good, "HistorianInterpolated"));
+                    inner_done();
+                });
+            }, done);
+        });
+
+        it("should read the average of the recorded values with a ReadProcessedDetails", function (done) {
+            perform_operation_on_client_session(client, endpointUrl, function (session, inner_done) {
+
+                var request = new opcua.historizing_service.HistoryReadRequest({
+                    historyReadDetails: new opcua.historizing_service.ReadProcessedDetails({
+                        startTime: startTime,
+                        endTime: new Date(startTime.getTime() + 2000),
+                        aggregateType: [opcua.makeNodeId(opcua.ObjectIds.AggregateFunction_Average)]
+                    }),
+                    nodesToRead: [{nodeId: variable.nodeId}]
+                });
+                session.performMessageTransaction(request, function (err, response) {
+                    should(err).eql(null);
+                    var dataValue = response.results[0].historyData.dataValues[0];
+                    dataValue.value.value.should.eql(1.5);
+                    // the StatusCode info bits are transmitted to the client
+                    dataValue.statusCode.should.eql(opcua.makeStatusCode(StatusCodes.Good, "HistorianCalculated"));
+                    inner_done();
+                });
+            }, done);
+        });
+    });
+};
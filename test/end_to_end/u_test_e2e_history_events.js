@@ -0,0 +1,70 @@
+"use strict";
+/* global describe,it,before,after,beforeEach,afterEach*/
+require("requirish")._(module);
+
+var should = require("should");
+var perform_operation_on_client_session = require("test/helpers/perform_operation_on_client_session").perform_operation_on_client_session;
+
+var opcua = require("index");
+var StatusCodes = opcua.StatusCodes;
+var DataType = opcua.DataType;
+var OPCUAClient = opcua.OPCUAClient;
+
+module.exports = function (test) {
+
+    describe("end-to-end testing HistoryRead with ReadEventDetails on a notifier", function () {
+
+        var client, endpointUrl, area;
+        var startTime = new Date(Date.UTC(2016, 0, 1));
+
+        before(function (done) {
+            var addressSpace = test.server.engine.addressSpace;
+            area = addressSpace.createNode({
+                nodeClass: opcua.NodeClass.Object,
+                browseName: "HistoryEventsTestArea",
+                organisedBy: "Objects",
+                eventNotifier: opcua.EventNotifierFlags.SubscribeToEvents.value | opcua.EventNotifierFlags.HistoryRead.value
+            });
+            [1, 2].forEach(function (i) {
+                area.raiseEvent("BaseEventType", {
+                    time: {dataType: DataType.DateTime, value: new Date(startTime.getTime() + i * 1000)},
+                    message: {dataType: DataType.LocalizedText, value: {text: "Event" + i}}
+                });
+            });
+            setImmediate(done);
+        });
+        after(function () {
+            test.server.engine.addressSpace.deleteNode(area);
+        });
+
+        beforeEach(function (done) {
+            client = new OPCUAClient();
+            endpointUrl = test.endpointUrl;
+            done();
+        });
+
+        afterEach(function (done) {
+            client = null;
+            done();
+        });
+
+        it("should read the recorded events in reverse order", function (done) {
+            perform_operation_on_client_session(client, endpointUrl, function (session, inner_done) {
+
+                var eventFilter = opcua.constructEventFilter(["Message", "Time"]);
+                var endTime = new Date(startTime.getTime() + 10000);
+                session.readHistoryEvents(area.nodeId, endTime, startTime, eventFilter, function (err, results) {
+                    should(err).eql(null);
+                    results[0].statusCode.should.eql(StatusCodes.Good);
+
+                    var events = results[0].historyData.events;
+                    events.map(function (eventFieldList) {
+                        return eventFieldList.eventFields[0].value.text;
+                    }).should.eql(["Event2", "Event1"]);
+                    events[1].eventFields[1].value.getTime().should.eql(startTime.getTime() + 1000);
+                    inner_done();
+                });
+            }, done);
+        });
+    });
+};
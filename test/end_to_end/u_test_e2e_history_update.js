@@ -0,0 +1,101 @@
+"use strict";
+/* global describe,it,before,after,beforeEach,afterEach*/
+require("requirish")._(module);
+
+var should = require("should");
+var perform_operation_on_client_session = require("test/helpers/perform_operation_on_client_session").perform_operation_on_client_session;
+
+var opcua = require("index");
+var StatusCodes = opcua.StatusCodes;
+var DataType = opcua.DataType;
+var DataValue = opcua.DataValue;
+var OPCUAClient = opcua.OPCUAClient;
+
+var historizing_service = opcua.historizing_service;
+var HistoryUpdateResult = historizing_service.HistoryUpdateResult;
+var PerformUpdateType = historizing_service.PerformUpdateType;
+
+module.exports = function (test) {
+
+    describe("end-to-end testing HistoryUpdate service", function () {
+
+        var client, endpointUrl, variable;
+        var updatedValues = [];
+
+        before(function () {
+            variable = test.server.engine.addressSpace.addVariable({
+                organizedBy: "ObjectsFolder",
+                browseName: "HistoryUpdateTestVariable",
+                dataType: "Double",
+                historizing: true,
+                value: {
+                    get: function () {
+                        return new opcua.Variant({dataType: DataType.Double, value: 0});
+                    },
+                    historyUpdate: function (historyUpdateDetails, callback) {
+                        updatedValues = updatedValues.concat(historyUpdateDetails.updateValues);
+                        callback(null, new HistoryUpdateResult({
+                            statusCode: StatusCodes.Good,
+                            operationResults: historyUpdateDetails.updateValues.map(function () {
+                                return StatusCodes.GoodEntryInserted;
+                            })
+                        }));
+                    }
+                }
+            });
+        });
+        after(function () {
+            test.server.engine.addressSpace.deleteNode(variable);
+        });
+
+        beforeEach(function (done) {
+            client = new OPCUAClient();
+            endpointUrl = test.endpointUrl;
+            done();
+        });
+
+        afterEach(function (done) {
+            client = null;
+            done();
+        });
+
+        it("should return BadNothingToDo when no historyUpdateDetails are provided", function (done) {
+            perform_operation_on_client_session(client, endpointUrl, function (session, inner_done) {
+                session.historyUpdate([], function (err) {
+                    err.message.should.match(/BadNothingToDo/);
+                    inner_done();
+                });
+            }, done);
+        });
+
+        it("should insert historical values of a variable", function (done) {
+            perform_operation_on_client_session(client, endpointUrl, function (session, inner_done) {
+
+                var updateDataDetails = new historizing_service.UpdateDataDetails({
+                    nodeId: variable.nodeId,
+                    performInsertReplace: PerformUpdateType.Insert,
+                    updateValues: [
+                        new DataValue({value: {dataType: DataType.Double, value: 1}, sourceTimestamp: new Date(Date.UTC(2016, 0, 1))}),
+                        new DataValue({value: {dataType: DataType.Double, value: 2}, sourceTimestamp: new Date(Date.UTC(2016, 0, 2))})
+                    ]
+                });
+                var deleteAtTimeDetails = new historizing_service.DeleteAtTimeDetails({
+                    nodeId: "ns=1;s=UnknownNode",
+                    reqTimes: [new Date(Date.UTC(2016, 0, 1))]
+                });
+
+                session.historyUpdate([updateDataDetails, deleteAtTimeDetails], function (err, results) {
+                    should(err).eql(null);
+                    results.length.should.eql(2);
+                    results[0].statusCode.should.eql(StatusCodes.Good);
+                    results[0].operationResults.should.eql([StatusCodes.GoodEntryInserted, StatusCodes.GoodEntryInserted]);
+                    results[1].statusCode.should.eql(StatusCodes.BadNodeIdUnknown);
+
+                    updatedValues.length.should.eql(2);
+                    updatedValues[1].value.value.should.eql(2);
+                    inner_done();
+                });
+            }, done);
+        });
+    });
+};
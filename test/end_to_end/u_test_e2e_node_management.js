@@ -0,0 +1,284 @@
+"use strict";
+/* global describe,it,before,after,beforeEach,afterEach*/
+require("requirish")._(module);
+
+var should = require("should");
+var perform_operation_on_client_session = require("test/helpers/perform_operation_on_client_session").perform_operation_on_client_session;
+
+var opcua = require("index");
+var StatusCodes = opcua.StatusCodes;
+var DataType = opcua.DataType;
+var NodeClass = opcua.NodeClass;
+var NodeAttributesMask = opcua.NodeAttributesMask;
+var OPCUAClient = opcua.OPCUAClient;
+var resolveNodeId = opcua.resolveNodeId;
+var makeExpandedNodeId = opcua.makeExpandedNodeId;
+
+var node_managment_service = opcua.node_managment_service;
+
+module.exports = function (test) {
+
+    describe("end-to-end testing NodeManagement service - AddNodes", function () {
+
+        var client, endpointUrl;
+
+        beforeEach(function (done) {
+            client = new OPCUAClient();
+            endpointUrl = test.endpointUrl;
+            done();
+        });
+
+        afterEach(function (done) {
+            client = null;
+            done();
+        });
+
+        it("should add nodes - BadNothingToDo", function (done) {
+            perform_operation_on_client_session(client, endpointUrl, function (session, inner_done) {
+
+                var request = new node_managment_service.AddNodesRequest({
+                    nodesToAdd: []
+                });
+                session.performMessageTransaction(request, function (err /*, response*/) {
+                    err.message.should.match(/BadNothingToDo/);
+                    inner_done();
+                });
+
+            }, done);
+        });
+
+        it("should add a variable and read its value", function (done) {
+
+            perform_operation_on_client_session(client, endpointUrl, function (session, inner_done) {
+
+                var request = new node_managment_service.AddNodesRequest({
+                    nodesToAdd: [
+                        {
+                            parentNodeId: makeExpandedNodeId(resolveNodeId("ObjectsFolder")),
+                            referenceTypeId: resolveNodeId("Organizes"),
+                            requestedNewNodeId: makeExpandedNodeId(resolveNodeId("ns=1;s=AddNodes_MyVariable")),
+                            browseName: {name: "AddNodes_MyVariable", namespaceIndex: 1},
+                            nodeClass: NodeClass.Variable,
+                            nodeAttributes: new node_managment_service.VariableAttributes({
+                                specifiedAttributes: NodeAttributesMask.get("DisplayName | Value | DataType").value,
+                                displayName: {text: "My Variable"},
+                                value: {dataType: DataType.Double, value: 42.0},
+                                dataType: resolveNodeId("Double")
+                            }),
+                            typeDefinition: makeExpandedNodeId(resolveNodeId("BaseDataVariableType"))
+                        },
+                        {
+                            parentNodeId: makeExpandedNodeId(resolveNodeId("ns=1;s=Unknown")),
+                            referenceTypeId: resolveNodeId("Organizes"),
+                            browseName: {name: "AddNodes_MyObject", namespaceIndex: 1},
+                            nodeClass: NodeClass.Object,
+                            typeDefinition: makeExpandedNodeId(resolveNodeId("BaseObjectType"))
+                        }
+                    ]
+                });
+                session.performMessageTransaction(request, function (err, response) {
+                    should(err).eql(null);
+                    response.results.length.should.eql(2);
+                    response.results[0].statusCode.should.eql(StatusCodes.Good);
+                    response.results[0].addedNodeId.toString().should.eql("ns=1;s=AddNodes_MyVariable");
+                    response.results[1].statusCode.should.eql(StatusCodes.BadParentNodeIdInvalid);
+
+                    session.readVariableValue(response.results[0].addedNodeId, function (err, dataValue) {
+                        should(err).eql(null);
+                        dataValue.statusCode.should.eql(StatusCodes.Good);
+                        dataValue.value.value.should.eql(42.0);
+                        inner_done();
+                    });
+                });
+
+            }, done);
+        });
+    });
+
+    describe("end-to-end testing NodeManagement service - DeleteNodes", function () {
+
+        var client, endpointUrl;
+
+        beforeEach(function (done) {
+            client = new OPCUAClient();
+            endpointUrl = test.endpointUrl;
+            done();
+        });
+
+        afterEach(function (done) {
+            client = null;
+            done();
+        });
+
+        it("should delete nodes - BadNothingToDo", function (done) {
+            perform_operation_on_client_session(client, endpointUrl, function (session, inner_done) {
+
+                var request = new node_managment_service.DeleteNodesRequest({
+                    nodesToDelete: []
+                });
+                session.performMessageTransaction(request, function (err /*, response*/) {
+                    err.message.should.match(/BadNothingToDo/);
+                    inner_done();
+                });
+
+            }, done);
+        });
+
+        it("should delete a node previously added with AddNodes", function (done) {
+
+            var nodeId = resolveNodeId("ns=1;s=DeleteNodes_MyObject");
+
+            perform_operation_on_client_session(client, endpointUrl, function (session, inner_done) {
+
+                var addNodesRequest = new node_managment_service.AddNodesRequest({
+                    nodesToAdd: [{
+                        parentNodeId: makeExpandedNodeId(resolveNodeId("ObjectsFolder")),
+                        referenceTypeId: resolveNodeId("Organizes"),
+                        requestedNewNodeId: makeExpandedNodeId(nodeId),
+                        browseName: {name: "DeleteNodes_MyObject", namespaceIndex: 1},
+                        nodeClass: NodeClass.Object,
+                        typeDefinition: makeExpandedNodeId(resolveNodeId("FolderType"))
+                    }]
+                });
+                session.performMessageTransaction(addNodesRequest, function (err, response) {
+                    should(err).eql(null);
+                    response.results[0].statusCode.should.eql(StatusCodes.Good);
+
+                    var deleteNodesRequest = new node_managment_service.DeleteNodesRequest({
+                        nodesToDelete: [
+                            {nodeId: nodeId, deleteTargetReferences: true},
+                            {nodeId: resolveNodeId("ns=1;s=Unknown"), deleteTargetReferences: true}
+                        ]
+                    });
+                    session.performMessageTransaction(deleteNodesRequest, function (err, response) {
+                        should(err).eql(null);
+                        response.results.should.eql([StatusCodes.Good, StatusCodes.BadNodeIdUnknown]);
+
+                        session.readVariableValue(nodeId, function (err, dataValue) {
+                            should(err).eql(null);
+                            dataValue.statusCode.should.eql(StatusCodes.BadNodeIdUnknown);
+                            inner_done();
+                        });
+                    });
+                });
+
+            }, done);
+        });
+    });
+
+    describe("end-to-end testing NodeManagement service - AddReferences and DeleteReferences", function () {
+
+        var client, endpointUrl;
+
+        beforeEach(function (done) {
+            client = new OPCUAClient();
+            endpointUrl = test.endpointUrl;
+            done();
+        });
+
+        afterEach(function (done) {
+            client = null;
+            done();
+        });
+
+        it("should add references - BadNothingToDo", function (done) {
+            perform_operation_on_client_session(client, endpointUrl, function (session, inner_done) {
+                var request = new node_managment_service.AddReferencesRequest({referencesToAdd: []});
+                session.performMessageTransaction(request, function (err /*, response*/) {
+                    err.message.should.match(/BadNothingToDo/);
+                    inner_done();
+                });
+            }, done);
+        });
+
+        it("should delete references - BadNothingToDo", function (done) {
+            perform_operation_on_client_session(client, endpointUrl, function (session, inner_done) {
+                var request = new node_managment_service.DeleteReferencesRequest({referencesToDelete: []});
+                session.performMessageTransaction(request, function (err /*, response*/) {
+                    err.message.should.match(/BadNothingToDo/);
+                    inner_done();
+                });
+            }, done);
+        });
+
+        it("should add a reference between two nodes, browse it and delete it", function (done) {
+
+            var sourceNodeId = resolveNodeId("ns=1;s=AddReferences_Source");
+            var targetNodeId = resolveNodeId("ns=1;s=AddReferences_Target");
+
+            function makeAddNodesItem(nodeId) {
+                return {
+                    parentNodeId: makeExpandedNodeId(resolveNodeId("ObjectsFolder")),
+                    referenceTypeId: resolveNodeId("Organizes"),
+                    requestedNewNodeId: makeExpandedNodeId(nodeId),
+                    browseName: {name: nodeId.value, namespaceIndex: 1},
+                    nodeClass: NodeClass.Object,
+                    typeDefinition: makeExpandedNodeId(resolveNodeId("FolderType"))
+                };
+            }
+
+            function browseOrganizes(session, callback) {
+                session.browse({
+                    nodeId: sourceNodeId,
+                    referenceTypeId: "Organizes",
+                    browseDirection: opcua.browse_service.BrowseDirection.Forward
+                }, function (err, browseResults) {
+                    callback(err, browseResults[0].references);
+                });
+            }
+
+            perform_operation_on_client_session(client, endpointUrl, function (session, inner_done) {
+
+                var addNodesRequest = new node_managment_service.AddNodesRequest({
+                    nodesToAdd: [makeAddNodesItem(sourceNodeId), makeAddNodesItem(targetNodeId)]
+                });
+                session.performMessageTransaction(addNodesRequest, function (err, response) {
+                    should(err).eql(null);
+                    response.results[0].statusCode.should.eql(StatusCodes.Good);
+                    response.results[1].statusCode.should.eql(StatusCodes.Good);
+
+                    var addReferencesRequest = new node_managment_service.AddReferencesRequest({
+                        referencesToAdd: [{
+                            sourceNodeId: sourceNodeId,
+                            referenceTypeId: resolveNodeId("Organizes"),
+                            isForward: true,
+                            targetNodeId: makeExpandedNodeId(targetNodeId),
+                            targetNodeClass: NodeClass.Object
+                        }]
+                    });
+                    session.performMessageTransaction(addReferencesRequest, function (err, response) {
+                        should(err).eql(null);
+                        response.results.should.eql([StatusCodes.Good]);
+
+                        browseOrganizes(session, function (err, references) {
+                            should(err).eql(null);
+                            references.length.should.eql(1);
+                            references[0].nodeId.toString().should.eql(targetNodeId.toString());
+
+                            var deleteReferencesRequest = new node_managment_service.DeleteReferencesRequest({
+                                referencesToDelete: [{
+                                    sourceNodeId: sourceNodeId,
+                                    referenceNodeId: resolveNodeId("Organizes"),
+                                    isForward: true,
+                                    targetNodeId: makeExpandedNodeId(targetNodeId),
+                                    deleteBidirectional: true
+                                }]
+                            });
+                            session.performMessageTransaction(deleteReferencesRequest, function (err, response) {
+                                should(err).eql(null);
+                                response.results.should.eql([StatusCodes.Good]);
+
+                                browseOrganizes(session, function (err, references) {
+                                    should(err).eql(null);
+                                    references.length.should.eql(0);
+                                    inner_done();
+                                });
+                            });
+                        });
+                    });
+                });
+
+            }, done);
+        });
+    });
+};
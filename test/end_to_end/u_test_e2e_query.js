@@ -0,0 +1,220 @@
+"use strict";
+/* global describe,it,before,after,beforeEach,afterEach*/
+require("requirish")._(module);
+
+var should = require("should");
+var async = require("async");
+var perform_operation_on_client_session = require("test/helpers/perform_operation_on_client_session").perform_operation_on_client_session;
+
+var opcua = require("index");
+var StatusCodes = opcua.StatusCodes;
+var DataType = opcua.DataType;
+var AttributeIds = opcua.AttributeIds;
+var OPCUAClient = opcua.OPCUAClient;
+var resolveNodeId = opcua.resolveNodeId;
+var makeExpandedNodeId = opcua.makeExpandedNodeId;
+
+var subscription_service = opcua.subscription_service;
+
+module.exports = function (test) {
+
+    describe("end-to-end testing Query services - QueryFirst and QueryNext", function () {
+
+        var client, endpointUrl;
+
+        beforeEach(function (done) {
+            client = new OPCUAClient();
+            endpointUrl = test.endpointUrl;
+            done();
+        });
+
+        afterEach(function (done) {
+            client = null;
+            done();
+        });
+
+        // all the folders whose browse name ends with "Types"
+        function makeQueryFirstRequest(maxDataSetsToReturn, maxReferencesToReturn) {
+            return {
+                nodeTypes: [{
+                    typeDefinitionNode: makeExpandedNodeId(resolveNodeId("FolderType")),
+                    includeSubtypes: true,
+                    dataToReturn: [
+                        {relativePath: {elements: []}, attributeId: AttributeIds.BrowseName},
+                        // the nodes organized by the folder
+                        {
+                            relativePath: {
+                                elements: [{referenceTypeId: resolveNodeId("Organizes"), isInverse: false, targetName: null}]
+                            }
+                        }
+                    ]
+                }],
+                filter: {
+                    elements: [{
+                        filterOperator: subscription_service.FilterOperator.Like,
+                        filterOperands: [
+                            new subscription_service.SimpleAttributeOperand({
+                                typeId: resolveNodeId("FolderType"),
+                                browsePath: [],
+                                attributeId: AttributeIds.BrowseName
+                            }),
+                            new subscription_service.LiteralOperand({value: {dataType: DataType.String, value: "%Types"}})
+                        ]
+                    }]
+                },
+                maxDataSetsToReturn: maxDataSetsToReturn,
+                maxReferencesToReturn: maxReferencesToReturn || 0
+            };
+        }
+
+        it("should query - BadNothingToDo", function (done) {
+            perform_operation_on_client_session(client, endpointUrl, function (session, inner_done) {
+                session.queryFirst({nodeTypes: []}, function (err /*, response*/) {
+                    err.message.should.match(/BadNothingToDo/);
+                    inner_done();
+                });
+            }, done);
+        });
+
+        it("should query the instances of a type matching a filter", function (done) {
+            perform_operation_on_client_session(client, endpointUrl, function (session, inner_done) {
+
+                session.queryFirst(makeQueryFirstRequest(0), function (err, response) {
+                    should(err).eql(null);
+                    should(response.continuationPoint).eql(null);
+                    response.queryDataSet.length.should.be.greaterThan(2);
+
+                    var browseNames = response.queryDataSet.map(function (queryDataSet) {
+                        return queryDataSet.values[0].value.toString();
+                    });
+                    browseNames.should.containEql("ObjectTypes");
+                    browseNames.should.containEql("VariableTypes");
+                    browseNames.forEach(function (browseName) {
+                        browseName.should.match(/Types$/);
+                    });
+                    inner_done();
+                });
+            }, done);
+        });
+
+        it("should page the query results with QueryNext", function (done) {
+            perform_operation_on_client_session(client, endpointUrl, function (session, inner_done) {
+
+                var expectedCount = 0;
+                var queryDataSets = [];
+                var continuationPoint = null;
+
+                async.series([
+                    function (callback) {
+                        session.queryFirst(makeQueryFirstRequest(0), function (err, response) {
+                            expectedCount = response.queryDataSet.length;
+                            callback(err);
+                        });
+                    },
+                    function (callback) {
+                        session.queryFirst(makeQueryFirstRequest(2), function (err, response) {
+                            response.queryDataSet.length.should.eql(2);
+                            should(response.continuationPoint).not.eql(null);
+                            queryDataSets = queryDataSets.concat(response.queryDataSet);
+                            continuationPoint = response.continuationPoint;
+                            callback(err);
+                        });
+                    },
+                    function (callback) {
+                        async.whilst(function () {
+                            return !!continuationPoint;
+                        }, function (callback) {
+                            session.queryNext(continuationPoint, function (err, response) {
+                                queryDataSets = queryDataSets.concat(response.queryDataSet);
+                                continuationPoint = response.revisedContinuationPoint;
+                                callback(err);
+                            });
+                        }, callback);
+                    },
+                    function (callback) {
+                        queryDataSets.length.should.eql(expectedCount);
+                        callback();
+                    }
+                ], inner_done);
+            }, done);
+        });
+
+        it("should not return more references than maxReferencesToReturn in a response", function (done) {
+            perform_operation_on_client_session(client, endpointUrl, function (session, inner_done) {
+
+                function referenceCount(queryDataSets) {
+                    return queryDataSets.reduce(function (count, queryDataSet) {
+                        return count + queryDataSet.values[1].value.length;
+                    }, 0);
+                }
+
+                var maxReferencesToReturn = 3;
+                var expectedCount = 0;
+                var queryDataSets = [];
+                var continuationPoint = null;
+
+                function checkResponse(response) {
+                    response.queryDataSet.length.should.be.greaterThan(0);
+                    if (response.queryDataSet.length > 1) {
+                        referenceCount(response.queryDataSet).should.not.be.greaterThan(maxReferencesToReturn);
+                    }
+                    queryDataSets = queryDataSets.concat(response.queryDataSet);
+                }
+
+                async.series([
+                    function (callback) {
+                        session.queryFirst(makeQueryFirstRequest(0), function (err, response) {
+                            expectedCount = response.queryDataSet.length;
+                            referenceCount(response.queryDataSet).should.be.greaterThan(maxReferencesToReturn);
+                            callback(err);
+                        });
+                    },
+                    function (callback) {
+                        session.queryFirst(makeQueryFirstRequest(0, maxReferencesToReturn), function (err, response) {
+                            checkResponse(response);
+                            should(response.continuationPoint).not.eql(null);
+                            continuationPoint = response.continuationPoint;
+                            callback(err);
+                        });
+                    },
+                    function (callback) {
+                        async.whilst(function () {
+                            return !!continuationPoint;
+                        }, function (callback) {
+                            session.queryNext(continuationPoint, function (err, response) {
+                                checkResponse(response);
+                                continuationPoint = response.revisedContinuationPoint;
+                                callback(err);
+                            });
+                        }, callback);
+                    },
+                    function (callback) {
+                        queryDataSets.length.should.eql(expectedCount);
+                        callback();
+                    }
+                ], inner_done);
+            }, done);
+        });
+
+        it("should release a query continuation point", function (done) {
+            perform_operation_on_client_session(client, endpointUrl, function (session, inner_done) {
+
+                session.queryFirst(makeQueryFirstRequest(1), function (err, response) {
+                    should(err).eql(null);
+                    var continuationPoint = response.continuationPoint;
+                    should(continuationPoint).not.eql(null);
+
+                    session.queryNext(continuationPoint, true, function (err, response) {
+                        should(err).eql(null);
+                        response.queryDataSet.length.should.eql(0);
+
+                        session.queryNext(continuationPoint, function (err /*, response*/) {
+                            err.message.should.match(/BadContinuationPointInvalid/);
+                            inner_done();
+                        });
+                    });
+                });
+            }, done);
+        });
+    });
+};
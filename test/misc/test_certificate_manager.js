@@ -0,0 +1,259 @@
+"use strict";
+/* global describe,it,before,after,beforeEach*/
+require("requirish")._(module);
+var should = require("should");
+var path = require("path");
+var fs = require("fs");
+var os = require("os");
+var del = require("del");
+var sinon = require("sinon");
+
+var crypto_utils = require("lib/misc/crypto_utils");
+var split_der = require("lib/misc/crypto_explore_certificate").split_der;
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+var CertificateManager = require("lib/misc/certificate_manager").CertificateManager;
+
+function readCertificate(filename) {
+    return crypto_utils.readCertificate(path.join(__dirname, "../../certificates", filename));
+}
+
+describe("CertificateManager", function () {
+
+    var location = path.join(os.tmpdir(), "node-opcua-test-pki-" + process.pid);
+
+    var caCertificate = readCertificate("PKI/CA/public/cacert.pem");
+    var selfSignedCertificate = readCertificate("client_selfsigned_cert_1024.pem");
+    // client_cert_1024.pem contains the certificate of the client followed by the certificate of its CA
+    var certificateChain = readCertificate("client_cert_1024.pem");
+    var certificate = split_der(certificateChain)[0];
+    var revocationList = fs.readFileSync(path.join(__dirname, "../../certificates/PKI/CA/crl/revocation_list.der"));
+
+    var certificateManager;
+
+    function thumbprint(certificate) {
+        return crypto_utils.makeSHA1Thumbprint(certificate).toString("hex");
+    }
+
+    function writeCertificate(folder, certificate) {
+        var filename = path.join(folder, thumbprint(certificate) + ".der");
+        fs.writeFileSync(filename, certificate);
+    }
+
+    beforeEach(function (done) {
+        del.sync([location], {force: true});
+        certificateManager = new CertificateManager({location: location});
+        certificateManager.initialize(done);
+    });
+
+    after(function () {
+        del.sync([location], {force: true});
+    });
+
+    it("should create the folders of the PKI", function () {
+        ["own/certs", "own/private", "trusted/certs", "trusted/crl", "issuers/certs", "issuers/crl", "rejected"].forEach(function (folder) {
+            fs.existsSync(path.join(location, folder)).should.eql(true);
+        });
+    });
+
+    it("should reject an unknown certificate and move it to the rejected folder", function (done) {
+
+        certificateManager.checkCertificate(selfSignedCertificate, function (err, statusCode) {
+            should(err).eql(null);
+            statusCode.should.eql(StatusCodes.BadCertificateUntrusted);
+            fs.existsSync(path.join(location, "rejected", thumbprint(selfSignedCertificate) + ".pem")).should.eql(true);
+
+            certificateManager.getCertificateStatus(selfSignedCertificate, function (err, status) {
+                status.should.eql("rejected");
+                done(err);
+            });
+        });
+    });
+
+    it("should accept a self-signed certificate once it has been trusted", function (done) {
+
+        certificateManager.rejectCertificate(selfSignedCertificate, function (err) {
+            should(err).eql(null);
+            certificateManager.trustCertificate(selfSignedCertificate, function (err) {
+                should(err).eql(null);
+                fs.existsSync(path.join(location, "rejected", thumbprint(selfSignedCertificate) + ".pem")).should.eql(false);
+
+                certificateManager.checkCertificate(selfSignedCertificate, function (err, statusCode) {
+                    statusCode.should.eql(StatusCodes.Good);
+                    done(err);
+                });
+            });
+        });
+    });
+
+    it("should accept a certificate issued by a trusted CA", function (done) {
+
+        writeCertificate(certificateManager.trustedFolder, caCertificate);
+        fs.writeFileSync(path.join(certificateManager.trustedCrlFolder, "revocation_list.der"), revocationList);
+        certificateManager.checkCertificate(certificate, function (err, statusCode) {
+            statusCode.should.eql(StatusCodes.Good);
+            done(err);
+        });
+    });
+
+    it("should reject a certificate issued by a CA that is known but not trusted", function (done) {
+
+        writeCertificate(certificateManager.issuersFolder, caCertificate);
+        certificateManager.checkCertificate(certificate, function (err, statusCode) {
+            statusCode.should.eql(StatusCodes.BadCertificateUntrusted);
+            done(err);
+        });
+    });
+
+    it("should accept a certificate sent with the certificate of its trusted CA", function (done) {
+
+        certificateManager.trustCertificate(caCertificate, function (err) {
+            should(err).eql(null);
+            fs.writeFileSync(path.join(certificateManager.issuersCrlFolder, "revocation_list.crl"),
+                fs.readFileSync(path.join(__dirname, "../../certificates/PKI/CA/crl/revocation_list.crl")));
+            certificateManager.checkCertificate(certificateChain, function (err, statusCode) {
+                statusCode.should.eql(StatusCodes.Good);
+                done(err);
+            });
+        });
+    });
+
+    it("should report BadCertificateTimeInvalid for a certificate that is out of date or not active yet", function (done) {
+
+        writeCertificate(certificateManager.trustedFolder, caCertificate);
+        certificateManager.checkCertificate(readCertificate("client_cert_1024_outofdate.pem"), function (err, statusCode) {
+            statusCode.should.eql(StatusCodes.BadCertificateTimeInvalid);
+            certificateManager.checkCertificate(readCertificate("client_cert_1024_not_active_yet.pem"), function (err, statusCode) {
+                statusCode.should.eql(StatusCodes.BadCertificateTimeInvalid);
+                done(err);
+            });
+        });
+    });
+
+    it("should report BadCertificateUriInvalid if the applicationUri doesn't match the certificate", function (done) {
+
+        writeCertificate(certificateManager.trustedFolder, caCertificate);
+        fs.writeFileSync(path.join(certificateManager.trustedCrlFolder, "revocation_list.der"), revocationList);
+        certificateManager.checkCertificate(certificate, {applicationUri: "urn:vm:NodeOPCUA-Client"}, function (err, statusCode) {
+            statusCode.should.eql(StatusCodes.Good);
+            certificateManager.checkCertificate(certificate, {applicationUri: "urn:some:other:application"}, function (err, statusCode) {
+                statusCode.should.eql(StatusCodes.BadCertificateUriInvalid);
+                done(err);
+            });
+        });
+    });
+
+    it("should report BadCertificateRevoked for a certificate that appears in the revocation list of its CA", function (done) {
+
+        writeCertificate(certificateManager.trustedFolder, caCertificate);
+        certificateManager.addRevocationList(revocationList, function (err) {
+            should(err).eql(null);
+            certificateManager.checkCertificate(readCertificate("client_cert_1024_revoked.pem"), function (err, statusCode) {
+                statusCode.should.eql(StatusCodes.BadCertificateRevoked);
+                done(err);
+            });
+        });
+    });
+
+    it("should report BadCertificateRevocationUnknown if the CA of the certificate has no revocation list", function (done) {
+
+        writeCertificate(certificateManager.trustedFolder, caCertificate);
+        certificateManager.checkCertificate(certificate, function (err, statusCode) {
+            statusCode.should.eql(StatusCodes.BadCertificateRevocationUnknown);
+            done(err);
+        });
+    });
+
+    it("should tolerate a missing revocation list when ignoreMissingRevocationList is set", function (done) {
+
+        certificateManager = new CertificateManager({location: location, ignoreMissingRevocationList: true});
+        writeCertificate(certificateManager.trustedFolder, caCertificate);
+        certificateManager.checkCertificate(certificate, function (err, statusCode) {
+            statusCode.should.eql(StatusCodes.Good);
+            // a revocation list, if present, is still taken into account
+            certificateManager.addRevocationList(revocationList, function (err) {
+                should(err).eql(null);
+                certificateManager.checkCertificate(readCertificate("client_cert_1024_revoked.pem"), function (err, statusCode) {
+                    statusCode.should.eql(StatusCodes.BadCertificateRevoked);
+                    done(err);
+                });
+            });
+        });
+    });
+
+    it("should ignore a revocation list that hasn't been signed by the CA of the certificate", function (done) {
+
+        writeCertificate(certificateManager.trustedFolder, caCertificate);
+        // tamper the last byte of the signature
+        var tamperedRevocationList = new Buffer(revocationList);
+        tamperedRevocationList[tamperedRevocationList.length - 1] ^= 0xFF;
+        certificateManager.addRevocationList(tamperedRevocationList, function (err) {
+            should(err).eql(null);
+            certificateManager.checkCertificate(readCertificate("client_cert_1024_revoked.pem"), function (err, statusCode) {
+                statusCode.should.eql(StatusCodes.BadCertificateRevocationUnknown);
+                done(err);
+            });
+        });
+    });
+
+    it("should report BadCertificateRevocationUnknown if the revocation list of the CA is past its nextUpdate date", function (done) {
+
+        writeCertificate(certificateManager.trustedFolder, caCertificate);
+        certificateManager.addRevocationList(revocationList, function (err) {
+            should(err).eql(null);
+
+            // the revocation list expires on the 18th of November 2026, the certificates in October 2027
+            var clock = sinon.useFakeTimers(Date.UTC(2027, 0, 1), "Date");
+            certificateManager.checkCertificate(certificate, function (err, statusCode1) {
+                // the certificates listed in a expired revocation list are still revoked
+                certificateManager.checkCertificate(readCertificate("client_cert_1024_revoked.pem"), function (err, statusCode2) {
+                    clock.restore();
+                    statusCode1.should.eql(StatusCodes.BadCertificateRevocationUnknown);
+                    statusCode2.should.eql(StatusCodes.BadCertificateRevoked);
+                    done(err);
+                });
+            });
+        });
+    });
+
+    it("should only read the files of the PKI folders again when they have changed", function (done) {
+
+        writeCertificate(certificateManager.trustedFolder, caCertificate);
+        certificateManager.checkCertificate(certificate, function (err, statusCode) {
+            statusCode.should.eql(StatusCodes.BadCertificateRevocationUnknown);
+
+            var readFile = sinon.spy(fs, "readFile");
+            certificateManager.checkCertificate(certificate, function (err, statusCode) {
+                statusCode.should.eql(StatusCodes.BadCertificateRevocationUnknown);
+                readFile.callCount.should.eql(0);
+
+                fs.writeFileSync(path.join(certificateManager.trustedCrlFolder, "revocation_list.der"), revocationList);
+                certificateManager.checkCertificate(certificate, function (err, statusCode) {
+                    readFile.restore();
+                    statusCode.should.eql(StatusCodes.Good);
+                    readFile.callCount.should.eql(1);
+                    done(err);
+                });
+            });
+        });
+    });
+
+    it("should report BadCertificateInvalid if the certificate cannot be decoded", function (done) {
+
+        certificateManager.checkCertificate(new Buffer("not a certificate"), function (err, statusCode) {
+            statusCode.should.eql(StatusCodes.BadCertificateInvalid);
+            done(err);
+        });
+    });
+
+    it("should trust unknown certificates when automaticallyAcceptUnknownCertificate is set", function (done) {
+
+        certificateManager = new CertificateManager({location: location, automaticallyAcceptUnknownCertificate: true});
+        certificateManager.checkCertificate(selfSignedCertificate, function (err, statusCode) {
+            statusCode.should.eql(StatusCodes.Good);
+            certificateManager.getCertificateStatus(selfSignedCertificate, function (err, status) {
+                status.should.eql("trusted");
+                done(err);
+            });
+        });
+    });
+});
@@ -6,6 +6,7 @@ var path = require("path");
 var should = require("should");
 var colors = require("colors");
 var assert = require("assert");
+var _ = require("underscore");
 
 var utils = require("lib/misc/utils");
 var loremIpsum = require("test/helpers/lorem_ipsum").loremIpsum;
@@ -660,6 +661,124 @@ describe("Testing AsymmetricSignatureAlgorithm", function () {
     }
 });
 
+describe("Testing RSA-PSS signature and RSA-OAEP-SHA256 encryption", function () {
+
+    var chunk = new Buffer(loremIpsum);
+
+    it("should sign a chunk with RSA-PSS-SHA256 and verify it with the certificate (verifyChunkSignature)", function () {
+
+        var options1 = {
+            algorithm: "RSA-SHA256",
+            signatureLength: 128,
+            privateKey: fs.readFileSync(alice_private_key_filename).toString("ascii"),
+            padding: crypto_utils.RSA_PKCS1_PSS_PADDING,
+            saltLength: 32
+        };
+        var signature = crypto_utils.makeMessageChunkSignature(chunk, options1);
+        signature.length.should.eql(128);
+
+        // a RSA-PSS signature is salted : signing twice the same chunk produces two different signatures
+        crypto_utils.makeMessageChunkSignature(chunk, options1).toString("hex").should.not.eql(signature.toString("hex"));
+
+        var options2 = {
+            algorithm: "RSA-SHA256",
+            signatureLength: 128,
+            publicKey: fs.readFileSync(alice_certificate_filename).toString("ascii"),
+            padding: crypto_utils.RSA_PKCS1_PSS_PADDING,
+            saltLength: 32
+        };
+        var signedChunk = Buffer.concat([chunk, signature]);
+        crypto_utils.verifyChunkSignature(signedChunk, options2).should.eql(true);
+
+        // a RSA-PSS signature is not a valid RSA-PKCS1-v1_5 signature
+        crypto_utils.verifyChunkSignature(signedChunk, _.omit(options2, "padding", "saltLength")).should.eql(false);
+
+        signedChunk.write("HELLO", 0x50);
+        crypto_utils.verifyChunkSignature(signedChunk, options2).should.eql(false);
+    });
+
+    it("should encode and decode a message with EME-OAEP-SHA256", function () {
+
+        var message = new Buffer("Hello World");
+        var encoded = crypto_utils.oaepSHA256Encode(message, 128);
+        encoded.length.should.eql(128);
+        crypto_utils.oaepSHA256Decode(encoded).toString().should.eql("Hello World");
+
+        encoded[60] = encoded[60] ^ 0xFF;
+        should(crypto_utils.oaepSHA256Decode(encoded)).eql(null);
+    });
+
+    it("should reject every kind of malformed EME-OAEP-SHA256 encoding", function () {
+
+        function sha256(buffer) {
+            return crypto.createHash("sha256").update(buffer).digest();
+        }
+        function mgf1(seed, length) {
+            var mask = new Buffer(0);
+            for (var i = 0; mask.length < length; i++) {
+                var counter = new Buffer(4);
+                counter.writeUInt32BE(i, 0);
+                mask = Buffer.concat([mask, sha256(Buffer.concat([seed, counter]))]);
+            }
+            return mask.slice(0, length);
+        }
+        function xor(buf1, buf2) {
+            return new Buffer(buf1.map(function (b, i) {
+                return b ^ buf2[i];
+            }));
+        }
+        // mask a data block as in RFC 8017 7.1.1
+        function encodeDB(db, firstByte) {
+            var seed = crypto.randomBytes(32);
+            var maskedDB = xor(db, mgf1(seed, db.length));
+            var maskedSeed = xor(seed, mgf1(maskedDB, 32));
+            return Buffer.concat([new Buffer([firstByte || 0x00]), maskedSeed, maskedDB]);
+        }
+        function makeDB(lHash, ps, separator, message) {
+            return Buffer.concat([lHash, ps, new Buffer(separator), new Buffer(message)]);
+        }
+
+        var lHash = sha256(new Buffer(0));
+        var ps = new Buffer(128 - 1 - 32 - 32 - 1 - 5);
+        ps.fill(0);
+
+        crypto_utils.oaepSHA256Decode(encodeDB(makeDB(lHash, ps, [0x01], "Hello"))).toString().should.eql("Hello");
+        // a message may start with 0x01 or 0x00 bytes
+        crypto_utils.oaepSHA256Decode(encodeDB(makeDB(lHash, ps.slice(2), [0x01], [0x01, 0x00, 0x41, 0x42, 0x43, 0x44, 0x45])))
+            .toString("hex").should.eql("01004142434445");
+        crypto_utils.oaepSHA256Decode(encodeDB(makeDB(lHash, new Buffer(0), [0x01], ps))).length.should.eql(ps.length);
+
+        // first byte is not 0x00
+        should(crypto_utils.oaepSHA256Decode(encodeDB(makeDB(lHash, ps, [0x01], "Hello"), 0x01))).eql(null);
+        // wrong label hash
+        should(crypto_utils.oaepSHA256Decode(encodeDB(makeDB(sha256(new Buffer("label")), ps, [0x01], "Hello")))).eql(null);
+        // a non-zero byte in the padding string
+        should(crypto_utils.oaepSHA256Decode(encodeDB(makeDB(lHash, ps, [0x02], "Hello")))).eql(null);
+        // no 0x01 separator
+        var zeros = new Buffer(128 - 1 - 32 - 32);
+        zeros.fill(0);
+        should(crypto_utils.oaepSHA256Decode(encodeDB(makeDB(lHash, zeros, [], [])))).eql(null);
+    });
+
+    it("publicEncrypt_long should encrypt and decrypt a long buffer with RSA_PKCS1_OAEP_SHA256_PADDING", function () {
+
+        var certificate = crypto_utils.readCertificate(path.join(__dirname, "../../certificates/server_cert_2048.pem"));
+        var publicKey = crypto_utils.extractPublicKeyFromCertificateSync(certificate);
+        var privateKey = fs.readFileSync(path.join(__dirname, "../../certificates/server_key_2048.pem")).toString("ascii");
+
+        var initialBuffer = new Buffer(loremIpsum.substr(0, 1024));
+        // 2 * 32 + 2 bytes of padding with a SHA256 digest
+        var encryptedBuffer = crypto_utils.publicEncrypt_long(initialBuffer, publicKey, 256, 66, crypto_utils.RSA_PKCS1_OAEP_SHA256_PADDING);
+        encryptedBuffer.length.should.eql(256 * 6);
+
+        var decryptedBuffer = crypto_utils.privateDecrypt_long(encryptedBuffer, privateKey, 256, crypto_utils.RSA_PKCS1_OAEP_SHA256_PADDING);
+        decryptedBuffer.toString("ascii").should.eql(initialBuffer.toString("ascii"));
+
+        // a buffer encrypted with OAEP-SHA256 cannot be decrypted with OAEP-SHA1
+        crypto_utils.privateDecrypt_long(encryptedBuffer, privateKey, 256, crypto_utils.RSA_PKCS1_OAEP_PADDING).toString("ascii").should.not.eql(initialBuffer.toString("ascii"));
+    });
+});
+
 
 var ursa = null;
 try {
@@ -69,6 +69,30 @@ describe(" exploring Certificates", function () {
         certificate_info.tbsCertificate.extensions.subjectKeyIdentifier.should.eql('74:38:fd:90:b1:f1:90:51:0e:9c:65:d6:aa:ac:63:9e:bc:dc:58:2f');
     });
 
+    it("should read the key usage and the basic constraints of a certificate", function () {
+
+        var certificate = crypto_utils.readCertificate(path.join(__dirname, "../../certificates/PKI/CA/public/cacert.pem"));
+        var extensions = exploreCertificate(certificate).tbsCertificate.extensions;
+
+        extensions.basicConstraints.cA.should.eql(true);
+        extensions.keyUsage.keyCertSign.should.eql(true);
+        extensions.keyUsage.cRLSign.should.eql(true);
+        extensions.keyUsage.digitalSignature.should.eql(false);
+        extensions.keyUsage.keyEncipherment.should.eql(false);
+    });
+
+    it("should verify the signature of a certificate with the certificate of its issuer", function () {
+
+        var split_der = require("lib/misc/crypto_explore_certificate").split_der;
+        var caCertificate = crypto_utils.readCertificate(path.join(__dirname, "../../certificates/PKI/CA/public/cacert.pem"));
+        var certificate = split_der(crypto_utils.readCertificate(path.join(__dirname, "../../certificates/server_cert_1024.pem")))[0];
+        var selfSignedCertificate = crypto_utils.readCertificate(path.join(__dirname, "../../certificates/server_selfsigned_cert_1024.pem"));
+
+        crypto_utils.verifyCertificateSignature(certificate, caCertificate).should.eql(true);
+        crypto_utils.verifyCertificateSignature(certificate, selfSignedCertificate).should.eql(false);
+        crypto_utils.verifyCertificateSignature(selfSignedCertificate, selfSignedCertificate).should.eql(true);
+    });
+
     it("should read a V1 X509 certificate",function() {
 
         // note : http://stackoverflow.com/questions/26788244/how-to-create-a-legacy-v1-or-v2-x-509-cert-for-testing
@@ -90,6 +114,38 @@ describe(" exploring Certificates", function () {
 
 var fs = require("fs");
 
+describe("exploring certificate revocation lists", function () {
+
+    var exploreCertificateRevocationList = require("lib/misc/crypto_explore_certificate").exploreCertificateRevocationList;
+    var split_der = require("lib/misc/crypto_explore_certificate").split_der;
+
+    it("should read a certificate revocation list in the DER and in the PEM format", function () {
+
+        var crl_der = fs.readFileSync(path.join(__dirname, "../../certificates/PKI/CA/crl/revocation_list.der"));
+        var crl_pem = crypto_utils.readPEM(fs.readFileSync(path.join(__dirname, "../../certificates/PKI/CA/crl/revocation_list.crl"), "ascii"));
+        crl_pem.toString("hex").should.eql(crl_der.toString("hex"));
+
+        var crl_info = exploreCertificateRevocationList(crl_der);
+        crl_info.tbsCertList.version.should.eql(2);
+        crl_info.tbsCertList.issuer.organizationName.should.eql("Fake CA for Test");
+        crl_info.tbsCertList.thisUpdate.should.be.instanceOf(Date);
+        crl_info.tbsCertList.nextUpdate.should.be.instanceOf(Date);
+        crl_info.signatureAlgorithm.identifier.should.eql("sha256WithRSAEncryption");
+
+        // the revoked certificate appears in the list with its serial number
+        var revokedCertificate = split_der(crypto_utils.readCertificate(path.join(__dirname, "../../certificates/client_cert_1024_revoked.pem")))[0];
+        var serialNumbers = crl_info.tbsCertList.revokedCertificates.map(function (entry) {
+            entry.revocationDate.should.be.instanceOf(Date);
+            return entry.userCertificate;
+        });
+        serialNumbers.should.containEql(exploreCertificate(revokedCertificate).tbsCertificate.serialNumber);
+
+        // the revocation list is signed by the CA
+        var caCertificate = crypto_utils.readCertificate(path.join(__dirname, "../../certificates/PKI/CA/public/cacert.pem"));
+        crypto_utils.verifyCertificateSignature(crl_der, caCertificate).should.eql(true);
+    });
+});
+
 describe("exploring certificate chains", function () {
 
     var combine_der = require("lib/misc/crypto_explore_certificate").combine_der;
@@ -112,6 +112,18 @@ describe("test derived key making", function () {
         done();
     });
 
+    it("should compute a P_SHA256 buffer (makePseudoRandomBuffer)", function () {
+        // test vector of the TLS 1.2 PRF (P_SHA256)
+        var secret = new Buffer("9bbe436ba940f017b17652849a71db35", "hex");
+        var seed = Buffer.concat([new Buffer("test label"), new Buffer("a0ba9f936cda311827a6f796ffd5198c", "hex")]);
+        var buf = crypto_utils.makePseudoRandomBuffer(secret, seed, 100, "SHA256");
+        buf.toString("hex").should.eql(
+            "e3f229ba727be17b8d122620557cd453c2aab21d07c3d495329b52d4e61edb5a" +
+            "6b301791e90d35c9c9a46b4e14baf9af0fa022f7077def17abfd3797c0564bab" +
+            "4fbc91666e9def9b97fce34f796789baa48082d122ee42c5a72e5a5110fff701" +
+            "87347b66");
+    });
+
     it("should create derived keys (computeDerivedKeys)", function () {
 
         var options = options_AES_128_CBC;
@@ -198,6 +210,30 @@ describe("test derived key making", function () {
         crypto_utils.verifyChunkSignatureWithDerivedKeys(signed_message, derivedKeys).should.equal(false);
 
     });
+
+    it("demonstrating how to use derived keys for a HMAC-SHA256 signature (Basic256Sha256)", function () {
+
+        var options = {
+            signingKeyLength: 32,
+            encryptingKeyLength: 32,
+            encryptingBlockSize: 16,
+            signatureLength: 32,
+            algorithm: "aes-256-cbc",
+            sha1or256: "SHA256"
+        };
+        var derivedKeys = crypto_utils.computeDerivedKeys(secret, seed, options);
+        derivedKeys.sha1or256.should.eql("SHA256");
+
+        var clear_message = make_lorem_ipsum_buffer();
+        var signature = crypto_utils.makeMessageChunkSignatureWithDerivedKeys(clear_message, derivedKeys);
+        signature.length.should.eql(32);
+
+        var signed_message = Buffer.concat([clear_message, signature]);
+        crypto_utils.verifyChunkSignatureWithDerivedKeys(signed_message, derivedKeys).should.equal(true);
+
+        signed_message.write("HELLO", 0x50);
+        crypto_utils.verifyChunkSignatureWithDerivedKeys(signed_message, derivedKeys).should.equal(false);
+    });
 });
 
 describe("exploreCertificate", function () {
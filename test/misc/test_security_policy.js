@@ -4,6 +4,7 @@ var should = require("should");
 
 var securityPolicy_m = require("lib/misc/security_policy");
 var SecurityPolicy = securityPolicy_m.SecurityPolicy;
+var MessageSecurityMode = require("lib/datamodel/structures").MessageSecurityMode;
 
 
 describe("Security Policy", function () {
@@ -90,7 +91,116 @@ describe("Security Policy computeSignature, verifySignature", function () {
 
     });
 
+    it("should compute and verify a RSA-SHA256 signature with Basic256Sha256", function () {
 
+        var signatureData = securityPolicy_m.computeSignature(senderCertificate, senderNonce, receiverPrivateKey, SecurityPolicy.Basic256Sha256);
+        signatureData.algorithm.should.eql("http://www.w3.org/2001/04/xmldsig-more#rsa-sha256");
+
+        var bIsOk = securityPolicy_m.verifySignature(senderCertificate, senderNonce, signatureData, receiverCertificate, SecurityPolicy.Basic256Sha256);
+        bIsOk.should.be.eql(true);
+
+        // a RSA-SHA256 signature is not a valid RSA-SHA1 signature
+        bIsOk = securityPolicy_m.verifySignature(senderCertificate, senderNonce, signatureData, receiverCertificate, SecurityPolicy.Basic256);
+        bIsOk.should.be.eql(false);
+    });
+
+});
+
+describe("Security Policy Aes128_Sha256_RsaOaep and Aes256_Sha256_RsaPss", function () {
+
+    var crypto_utils = require("lib/misc/crypto_utils");
+    var path = require("path");
+    var crypto = require("crypto");
+
+    var certificate = crypto_utils.readCertificate(path.join(__dirname, "../../certificates/server_cert_2048.pem"));
+    var privateKey = crypto_utils.read_private_rsa_key(path.join(__dirname, "../../certificates/server_key_2048.pem"));
+    var publicKey = crypto_utils.extractPublicKeyFromCertificateSync(certificate);
+    var nonce = crypto.randomBytes(32);
+
+    it("should convert the security policy uris to enum values", function () {
+        securityPolicy_m.fromURI("http://opcfoundation.org/UA/SecurityPolicy#Aes128_Sha256_RsaOaep").should.equal(SecurityPolicy.Aes128_Sha256_RsaOaep);
+        securityPolicy_m.fromURI("http://opcfoundation.org/UA/SecurityPolicy#Aes256_Sha256_RsaPss").should.equal(SecurityPolicy.Aes256_Sha256_RsaPss);
+    });
+
+    [
+        {
+            securityPolicy: SecurityPolicy.Aes128_Sha256_RsaOaep,
+            signatureAlgorithm: "http://www.w3.org/2001/04/xmldsig-more#rsa-sha256",
+            encryptionAlgorithm: "http://www.w3.org/2001/04/xmlenc#rsa-oaep",
+            encryptingKeyLength: 16
+        },
+        {
+            securityPolicy: SecurityPolicy.Aes256_Sha256_RsaPss,
+            signatureAlgorithm: "http://opcfoundation.org/UA/security/rsa-pss-sha2-256",
+            encryptionAlgorithm: "http://opcfoundation.org/UA/security/rsa-oaep-sha2-256",
+            encryptingKeyLength: 32
+        }
+    ].forEach(function (param) {
+
+        var securityPolicy = param.securityPolicy;
+
+        it(securityPolicy.key + " should compute and verify a signature", function () {
+
+            var signatureData = securityPolicy_m.computeSignature(certificate, nonce, privateKey, securityPolicy);
+            signatureData.algorithm.should.eql(param.signatureAlgorithm);
+            signatureData.signature.length.should.eql(256);
+
+            securityPolicy_m.verifySignature(certificate, nonce, signatureData, certificate, securityPolicy).should.eql(true);
+
+            signatureData.signature.writeUInt8((signatureData.signature.readUInt8(10) + 10) % 256, 10);
+            securityPolicy_m.verifySignature(certificate, nonce, signatureData, certificate, securityPolicy).should.eql(false);
+        });
+
+        it(securityPolicy.key + " should encrypt and decrypt with the asymmetric encryption algorithm", function () {
+
+            var cryptoFactory = securityPolicy_m.getCryptoFactory(securityPolicy);
+            cryptoFactory.asymmetricEncryptionAlgorithm.should.eql(param.encryptionAlgorithm);
+
+            var message = Buffer.concat([new Buffer("p@ssw0rd"), nonce]);
+            var encrypted = cryptoFactory.asymmetricEncrypt(message, publicKey);
+            encrypted.length.should.eql(256);
+            cryptoFactory.asymmetricDecrypt(encrypted, privateKey).toString("hex").should.eql(message.toString("hex"));
+        });
+
+        it(securityPolicy.key + " should derive HMAC-SHA256 keys with P_SHA256", function () {
+
+            var cryptoFactory = securityPolicy_m.getCryptoFactory(securityPolicy);
+            var derivedKeys = cryptoFactory.compute_derived_keys(crypto.randomBytes(32), crypto.randomBytes(32));
+
+            derivedKeys.derivedServerKeys.signingKey.length.should.eql(32);
+            derivedKeys.derivedServerKeys.encryptingKey.length.should.eql(param.encryptingKeyLength);
+            derivedKeys.derivedServerKeys.sha1or256.should.eql("SHA256");
+            crypto_utils.makeMessageChunkSignatureWithDerivedKeys(nonce, derivedKeys.derivedServerKeys).length.should.eql(32);
+        });
+    });
+});
+
+describe("Security Policy Basic256Sha256 crypto factory", function () {
+
+    it("should provide a crypto factory for Basic256Sha256", function () {
+
+        var cryptoFactory = securityPolicy_m.getCryptoFactory(SecurityPolicy.Basic256Sha256);
+        cryptoFactory.securityPolicy.should.equal(SecurityPolicy.Basic256Sha256);
+        cryptoFactory.signatureLength.should.eql(32);
+        cryptoFactory.symmetricEncryptionAlgorithm.should.eql("aes-256-cbc");
+        cryptoFactory.asymmetricEncryptionAlgorithm.should.eql("http://www.w3.org/2001/04/xmlenc#rsa-oaep");
+    });
+
+    it("should derive HMAC-SHA256 keys with P_SHA256", function () {
+
+        var crypto = require("crypto");
+        var cryptoFactory = securityPolicy_m.getCryptoFactory(SecurityPolicy.Basic256Sha256);
+        var derivedKeys = cryptoFactory.compute_derived_keys(crypto.randomBytes(32), crypto.randomBytes(32));
+
+        derivedKeys.derivedClientKeys.signingKey.length.should.eql(32);
+        derivedKeys.derivedClientKeys.encryptingKey.length.should.eql(32);
+        derivedKeys.derivedClientKeys.initializationVector.length.should.eql(16);
+        derivedKeys.derivedClientKeys.sha1or256.should.eql("SHA256");
+
+        var options = securityPolicy_m.getOptionsForSymmetricSignAndEncrypt(MessageSecurityMode.SIGN, derivedKeys.derivedClientKeys);
+        options.signatureLength.should.eql(32);
+        options.signingFunc(new Buffer("Hello World")).length.should.eql(32);
+    });
 });
 
 
@@ -194,6 +194,34 @@ if (!crypto_utils.isFullySupported()) {
 
         });
 
+        it("should connect to a server using username/password authentication and valid credentials - secure connection - Basic256Sha256", function (done) {
+
+            var options = {
+                securityMode: opcua.MessageSecurityMode.SIGNANDENCRYPT,
+                securityPolicy: opcua.SecurityPolicy.Basic256Sha256
+            };
+            var userIdentity = {
+                userName: "username",
+                password: "p@ssw0rd"
+            };
+            perform_simple_connection(endpointUrl, options, userIdentity, done);
+
+        });
+
+        it("should connect to a server using username/password authentication and valid credentials - secure connection - Aes256_Sha256_RsaPss", function (done) {
+
+            var options = {
+                securityMode: opcua.MessageSecurityMode.SIGNANDENCRYPT,
+                securityPolicy: opcua.SecurityPolicy.Aes256_Sha256_RsaPss
+            };
+            var userIdentity = {
+                userName: "username",
+                password: "p@ssw0rd"
+            };
+            perform_simple_connection(endpointUrl, options, userIdentity, done);
+
+        });
+
         it("#158 should connect to a server using LOCALHOST url & username/password authentication and valid credentials - secure connection  - 128 bits", function (done) {
 
             var userName = "username";
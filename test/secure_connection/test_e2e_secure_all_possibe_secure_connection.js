@@ -337,6 +337,30 @@ function perform_collection_of_test_with_client_configuration(message, options)
         common_test("Basic256", "SIGNANDENCRYPT", options, done);
     });
 
+    it('should succeed with Basic256Sha256 with Sign ' + message, function (done) {
+        common_test("Basic256Sha256", "SIGN", options, done);
+    });
+
+    it('should succeed with Basic256Sha256 with SignAndEncrypt ' + message, function (done) {
+        common_test("Basic256Sha256", "SIGNANDENCRYPT", options, done);
+    });
+
+    it('should succeed with Aes128_Sha256_RsaOaep with Sign ' + message, function (done) {
+        common_test("Aes128_Sha256_RsaOaep", "SIGN", options, done);
+    });
+
+    it('should succeed with Aes128_Sha256_RsaOaep with SignAndEncrypt ' + message, function (done) {
+        common_test("Aes128_Sha256_RsaOaep", "SIGNANDENCRYPT", options, done);
+    });
+
+    it('should succeed with Aes256_Sha256_RsaPss with Sign ' + message, function (done) {
+        common_test("Aes256_Sha256_RsaPss", "SIGN", options, done);
+    });
+
+    it('should succeed with Aes256_Sha256_RsaPss with SignAndEncrypt ' + message, function (done) {
+        common_test("Aes256_Sha256_RsaPss", "SIGNANDENCRYPT", options, done);
+    });
+
     it('should fail with Basic256Rsa15 with Sign ' + message, function (done) {
         check_open_secure_channel_fails("Basic256Rsa15", "SIGN", options, done);
     });
@@ -0,0 +1,175 @@
+require("requirish")._(module);
+
+var should = require("should");
+var async = require("async");
+var path = require("path");
+var fs = require("fs");
+var os = require("os");
+var del = require("del");
+
+var opcua = require("index");
+
+var OPCUAServer = opcua.OPCUAServer;
+var OPCUAClient = opcua.OPCUAClient;
+var CertificateManager = opcua.CertificateManager;
+
+var port = 2000;
+
+var empty_nodeset_filename = path.join(__dirname, "../fixtures/fixture_empty_nodeset2.xml");
+
+var crypto_utils = require("lib/misc/crypto_utils");
+if (!crypto_utils.isFullySupported()) {
+    console.log(" SKIPPING TESTS ON SECURE CONNECTION because crypto, please check your installation".red.bold);
+} else {
+    describe("testing the verification of the certificates with a CertificateManager", function () {
+
+        this.timeout(Math.max(this._timeout, 20000));
+
+        var serverPKI = path.join(os.tmpdir(), "node-opcua-test-server-pki-" + process.pid);
+        var clientPKI = path.join(os.tmpdir(), "node-opcua-test-client-pki-" + process.pid);
+
+        var server, serverCertificate, endpointUrl;
+
+        var clientCertificate = crypto_utils.readCertificate(path.join(__dirname, "../../certificates/client_selfsigned_cert_1024.pem"));
+
+        var options = {
+            securityMode: opcua.MessageSecurityMode.SIGNANDENCRYPT,
+            securityPolicy: opcua.SecurityPolicy.Basic256
+        };
+
+        before(function (done) {
+            del.sync([serverPKI, clientPKI], {force: true});
+            server = new OPCUAServer({
+                port: port,
+                nodeset_filename: empty_nodeset_filename,
+                certificateManager: new CertificateManager({location: serverPKI})
+            });
+            serverCertificate = server.getCertificate();
+            options.serverCertificate = serverCertificate;
+            server.start(function (err) {
+                endpointUrl = server.endpoints[0].endpointDescriptions()[0].endpointUrl;
+                done(err);
+            });
+        });
+
+        after(function (done) {
+            server.shutdown(function (err) {
+                del.sync([serverPKI, clientPKI], {force: true});
+                done(err);
+            });
+        });
+
+        function connect_and_create_session(client, callback) {
+            async.series([
+                function (callback) {
+                    client.connect(endpointUrl, callback);
+                },
+                function (callback) {
+                    client.createSession(callback);
+                },
+                function (callback) {
+                    client.disconnect(callback);
+                }
+            ], callback);
+        }
+
+        it("the server shall reject a client whose certificate is not trusted", function (done) {
+
+            var client = new OPCUAClient(options);
+            connect_and_create_session(client, function (err) {
+                should(err).not.eql(null);
+                err.message.should.match(/BadCertificateUntrusted/);
+                server.certificateManager.getCertificateStatus(clientCertificate, function (err, status) {
+                    status.should.eql("rejected");
+                    done(err);
+                });
+            });
+        });
+
+        it("the server shall accept a client whose certificate has been trusted", function (done) {
+
+            server.certificateManager.trustCertificate(clientCertificate, function (err) {
+                if (err) {
+                    return done(err);
+                }
+                var client = new OPCUAClient(options);
+                connect_and_create_session(client, done);
+            });
+        });
+
+        it("the server shall reject a client with BadInternalError when its certificate manager fails", function (done) {
+
+            var checkCertificate = server.certificateManager.checkCertificate;
+            server.certificateManager.checkCertificate = function (certificate, callback) {
+                callback(new Error("cannot read the trust list"));
+            };
+            var client = new OPCUAClient(options);
+            client.connect(endpointUrl, function (err) {
+                server.certificateManager.checkCertificate = checkCertificate;
+                should(err).not.eql(null);
+                err.message.should.match(/BadInternalError/);
+                done();
+            });
+        });
+
+        it("the client shall reject a server whose certificate is not trusted", function (done) {
+
+            var certificateManager = new CertificateManager({location: clientPKI});
+            var client = new OPCUAClient({
+                securityMode: options.securityMode,
+                securityPolicy: options.securityPolicy,
+                serverCertificate: serverCertificate,
+                certificateManager: certificateManager
+            });
+            client.connect(endpointUrl, function (err) {
+                should(err).not.eql(null);
+                err.message.should.match(/BadCertificateUntrusted/);
+
+                certificateManager.trustCertificate(serverCertificate, function (err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    var initialize = certificateManager.initialize;
+                    var initializeCount = 0;
+                    certificateManager.initialize = function (callback) {
+                        initializeCount += 1;
+                        initialize.call(certificateManager, callback);
+                    };
+                    connect_and_create_session(client, function (err) {
+                        certificateManager.initialize = initialize;
+                        // the certificate manager has already been initialized by the first connection
+                        initializeCount.should.eql(0);
+                        done(err);
+                    });
+                });
+            });
+        });
+
+        it("the server shall reject a client whose certificate has been revoked by its CA", function (done) {
+
+            var caCertificate = crypto_utils.readCertificate(path.join(__dirname, "../../certificates/PKI/CA/public/cacert.pem"));
+            var revocationList = fs.readFileSync(path.join(__dirname, "../../certificates/PKI/CA/crl/revocation_list.der"));
+
+            async.series([
+                server.certificateManager.trustCertificate.bind(server.certificateManager, caCertificate),
+                server.certificateManager.addRevocationList.bind(server.certificateManager, revocationList)
+            ], function (err) {
+                if (err) {
+                    return done(err);
+                }
+                var client = new OPCUAClient({
+                    securityMode: options.securityMode,
+                    securityPolicy: options.securityPolicy,
+                    serverCertificate: serverCertificate,
+                    certificateFile: path.join(__dirname, "../../certificates/client_cert_1024_revoked.pem"),
+                    privateKeyFile: path.join(__dirname, "../../certificates/client_key_1024.pem")
+                });
+                client.connect(endpointUrl, function (err) {
+                    should(err).not.eql(null);
+                    err.message.should.match(/BadCertificateRevoked/);
+                    done();
+                });
+            });
+        });
+    });
+}
@@ -84,5 +84,24 @@ describe("ContinuationPointManager", function () {
 
     });
 
+    it("should only accept a continuation point in the service that has created it", function () {
 
+        var cpm = new ContinuationPointManager();
+
+        var results = cpm.register(2, [1, 2, 3, 4, 5, 6], "Browse");
+        var continuationPoint = results.continuationPoint;
+
+        cpm.getNext(continuationPoint, "Query").statusCode.should.eql(StatusCodes.BadContinuationPointInvalid);
+        cpm.cancel(continuationPoint, "HistoryRead").statusCode.should.eql(StatusCodes.BadContinuationPointInvalid);
+
+        results = cpm.getNext(continuationPoint, "Browse");
+        results.statusCode.should.eql(StatusCodes.Good);
+        results.references.should.eql([3, 4]);
+
+        var stateContinuationPoint = cpm.registerState({position: 10}, "HistoryRead");
+        should(cpm.releaseState(stateContinuationPoint, "Query")).eql(null);
+        cpm.releaseState(stateContinuationPoint, "HistoryRead").should.eql({position: 10});
+
+        cpm.cancel(continuationPoint, "Browse").statusCode.should.eql(StatusCodes.Good);
+    });
 });
@@ -0,0 +1,166 @@
+"use strict";
+/*global require,describe,it,before,after,beforeEach,afterEach*/
+require("requirish")._(module);
+var should = require("should");
+
+var OPCUAServer = require("lib/server/opcua_server").OPCUAServer;
+var server_engine = require("lib/server/server_engine");
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+var DataType = require("lib/datamodel/variant").DataType;
+var AttributeIds = require("lib/datamodel/attributeIds").AttributeIds;
+var WriteRequest = require("lib/services/write_service").WriteRequest;
+var CallRequest = require("lib/services/call_service").CallRequest;
+var OpenSecureChannelRequest = require("lib/services/secure_channel_service").OpenSecureChannelRequest;
+var UserNameIdentityToken = require("lib/services/session_service").UserNameIdentityToken;
+
+var resourceLeakDetector = require("test/helpers/resource_leak_detector").resourceLeakDetector;
+
+describe("OPCUAServer - AuditEvents", function () {
+
+    this.timeout(Math.max(this._timeout, 20000));
+
+    var server, session, setpoint, events;
+
+    // a fake channel that records the responses sent by the server
+    var channel = {
+        secureChannelId: 42,
+        clientCertificate: null,
+        send_response: function (msgType, response) {
+            channel.responses.push(response);
+        },
+        responses: []
+    };
+
+    before(function (done) {
+        resourceLeakDetector.start();
+        server = new OPCUAServer({port: 2018, nodeset_filename: [server_engine.standard_nodeset_file]});
+        server.start(function (err) {
+            if (err) {
+                return done(err);
+            }
+            setpoint = server.engine.addressSpace.addVariable({
+                organizedBy: server.engine.addressSpace.rootFolder.objects,
+                browseName: "Setpoint",
+                dataType: "Double",
+                value: {dataType: DataType.Double, value: 10}
+            });
+            session = server.createSession();
+            session.sessionName = "AuditSession";
+            session.status = "active";
+            session.userIdentityToken = new UserNameIdentityToken({userName: "joe"});
+
+            server.engine.addressSpace.findNode("Server").on("event", function (eventData) {
+                events.push(eventData);
+            });
+            done();
+        });
+    });
+    after(function (done) {
+        server.shutdown(function () {
+            server = null;
+            resourceLeakDetector.stop();
+            done();
+        });
+    });
+
+    beforeEach(function () {
+        events = [];
+        server.engine.isAuditing = true;
+    });
+    afterEach(function () {
+        server.engine.isAuditing = false;
+    });
+
+    function eventTypeName(eventData) {
+        return eventData.$eventType.browseName.toString();
+    }
+
+    function writeRequest() {
+        return new WriteRequest({
+            requestHeader: {auditEntryId: "write-1234"},
+            nodesToWrite: [{
+                nodeId: setpoint.nodeId,
+                attributeId: AttributeIds.Value,
+                value: {value: {dataType: DataType.Double, value: 20}}
+            }]
+        });
+    }
+
+    it("should raise a AuditWriteUpdateEvent for each node written", function () {
+
+        server._on_WriteRequest({request: writeRequest(), session: session}, channel);
+
+        events.length.should.eql(1);
+        var eventData = events[0];
+        eventTypeName(eventData).should.eql("AuditWriteUpdateEventType");
+        eventData.sourceName.value.should.eql("Attribute/Write");
+        eventData.sourceNode.value.should.eql(setpoint.nodeId);
+        eventData.clientAuditEntryId.value.should.eql("write-1234");
+        eventData.clientUserId.value.should.eql("joe");
+        eventData.status.value.should.eql(true);
+        eventData.attributeId.value.should.eql(AttributeIds.Value);
+        eventData.oldValue.value.should.eql(10);
+        eventData.newValue.value.should.eql(20);
+    });
+
+    it("should not raise any AuditEvent if the server is not auditing", function () {
+
+        server.engine.isAuditing = false;
+        server.engine.addressSpace.findNode("Server_Auditing").readValue().value.value.should.eql(false);
+        server._on_WriteRequest({request: writeRequest(), session: session}, channel);
+        events.length.should.eql(0);
+    });
+
+    it("should raise a AuditUpdateMethodEvent for each method called, with the status of the call", function () {
+
+        var request = new CallRequest({
+            requestHeader: {auditEntryId: "call-1234"},
+            methodsToCall: [{
+                objectId: "ns=0;i=2253", // Server
+                methodId: "ns=0;i=11492", // GetMonitoredItems
+                inputArguments: [{dataType: DataType.UInt32, value: 1234}]
+            }]
+        });
+        server._on_CallRequest({request: request, session: session, session_statusCode: StatusCodes.Good}, channel);
+
+        events.length.should.eql(1);
+        var eventData = events[0];
+        eventTypeName(eventData).should.eql("AuditUpdateMethodEventType");
+        eventData.sourceName.value.should.eql("Method/Call");
+        eventData.clientAuditEntryId.value.should.eql("call-1234");
+        eventData.methodId.value.toString().should.eql("ns=0;i=11492");
+        eventData.inputArguments.value[0].value.should.eql(1234);
+        // there is no subscription 1234
+        eventData.status.value.should.eql(false);
+        eventData.message.value.text.should.match(/BadSubscriptionIdInvalid/);
+    });
+
+    it("should raise a AuditOpenSecureChannelEvent when a channel is opened on a end point", function () {
+
+        var request = new OpenSecureChannelRequest({
+            requestHeader: {auditEntryId: "channel-1234"},
+            requestedLifetime: 60000
+        });
+        server.endpoints[0].emit("open_secure_channel", request, StatusCodes.Good, channel);
+
+        events.length.should.eql(1);
+        var eventData = events[0];
+        eventTypeName(eventData).should.eql("AuditOpenSecureChannelEventType");
+        eventData.sourceName.value.should.eql("SecureChannel/OpenSecureChannel");
+        eventData.secureChannelId.value.should.eql("42");
+        eventData.clientAuditEntryId.value.should.eql("channel-1234");
+        eventData.requestedLifetime.value.should.eql(60000);
+    });
+
+    it("should raise a AuditCertificateEvent when the certificate of a client is rejected", function () {
+
+        var certificate = new Buffer("a certificate");
+        server.endpoints[0].emit("certificate_rejected", certificate, StatusCodes.BadCertificateTimeInvalid, channel);
+
+        events.length.should.eql(1);
+        eventTypeName(events[0]).should.eql("AuditCertificateExpiredEventType");
+        events[0].sourceName.value.should.eql("Security/Certificate");
+        events[0].certificate.value.should.eql(certificate);
+        events[0].status.value.should.eql(false);
+    });
+});
@@ -2169,6 +2169,20 @@ describe("ServerEngine ServerStatus & ServerCapabilities",function() {
         done();
     });
 
+    it("ServerEngine#ServerCapabilities should expose the supported aggregate functions", function () {
+
+        var addressSpace = engine.addressSpace;
+        [ObjectIds.Server_ServerCapabilities_AggregateFunctions, ObjectIds.HistoryServerCapabilities_AggregateFunctions]
+            .forEach(function (folderId) {
+                var browseNames = addressSpace.findNode(makeNodeId(folderId)).getFolderElements().map(function (node) {
+                    return node.browseName.toString();
+                });
+                browseNames.should.containEql("Average");
+                browseNames.should.containEql("Interpolative");
+                browseNames.should.containEql("PercentBad");
+            });
+    });
+
     it("ServerEngine#ServerStatus should expose currentTime",function(done) {
 
         var currentTimeId = makeNodeId(VariableIds.Server_ServerStatus_CurrentTime); // ns=0;i=2258
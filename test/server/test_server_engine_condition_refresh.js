@@ -0,0 +1,219 @@
+/*global require,describe,it,before,after,beforeEach,afterEach*/
+"use strict";
+require("requirish")._(module);
+var should = require("should");
+
+var server_engine = require("lib/server/server_engine");
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+var DataType = require("lib/datamodel/variant").DataType;
+var NodeClass = require("lib/datamodel/nodeclass").NodeClass;
+var AttributeIds = require("lib/datamodel/attributeIds").AttributeIds;
+var EventNotifierFlags = require("lib/datamodel/event_notifier").EventNotifierFlags;
+var TimestampsToReturn = require("lib/services/read_service").TimestampsToReturn;
+var constructEventFilter = require("lib/tools/tools_event_filter").constructEventFilter;
+
+var subscription_service = require("lib/services/subscription_service");
+var MonitoredItemCreateRequest = subscription_service.MonitoredItemCreateRequest;
+
+var resourceLeakDetector = require("test/helpers/resource_leak_detector").resourceLeakDetector;
+
+describe("ServerEngine - ConditionRefresh and ConditionRefresh2", function () {
+
+    this.timeout(Math.max(this._timeout, 20000));
+
+    var engine, addressSpace, session, subscription, area, otherArea;
+    var conditionType, activeAlarm, otherAlarm;
+
+    before(function (done) {
+        resourceLeakDetector.start();
+        engine = new server_engine.ServerEngine();
+        engine.initialize({nodeset_filename: server_engine.standard_nodeset_file}, function () {
+
+            addressSpace = engine.addressSpace;
+            conditionType = addressSpace.findEventType("ConditionType");
+
+            area = addressSpace.createNode({
+                nodeClass: NodeClass.Object,
+                browseName: "Area",
+                organisedBy: "Objects",
+                eventNotifier: EventNotifierFlags.SubscribeToEvents.value
+            });
+            otherArea = addressSpace.createNode({
+                nodeClass: NodeClass.Object,
+                browseName: "OtherArea",
+                organisedBy: "Objects",
+                eventNotifier: EventNotifierFlags.SubscribeToEvents.value
+            });
+
+            function createAlarm(browseName, source) {
+                return addressSpace.instantiateCondition("AlarmConditionType", {
+                    browseName: browseName,
+                    componentOf: source,
+                    conditionSource: source
+                });
+            }
+
+            activeAlarm = createAlarm("ActiveAlarm", area);
+            activeAlarm.activateAlarm({message: "ActiveAlarm is active", severity: 500});
+
+            // a alarm that has returned to normal and that has been acknowledged is not retained
+            var normalAlarm = createAlarm("NormalAlarm", area);
+            normalAlarm.activateAlarm({message: "NormalAlarm is active", severity: 500});
+            normalAlarm.deactivateAlarm({message: "NormalAlarm is back to normal"});
+            normalAlarm._acknowledge(normalAlarm.currentBranch().getValue("EventId"), "ok");
+
+            otherAlarm = createAlarm("OtherAlarm", otherArea);
+            otherAlarm.activateAlarm({message: "OtherAlarm is active", severity: 500});
+
+            session = engine.createSession();
+            subscription = session.createSubscription({
+                requestedPublishingInterval: 1000,
+                requestedLifetimeCount: 10,
+                requestedMaxKeepAliveCount: 10,
+                maxNotificationsPerPublish: 10,
+                publishingEnabled: true,
+                priority: 14
+            });
+            subscription.on("monitoredItem", function (monitoredItem) {
+                // event monitored items are not sampled
+                monitoredItem.samplingFunc = function () {
+                };
+            });
+            done();
+        });
+    });
+    after(function () {
+        engine.shutdown();
+        engine = null;
+        resourceLeakDetector.stop();
+    });
+
+    var monitoredItems = [];
+
+    function monitorEvents(notifier) {
+        var result = subscription.createMonitoredItem(addressSpace, TimestampsToReturn.Both, new MonitoredItemCreateRequest({
+            itemToMonitor: {nodeId: notifier.nodeId, attributeId: AttributeIds.EventNotifier},
+            monitoringMode: subscription_service.MonitoringMode.Reporting,
+            requestedParameters: {queueSize: 100, samplingInterval: 0, filter: constructEventFilter(["EventType", "Message"])}
+        }));
+        result.statusCode.should.eql(StatusCodes.Good);
+        var monitoredItem = subscription.getMonitoredItem(result.monitoredItemId);
+        monitoredItems.push(monitoredItem);
+        return monitoredItem;
+    }
+
+    afterEach(function () {
+        monitoredItems.forEach(function (monitoredItem) {
+            subscription.removeMonitoredItem(monitoredItem.monitoredItemId);
+        });
+        monitoredItems = [];
+    });
+
+    function receivedEvents(monitoredItem) {
+        return monitoredItem.queue.map(function (eventFieldList) {
+            var eventType = addressSpace.findNode(eventFieldList.eventFields[0].value);
+            var message = eventFieldList.eventFields[1].value;
+            return eventType.browseName.toString() + (message && message.text ? ":" + message.text : "");
+        });
+    }
+
+    function callMethod(name, inputArguments, callback) {
+        var method = conditionType.getComponentByName(name);
+        method.execute(inputArguments, {session: session, object: conditionType}, function (err, callMethodResponse) {
+            callback(err, callMethodResponse && callMethodResponse.statusCode);
+        });
+    }
+
+    it("should send the retained conditions between a RefreshStartEvent and a RefreshEndEvent", function (done) {
+
+        var areaItem = monitorEvents(area);
+        var serverItem = monitorEvents(addressSpace.findNode("Server"));
+
+        callMethod("ConditionRefresh", [{dataType: DataType.UInt32, value: subscription.id}], function (err, statusCode) {
+            statusCode.should.eql(StatusCodes.Good);
+            receivedEvents(areaItem).should.eql([
+                "RefreshStartEventType",
+                "AlarmConditionType:ActiveAlarm is active",
+                "RefreshEndEventType"
+            ]);
+            receivedEvents(serverItem).length.should.eql(4);
+            receivedEvents(serverItem).should.containEql("AlarmConditionType:OtherAlarm is active");
+            done(err);
+        });
+    });
+
+    it("should refresh the retained branches of a condition", function (done) {
+
+        var areaItem = monitorEvents(area);
+        // the alarm returns to normal and becomes active again before being acknowledged
+        activeAlarm.deactivateAlarm({message: "ActiveAlarm is back to normal"});
+        activeAlarm.activateAlarm({message: "ActiveAlarm is active again"});
+        activeAlarm.getBranches().length.should.eql(1);
+        areaItem.queue.length = 0;
+
+        callMethod("ConditionRefresh", [{dataType: DataType.UInt32, value: subscription.id}], function (err, statusCode) {
+            statusCode.should.eql(StatusCodes.Good);
+            receivedEvents(areaItem).should.eql([
+                "RefreshStartEventType",
+                "AlarmConditionType:ActiveAlarm is active again",
+                "AlarmConditionType:ActiveAlarm is back to normal",
+                "RefreshEndEventType"
+            ]);
+            done(err);
+        });
+    });
+
+    it("should only refresh the given monitored item with ConditionRefresh2", function (done) {
+
+        var areaItem = monitorEvents(area);
+        var otherAreaItem = monitorEvents(otherArea);
+
+        callMethod("ConditionRefresh2", [
+            {dataType: DataType.UInt32, value: subscription.id},
+            {dataType: DataType.UInt32, value: otherAreaItem.monitoredItemId}
+        ], function (err, statusCode) {
+            statusCode.should.eql(StatusCodes.Good);
+            receivedEvents(areaItem).length.should.eql(0);
+            receivedEvents(otherAreaItem).should.eql([
+                "RefreshStartEventType",
+                "AlarmConditionType:OtherAlarm is active",
+                "RefreshEndEventType"
+            ]);
+            done(err);
+        });
+    });
+
+    it("should notify the localized message of a condition in the locale of the session", function (done) {
+
+        otherAlarm.setMessageTemplates({
+            "en": "{ConditionName} is active",
+            "fr": "{ConditionName} est active"
+        });
+        otherAlarm.activateAlarm({severity: 600});
+        session.localeIds = ["fr-FR", "en-US"];
+
+        var otherAreaItem = monitorEvents(otherArea);
+        callMethod("ConditionRefresh", [{dataType: DataType.UInt32, value: subscription.id}], function (err, statusCode) {
+            session.localeIds = [];
+            otherAlarm.setMessageTemplates(null);
+            statusCode.should.eql(StatusCodes.Good);
+            receivedEvents(otherAreaItem).should.containEql("AlarmConditionType:OtherAlarm est active");
+            done(err);
+        });
+    });
+
+    it("should return BadSubscriptionIdInvalid or BadMonitoredItemIdInvalid for unknown ids", function (done) {
+
+        callMethod("ConditionRefresh", [{dataType: DataType.UInt32, value: 1234}], function (err, statusCode) {
+            statusCode.should.eql(StatusCodes.BadSubscriptionIdInvalid);
+
+            callMethod("ConditionRefresh2", [
+                {dataType: DataType.UInt32, value: subscription.id},
+                {dataType: DataType.UInt32, value: 1234}
+            ], function (err, statusCode) {
+                statusCode.should.eql(StatusCodes.BadMonitoredItemIdInvalid);
+                done(err);
+            });
+        });
+    });
+});
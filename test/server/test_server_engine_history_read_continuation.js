@@ -0,0 +1,213 @@
+require("requirish")._(module);
+var should = require("should");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var async = require("async");
+
+var server_engine = require("lib/server/server_engine");
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+var DataType = require("lib/datamodel/variant").DataType;
+var FileHistoryStorage = require("lib/address_space/history_storage_file").FileHistoryStorage;
+var ContinuationPointManager = require("lib/server/continuation_point_manager").ContinuationPointManager;
+
+var historizing_service = require("lib/services/historizing_service");
+var HistoryReadRequest = historizing_service.HistoryReadRequest;
+var ReadRawModifiedDetails = historizing_service.ReadRawModifiedDetails;
+
+var resourceLeakDetector = require("test/helpers/resource_leak_detector").resourceLeakDetector;
+
+describe("Testing the server engine - HistoryRead with continuation points", function () {
+
+    var engine, node;
+
+    // a fake session
+    var session = {continuationPointManager: new ContinuationPointManager()};
+
+    beforeEach(function (done) {
+        resourceLeakDetector.start();
+        engine = new server_engine.ServerEngine();
+        engine.initialize({nodeset_filename: server_engine.mini_nodeset_filename}, function () {
+            var addressSpace = engine.addressSpace;
+            node = addressSpace.addVariable({
+                organizedBy: "ObjectsFolder",
+                browseName: "Temperature",
+                dataType: "Double"
+            });
+            addressSpace.installHistoricalDataNode(node);
+            for (var i = 0; i < 5; i++) {
+                node.historian.push({
+                    value: {dataType: DataType.Double, value: i},
+                    sourceTimestamp: new Date(Date.UTC(2016, 0, 1, 10, i))
+                });
+            }
+            done();
+        });
+    });
+    afterEach(function () {
+        engine.shutdown();
+        engine = null;
+        resourceLeakDetector.stop();
+    });
+
+    function makeRequest(continuationPoint, releaseContinuationPoints, nodeId) {
+        return new HistoryReadRequest({
+            historyReadDetails: new ReadRawModifiedDetails({
+                startTime: new Date(Date.UTC(2016, 0, 1, 10, 0)),
+                endTime: new Date(Date.UTC(2016, 0, 1, 11, 0)),
+                numValuesPerNode: 2
+            }),
+            releaseContinuationPoints: releaseContinuationPoints,
+            nodesToRead: [{nodeId: nodeId || node.nodeId, continuationPoint: continuationPoint}]
+        });
+    }
+
+    function valuesOf(result) {
+        return result.historyData.dataValues.map(function (dataValue) {
+            return dataValue.value.value;
+        });
+    }
+
+    it("should return numValuesPerNode values at a time with a continuation point", function (done) {
+
+        engine.historyRead(makeRequest(null), session, function (err, results) {
+            valuesOf(results[0]).should.eql([0, 1]);
+            should(results[0].continuationPoint).not.eql(null);
+
+            engine.historyRead(makeRequest(results[0].continuationPoint), session, function (err, results) {
+                valuesOf(results[0]).should.eql([2, 3]);
+                var continuationPoint = results[0].continuationPoint;
+
+                engine.historyRead(makeRequest(continuationPoint), session, function (err, results) {
+                    valuesOf(results[0]).should.eql([4]);
+                    should(results[0].continuationPoint).eql(null);
+
+                    // the continuation point has been consumed
+                    engine.historyRead(makeRequest(continuationPoint), session, function (err, results) {
+                        results[0].statusCode.should.eql(StatusCodes.BadContinuationPointInvalid);
+                        done(err);
+                    });
+                });
+            });
+        });
+    });
+
+    it("should release a continuation point when releaseContinuationPoints is true", function (done) {
+
+        engine.historyRead(makeRequest(null), session, function (err, results) {
+            var continuationPoint = results[0].continuationPoint;
+
+            engine.historyRead(makeRequest(continuationPoint, true), session, function (err, results) {
+                results[0].statusCode.should.eql(StatusCodes.Good);
+                should(results[0].historyData).eql(null);
+
+                engine.historyRead(makeRequest(continuationPoint), session, function (err, results) {
+                    results[0].statusCode.should.eql(StatusCodes.BadContinuationPointInvalid);
+                    done(err);
+                });
+            });
+        });
+    });
+
+    it("should only keep the position of the next values in the continuation point", function (done) {
+
+        engine.historyRead(makeRequest(null), session, function (err, results) {
+            var continuationPoint = results[0].continuationPoint;
+            var state = session.continuationPointManager._map[continuationPoint.toString("ascii")].state;
+            state.continuationPoint.should.be.instanceOf(Buffer);
+            should(state.remainingElements).eql(undefined);
+            engine.historyRead(makeRequest(continuationPoint, true), session, done);
+        });
+    });
+
+    it("should reject a continuation point used with another node", function (done) {
+
+        var otherNode = engine.addressSpace.addVariable({
+            organizedBy: "ObjectsFolder",
+            browseName: "OtherTemperature",
+            dataType: "Double"
+        });
+        engine.addressSpace.installHistoricalDataNode(otherNode);
+
+        engine.historyRead(makeRequest(null), session, function (err, results) {
+            engine.historyRead(makeRequest(results[0].continuationPoint, false, otherNode.nodeId), session, function (err, results) {
+                results[0].statusCode.should.eql(StatusCodes.BadContinuationPointInvalid);
+                done(err);
+            });
+        });
+    });
+
+    it("should reject the continuation points of the other services of the session", function (done) {
+
+        var cpm = session.continuationPointManager;
+        var browseContinuationPoint = cpm.register(1, ["ref1", "ref2"], "Browse").continuationPoint;
+
+        engine.historyRead(makeRequest(browseContinuationPoint), session, function (err, results) {
+            results[0].statusCode.should.eql(StatusCodes.BadContinuationPointInvalid);
+            // the continuation point is still usable by the Browse service
+            cpm.getNext(browseContinuationPoint, "Browse").references.should.eql(["ref2"]);
+
+            engine.historyRead(makeRequest(null), session, function (err, results) {
+                var continuationPoint = results[0].continuationPoint;
+                cpm.getNext(continuationPoint, "Browse").statusCode.should.eql(StatusCodes.BadContinuationPointInvalid);
+                cpm.cancel(continuationPoint, "Query").statusCode.should.eql(StatusCodes.BadContinuationPointInvalid);
+
+                engine.historyRead(makeRequest(continuationPoint), session, function (err, results) {
+                    valuesOf(results[0]).should.eql([2, 3]);
+                    engine.historyRead(makeRequest(results[0].continuationPoint, true), session, done);
+                });
+            });
+        });
+    });
+
+    it("should return BadInternalError for a node whose history storage fails", function (done) {
+
+        var storage = new FileHistoryStorage({filename: path.join(os.tmpdir(), "no-such-folder", "value.history")});
+        var failingNode = engine.addressSpace.addVariable({
+            organizedBy: "ObjectsFolder",
+            browseName: "FailingTemperature",
+            dataType: "Double"
+        });
+        engine.addressSpace.installHistoricalDataNode(failingNode, {storage: storage});
+
+        var request = makeRequest(null, false, failingNode.nodeId);
+        request.nodesToRead.push(new historizing_service.HistoryReadValueId({nodeId: node.nodeId}));
+        engine.historyRead(request, session, function (err, results) {
+            should(err).eql(null);
+            results[0].statusCode.should.eql(StatusCodes.BadInternalError);
+            // the other nodes are not affected
+            valuesOf(results[1]).should.eql([0, 1]);
+            engine.historyRead(makeRequest(results[1].continuationPoint, true), session, done);
+        });
+    });
+
+    it("should serve the values recorded in a FileHistoryStorage", function (done) {
+
+        var filename = path.join(os.tmpdir(), "node-opcua-test-engine-" + process.pid + ".history");
+        var storage = new FileHistoryStorage({filename: filename});
+        var fileNode = engine.addressSpace.addVariable({
+            organizedBy: "ObjectsFolder",
+            browseName: "Pressure",
+            dataType: "Double"
+        });
+        engine.addressSpace.installHistoricalDataNode(fileNode, {storage: storage});
+
+        async.eachSeries([0, 1, 2], function (i, callback) {
+            fileNode.historian.push({
+                value: {dataType: DataType.Double, value: i * 10},
+                sourceTimestamp: new Date(Date.UTC(2016, 0, 1, 10, i))
+            }, callback);
+        }, function () {
+            engine.historyRead(makeRequest(null, false, fileNode.nodeId), session, function (err, results) {
+                valuesOf(results[0]).should.eql([0, 10]);
+                engine.historyRead(makeRequest(results[0].continuationPoint, false, fileNode.nodeId), session, function (err, results) {
+                    valuesOf(results[0]).should.eql([20]);
+                    storage.close(function () {
+                        fs.unlinkSync(filename);
+                        done(err);
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,309 @@
+require("requirish")._(module);
+var should = require("should");
+
+var server_engine = require("lib/server/server_engine");
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+var DataType = require("lib/datamodel/variant").DataType;
+var NodeClass = require("lib/datamodel/nodeclass").NodeClass;
+var AttributeIds = require("lib/datamodel/attributeIds").AttributeIds;
+var EventNotifierFlags = require("lib/datamodel/event_notifier").EventNotifierFlags;
+var constructEventFilter = require("lib/tools/tools_event_filter").constructEventFilter;
+
+var subscription_service = require("lib/services/subscription_service");
+var FilterOperator = subscription_service.FilterOperator;
+var ContentFilter = subscription_service.ContentFilter;
+var LiteralOperand = subscription_service.LiteralOperand;
+var SimpleAttributeOperand = subscription_service.SimpleAttributeOperand;
+
+var historizing_service = require("lib/services/historizing_service");
+var HistoryReadRequest = historizing_service.HistoryReadRequest;
+var ReadEventDetails = historizing_service.ReadEventDetails;
+var ReadRawModifiedDetails = historizing_service.ReadRawModifiedDetails;
+var HistoryEvent = historizing_service.HistoryEvent;
+var HistoryUpdateRequest = historizing_service.HistoryUpdateRequest;
+var DeleteEventDetails = historizing_service.DeleteEventDetails;
+
+var ContinuationPointManager = require("lib/server/continuation_point_manager").ContinuationPointManager;
+
+var resourceLeakDetector = require("test/helpers/resource_leak_detector").resourceLeakDetector;
+
+describe("Testing the server engine - HistoryRead with ReadEventDetails", function () {
+
+    var engine, area, pump, silentArea;
+
+    function t(minute) {
+        return new Date(Date.UTC(2016, 0, 1, 10, minute));
+    }
+
+    before(function (done) {
+        resourceLeakDetector.start();
+        engine = new server_engine.ServerEngine();
+        engine.initialize({nodeset_filename: server_engine.mini_nodeset_filename}, function () {
+
+            var addressSpace = engine.addressSpace;
+            area = addressSpace.createNode({
+                nodeClass: NodeClass.Object,
+                browseName: "Area",
+                organisedBy: "Objects",
+                eventNotifier: EventNotifierFlags.SubscribeToEvents.value | EventNotifierFlags.HistoryRead.value
+            });
+            silentArea = addressSpace.createNode({
+                nodeClass: NodeClass.Object,
+                browseName: "SilentArea",
+                organisedBy: "Objects",
+                eventNotifier: EventNotifierFlags.SubscribeToEvents.value
+            });
+            pump = addressSpace.createNode({
+                nodeClass: NodeClass.Object,
+                browseName: "Pump",
+                componentOf: area,
+                eventSourceOf: area
+            });
+            pump.addReference({referenceType: "HasEventSource", isForward: false, nodeId: silentArea.nodeId});
+
+            for (var i = 0; i < 5; i++) {
+                pump.raiseEvent("BaseEventType", {
+                    time: {dataType: DataType.DateTime, value: t(i)},
+                    severity: {dataType: DataType.UInt16, value: 100 * (i + 1)},
+                    message: {dataType: DataType.LocalizedText, value: {text: "event" + i}}
+                });
+            }
+            // the event store is fed asynchronously
+            setImmediate(done);
+        });
+    });
+    after(function () {
+        engine.shutdown();
+        engine = null;
+        resourceLeakDetector.stop();
+    });
+
+    // a fake session, with the continuation point manager needed to read the events by blocks
+    var session = {continuationPointManager: new ContinuationPointManager()};
+
+    function historyRead(nodeId, details, callback) {
+        engine.historyRead(new HistoryReadRequest({
+            historyReadDetails: details,
+            nodesToRead: [{nodeId: nodeId}]
+        }), session, function (err, results) {
+            callback(err, results && results[0]);
+        });
+    }
+
+    function messagesOf(result) {
+        result.historyData.should.be.instanceOf(HistoryEvent);
+        return result.historyData.events.map(function (eventFieldList) {
+            return eventFieldList.eventFields[0].value.text;
+        });
+    }
+
+    function severityGreaterThan(value) {
+        return new ContentFilter({
+            elements: [{
+                filterOperator: FilterOperator.GreaterThan,
+                filterOperands: [
+                    new SimpleAttributeOperand({browsePath: [{name: "Severity"}], attributeId: AttributeIds.Value}),
+                    new LiteralOperand({value: {dataType: DataType.UInt16, value: value}})
+                ]
+            }]
+        });
+    }
+
+    it("should record the events raised on a notifier with the HistoryRead bit", function () {
+
+        area.isEventHistorian().should.eql(true);
+        area.getEventStore()._events.length.should.eql(5);
+        silentArea.isEventHistorian().should.eql(false);
+        should(silentArea.eventStore).eql(undefined);
+    });
+
+    it("should return the selected fields of the events recorded in [startTime,endTime[", function (done) {
+
+        historyRead(area.nodeId, new ReadEventDetails({
+            startTime: t(1),
+            endTime: t(4),
+            filter: constructEventFilter(["Message", "Severity", "SourceNode"])
+        }), function (err, result) {
+            result.statusCode.should.eql(StatusCodes.Good);
+            messagesOf(result).should.eql(["event1", "event2", "event3"]);
+            var eventFields = result.historyData.events[0].eventFields;
+            eventFields[1].value.should.eql(200);
+            eventFields[2].value.toString().should.eql(pump.nodeId.toString());
+            done(err);
+        });
+    });
+
+    it("should return the events in reverse order when endTime is before startTime", function (done) {
+
+        historyRead(area.nodeId, new ReadEventDetails({
+            startTime: t(3),
+            endTime: t(0),
+            filter: constructEventFilter(["Message"])
+        }), function (err, result) {
+            messagesOf(result).should.eql(["event3", "event2", "event1"]);
+            done(err);
+        });
+    });
+
+    it("should only return the events matching the where clause", function (done) {
+
+        var filter = constructEventFilter(["Message"]);
+        filter.whereClause = severityGreaterThan(250);
+        historyRead(area.nodeId, new ReadEventDetails({
+            startTime: t(0),
+            endTime: t(10),
+            filter: filter
+        }), function (err, result) {
+            messagesOf(result).should.eql(["event2", "event3", "event4"]);
+            done(err);
+        });
+    });
+
+    it("should return the events by blocks of numValuesPerNode with a continuation point", function (done) {
+
+        var details = new ReadEventDetails({
+            startTime: t(0),
+            numValuesPerNode: 3,
+            filter: constructEventFilter(["Message"])
+        });
+        historyRead(area.nodeId, details, function (err, result) {
+            messagesOf(result).should.eql(["event0", "event1", "event2"]);
+            result.continuationPoint.length.should.be.greaterThan(0);
+
+            engine.historyRead(new HistoryReadRequest({
+                historyReadDetails: details,
+                nodesToRead: [{nodeId: area.nodeId, continuationPoint: result.continuationPoint}]
+            }), session, function (err, results) {
+                messagesOf(results[0]).should.eql(["event3", "event4"]);
+                done(err);
+            });
+        });
+    });
+
+    it("should return GoodNoData when no event has been recorded in the interval", function (done) {
+
+        historyRead(area.nodeId, new ReadEventDetails({
+            startTime: t(20),
+            endTime: t(30),
+            filter: constructEventFilter(["Message"])
+        }), function (err, result) {
+            result.statusCode.should.eql(StatusCodes.GoodNoData);
+            result.historyData.events.length.should.eql(0);
+            done(err);
+        });
+    });
+
+    it("should return BadNotReadable on a notifier without the HistoryRead bit", function (done) {
+
+        historyRead(silentArea.nodeId, new ReadEventDetails({
+            startTime: t(0),
+            endTime: t(10),
+            filter: constructEventFilter(["Message"])
+        }), function (err, result) {
+            result.statusCode.should.eql(StatusCodes.BadNotReadable);
+            done(err);
+        });
+    });
+
+    it("should return BadEventFilterInvalid when the filter has no select clause or an invalid where clause", function (done) {
+
+        var filter = constructEventFilter(["Message"]);
+        filter.whereClause = severityGreaterThan(250);
+        filter.whereClause.elements[0].filterOperands.pop();
+
+        historyRead(area.nodeId, new ReadEventDetails({
+            startTime: t(0),
+            endTime: t(10),
+            filter: filter
+        }), function (err, result) {
+            result.statusCode.should.eql(StatusCodes.BadEventFilterInvalid);
+
+            historyRead(area.nodeId, new ReadEventDetails({
+                startTime: t(0),
+                endTime: t(10)
+            }), function (err, result) {
+                result.statusCode.should.eql(StatusCodes.BadEventFilterInvalid);
+                done(err);
+            });
+        });
+    });
+
+    it("should return BadInvalidTimestampArgument when only one of startTime and endTime is specified without numValuesPerNode", function (done) {
+
+        historyRead(area.nodeId, new ReadEventDetails({
+            startTime: t(0),
+            filter: constructEventFilter(["Message"])
+        }), function (err, result) {
+            result.statusCode.should.eql(StatusCodes.BadInvalidTimestampArgument);
+            done(err);
+        });
+    });
+
+    it("should return BadHistoryOperationUnsupported when reading raw values of an object", function (done) {
+
+        historyRead(area.nodeId, new ReadRawModifiedDetails({
+            startTime: t(0),
+            endTime: t(10)
+        }), function (err, result) {
+            result.statusCode.should.eql(StatusCodes.BadHistoryOperationUnsupported);
+            done(err);
+        });
+    });
+
+    function deleteEvents(nodeId, eventIds, callback) {
+        engine.historyUpdate(new HistoryUpdateRequest({
+            historyUpdateDetails: [new DeleteEventDetails({nodeId: nodeId, eventIds: eventIds})]
+        }), function (err, results) {
+            callback(err, results && results[0]);
+        });
+    }
+
+    it("should delete the recorded events with a DeleteEventDetails on a notifier with the HistoryWrite bit", function (done) {
+
+        var writableArea = engine.addressSpace.createNode({
+            nodeClass: NodeClass.Object,
+            browseName: "WritableArea",
+            organisedBy: "Objects",
+            eventNotifier: EventNotifierFlags.SubscribeToEvents.value | EventNotifierFlags.HistoryRead.value |
+            EventNotifierFlags.HistoryWrite.value
+        });
+        for (var i = 0; i < 3; i++) {
+            writableArea.raiseEvent("BaseEventType", {
+                time: {dataType: DataType.DateTime, value: t(i)},
+                message: {dataType: DataType.LocalizedText, value: {text: "event" + i}}
+            });
+        }
+        setImmediate(function () {
+
+            var eventIds = writableArea.getEventStore()._events.map(function (eventData) {
+                return eventData.eventId.value;
+            });
+            eventIds.length.should.eql(3);
+
+            deleteEvents(writableArea.nodeId, [eventIds[1], new Buffer("unknown event")], function (err, result) {
+                should(err).eql(null);
+                result.statusCode.should.eql(StatusCodes.Good);
+                result.operationResults.should.eql([StatusCodes.Good, StatusCodes.BadNoEntryExists]);
+
+                historyRead(writableArea.nodeId, new ReadEventDetails({
+                    startTime: t(0),
+                    endTime: t(10),
+                    filter: constructEventFilter(["Message"])
+                }), function (err, result) {
+                    messagesOf(result).should.eql(["event0", "event2"]);
+                    done(err);
+                });
+            });
+        });
+    });
+
+    it("should return BadNotWritable when deleting the events of a notifier without the HistoryWrite bit", function (done) {
+
+        var eventId = area.getEventStore()._events[0].eventId.value;
+        deleteEvents(area.nodeId, [eventId], function (err, result) {
+            result.statusCode.should.eql(StatusCodes.BadNotWritable);
+            area.getEventStore()._events.length.should.eql(5);
+            done(err);
+        });
+    });
+});
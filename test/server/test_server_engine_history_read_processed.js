@@ -0,0 +1,81 @@
+require("requirish")._(module);
+var should = require("should");
+
+var server_engine = require("lib/server/server_engine");
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+var DataType = require("lib/datamodel/variant").DataType;
+var makeNodeId = require("lib/datamodel/nodeid").makeNodeId;
+var ObjectIds = require("lib/opcua_node_ids").ObjectIds;
+
+var historizing_service = require("lib/services/historizing_service");
+var HistoryReadRequest = historizing_service.HistoryReadRequest;
+var ReadProcessedDetails = historizing_service.ReadProcessedDetails;
+
+var resourceLeakDetector = require("test/helpers/resource_leak_detector").resourceLeakDetector;
+
+describe("Testing the server engine - HistoryRead with ReadProcessedDetails", function () {
+
+    var engine, node;
+
+    before(function (done) {
+        resourceLeakDetector.start();
+        engine = new server_engine.ServerEngine();
+        engine.initialize({nodeset_filename: server_engine.mini_nodeset_filename}, function () {
+            node = engine.addressSpace.addVariable({
+                organizedBy: "ObjectsFolder",
+                browseName: "Temperature",
+                dataType: "Double"
+            });
+            engine.addressSpace.installHistoricalDataNode(node);
+            for (var i = 0; i < 5; i++) {
+                node.historian.push({
+                    value: {dataType: DataType.Double, value: i},
+                    sourceTimestamp: new Date(Date.UTC(2016, 0, 1, 10, i))
+                });
+            }
+            done();
+        });
+    });
+    after(function () {
+        engine.shutdown();
+        engine = null;
+        resourceLeakDetector.stop();
+    });
+
+    function makeRequest(aggregateNames, nodeCount) {
+        var nodesToRead = [];
+        for (var i = 0; i < nodeCount; i++) {
+            nodesToRead.push({nodeId: node.nodeId});
+        }
+        return new HistoryReadRequest({
+            historyReadDetails: new ReadProcessedDetails({
+                startTime: new Date(Date.UTC(2016, 0, 1, 10, 0)),
+                endTime: new Date(Date.UTC(2016, 0, 1, 10, 5)),
+                aggregateType: aggregateNames.map(function (name) {
+                    return makeNodeId(ObjectIds["AggregateFunction_" + name]);
+                })
+            }),
+            nodesToRead: nodesToRead
+        });
+    }
+
+    it("should apply to each node the aggregate of the same index", function (done) {
+
+        engine.historyRead(makeRequest(["Minimum", "Maximum"], 2), function (err, results) {
+            results.length.should.eql(2);
+            results[0].historyData.dataValues[0].value.value.should.eql(0);
+            results[1].historyData.dataValues[0].value.value.should.eql(4);
+            done(err);
+        });
+    });
+
+    it("should return BadAggregateListMismatch when there isn't one aggregate per node", function (done) {
+
+        engine.historyRead(makeRequest(["Minimum"], 2), function (err, results) {
+            results.length.should.eql(2);
+            results[0].statusCode.should.eql(StatusCodes.BadAggregateListMismatch);
+            results[1].statusCode.should.eql(StatusCodes.BadAggregateListMismatch);
+            done(err);
+        });
+    });
+});
@@ -0,0 +1,272 @@
+require("requirish")._(module);
+var should = require("should");
+var _ = require("underscore");
+
+var server_engine = require("lib/server/server_engine");
+var resolveNodeId = require("lib/datamodel/nodeid").resolveNodeId;
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+var DataType = require("lib/datamodel/variant").DataType;
+var DataValue = require("lib/datamodel/datavalue").DataValue;
+var Variant = require("lib/datamodel/variant").Variant;
+
+var historizing_service = require("lib/services/historizing_service");
+var HistoryUpdateRequest = historizing_service.HistoryUpdateRequest;
+var HistoryUpdateResult = historizing_service.HistoryUpdateResult;
+var PerformUpdateType = historizing_service.PerformUpdateType;
+
+var resourceLeakDetector = require("test/helpers/resource_leak_detector").resourceLeakDetector;
+
+describe("Testing the server engine - HistoryUpdate", function () {
+
+    var engine, historicalVariable, currentVariable;
+
+    // a very simple historian that stores values by source timestamp
+    var history;
+
+    function historyUpdate(historyUpdateDetails, callback) {
+
+        var operationResults = [];
+        switch (historyUpdateDetails._schema.name) {
+            case "UpdateDataDetails":
+                var performInsertReplace = historyUpdateDetails.performInsertReplace;
+                historyUpdateDetails.updateValues.forEach(function (dataValue) {
+                    var key = dataValue.sourceTimestamp.getTime();
+                    var exists = history.hasOwnProperty(key);
+                    if (performInsertReplace === PerformUpdateType.Insert && exists) {
+                        return operationResults.push(StatusCodes.BadEntryExists);
+                    }
+                    if (performInsertReplace === PerformUpdateType.Replace && !exists) {
+                        return operationResults.push(StatusCodes.BadNoEntryExists);
+                    }
+                    history[key] = dataValue;
+                    operationResults.push(exists ? StatusCodes.GoodEntryReplaced : StatusCodes.GoodEntryInserted);
+                });
+                break;
+            case "DeleteAtTimeDetails":
+                historyUpdateDetails.reqTimes.forEach(function (reqTime) {
+                    var key = reqTime.getTime();
+                    if (!history.hasOwnProperty(key)) {
+                        return operationResults.push(StatusCodes.BadNoEntryExists);
+                    }
+                    delete history[key];
+                    operationResults.push(StatusCodes.Good);
+                });
+                break;
+            case "DeleteRawModifiedDetails":
+                var keys = _.keys(history).filter(function (key) {
+                    return key >= historyUpdateDetails.startTime.getTime() && key < historyUpdateDetails.endTime.getTime();
+                });
+                keys.forEach(function (key) {
+                    delete history[key];
+                });
+                return callback(null, new HistoryUpdateResult({
+                    statusCode: keys.length ? StatusCodes.Good : StatusCodes.BadNoData
+                }));
+        }
+        callback(null, new HistoryUpdateResult({statusCode: StatusCodes.Good, operationResults: operationResults}));
+    }
+
+    function makeDataValue(value, minute) {
+        return new DataValue({
+            value: {dataType: DataType.Double, value: value},
+            sourceTimestamp: new Date(Date.UTC(2016, 0, 1, 10, minute))
+        });
+    }
+
+    function historyUpdateRequest(historyUpdateDetails) {
+        return new HistoryUpdateRequest({historyUpdateDetails: historyUpdateDetails});
+    }
+
+    beforeEach(function (done) {
+        resourceLeakDetector.start();
+        history = {};
+        engine = new server_engine.ServerEngine();
+        engine.initialize({nodeset_filename: server_engine.mini_nodeset_filename}, function () {
+            var addressSpace = engine.addressSpace;
+            historicalVariable = addressSpace.addVariable({
+                organizedBy: "ObjectsFolder",
+                browseName: "HistoricalTemperature",
+                nodeId: "ns=1;s=HistoricalTemperature",
+                dataType: "Double",
+                historizing: true,
+                value: {
+                    get: function () {
+                        return new Variant({dataType: DataType.Double, value: 0});
+                    },
+                    historyUpdate: historyUpdate
+                }
+            });
+            currentVariable = addressSpace.addVariable({
+                organizedBy: "ObjectsFolder",
+                browseName: "CurrentTemperature",
+                dataType: "Double",
+                value: {dataType: DataType.Double, value: 0}
+            });
+            done();
+        });
+    });
+    afterEach(function () {
+        engine.shutdown();
+        engine = null;
+        resourceLeakDetector.stop();
+    });
+
+    it("should insert, replace and update values and return one operation result per value", function (done) {
+
+        var request = historyUpdateRequest([
+            new historizing_service.UpdateDataDetails({
+                nodeId: historicalVariable.nodeId,
+                performInsertReplace: PerformUpdateType.Insert,
+                updateValues: [makeDataValue(1, 0), makeDataValue(2, 1)]
+            }),
+            new historizing_service.UpdateDataDetails({
+                nodeId: historicalVariable.nodeId,
+                performInsertReplace: PerformUpdateType.Insert,
+                updateValues: [makeDataValue(10, 1)]
+            }),
+            new historizing_service.UpdateDataDetails({
+                nodeId: historicalVariable.nodeId,
+                performInsertReplace: PerformUpdateType.Replace,
+                updateValues: [makeDataValue(20, 1), makeDataValue(30, 2)]
+            }),
+            new historizing_service.UpdateDataDetails({
+                nodeId: historicalVariable.nodeId,
+                performInsertReplace: PerformUpdateType.Update,
+                updateValues: [makeDataValue(40, 2), makeDataValue(50, 0)]
+            })
+        ]);
+
+        engine.historyUpdate(request, function (err, results) {
+
+            results.length.should.eql(4);
+            results.forEach(function (result) {
+                result.should.be.instanceOf(HistoryUpdateResult);
+                result.statusCode.should.eql(StatusCodes.Good);
+            });
+            results[0].operationResults.should.eql([StatusCodes.GoodEntryInserted, StatusCodes.GoodEntryInserted]);
+            results[1].operationResults.should.eql([StatusCodes.BadEntryExists]);
+            results[2].operationResults.should.eql([StatusCodes.GoodEntryReplaced, StatusCodes.BadNoEntryExists]);
+            results[3].operationResults.should.eql([StatusCodes.GoodEntryInserted, StatusCodes.GoodEntryReplaced]);
+            _.keys(history).length.should.eql(3);
+            done(err);
+        });
+    });
+
+    it("should delete values with DeleteAtTimeDetails and DeleteRawModifiedDetails", function (done) {
+
+        [0, 1, 2, 3].forEach(function (minute) {
+            var dataValue = makeDataValue(minute, minute);
+            history[dataValue.sourceTimestamp.getTime()] = dataValue;
+        });
+
+        var request = historyUpdateRequest([
+            new historizing_service.DeleteAtTimeDetails({
+                nodeId: historicalVariable.nodeId,
+                reqTimes: [new Date(Date.UTC(2016, 0, 1, 10, 0)), new Date(Date.UTC(2016, 0, 1, 11, 0))]
+            }),
+            new historizing_service.DeleteRawModifiedDetails({
+                nodeId: historicalVariable.nodeId,
+                startTime: new Date(Date.UTC(2016, 0, 1, 10, 1)),
+                endTime: new Date(Date.UTC(2016, 0, 1, 10, 3))
+            }),
+            new historizing_service.DeleteRawModifiedDetails({
+                nodeId: historicalVariable.nodeId
+            })
+        ]);
+
+        engine.historyUpdate(request, function (err, results) {
+
+            results[0].statusCode.should.eql(StatusCodes.Good);
+            results[0].operationResults.should.eql([StatusCodes.Good, StatusCodes.BadNoEntryExists]);
+            results[1].statusCode.should.eql(StatusCodes.Good);
+            results[2].statusCode.should.eql(StatusCodes.BadInvalidTimestampArgument);
+            _.keys(history).length.should.eql(1);
+            done(err);
+        });
+    });
+
+    it("should return a bad status code for invalid or unsupported operations", function (done) {
+
+        var request = historyUpdateRequest([
+            new historizing_service.UpdateDataDetails({
+                nodeId: "ns=1;s=UnknownNode",
+                updateValues: [makeDataValue(1, 0)]
+            }),
+            new historizing_service.UpdateDataDetails({
+                nodeId: currentVariable.nodeId,
+                updateValues: [makeDataValue(1, 0)]
+            }),
+            new historizing_service.UpdateDataDetails({
+                nodeId: historicalVariable.nodeId,
+                performInsertReplace: PerformUpdateType.Remove,
+                updateValues: [makeDataValue(1, 0)]
+            }),
+            new historizing_service.DeleteEventDetails({
+                nodeId: historicalVariable.nodeId,
+                eventIds: [new Buffer("event1")]
+            }),
+            new historizing_service.UpdateDataDetails({
+                nodeId: resolveNodeId("ObjectsFolder"),
+                updateValues: [makeDataValue(1, 0)]
+            })
+        ]);
+
+        engine.historyUpdate(request, function (err, results) {
+
+            results.map(function (result) {
+                return result.statusCode;
+            }).should.eql([
+                StatusCodes.BadNodeIdUnknown,
+                StatusCodes.BadHistoryOperationUnsupported,
+                StatusCodes.BadHistoryOperationInvalid,
+                StatusCodes.BadHistoryOperationUnsupported,
+                StatusCodes.BadHistoryOperationUnsupported
+            ]);
+            _.keys(history).length.should.eql(0);
+            done(err);
+        });
+    });
+
+    it("should return BadInternalError when historyUpdate doesn't provide one operation result per value", function (done) {
+
+        var faultyVariable = engine.addressSpace.addVariable({
+            organizedBy: "ObjectsFolder",
+            browseName: "FaultyHistoricalTemperature",
+            dataType: "Double",
+            historizing: true,
+            value: {
+                get: function () {
+                    return new Variant({dataType: DataType.Double, value: 0});
+                },
+                historyUpdate: function (historyUpdateDetails, callback) {
+                    callback(null, new HistoryUpdateResult({
+                        statusCode: StatusCodes.Good,
+                        operationResults: [StatusCodes.GoodEntryInserted]
+                    }));
+                }
+            }
+        });
+
+        var request = historyUpdateRequest([
+            new historizing_service.UpdateDataDetails({
+                nodeId: faultyVariable.nodeId,
+                performInsertReplace: PerformUpdateType.Insert,
+                updateValues: [makeDataValue(1, 0), makeDataValue(2, 1)]
+            }),
+            new historizing_service.UpdateDataDetails({
+                nodeId: historicalVariable.nodeId,
+                performInsertReplace: PerformUpdateType.Insert,
+                updateValues: [makeDataValue(1, 0)]
+            })
+        ]);
+
+        engine.historyUpdate(request, function (err, results) {
+
+            results[0].statusCode.should.eql(StatusCodes.BadInternalError);
+            results[0].operationResults.length.should.eql(0);
+            results[1].statusCode.should.eql(StatusCodes.Good);
+            results[1].operationResults.should.eql([StatusCodes.GoodEntryInserted]);
+            done(err);
+        });
+    });
+});
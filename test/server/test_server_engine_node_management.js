@@ -0,0 +1,161 @@
+require("requirish")._(module);
+var should = require("should");
+var sinon = require("sinon");
+
+var server_engine = require("lib/server/server_engine");
+var resolveNodeId = require("lib/datamodel/nodeid").resolveNodeId;
+var makeExpandedNodeId = require("lib/datamodel/expanded_nodeid").makeExpandedNodeId;
+var NodeClass = require("lib/datamodel/nodeclass").NodeClass;
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+var node_managment_service = require("lib/services/node_management_service");
+
+var resourceLeakDetector = require("test/helpers/resource_leak_detector").resourceLeakDetector;
+
+describe("Testing the server engine - node management with a nodeManagementPolicy", function () {
+
+    var engine, policy, protectedFolder, freeFolder;
+
+    // a fake session
+    var session = {userIdentityToken: {userName: "operator"}};
+
+    beforeEach(function (done) {
+        resourceLeakDetector.start();
+
+        policy = sinon.spy(function (userIdentityToken, node /*, item*/) {
+            if (node && node.browseName.toString() === "Protected") {
+                return StatusCodes.BadUserAccessDenied;
+            }
+            return StatusCodes.Good;
+        });
+
+        engine = new server_engine.ServerEngine({nodeManagementPolicy: policy});
+        engine.initialize({nodeset_filename: server_engine.mini_nodeset_filename}, function () {
+            var addressSpace = engine.addressSpace;
+            protectedFolder = addressSpace.addFolder("ObjectsFolder", {browseName: "Protected", nodeId: "ns=1;s=Protected"});
+            freeFolder = addressSpace.addFolder("ObjectsFolder", {browseName: "Free", nodeId: "ns=1;s=Free"});
+            done();
+        });
+    });
+    afterEach(function () {
+        engine.shutdown();
+        engine = null;
+        resourceLeakDetector.stop();
+    });
+
+    function makeAddNodesItem(parent, name) {
+        return new node_managment_service.AddNodesItem({
+            parentNodeId: makeExpandedNodeId(parent.nodeId),
+            referenceTypeId: resolveNodeId("Organizes"),
+            browseName: {name: name, namespaceIndex: 1},
+            nodeClass: NodeClass.Object,
+            typeDefinition: makeExpandedNodeId(resolveNodeId("FolderType"))
+        });
+    }
+
+    it("should call the nodeManagementPolicy with the session, the user identity, the parent node and the item", function () {
+
+        var item = makeAddNodesItem(freeFolder, "Child");
+        var results = engine.addNodes([item], session);
+        results[0].statusCode.should.eql(StatusCodes.Good);
+
+        policy.callCount.should.eql(1);
+        policy.getCall(0).thisValue.should.eql(session);
+        policy.getCall(0).args[0].should.eql(session.userIdentityToken);
+        policy.getCall(0).args[1].should.eql(freeFolder);
+        policy.getCall(0).args[2].should.eql(item);
+    });
+
+    it("should only add the nodes accepted by the nodeManagementPolicy", function () {
+
+        var results = engine.addNodes([
+            makeAddNodesItem(protectedFolder, "Child1"),
+            makeAddNodesItem(freeFolder, "Child2")
+        ], session);
+
+        results.length.should.eql(2);
+        results[0].statusCode.should.eql(StatusCodes.BadUserAccessDenied);
+        results[1].statusCode.should.eql(StatusCodes.Good);
+
+        should(protectedFolder.getFolderElementByName("1:Child1")).eql(null);
+        freeFolder.getFolderElementByName("1:Child2").nodeId.should.eql(results[1].addedNodeId);
+    });
+
+    it("should only delete the nodes accepted by the nodeManagementPolicy", function () {
+
+        var results = engine.deleteNodes([
+            new node_managment_service.DeleteNodesItem({nodeId: protectedFolder.nodeId, deleteTargetReferences: true}),
+            new node_managment_service.DeleteNodesItem({nodeId: freeFolder.nodeId, deleteTargetReferences: true})
+        ], session);
+
+        results.should.eql([StatusCodes.BadUserAccessDenied, StatusCodes.Good]);
+        should.exist(engine.addressSpace.findNode(protectedFolder.nodeId));
+        should.not.exist(engine.addressSpace.findNode(freeFolder.nodeId));
+    });
+
+    it("should only add and delete the references accepted by the nodeManagementPolicy", function () {
+
+        function makeAddReferencesItem(source, target) {
+            return new node_managment_service.AddReferencesItem({
+                sourceNodeId: source.nodeId,
+                referenceTypeId: resolveNodeId("Organizes"),
+                isForward: true,
+                targetNodeId: makeExpandedNodeId(target.nodeId)
+            });
+        }
+
+        var results = engine.addReferences([
+            makeAddReferencesItem(protectedFolder, freeFolder),
+            makeAddReferencesItem(freeFolder, protectedFolder)
+        ], session);
+        results.should.eql([StatusCodes.BadUserAccessDenied, StatusCodes.Good]);
+
+        results = engine.deleteReferences([
+            new node_managment_service.DeleteReferencesItem({
+                sourceNodeId: protectedFolder.nodeId,
+                referenceNodeId: resolveNodeId("Organizes"),
+                isForward: false,
+                targetNodeId: makeExpandedNodeId(freeFolder.nodeId),
+                deleteBidirectional: true
+            })
+        ], session);
+        results.should.eql([StatusCodes.BadUserAccessDenied]);
+        freeFolder.getFolderElementByName("Protected").should.eql(protectedFolder);
+    });
+
+    it("should return BadInternalError for the items on which the nodeManagementPolicy throws", function () {
+
+        engine.nodeManagementPolicy = function (userIdentityToken, node) {
+            if (node === protectedFolder) {
+                throw new Error("policy failure");
+            }
+            return StatusCodes.Good;
+        };
+        var results = engine.addNodes([
+            makeAddNodesItem(protectedFolder, "Child1"),
+            makeAddNodesItem(freeFolder, "Child2")
+        ], session);
+
+        results[0].statusCode.should.eql(StatusCodes.BadInternalError);
+        results[1].statusCode.should.eql(StatusCodes.Good);
+        should(protectedFolder.getFolderElementByName("1:Child1")).eql(null);
+    });
+
+    it("should return BadUserAccessDenied when the nodeManagementPolicy doesn't return a StatusCode", function () {
+
+        var returnValues = [true, undefined, StatusCodes.Good];
+        engine.nodeManagementPolicy = function () {
+            return returnValues.shift();
+        };
+        var results = engine.addNodes([
+            makeAddNodesItem(freeFolder, "Child1"),
+            makeAddNodesItem(freeFolder, "Child2"),
+            makeAddNodesItem(freeFolder, "Child3")
+        ], session);
+
+        results.map(function (result) {
+            return result.statusCode;
+        }).should.eql([StatusCodes.BadUserAccessDenied, StatusCodes.BadUserAccessDenied, StatusCodes.Good]);
+        should(freeFolder.getFolderElementByName("1:Child1")).eql(null);
+        should(freeFolder.getFolderElementByName("1:Child2")).eql(null);
+    });
+});
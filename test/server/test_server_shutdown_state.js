@@ -0,0 +1,85 @@
+"use strict";
+/*global require,describe,it,before,after*/
+require("requirish")._(module);
+var should = require("should");
+var sinon = require("sinon");
+
+var OPCUAServer = require("lib/server/opcua_server").OPCUAServer;
+var server_engine = require("lib/server/server_engine");
+var ServerEngine = server_engine.ServerEngine;
+var UAObject = require("lib/address_space/ua_object").UAObject;
+var VariableIds = require("lib/opcua_node_ids").VariableIds;
+var makeNodeId = require("lib/datamodel/nodeid").makeNodeId;
+var ServerState = require("schemas/39394884f696ff0bf66bacc9a8032cc074e0158e/ServerState_enum").ServerState;
+
+var resourceLeakDetector = require("test/helpers/resource_leak_detector").resourceLeakDetector;
+
+describe("OPCUAServer - ServerStatus during the shutdown", function () {
+
+    this.timeout(Math.max(this._timeout, 20000));
+
+    before(function () {
+        resourceLeakDetector.start();
+    });
+    after(function () {
+        resourceLeakDetector.stop();
+    });
+
+    function systemStatusChangeEvents(spy) {
+        return spy.args.filter(function (args) {
+            return args[0] === "SystemStatusChangeEventType";
+        }).map(function (args) {
+            return args[1];
+        });
+    }
+
+    it("should raise a SystemStatusChangeEvent when the server engine starts", function (done) {
+
+        var engine = new ServerEngine();
+        var spy = sinon.spy(UAObject.prototype, "raiseEvent");
+        engine.initialize({nodeset_filename: server_engine.standard_nodeset_file}, function () {
+            spy.restore();
+            var events = systemStatusChangeEvents(spy);
+            events.length.should.eql(1);
+            events[0].systemState.value.should.eql(ServerState.Running.value);
+            engine.shutdown();
+            done();
+        });
+    });
+
+    it("should expose the SecondsTillShutdown and the ShutdownReason during the grace period", function (done) {
+
+        var server = new OPCUAServer({port: 2018, nodeset_filename: [server_engine.standard_nodeset_file]});
+
+        function readValue(variableId) {
+            return server.engine.addressSpace.findNode(makeNodeId(VariableIds[variableId])).readValue().value.value;
+        }
+
+        var events = [];
+        server.start(function (err) {
+            if (err) {
+                return done(err);
+            }
+            server.engine.addressSpace.findNode("Server").on("event", function (eventData) {
+                events.push(eventData);
+            });
+
+            readValue("Server_ServerStatus_SecondsTillShutdown").should.eql(0);
+
+            server.shutdown(2000, "maintenance", function () {
+                server.engine.serverStatus.state.should.eql(ServerState.Shutdown);
+                done();
+            });
+
+            // the server is still up during the grace period
+            readValue("Server_ServerStatus_State").should.eql(ServerState.Shutdown.value);
+            readValue("Server_ServerStatus_SecondsTillShutdown").should.eql(2);
+            readValue("Server_ServerStatus_ShutdownReason").text.should.eql("maintenance");
+
+            events.length.should.eql(1);
+            events[0].$eventType.browseName.toString().should.eql("SystemStatusChangeEventType");
+            events[0].systemState.value.should.eql(ServerState.Shutdown.value);
+            events[0].message.value.text.should.eql("Server state is Shutdown : maintenance");
+        });
+    });
+});
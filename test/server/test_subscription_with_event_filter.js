@@ -0,0 +1,223 @@
+/*global require,describe,it,before,after*/
+"use strict";
+require("requirish")._(module);
+
+var should = require("should");
+
+var subscription_service = require("lib/services/subscription_service");
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+var Subscription = require("lib/server/subscription").Subscription;
+var TimestampsToReturn = require("lib/services/read_service").TimestampsToReturn;
+var DataType = require("lib/datamodel/variant").DataType;
+var AttributeIds = require("lib/datamodel/attributeIds").AttributeIds;
+var constructEventFilter = require("lib/tools/tools_event_filter").constructEventFilter;
+
+var MonitoredItemCreateRequest = subscription_service.MonitoredItemCreateRequest;
+var FilterOperator = subscription_service.FilterOperator;
+var ContentFilter = subscription_service.ContentFilter;
+var ElementOperand = subscription_service.ElementOperand;
+var LiteralOperand = subscription_service.LiteralOperand;
+var AttributeOperand = subscription_service.AttributeOperand;
+var SimpleAttributeOperand = subscription_service.SimpleAttributeOperand;
+
+var server_engine = require("lib/server/server_engine");
+var resourceLeakDetector = require("test/helpers/resource_leak_detector").resourceLeakDetector;
+
+var fake_publish_engine = {
+    pendingPublishRequestCount: 0,
+    send_notification_message: function () {
+    },
+    send_keep_alive_response: function () {
+        return false;
+    },
+    on_close_subscription: function (subscription) {
+    }
+};
+
+describe("Subscriptions and MonitoredItems with a EventFilter where clause", function () {
+
+    var engine, addressSpace, server, subscription;
+
+    before(function (done) {
+        resourceLeakDetector.start();
+        engine = new server_engine.ServerEngine();
+        engine.initialize({nodeset_filename: server_engine.mini_nodeset_filename}, function () {
+            addressSpace = engine.addressSpace;
+            server = addressSpace.findNode("Server");
+            subscription = new Subscription({
+                publishingInterval: 1000,
+                maxKeepAliveCount: 20,
+                publishEngine: fake_publish_engine
+            });
+            subscription.on("monitoredItem", function (monitoredItem) {
+                // event monitored items are not sampled
+                monitoredItem.samplingFunc = function () {
+                };
+            });
+            done();
+        });
+    });
+    after(function () {
+        subscription.terminate();
+        engine.shutdown();
+        engine = null;
+        resourceLeakDetector.stop();
+    });
+
+    function severity() {
+        return new SimpleAttributeOperand({browsePath: [{name: "Severity"}], attributeId: AttributeIds.Value});
+    }
+
+    function message() {
+        return new SimpleAttributeOperand({browsePath: [{name: "Message"}], attributeId: AttributeIds.Value});
+    }
+
+    function literal(dataType, value) {
+        return new LiteralOperand({value: {dataType: dataType, value: value}});
+    }
+
+    function createEventMonitoredItem(whereClause) {
+        var filter = constructEventFilter(["Message", "Severity"]);
+        filter.whereClause = whereClause;
+        return subscription.createMonitoredItem(addressSpace, TimestampsToReturn.Both, new MonitoredItemCreateRequest({
+            itemToMonitor: {nodeId: server.nodeId, attributeId: AttributeIds.EventNotifier},
+            monitoringMode: subscription_service.MonitoringMode.Reporting,
+            requestedParameters: {queueSize: 10, samplingInterval: 0, filter: filter}
+        }));
+    }
+
+    function raiseEvent(severityValue, text) {
+        server.raiseEvent("BaseEventType", {
+            severity: {dataType: DataType.UInt16, value: severityValue},
+            message: {dataType: DataType.LocalizedText, value: {text: text}}
+        });
+    }
+
+    function receivedMessages(monitoredItem) {
+        return monitoredItem.queue.map(function (eventFieldList) {
+            return eventFieldList.eventFields[0].value.text;
+        });
+    }
+
+    it("should only notify the events matching the where clause", function () {
+
+        // ( Severity >= 500 and Message like "Alarm%" ) or Severity in [ 10, 20 ]
+        var result = createEventMonitoredItem(new ContentFilter({
+            elements: [
+                {filterOperator: FilterOperator.Or, filterOperands: [new ElementOperand({index: 1}), new ElementOperand({index: 4})]},
+                {filterOperator: FilterOperator.And, filterOperands: [new ElementOperand({index: 2}), new ElementOperand({index: 3})]},
+                {filterOperator: FilterOperator.GreaterThanOrEqual, filterOperands: [severity(), literal(DataType.UInt16, 500)]},
+                {filterOperator: FilterOperator.Like, filterOperands: [message(), literal(DataType.String, "Alarm%")]},
+                {
+                    filterOperator: FilterOperator.InList,
+                    filterOperands: [severity(), literal(DataType.UInt16, 10), literal(DataType.UInt16, 20)]
+                }
+            ]
+        }));
+        result.statusCode.should.eql(StatusCodes.Good);
+        result.filterResult.whereClauseResult.elementResults.length.should.eql(0);
+
+        var monitoredItem = subscription.getMonitoredItem(result.monitoredItemId);
+
+        raiseEvent(600, "Alarm1");
+        raiseEvent(600, "Warning1");
+        raiseEvent(100, "Alarm2");
+        raiseEvent(20, "Info1");
+        raiseEvent(30, "Info2");
+
+        receivedMessages(monitoredItem).should.eql(["Alarm1", "Info1"]);
+        subscription.removeMonitoredItem(result.monitoredItemId);
+    });
+
+    it("should evaluate the bitwise and not operators", function () {
+
+        // not ( ( Severity & 1 ) == 1 ) : even severities only
+        var result = createEventMonitoredItem(new ContentFilter({
+            elements: [
+                {filterOperator: FilterOperator.Not, filterOperands: [new ElementOperand({index: 1})]},
+                {filterOperator: FilterOperator.Equals, filterOperands: [new ElementOperand({index: 2}), literal(DataType.UInt16, 1)]},
+                {filterOperator: FilterOperator.BitwiseAnd, filterOperands: [severity(), literal(DataType.UInt16, 1)]}
+            ]
+        }));
+        result.statusCode.should.eql(StatusCodes.Good);
+        var monitoredItem = subscription.getMonitoredItem(result.monitoredItemId);
+
+        raiseEvent(101, "Odd");
+        raiseEvent(102, "Even");
+
+        receivedMessages(monitoredItem).should.eql(["Even"]);
+        subscription.removeMonitoredItem(result.monitoredItemId);
+    });
+
+    it("should notify all the events when the where clause is empty", function () {
+
+        var result = createEventMonitoredItem(new ContentFilter({elements: []}));
+        result.statusCode.should.eql(StatusCodes.Good);
+        var monitoredItem = subscription.getMonitoredItem(result.monitoredItemId);
+
+        raiseEvent(1, "A");
+        raiseEvent(2, "B");
+        receivedMessages(monitoredItem).should.eql(["A", "B"]);
+        subscription.removeMonitoredItem(result.monitoredItemId);
+    });
+
+    it("should return BadMonitoredItemFilterInvalid with the status code of each element of an invalid where clause", function () {
+
+        var result = createEventMonitoredItem(new ContentFilter({
+            elements: [
+                {filterOperator: FilterOperator.And, filterOperands: [new ElementOperand({index: 1}), new ElementOperand({index: 9})]},
+                {filterOperator: FilterOperator.Between, filterOperands: [severity(), literal(DataType.UInt16, 10)]},
+                {filterOperator: FilterOperator.InView, filterOperands: [literal(DataType.NodeId, server.nodeId)]},
+                {
+                    filterOperator: FilterOperator.Equals,
+                    filterOperands: [new AttributeOperand({nodeId: server.nodeId, attributeId: AttributeIds.Value}), literal(DataType.UInt16, 1)]
+                },
+                {filterOperator: FilterOperator.IsNull, filterOperands: [severity()]}
+            ]
+        }));
+
+        result.statusCode.should.eql(StatusCodes.BadMonitoredItemFilterInvalid);
+
+        var elementResults = result.filterResult.whereClauseResult.elementResults;
+        elementResults.map(function (elementResult) {
+            return elementResult.statusCode.name;
+        }).should.eql([
+            "BadFilterOperandInvalid",
+            "BadFilterOperandCountMismatch",
+            "BadFilterOperatorUnsupported",
+            "BadFilterOperandInvalid",
+            "Good"
+        ]);
+        elementResults[0].operandStatusCodes.should.eql([StatusCodes.Good, StatusCodes.BadFilterOperandInvalid]);
+        elementResults[3].operandStatusCodes.should.eql([StatusCodes.BadFilterOperandInvalid, StatusCodes.Good]);
+    });
+
+    it("should return BadMonitoredItemFilterInvalid for a Like pattern with a reversed range", function () {
+
+        var result = createEventMonitoredItem(new ContentFilter({
+            elements: [
+                {filterOperator: FilterOperator.Like, filterOperands: [message(), literal(DataType.String, "[z-a]%")]}
+            ]
+        }));
+        result.statusCode.should.eql(StatusCodes.BadMonitoredItemFilterInvalid);
+        result.filterResult.whereClauseResult.elementResults[0].statusCode.should.eql(StatusCodes.BadFilterOperandInvalid);
+    });
+
+    it("should drop the events for a monitored item whose where clause cannot be evaluated, without affecting the others", function () {
+
+        var result1 = createEventMonitoredItem(new ContentFilter({elements: []}));
+        var result2 = createEventMonitoredItem(new ContentFilter({elements: []}));
+        var failingItem = subscription.getMonitoredItem(result1.monitoredItemId);
+        var monitoredItem = subscription.getMonitoredItem(result2.monitoredItemId);
+
+        // a where clause that makes the evaluation throw
+        failingItem.filter.whereClause = {elements: [{filterOperator: {key: "NotAnOperator"}, filterOperands: []}]};
+
+        raiseEvent(1, "A");
+        receivedMessages(failingItem).should.eql([]);
+        receivedMessages(monitoredItem).should.eql(["A"]);
+
+        subscription.removeMonitoredItem(result1.monitoredItemId);
+        subscription.removeMonitoredItem(result2.monitoredItemId);
+    });
+});
@@ -236,6 +236,56 @@ describe("Subscriptions and MonitoredItems", function () {
 
     });
 
+    it("a monitored item should report BadNodeIdUnknown and stop sampling when its node is deleted", function (done) {
+
+        var variable = addressSpace.addVariable({
+            organizedBy: "RootFolder",
+            browseName: "SomeVariableToDelete",
+            dataType: "UInt32",
+            value: {dataType: DataType.UInt32, value: 0}
+        });
+
+        var subscription = new Subscription({
+            publishingInterval: 1000,
+            maxKeepAliveCount: 20,
+            publishEngine: fake_publish_engine
+        });
+        subscription.on("monitoredItem", function (monitoredItem) {
+            monitoredItem.samplingFunc = install_spying_samplingFunc();
+        });
+
+        var monitoredItemCreateRequest = new MonitoredItemCreateRequest({
+            itemToMonitor: {nodeId: variable.nodeId},
+            monitoringMode: subscription_service.MonitoringMode.Reporting,
+            requestedParameters: {
+                queueSize: 10,
+                samplingInterval: 100
+            }
+        });
+
+        var monitoredItemCreateResult = subscription.createMonitoredItem(addressSpace, TimestampsToReturn.Both, monitoredItemCreateRequest);
+        monitoredItemCreateResult.statusCode.should.eql(StatusCodes.Good);
+        var monitoredItem = subscription.getMonitoredItem(monitoredItemCreateResult.monitoredItemId);
+
+        this.clock.tick(200);
+        var queueLength = monitoredItem.queue.length;
+
+        addressSpace.deleteNode(variable);
+
+        monitoredItem.queue.length.should.eql(queueLength + 1);
+        monitoredItem.queue[queueLength].value.statusCode.should.eql(StatusCodes.BadNodeIdUnknown);
+        should(monitoredItem.node).eql(null);
+
+        // sampling has stopped
+        this.clock.tick(500);
+        monitoredItem.queue.length.should.eql(queueLength + 1);
+
+        subscription.on("terminated", function () {
+            done();
+        });
+        subscription.terminate();
+    });
+
     it("XX a subscription should collect monitored item notification with collectNotificationData", function (done) {
 
         var subscription = new Subscription({
@@ -2,6 +2,7 @@ require("requirish")._(module);
 var read_service = require("lib/services/read_service");
 var TimestampsToReturn = read_service.TimestampsToReturn;
 
+var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
 var hs = require("lib/services/historizing_service");
 
 var encode_decode_round_trip_test = require("test/helpers/encode_decode_round_trip_test").encode_decode_round_trip_test;
@@ -77,4 +78,46 @@ describe("Historizing Service", function () {
         encode_decode_round_trip_test(readRequest);
     });
 
+    it("should create a HistoryUpdateRequest with the various kinds of historyUpdateDetails", function () {
+        var updateRequest = new hs.HistoryUpdateRequest({
+            historyUpdateDetails: [
+                new hs.UpdateDataDetails({
+                    nodeId: "ns=1;i=100",
+                    performInsertReplace: hs.PerformUpdateType.Replace,
+                    updateValues: [{value: {dataType: "Double", value: 3.14}, sourceTimestamp: new Date(2015, 10, 13)}]
+                }),
+                new hs.UpdateStructureDataDetails({
+                    nodeId: "ns=1;i=101",
+                    performInsertReplace: hs.PerformUpdateType.Remove
+                }),
+                new hs.DeleteRawModifiedDetails({
+                    nodeId: "ns=1;i=100",
+                    isDeleteModified: true,
+                    startTime: new Date(2015, 10, 13),
+                    endTime: new Date(2015, 11, 10)
+                }),
+                new hs.DeleteAtTimeDetails({
+                    nodeId: "ns=1;i=100",
+                    reqTimes: [new Date(2015, 10, 13), new Date(2015, 11, 10)]
+                }),
+                new hs.DeleteEventDetails({
+                    nodeId: "ns=1;i=102",
+                    eventIds: [new Buffer("event1")]
+                })
+            ]
+        });
+        updateRequest.historyUpdateDetails[1].updateValues.length.should.equal(0);
+        encode_decode_round_trip_test(updateRequest);
+    });
+
+    it("should create a HistoryUpdateResponse", function () {
+        var updateResponse = new hs.HistoryUpdateResponse({
+            results: [
+                {statusCode: StatusCodes.Good, operationResults: [StatusCodes.GoodEntryInserted, StatusCodes.BadEntryExists]},
+                {statusCode: StatusCodes.BadHistoryOperationUnsupported}
+            ]
+        });
+        encode_decode_round_trip_test(updateResponse);
+    });
+
 });
@@ -0,0 +1,83 @@
+"use strict";
+require("requirish")._(module);
+var should = require("should");
+var likePatternToRegExp = require("lib/tools/tools_content_filter").likePatternToRegExp;
+
+describe("test likePatternToRegExp", function () {
+
+    function like(str, pattern) {
+        return likePatternToRegExp(pattern).test(str);
+    }
+
+    it("should match any string of zero or more characters with %", function () {
+        like("main", "main%").should.eql(true);
+        like("mainframe", "main%").should.eql(true);
+        like("green", "%en%").should.eql(true);
+        like("blue", "%en%").should.eql(false);
+    });
+
+    it("should match any single character with _", function () {
+        like("would", "_ould").should.eql(true);
+        like("could", "_ould").should.eql(true);
+        like("should", "_ould").should.eql(false);
+    });
+
+    it("should match a single character in a list with []", function () {
+        like("abc1", "abc[13-68]").should.eql(true);
+        like("abc5", "abc[13-68]").should.eql(true);
+        like("abc2", "abc[13-68]").should.eql(false);
+        like("That is fine", "Th[ia][ts]%").should.eql(true);
+    });
+
+    it("should not match a single character in a list with [^]", function () {
+        like("ABC1", "ABC[^13-5]").should.eql(false);
+        like("ABC2", "ABC[^13-5]").should.eql(true);
+    });
+
+    it("should handle escaped and literal special characters", function () {
+        like("5%", "5[%]").should.eql(true);
+        like("5_", "5\\_").should.eql(true);
+        like("5a", "5\\_").should.eql(false);
+        like("a.b", "a.b").should.eql(true);
+        like("axb", "a.b").should.eql(false);
+    });
+});
+
+describe("test the Like operator with an invalid pattern", function () {
+
+    var tools_content_filter = require("lib/tools/tools_content_filter");
+    var StatusCodes = require("lib/datamodel/opcua_status_code").StatusCodes;
+    var DataType = require("lib/datamodel/variant").DataType;
+    var subscription_service = require("lib/services/subscription_service");
+    var ContentFilter = subscription_service.ContentFilter;
+    var FilterOperator = subscription_service.FilterOperator;
+    var LiteralOperand = subscription_service.LiteralOperand;
+
+    function likeFilter(value, pattern) {
+        return new ContentFilter({
+            elements: [{
+                filterOperator: FilterOperator.Like,
+                filterOperands: [
+                    new LiteralOperand({value: {dataType: DataType.String, value: value}}),
+                    new LiteralOperand({value: {dataType: DataType.String, value: pattern}})
+                ]
+            }]
+        });
+    }
+
+    it("checkContentFilter should report BadFilterOperandInvalid for a pattern with a reversed range", function () {
+
+        tools_content_filter.checkContentFilter(null, likeFilter("zebra", "[a-z]%")).elementResults.length.should.eql(0);
+
+        var result = tools_content_filter.checkContentFilter(null, likeFilter("zebra", "[z-a]%"));
+        result.elementResults.length.should.eql(1);
+        result.elementResults[0].statusCode.should.eql(StatusCodes.BadFilterOperandInvalid);
+        result.elementResults[0].operandStatusCodes.should.eql([StatusCodes.Good, StatusCodes.BadFilterOperandInvalid]);
+    });
+
+    it("evaluateContentFilter should evaluate a Like with an invalid pattern to false", function () {
+
+        tools_content_filter.evaluateContentFilter(null, likeFilter("zebra", "[a-z]%"), null).should.eql(true);
+        tools_content_filter.evaluateContentFilter(null, likeFilter("zebra", "[z-a]%"), null).should.eql(false);
+    });
+});